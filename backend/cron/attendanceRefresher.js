@@ -0,0 +1,174 @@
+// backend/cron/attendanceRefresher.js
+// Cron job that periodically queues attendance scrapes for every user with an active trial or subscription
+// The scrapes themselves run in the scrape queue worker (src/services/scrapeQueue.js)
+
+import crypto from 'crypto'
+import cron from 'node-cron'
+import { query } from '../src/db.js'
+import logger from '../lib/logger.js'
+import { enqueueScrape } from '../src/services/scrapeQueue.js'
+
+// Tunables (env):
+// ATTENDANCE_REFRESH_CRON           schedule, default every 6 hours
+// ATTENDANCE_REFRESH_JITTER_MS      random delay before each user's job becomes due, spreads load on the LMS
+// ATTENDANCE_REFRESH_MIN_AGE_MINUTES  skip users whose latest snapshot is newer than this
+// (how many scrapes run at once is SCRAPE_WORKER_CONCURRENCY, see scrapeQueue.js)
+function getConfig() {
+  return {
+    schedule: process.env.ATTENDANCE_REFRESH_CRON || '0 */6 * * *',
+    jitterMs: Math.max(0, Number(process.env.ATTENDANCE_REFRESH_JITTER_MS ?? 60000) || 0),
+    minAgeMinutes: Math.max(0, Number(process.env.ATTENDANCE_REFRESH_MIN_AGE_MINUTES ?? 120) || 0)
+  }
+}
+
+let refreshRunning = false
+
+/**
+ * Users with access right now whose latest snapshot is older than minAgeMinutes (or missing),
+ * stalest first. "Access" follows resolveAccess in src/middleware/checkAccess.js: a cancelled,
+ * halted or completed subscription runs until subscription_expires_at, and an 'expired' user
+ * whose trial or subscription was extended (admin, free coupon) has access again.
+ */
+export async function findUsersDueForRefresh(minAgeMinutes) {
+  const { rows } = await query(
+    `SELECT u.id, u.student_id, u.lms_from_date, u.lms_to_date, s.fetched_at AS last_scraped_at,
+            (c.user_id IS NOT NULL) AS has_credentials
+     FROM users u
+     LEFT JOIN latest_snapshot s ON s.username = u.student_id
+     LEFT JOIN lms_credentials c ON c.user_id = u.id
+     WHERE u.student_id IS NOT NULL
+       AND (
+         (COALESCE(u.subscription_status, 'trial') IN ('active', 'cancelled', 'halted', 'completed')
+           AND u.subscription_expires_at > NOW())
+         OR (COALESCE(u.subscription_status, 'trial') = 'trial' AND u.trial_expires_at > NOW())
+         OR (u.subscription_status = 'expired' AND (u.trial_expires_at > NOW() OR u.subscription_expires_at > NOW()))
+       )
+       AND (s.fetched_at IS NULL OR s.fetched_at < NOW() - make_interval(mins => $1))
+     ORDER BY s.fetched_at ASC NULLS FIRST`,
+    [minAgeMinutes]
+  )
+  return rows
+}
+
+async function recordOutcome(batchId, user, outcome) {
+  try {
+    await query(
+      `INSERT INTO attendance_refresh_runs
+         (batch_id, user_id, student_id, status, reason, scrape_job_id, started_at, finished_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7)`,
+      [
+        batchId,
+        user.id,
+        user.student_id,
+        outcome.status,
+        outcome.reason || null,
+        outcome.jobId || null,
+        // Queued rows are finished by the queue worker once their job completes
+        outcome.status === 'queued' ? null : new Date()
+      ]
+    )
+  } catch (err) {
+    logger.error('[cron] Failed to record attendance refresh outcome', {
+      userId: user.id,
+      status: outcome.status,
+      error: err.message
+    })
+  }
+}
+
+async function refreshUser(batchId, user, { jitterMs }) {
+  let outcome
+  if (!user.has_credentials) {
+    outcome = { status: 'skipped', reason: 'no_stored_credentials' }
+  } else {
+    try {
+      // No password: the worker reads the user's opted-in credentials from the vault
+      const { job, created } = await enqueueScrape({
+        username: user.student_id,
+        userId: user.id,
+        fromDate: user.lms_from_date || null,
+        toDate: user.lms_to_date || null,
+        source: 'scheduler',
+        delayMs: jitterMs > 0 ? Math.floor(Math.random() * jitterMs) : 0
+      })
+      outcome = created
+        ? { status: 'queued', jobId: job.id }
+        : { status: 'skipped', reason: 'scrape_in_progress' }
+    } catch (err) {
+      outcome = { status: 'failed', reason: err.code || err.message }
+      logger.warn('[cron] Failed to queue attendance refresh for user', {
+        userId: user.id,
+        student_id: user.student_id,
+        error: err.message
+      })
+    }
+  }
+
+  await recordOutcome(batchId, user, outcome)
+  return outcome
+}
+
+/**
+ * Queue one refresh pass over all users due for a refresh
+ * Overlapping passes are skipped; users with a job already pending are not queued twice
+ */
+export async function runAttendanceRefresh() {
+  if (refreshRunning) {
+    logger.warn('[cron] Previous attendance refresh still running, skipping this tick')
+    return null
+  }
+  refreshRunning = true
+  const config = getConfig()
+  const batchId = crypto.randomUUID()
+  const summary = { batchId, total: 0, queued: 0, failed: 0, skipped: 0 }
+
+  try {
+    const users = await findUsersDueForRefresh(config.minAgeMinutes)
+    summary.total = users.length
+    logger.info('[cron] Starting attendance refresh', {
+      batchId,
+      users: users.length,
+      jitterMs: config.jitterMs
+    })
+
+    for (const user of users) {
+      const outcome = await refreshUser(batchId, user, config)
+      summary[outcome.status]++
+    }
+
+    logger.info('[cron] Attendance refresh queued', summary)
+    return summary
+  } catch (err) {
+    logger.error('[cron] Error in runAttendanceRefresh', {
+      batchId,
+      error: err.message,
+      stack: err.stack
+    })
+    return summary
+  } finally {
+    refreshRunning = false
+  }
+}
+
+/**
+ * Start the cron job
+ * Disabled unless ATTENDANCE_REFRESH_ENABLED=true (see server.js)
+ */
+export function startAttendanceRefresher() {
+  const { schedule, jitterMs, minAgeMinutes } = getConfig()
+  if (!cron.validate(schedule)) {
+    logger.error('[cron] Invalid ATTENDANCE_REFRESH_CRON, attendance refresher not started', { schedule })
+    return null
+  }
+
+  logger.info('[cron] Starting attendance refresher', { schedule, jitterMs, minAgeMinutes })
+
+  return cron.schedule(schedule, async () => {
+    await runAttendanceRefresh()
+  })
+}
+
+export default {
+  runAttendanceRefresh,
+  startAttendanceRefresher
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { runAttendanceRefresh } from './attendanceRefresher.js';
+
+const { query, enqueueScrape } = vi.hoisted(() => ({
+  query: vi.fn(),
+  enqueueScrape: vi.fn()
+}));
+
+vi.mock('../src/db.js', () => ({ query, default: { query } }));
+vi.mock('../src/services/scrapeQueue.js', () => ({ enqueueScrape }));
+
+const users = [
+  { id: 'u1', student_id: 'S1', lms_from_date: '01-08-2024', lms_to_date: null, has_credentials: true },
+  { id: 'u2', student_id: 'S2', has_credentials: true },
+  { id: 'u3', student_id: 'S3', has_credentials: true },
+  { id: 'u4', student_id: 'S4', has_credentials: false }
+];
+
+function recordedOutcomes() {
+  return query.mock.calls
+    .filter(([sql]) => sql.includes('INSERT INTO attendance_refresh_runs'))
+    .map(([, params]) => ({ studentId: params[2], status: params[3], reason: params[4], jobId: params[5] }));
+}
+
+describe('attendance refresher', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.ATTENDANCE_REFRESH_JITTER_MS = '0';
+    query.mockImplementation(async sql => (sql.includes('FROM users') ? { rows: users } : { rows: [] }));
+  });
+
+  it('queues scheduler jobs with the saved date range for users with stored credentials', async () => {
+    enqueueScrape.mockImplementation(async ({ username }) => {
+      if (username === 'S2') return { job: { id: 'existing' }, created: false };
+      if (username === 'S3') throw new Error('connection refused');
+      return { job: { id: `job-${username}` }, created: true };
+    });
+
+    const summary = await runAttendanceRefresh();
+
+    expect(enqueueScrape).toHaveBeenCalledWith({
+      username: 'S1',
+      userId: 'u1',
+      fromDate: '01-08-2024',
+      toDate: null,
+      source: 'scheduler',
+      delayMs: 0
+    });
+    expect(enqueueScrape).not.toHaveBeenCalledWith(expect.objectContaining({ username: 'S4' }));
+    expect(summary).toMatchObject({ total: 4, queued: 1, failed: 1, skipped: 2 });
+    expect(recordedOutcomes()).toEqual(expect.arrayContaining([
+      { studentId: 'S1', status: 'queued', reason: null, jobId: 'job-S1' },
+      { studentId: 'S2', status: 'skipped', reason: 'scrape_in_progress', jobId: null },
+      { studentId: 'S3', status: 'failed', reason: 'connection refused', jobId: null },
+      { studentId: 'S4', status: 'skipped', reason: 'no_stored_credentials', jobId: null }
+    ]));
+  });
+
+  it('spreads jobs over the jitter window', async () => {
+    process.env.ATTENDANCE_REFRESH_JITTER_MS = '60000';
+    enqueueScrape.mockResolvedValue({ job: { id: 'j' }, created: true });
+
+    await runAttendanceRefresh();
+
+    for (const [{ delayMs }] of enqueueScrape.mock.calls) {
+      expect(delayMs).toBeGreaterThanOrEqual(0);
+      expect(delayMs).toBeLessThan(60000);
+    }
+  });
+});
@@ -1,23 +1,50 @@
 import express from 'express'
 import { query } from '../src/db.js'
+import logger from '../lib/logger.js'
+import {
+  createTerm,
+  deleteTerm,
+  getTerm,
+  isTermId,
+  listTerms,
+  serializeTerm,
+  TermError,
+  updateTerm,
+  validateTermInput
+} from '../src/services/terms.js'
+import {
+  getWebhookEvent,
+  listWebhookEvents,
+  processWebhookEvent,
+  WEBHOOK_EVENT_STATUSES
+} from '../src/services/webhookEvents.js'
 
 const router = express.Router()
 
 const ADMIN_API_KEY = process.env.ADMIN_API_KEY || ''
+const MAX_BATCH_LENGTH = 50
+const MAX_WEBHOOK_EVENTS_PAGE = 200
 
-router.get('/unverified', async (req, res) => {
+// Every admin route needs the X-Admin-Key header to match ADMIN_API_KEY
+function requireAdmin(req, res, next) {
   const suppliedKey = req.headers['x-admin-key']
 
   if (!ADMIN_API_KEY) {
-    console.warn('[admin/unverified] ADMIN_API_KEY not configured')
+    logger.warn(`[admin] ADMIN_API_KEY not configured (${req.method} ${req.path})`)
     return res.status(500).json({ error: 'admin_disabled' })
   }
 
   if (typeof suppliedKey !== 'string' || suppliedKey !== ADMIN_API_KEY) {
-    console.warn('[admin/unverified] unauthorized access attempt', { ip: req.ip })
+    logger.warn('[admin] unauthorized access attempt', { ip: req.ip, path: req.path })
     return res.status(401).json({ error: 'unauthorized' })
   }
 
+  next()
+}
+
+router.use(requireAdmin)
+
+router.get('/unverified', async (req, res) => {
   try {
     const { rows } = await query(
       `SELECT id, student_id, name, scraper_checked_at, trial_expires_at, needs_verification, created_at
@@ -25,24 +52,138 @@ router.get('/unverified', async (req, res) => {
        WHERE needs_verification = true
        ORDER BY scraper_checked_at DESC NULLS LAST, created_at DESC`
     )
-    console.log('[admin/unverified] returning users', { count: rows.length })
+    logger.info('[admin/unverified] returning users', { count: rows.length })
     return res.json({ users: rows })
   } catch (err) {
-    console.error('[admin/unverified] failed to load users', err.message)
+    logger.error('[admin/unverified] failed to load users', { error: err.message })
     return res.status(500).json({ error: 'internal_error' })
   }
 })
 
-export default router
-
-
-
-
+// Academic terms. Dates are DD-MM-YYYY or YYYY-MM-DD (returned as YYYY-MM-DD);
+// end_date null means the term is still running, batch null applies it to every student.
+router.get('/terms', async (req, res) => {
+  try {
+    const now = new Date()
+    const terms = await listTerms()
+    return res.json({ terms: terms.map(term => serializeTerm(term, now)) })
+  } catch (err) {
+    logger.error('[admin/terms] failed to load terms', { error: err.message })
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+router.post('/terms', async (req, res) => {
+  try {
+    const term = await createTerm(validateTermInput(req.body || {}))
+    logger.info('[admin/terms] created term', { id: term.id, name: term.name, batch: term.batch })
+    return res.status(201).json({ term: serializeTerm(term) })
+  } catch (err) {
+    if (err instanceof TermError) return res.status(400).json({ error: err.code, message: err.message })
+    logger.error('[admin/terms] failed to create term', { error: err.message })
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+router.patch('/terms/:id', async (req, res) => {
+  try {
+    const existing = await getTerm(req.params.id)
+    if (!existing) return res.status(404).json({ error: 'term_not_found' })
+    const term = await updateTerm(existing.id, validateTermInput(req.body || {}, existing))
+    if (!term) return res.status(404).json({ error: 'term_not_found' })
+    logger.info('[admin/terms] updated term', { id: term.id })
+    return res.json({ term: serializeTerm(term) })
+  } catch (err) {
+    if (err instanceof TermError) return res.status(400).json({ error: err.code, message: err.message })
+    logger.error('[admin/terms] failed to update term', { error: err.message })
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+// Also deletes the attendance scraped for the term
+router.delete('/terms/:id', async (req, res) => {
+  if (!isTermId(req.params.id)) return res.status(404).json({ error: 'term_not_found' })
+  try {
+    const deleted = await deleteTerm(req.params.id)
+    if (!deleted) return res.status(404).json({ error: 'term_not_found' })
+    logger.info('[admin/terms] deleted term', { id: req.params.id })
+    return res.status(204).end()
+  } catch (err) {
+    logger.error('[admin/terms] failed to delete term', { error: err.message })
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+// Assign a student to a batch so batch-specific terms apply to them (null clears it)
+router.put('/users/:studentId/batch', async (req, res) => {
+  const { batch } = req.body || {}
+  if (batch !== null && (typeof batch !== 'string' || !batch.trim() || batch.trim().length > MAX_BATCH_LENGTH)) {
+    return res.status(400).json({ error: 'invalid_batch', message: `batch must be a non-empty string (max ${MAX_BATCH_LENGTH} characters) or null` })
+  }
+  try {
+    const { rows } = await query(
+      'UPDATE users SET batch = $2 WHERE student_id = $1 RETURNING student_id, batch',
+      [req.params.studentId, batch === null ? null : batch.trim()]
+    )
+    if (!rows[0]) return res.status(404).json({ error: 'user_not_found' })
+    logger.info('[admin/users] set batch', { student_id: rows[0].student_id, batch: rows[0].batch })
+    return res.json({ user: rows[0] })
+  } catch (err) {
+    logger.error('[admin/users] failed to set batch', { error: err.message })
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+// Webhook inbox. Newest first; pass the last received_at as ?before= for the next page.
+router.get('/webhook-events', async (req, res) => {
+  const { status, before } = req.query
+  if (status !== undefined && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'invalid_status', message: `status must be one of ${WEBHOOK_EVENT_STATUSES.join(', ')}` })
+  }
+  if (before !== undefined && Number.isNaN(Date.parse(before))) {
+    return res.status(400).json({ error: 'invalid_before', message: 'before must be a timestamp' })
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_WEBHOOK_EVENTS_PAGE)
+  try {
+    const events = await listWebhookEvents({ status: status || null, before: before || null, limit })
+    return res.json({ events })
+  } catch (err) {
+    logger.error('[admin/webhook-events] failed to load events', { error: err.message })
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+// One event with its raw body and the handler's result
+router.get('/webhook-events/:id', async (req, res) => {
+  try {
+    const event = await getWebhookEvent(req.params.id)
+    if (!event) return res.status(404).json({ error: 'webhook_event_not_found' })
+    return res.json({ event })
+  } catch (err) {
+    logger.error('[admin/webhook-events] failed to load event', { error: err.message })
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+// Run a failed (or interrupted) event through the handlers again
+router.post('/webhook-events/:id/replay', async (req, res) => {
+  try {
+    const event = await getWebhookEvent(req.params.id, { withBody: false })
+    if (!event) return res.status(404).json({ error: 'webhook_event_not_found' })
+    if (!event.signature_valid) {
+      return res.status(409).json({ error: 'not_replayable', message: 'Events with an invalid signature are never processed' })
+    }
+
+    const outcome = await processWebhookEvent(event.id)
+    if (!outcome.claimed) {
+      return res.status(409).json({ error: 'not_replayable', message: `Event is ${outcome.status}`, status: outcome.status })
+    }
+    logger.info('[admin/webhook-events] replayed event', { id: event.id, eventId: event.event_id, status: outcome.status })
+    return res.json({ event: await getWebhookEvent(event.id, { withBody: false }) })
+  } catch (err) {
+    logger.error('[admin/webhook-events] failed to replay event', { error: err.message })
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+export default router
@@ -0,0 +1,238 @@
+import express from 'express'
+import { query } from '../src/db.js'
+import logger from '../lib/logger.js'
+import { checkAccess } from '../src/middleware/auth.js'
+import { resolveThreshold } from '../src/lib/attendanceRules.js'
+import { parseRangeDate } from '../src/lib/dateRange.js'
+import { inferWeekdayPattern, simulateAttendance, TIMETABLE_WINDOW_WEEKS } from '../src/lib/attendancePlanner.js'
+import { loadAttendanceReport, renderReportPdf, reportToCsv } from '../src/services/attendanceReport.js'
+import { getTermForStudent } from '../src/services/terms.js'
+
+const router = express.Router()
+
+const HISTORY_DEFAULT_RUNS = 60
+const HISTORY_MAX_RUNS = 365
+const SIMULATE_MAX_PLANS = 100
+const SIMULATE_MAX_SESSIONS = 1000
+const SIMULATE_MAX_SKIP_DATES = 60
+
+// Support both old token format (username) and new format (student_id)
+function usernameFor(req) {
+  return req.auth?.student_id || req.auth?.username || req.user?.student_id || null
+}
+
+// Per-subject attendance percent over time, one point per stored cumulative scrape run
+// (term-scoped runs cover different ranges and would break the trend)
+router.get('/history', checkAccess, async (req, res) => {
+  try {
+    const username = usernameFor(req)
+    if (!username) return res.status(401).json({ error: 'Invalid token: missing student_id or username' })
+
+    const subject = typeof req.query.subject === 'string' && req.query.subject.trim() ? req.query.subject.trim() : null
+    const requestedRuns = parseInt(req.query.limit, 10)
+    const limit = Number.isFinite(requestedRuns) && requestedRuns > 0
+      ? Math.min(requestedRuns, HISTORY_MAX_RUNS)
+      : HISTORY_DEFAULT_RUNS
+
+    const { rows } = await query(
+      `SELECT r.id AS scrape_run_id, r.fetched_at, a.subject, a.present, a.absent, a.total, a.percent
+       FROM (
+         SELECT id, fetched_at FROM scrape_runs
+         WHERE username = $1 AND term_id IS NULL
+         ORDER BY fetched_at DESC
+         LIMIT $2
+       ) r
+       JOIN attendance a ON a.scrape_run_id = r.id
+       WHERE ($3::text IS NULL OR a.subject = $3)
+       ORDER BY r.fetched_at ASC, a.subject ASC`,
+      [username, limit, subject]
+    )
+
+    const runs = []
+    const bySubject = new Map()
+    for (const row of rows) {
+      const fetchedAt = new Date(row.fetched_at).toISOString()
+      if (!runs.length || runs[runs.length - 1].id !== row.scrape_run_id) {
+        runs.push({ id: row.scrape_run_id, fetchedAt })
+      }
+      if (!bySubject.has(row.subject)) bySubject.set(row.subject, [])
+      bySubject.get(row.subject).push({
+        scrapeRunId: row.scrape_run_id,
+        fetchedAt,
+        present: row.present,
+        absent: row.absent,
+        total: row.total,
+        percent: parseFloat(row.percent) || 0
+      })
+    }
+
+    const subjects = Array.from(bySubject.entries()).map(([name, points]) => ({ subject: name, ...resolveThreshold(name), points }))
+
+    logger.debug('[attendance/history] Returning history', { username, runs: runs.length, subjects: subjects.length })
+    return res.json({ runs, subjects })
+  } catch (err) {
+    logger.error('[attendance/history] Failed to load history', { error: err.message, stack: err.stack })
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Accepts YYYY-MM-DD or the LMS-style DD-MM-YYYY; returns YYYY-MM-DD, null when empty and
+// undefined when it isn't a real date (2025-02-31 would otherwise fail the ::date cast)
+function parseDateParam(value) {
+  const date = parseRangeDate(value)
+  if (!date) return date
+  const pad = n => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+// Day-by-day session records (date, period, subject, present/absent)
+router.get('/sessions', checkAccess, async (req, res) => {
+  try {
+    const username = usernameFor(req)
+    if (!username) return res.status(401).json({ error: 'Invalid token: missing student_id or username' })
+
+    const subject = typeof req.query.subject === 'string' && req.query.subject.trim() ? req.query.subject.trim() : null
+    const from = parseDateParam(req.query.from)
+    const to = parseDateParam(req.query.to)
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'invalid_date', message: 'from/to must be YYYY-MM-DD or DD-MM-YYYY' })
+    }
+
+    const { rows } = await query(
+      `SELECT subject, to_char(session_date, 'YYYY-MM-DD') AS date, period, status, scrape_run_id, updated_at
+       FROM attendance_sessions
+       WHERE username = $1
+         AND ($2::text IS NULL OR subject = $2)
+         AND ($3::date IS NULL OR session_date >= $3)
+         AND ($4::date IS NULL OR session_date <= $4)
+       ORDER BY session_date ASC, subject ASC, period ASC`,
+      [username, subject, from, to]
+    )
+
+    const sessions = rows.map(row => ({
+      subject: row.subject,
+      date: row.date,
+      period: row.period,
+      status: row.status,
+      scrapeRunId: row.scrape_run_id,
+      updatedAt: row.updated_at
+    }))
+
+    logger.debug('[attendance/sessions] Returning sessions', { username, count: sessions.length })
+    return res.json({ sessions })
+  } catch (err) {
+    logger.error('[attendance/sessions] Failed to load sessions', { error: err.message, stack: err.stack })
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Downloadable report of the attendance the dashboard shows (?term= as for GET /api/attendance)
+router.get('/export', checkAccess, async (req, res) => {
+  try {
+    const username = usernameFor(req)
+    if (!username) return res.status(401).json({ error: 'Invalid token: missing student_id or username' })
+
+    const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : 'csv'
+    if (format !== 'csv' && format !== 'pdf') {
+      return res.status(400).json({ error: 'invalid_format', message: 'format must be csv or pdf' })
+    }
+
+    let term = null
+    if (typeof req.query.term === 'string' && req.query.term && req.query.term !== 'cumulative') {
+      term = await getTermForStudent(username, req.query.term)
+      if (!term) return res.status(404).json({ error: 'term_not_found', message: 'No such term for your batch' })
+    }
+
+    const report = await loadAttendanceReport(username, { termId: term?.id || null })
+    if (!report) return res.status(404).json({ error: 'no_attendance', message: 'No attendance has been fetched yet' })
+    report.termName = term?.name || null
+
+    const stamp = report.fetchedAt.toISOString().slice(0, 10)
+    const filename = `attendance-${username.replace(/[^A-Za-z0-9_-]/g, '')}-${stamp}.${format}`
+    res.set('Content-Disposition', `attachment; filename="${filename}"`)
+    res.set('Cache-Control', 'no-store')
+    logger.info('[attendance/export] Exporting report', { username, format, subjects: report.subjects.length, termId: term?.id })
+    if (format === 'pdf') {
+      return res.type('application/pdf').send(await renderReportPdf(report))
+    }
+    return res.type('text/csv; charset=utf-8').send(reportToCsv(report))
+  } catch (err) {
+    logger.error('[attendance/export] Failed to export report', { error: err.message, stack: err.stack })
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Current per-subject attendance from the run latest_snapshot points at
+async function loadLatestAttendance(username) {
+  const { rows } = await query(
+    `SELECT a.subject, a.present, a.absent, a.total, a.percent
+     FROM latest_snapshot s
+     JOIN attendance a ON a.scrape_run_id = s.scrape_run_id
+     WHERE s.username = $1
+     ORDER BY a.subject ASC`,
+    [username]
+  )
+  return rows
+}
+
+function isSessionCount(value) {
+  return value === undefined || (Number.isInteger(value) && value >= 0 && value <= SIMULATE_MAX_SESSIONS)
+}
+
+// Project per-subject percent after planned attends/skips and whole-day skips.
+// Body: { plans: [{ subject, attend, skip }], skipDates: ['YYYY-MM-DD' | 'DD-MM-YYYY'] }
+router.post('/simulate', checkAccess, async (req, res) => {
+  try {
+    const username = usernameFor(req)
+    if (!username) return res.status(401).json({ error: 'Invalid token: missing student_id or username' })
+
+    const { plans = [], skipDates = [] } = req.body || {}
+    if (!Array.isArray(plans) || plans.length > SIMULATE_MAX_PLANS) {
+      return res.status(400).json({ error: 'invalid_plan', message: `plans must be an array of at most ${SIMULATE_MAX_PLANS} entries` })
+    }
+    for (const plan of plans) {
+      if (!plan || typeof plan.subject !== 'string' || !isSessionCount(plan.attend) || !isSessionCount(plan.skip)) {
+        return res.status(400).json({ error: 'invalid_plan', message: `Each plan needs a subject and attend/skip counts between 0 and ${SIMULATE_MAX_SESSIONS}` })
+      }
+    }
+    if (!Array.isArray(skipDates) || skipDates.length > SIMULATE_MAX_SKIP_DATES) {
+      return res.status(400).json({ error: 'invalid_date', message: `skipDates must be an array of at most ${SIMULATE_MAX_SKIP_DATES} dates` })
+    }
+    const parsedDates = skipDates.map(parseDateParam)
+    if (parsedDates.some(d => !d)) {
+      return res.status(400).json({ error: 'invalid_date', message: 'skipDates must be YYYY-MM-DD or DD-MM-YYYY' })
+    }
+
+    const attendance = await loadLatestAttendance(username)
+    if (!attendance.length) {
+      return res.status(404).json({ error: 'no_attendance', message: 'Attendance not yet available. Retry shortly.' })
+    }
+
+    let weekdayPattern = new Map()
+    if (parsedDates.length) {
+      const { rows: dailyCounts } = await query(
+        `SELECT subject, to_char(session_date, 'YYYY-MM-DD') AS date, count(*)::int AS count
+         FROM attendance_sessions
+         WHERE username = $1
+           AND session_date > (SELECT max(session_date) FROM attendance_sessions WHERE username = $1) - $2::int
+         GROUP BY subject, session_date`,
+        [username, TIMETABLE_WINDOW_WEEKS * 7]
+      )
+      weekdayPattern = inferWeekdayPattern(dailyCounts)
+    }
+
+    const result = simulateAttendance(attendance, {
+      plans: plans.map(p => ({ subject: p.subject.trim(), attend: p.attend || 0, skip: p.skip || 0 })),
+      skipDates: parsedDates,
+      weekdayPattern
+    })
+
+    logger.debug('[attendance/simulate] Simulated plan', { username, plans: plans.length, skipDates: parsedDates.length })
+    return res.json(result)
+  } catch (err) {
+    logger.error('[attendance/simulate] Failed to simulate attendance', { error: err.message, stack: err.stack })
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+export default router
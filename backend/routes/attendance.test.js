@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import attendanceRouter from './attendance.js';
+import { JWT_SECRET } from '../src/middleware/auth.js';
+
+const { query } = vi.hoisted(() => ({ query: vi.fn() }));
+
+vi.mock('../src/db.js', () => ({ query, default: { query } }));
+
+const USER = {
+  id: '00000000-0000-0000-0000-000000000003',
+  student_id: 'S12345',
+  subscription_status: 'trial',
+  trial_expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+};
+const token = jwt.sign({ userId: USER.id, student_id: USER.student_id }, JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/attendance', attendanceRouter);
+
+describe('attendance routes', () => {
+  beforeEach(() => {
+    query.mockReset();
+    query.mockImplementation(async (sql, params) => {
+      if (/FROM users WHERE id = \$1/.test(sql)) return { rows: params[0] === USER.id ? [USER] : [] };
+      return { rows: [] };
+    });
+  });
+
+  it('GET /sessions rejects dates that do not exist with 400', async () => {
+    for (const from of ['2025-02-31', '2025-13-01', '31-04-2025']) {
+      const res = await request(app)
+        .get('/api/attendance/sessions')
+        .query({ from })
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('invalid_date');
+    }
+    expect(query.mock.calls.some(([sql]) => /attendance_sessions/.test(sql))).toBe(false);
+  });
+
+  it('GET /sessions passes valid dates to the query as YYYY-MM-DD', async () => {
+    const res = await request(app)
+      .get('/api/attendance/sessions')
+      .query({ from: '01-02-2025', to: '2025-02-28' })
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    const [, params] = query.mock.calls.find(([sql]) => /FROM attendance_sessions/.test(sql));
+    expect(params.slice(2)).toEqual(['2025-02-01', '2025-02-28']);
+  });
+
+  it('POST /simulate rejects skip dates that do not exist with 400', async () => {
+    const res = await request(app)
+      .post('/api/attendance/simulate')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ plans: [], skipDates: ['2025-03-03', '2025-02-31'] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('invalid_date');
+    expect(query.mock.calls.some(([sql]) => /latest_snapshot|attendance_sessions/.test(sql))).toBe(false);
+  });
+});
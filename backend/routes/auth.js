@@ -5,14 +5,19 @@ import bcrypt from 'bcryptjs'
 import jwt from 'jsonwebtoken'
 import { query } from '../src/db.js'
 import logger from '../lib/logger.js'
-import { triggerScrape } from '../src/services/scraperService.js'
+import { enqueueScrape, hasActiveJob } from '../src/services/scrapeQueue.js'
+import { resolveAccess } from '../src/middleware/checkAccess.js'
+import { JWT_SECRET, requireUser } from '../src/middleware/auth.js'
+import { storeCredentials, revokeCredentials, hasStoredCredentials } from '../src/services/credentialStore.js'
+import { normalizeDateRange, DateRangeError } from '../src/lib/dateRange.js'
+import { recordReferral } from '../src/services/referrals.js'
 
 const router = express.Router()
 
-// Use JWT_SECRET if set, otherwise SECRET, otherwise dev fallback (same as server.js)
-const JWT_SECRET = process.env.JWT_SECRET || process.env.SECRET || 'dev-secret-for-local'
 const SCRAPER_URL = process.env.SCRAPER_URL
 const SCRAPER_TIMEOUT_MS = Number(process.env.SCRAPER_TIMEOUT_MS || 5000)
+// Free trial of a new student; referral bonus days are added when they first pay (src/services/referrals.js)
+const TRIAL_DAYS = Number.parseInt(process.env.TRIAL_DAYS, 10) || 5
 
 const loginLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -27,13 +32,71 @@ function signJwt(payload) {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: '7d' })
 }
 
+// Apply the login form's "remember credentials" choice: true stores the LMS password
+// encrypted for background refreshes, false forgets it, anything else leaves it alone
+async function applyCredentialPreference(userId, studentId, password, remember) {
+  try {
+    if (remember === true) await storeCredentials(userId, studentId, password)
+    else if (remember === false) await revokeCredentials(userId)
+  } catch (err) {
+    logger.error('[auth/login] Failed to update stored LMS credentials', { username: studentId, error: err.message })
+  }
+}
+
+// Save the login form's date range when one was sent, and return the user's current range
+async function applyDateRange(userId, range) {
+  const { rows } = range
+    ? await query(
+      'UPDATE users SET lms_from_date = $2, lms_to_date = $3 WHERE id = $1 RETURNING lms_from_date, lms_to_date',
+      [userId, range.fromDate, range.toDate]
+    )
+    : await query('SELECT lms_from_date, lms_to_date FROM users WHERE id = $1', [userId])
+  return { fromDate: rows[0]?.lms_from_date || null, toDate: rows[0]?.lms_to_date || null }
+}
+
+function serializeDateRange(range) {
+  return { from_date: range?.fromDate || null, to_date: range?.toDate || null }
+}
+
+// Queue the post-login scrape; the worker picks it up (deduped if one is already pending)
+async function queueLoginScrape(userId, studentId, password, range) {
+  try {
+    await enqueueScrape({ username: studentId, userId, password, fromDate: range.fromDate, toDate: range.toDate, source: 'login' })
+  } catch (err) {
+    logger.error('[auth/login] [scrape_error] Failed to queue attendance scrape', {
+      username: studentId,
+      error: err.message,
+      stack: err.stack,
+      errorCode: err.code
+    })
+  }
+}
+
 router.post('/login', loginLimiter, async (req, res) => {
   try {
-    const { student_id, password } = req.body || {}
+    const {
+      student_id,
+      password,
+      remember_credentials: rememberCredentials,
+      from_date: fromDate,
+      to_date: toDate,
+      referral_code: referralCode
+    } = req.body || {}
     if (!student_id || typeof student_id !== 'string' || !password || typeof password !== 'string') {
       return res.status(400).json({ error: 'invalid_body' })
     }
 
+    // Optional academic date range; omitted keeps the user's saved range
+    let requestedRange = null
+    if (fromDate !== undefined || toDate !== undefined) {
+      try {
+        requestedRange = normalizeDateRange({ fromDate, toDate })
+      } catch (err) {
+        if (err instanceof DateRangeError) return res.status(400).json({ error: err.code, message: err.message })
+        throw err
+      }
+    }
+
     // Check existing user by student_id
     const { rows: existingRows } = await query(
       'SELECT id, student_id, password_hash, name, trial_expires_at, subscription_status FROM users WHERE student_id = $1 LIMIT 1',
@@ -45,20 +108,13 @@ router.post('/login', loginLimiter, async (req, res) => {
       const ok = await bcrypt.compare(password, existing.password_hash)
       if (!ok) return res.status(401).json({ error: 'invalid_credentials' })
       const token = signJwt({ userId: existing.id, student_id: existing.student_id })
+      await applyCredentialPreference(existing.id, existing.student_id, password, rememberCredentials)
+      const range = await applyDateRange(existing.id, requestedRange)
       
-      // CRITICAL FIX: Always trigger scraping for existing users too
-      // Run in background - don't block response
-      logger.info('[auth/login] Triggering attendance scrape for existing user', { username: existing.student_id })
-      triggerScrape(existing.student_id, password).catch(err => {
-        logger.error('[auth/login] [scrape_error] Background scrape failed for existing user', { 
-          username: existing.student_id, 
-          error: err.message, 
-          stack: err.stack,
-          errorCode: err.code,
-          errorName: err.name
-        })
-      })
-      
+      // Always refresh attendance for existing users too
+      logger.info('[auth/login] Queueing attendance scrape for existing user', { username: existing.student_id })
+      await queueLoginScrape(existing.id, existing.student_id, password, range)
+
       return res.json({
         token,
         user: {
@@ -67,7 +123,9 @@ router.post('/login', loginLimiter, async (req, res) => {
           name: existing.name || null,
           trial_expires_at: existing.trial_expires_at || null,
           subscription_status: existing.subscription_status || 'trial'
-        }
+        },
+        date_range: serializeDateRange(range),
+        credentials_stored: await hasStoredCredentials(existing.id)
       })
     }
 
@@ -101,15 +159,17 @@ router.post('/login', loginLimiter, async (req, res) => {
     const hash = await bcrypt.hash(password, 10)
     const insertSql = `
       INSERT INTO users (student_id, password_hash, name, scraper_checked_at, scraper_exists, trial_started_at, trial_expires_at, subscription_status, created_at)
-      VALUES ($1, $2, $3, now(), $4, now(), now() + interval '5 days', 'trial', now())
+      VALUES ($1, $2, $3, now(), $4, now(), now() + make_interval(days => $5), 'trial', now())
       ON CONFLICT (student_id) DO NOTHING
       RETURNING id, student_id, name, trial_expires_at, subscription_status
     `
     let user
     try {
-      const { rows: created } = await query(insertSql, [student_id, hash, name, scraperExists])
+      const { rows: created } = await query(insertSql, [student_id, hash, name, scraperExists, TRIAL_DAYS])
       if (created.length > 0) {
         user = created[0]
+        // ?ref= code the student arrived with; only a brand-new account can be referred
+        if (referralCode) await recordReferral(user.id, referralCode)
       } else {
         // User already exists (race condition), fetch it
         const { rows: existingRows } = await query(
@@ -128,21 +188,14 @@ router.post('/login', loginLimiter, async (req, res) => {
     }
     
     const token = signJwt({ userId: user.id, student_id: user.student_id })
+    await applyCredentialPreference(user.id, user.student_id, password, rememberCredentials)
+    const range = await applyDateRange(user.id, requestedRange)
     
-    // CRITICAL FIX: Always trigger scraping after user creation/login
-    // Run in background - don't block response
-    logger.info('[auth/login] Triggering attendance scrape for new user', { username: student_id })
-    triggerScrape(student_id, password).catch(err => {
-      logger.error('[auth/login] [scrape_error] Background scrape failed for new user', { 
-        username: student_id, 
-        error: err.message, 
-        stack: err.stack,
-        errorCode: err.code,
-        errorName: err.name
-      })
-    })
-    
-    return res.json({ token, user })
+    // Always scrape after user creation/login - the scrape also verifies the LMS password
+    logger.info('[auth/login] Queueing attendance scrape for new user', { username: student_id })
+    await queueLoginScrape(user.id, user.student_id, password, range)
+
+    return res.json({ token, user, date_range: serializeDateRange(range), credentials_stored: await hasStoredCredentials(user.id) })
   } catch (err) {
     if (err && err.message === 'server_misconfigured') {
       return res.status(500).json({ error: 'server_misconfigured' })
@@ -151,4 +204,51 @@ router.post('/login', loginLimiter, async (req, res) => {
   }
 })
 
-export default router
\ No newline at end of file
+// Session/subscription status used by the frontend to pick dashboard, pay or login view.
+// Never returns 402 - expired users get 200 with subscription_status='expired'.
+router.get('/status', requireUser, async (req, res) => {
+  try {
+    const user = req.user
+    const access = await resolveAccess(user)
+
+    const { rows: snapshotRows } = await query(
+      'SELECT fetched_at FROM latest_snapshot WHERE username = $1',
+      [user.student_id]
+    )
+    const lastScrapedAt = snapshotRows[0]?.fetched_at || null
+
+    return res.json({
+      subscription_status: access.status,
+      access_allowed: access.allowed,
+      access_error: access.error,
+      trial_expires_at: access.trialExpiresAt?.toISOString() || null,
+      subscription_expires_at: access.subscriptionExpiresAt?.toISOString() || null,
+      days_remaining: access.daysRemaining,
+      last_scraped_at: lastScrapedAt ? new Date(lastScrapedAt).toISOString() : null,
+      scrape_in_progress: await hasActiveJob(user.student_id),
+      credentials_stored: await hasStoredCredentials(user.id),
+      date_range: serializeDateRange({ fromDate: user.lms_from_date, toDate: user.lms_to_date }),
+      user: {
+        id: user.id,
+        student_id: user.student_id,
+        name: user.name || null
+      }
+    })
+  } catch (err) {
+    logger.error('[auth/status] Failed to load status', { error: err.message, stack: err.stack })
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Forget the encrypted LMS password; background refreshes stop until the user opts in again
+router.delete('/credentials', requireUser, async (req, res) => {
+  try {
+    const revoked = await revokeCredentials(req.user.id)
+    return res.json({ revoked })
+  } catch (err) {
+    logger.error('[auth/credentials] Failed to revoke credentials', { error: err.message, stack: err.stack })
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+export default router
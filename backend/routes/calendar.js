@@ -0,0 +1,105 @@
+import express from 'express'
+import crypto from 'crypto'
+import { query } from '../src/db.js'
+import logger from '../lib/logger.js'
+import { resolveAccess } from '../src/middleware/checkAccess.js'
+import { checkAccess } from '../src/middleware/auth.js'
+import { buildCalendar, classEventUid } from '../src/lib/ical.js'
+
+const router = express.Router()
+
+const CALENDAR_TOKEN_RE = /^[a-f0-9]{48}$/
+
+function newCalendarToken() {
+  return crypto.randomBytes(24).toString('hex')
+}
+
+// PUBLIC_API_URL when the API sits behind a proxy that rewrites the host or protocol
+function feedUrl(req, token) {
+  const base = (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '')
+  return `${base}/api/calendar/${token}.ics`
+}
+
+function parseMetadata(value) {
+  if (!value) return {}
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return {}
+  }
+}
+
+// Subscription URL for the user's feed, creating the secret token on first use
+router.get('/token', checkAccess, async (req, res) => {
+  try {
+    const { rows } = await query(
+      'UPDATE users SET calendar_token = COALESCE(calendar_token, $2) WHERE id = $1 RETURNING calendar_token',
+      [req.user.id, newCalendarToken()]
+    )
+    const token = rows[0].calendar_token
+    return res.json({ token, url: feedUrl(req, token) })
+  } catch (err) {
+    logger.error('[calendar] Failed to load calendar token', { userId: req.user?.id, error: err.message })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to load calendar link' })
+  }
+})
+
+// Replace the token; calendars subscribed to the old URL stop updating
+router.post('/token', checkAccess, async (req, res) => {
+  try {
+    const token = newCalendarToken()
+    await query('UPDATE users SET calendar_token = $2 WHERE id = $1', [req.user.id, token])
+    logger.info('[calendar] Rotated calendar token', { userId: req.user.id })
+    return res.json({ token, url: feedUrl(req, token) })
+  } catch (err) {
+    logger.error('[calendar] Failed to rotate calendar token', { userId: req.user?.id, error: err.message })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to reset calendar link' })
+  }
+})
+
+// Public iCalendar feed of the user's upcoming classes; the token in the URL is the only credential.
+// Classes whose time couldn't be parsed have no start and are left out.
+router.get('/:token.ics', async (req, res) => {
+  const { token } = req.params
+  if (!CALENDAR_TOKEN_RE.test(token)) return res.status(404).type('text/plain').send('Calendar not found')
+  try {
+    const { rows: users } = await query('SELECT * FROM users WHERE calendar_token = $1', [token])
+    const user = users[0]
+    if (!user || !user.student_id) return res.status(404).type('text/plain').send('Calendar not found')
+
+    const access = await resolveAccess(user)
+    if (!access.allowed) return res.status(402).type('text/plain').send(access.message || 'Subscription required')
+
+    const { rows } = await query(
+      `SELECT class_name, start_time, end_time, metadata
+       FROM upcoming_classes
+       WHERE username = $1 AND start_time IS NOT NULL
+       ORDER BY start_time ASC`,
+      [user.student_id]
+    )
+    const events = rows.map(row => {
+      const metadata = parseMetadata(row.metadata)
+      const summary = metadata.title || row.class_name || 'Class'
+      const start = new Date(row.start_time)
+      return {
+        uid: classEventUid(user.student_id, summary, start),
+        start,
+        end: row.end_time ? new Date(row.end_time) : null,
+        summary,
+        location: metadata.location || '',
+        description: metadata.subtitle || ''
+      }
+    })
+
+    res.set('Cache-Control', 'private, max-age=900')
+    return res
+      .type('text/calendar; charset=utf-8')
+      .send(buildCalendar({ name: `SBMCH classes - ${user.name || user.student_id}`, events }))
+  } catch (err) {
+    logger.error('[calendar] Failed to build calendar feed', { error: err.message })
+    return res.status(500).type('text/plain').send('Calendar unavailable')
+  }
+})
+
+export default router
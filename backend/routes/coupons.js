@@ -0,0 +1,29 @@
+import express from 'express'
+import logger from '../lib/logger.js'
+import { requireUser } from '../src/middleware/auth.js'
+import { CouponError, checkCoupon, serializeCoupon } from '../src/services/coupons.js'
+import { getDefaultPlan, getPlan, serializePlan } from '../src/services/plans.js'
+
+const router = express.Router()
+
+// What a code would do at checkout for plan_id (the default plan when omitted). Nothing is
+// redeemed here: POST /api/subscriptions/create with coupon_code does that.
+router.post('/validate', requireUser, async (req, res) => {
+  const requestedPlanId = req.body?.plan_id
+  try {
+    const plan = requestedPlanId ? await getPlan(requestedPlanId) : await getDefaultPlan()
+    if (requestedPlanId && (!plan || !plan.active)) {
+      return res.status(400).json({ error: 'invalid_plan', message: 'That plan is not available' })
+    }
+    const { coupon, quote } = await checkCoupon(req.body?.code, req.user.id, plan)
+    return res.json({ coupon: serializeCoupon(coupon), plan: plan ? serializePlan(plan) : null, quote })
+  } catch (err) {
+    if (err instanceof CouponError) {
+      return res.status(err.status).json({ error: err.code, message: err.message })
+    }
+    logger.error('[coupons] Failed to validate coupon', { userId: req.user.id, error: err.message })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to check the code' })
+  }
+})
+
+export default router
@@ -0,0 +1,60 @@
+import express from 'express'
+import { withTransaction } from '../src/db.js'
+import logger from '../lib/logger.js'
+import { requireUser } from '../src/middleware/auth.js'
+import { INVOICEABLE_STATUSES, getPaymentWithInvoice, issueInvoice, renderInvoicePdf } from '../src/services/invoices.js'
+import { listPayments } from '../src/services/subscriptions.js'
+
+const router = express.Router()
+
+const MAX_PAYMENTS_PAGE = 100
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// The user's payment history (payments table, written by the Razorpay webhook), newest first.
+// ?before=<created_at of the last row> fetches the next page.
+router.get('/', requireUser, async (req, res) => {
+  const { before } = req.query
+  if (before !== undefined && Number.isNaN(Date.parse(before))) {
+    return res.status(400).json({ error: 'invalid_before', message: 'before must be a timestamp' })
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAYMENTS_PAGE)
+  try {
+    const payments = await listPayments(req.user.id, { limit, before: before || null })
+    return res.json({ payments })
+  } catch (err) {
+    logger.error('[payments] Failed to load payments', { userId: req.user.id, error: err.message })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to load payments' })
+  }
+})
+
+// Invoice PDF for one of the user's payments. The webhook issues it when the payment is captured;
+// payments from before invoices existed (or whose invoice failed) get theirs issued here.
+router.get('/:id/invoice', requireUser, async (req, res) => {
+  const paymentId = req.params.id
+  if (!UUID_RE.test(paymentId)) {
+    return res.status(404).json({ error: 'payment_not_found' })
+  }
+  try {
+    const found = await getPaymentWithInvoice(req.user.id, paymentId)
+    if (!found) return res.status(404).json({ error: 'payment_not_found' })
+    // Free coupon redemptions (no Razorpay payment) have nothing to invoice
+    if (!INVOICEABLE_STATUSES.includes(found.payment.status) || !found.payment.razorpay_payment_id) {
+      return res.status(409).json({ error: 'not_invoiceable', message: 'Only successful payments have an invoice' })
+    }
+    const invoice = found.invoice || await withTransaction(client => issueInvoice(client, found.payment.razorpay_payment_id))
+    if (!invoice) {
+      return res.status(500).json({ error: 'invoice_failed', message: 'Could not create the invoice' })
+    }
+
+    const filename = `invoice-${invoice.invoice_number.replace(/[^A-Za-z0-9_-]/g, '-')}.pdf`
+    res.set('Content-Disposition', `attachment; filename="${filename}"`)
+    res.set('Cache-Control', 'no-store')
+    logger.info('[payments] Invoice downloaded', { userId: req.user.id, paymentId, invoiceNumber: invoice.invoice_number })
+    return res.type('application/pdf').send(await renderInvoicePdf(invoice))
+  } catch (err) {
+    logger.error('[payments] Failed to render invoice', { userId: req.user.id, paymentId, error: err.message })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to load the invoice' })
+  }
+})
+
+export default router
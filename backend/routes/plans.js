@@ -0,0 +1,18 @@
+import express from 'express'
+import logger from '../lib/logger.js'
+import { listActivePlans, serializePlan } from '../src/services/plans.js'
+
+const router = express.Router()
+
+// Plans on sale, default (shortest) first. Public: the paywall shows them before checkout.
+router.get('/', async (req, res) => {
+  try {
+    const plans = await listActivePlans()
+    return res.json({ plans: plans.map(serializePlan) })
+  } catch (err) {
+    logger.error('[plans] Failed to load plans', { error: err.message })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to load plans' })
+  }
+})
+
+export default router
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import plansRouter from './plans.js';
+
+const { query } = vi.hoisted(() => ({ query: vi.fn() }));
+
+vi.mock('../src/db.js', () => ({ query, default: { query } }));
+
+const PLANS = [
+  { id: '00000000-0000-0000-0000-0000000000a1', name: '28 days', duration_days: 28, price_paise: 4900, razorpay_plan_id: 'plan_short', active: true },
+  { id: '00000000-0000-0000-0000-0000000000a2', name: '12 weeks', duration_days: 84, price_paise: 12900, razorpay_plan_id: 'plan_long', active: true }
+];
+
+const app = express();
+app.use('/api/plans', plansRouter);
+
+describe('GET /api/plans', () => {
+  beforeEach(() => {
+    query.mockReset();
+    query.mockResolvedValue({ rows: PLANS });
+  });
+
+  it('lists the plans on sale without their Razorpay ids', async () => {
+    const res = await request(app).get('/api/plans').expect(200);
+
+    expect(res.body.plans).toEqual([
+      { id: PLANS[0].id, name: '28 days', duration_days: 28, price_paise: 4900 },
+      { id: PLANS[1].id, name: '12 weeks', duration_days: 84, price_paise: 12900 }
+    ]);
+    expect(query.mock.calls[0][0]).toMatch(/WHERE active AND razorpay_plan_id IS NOT NULL/);
+  });
+
+  it('answers 500 when the plans cannot be loaded', async () => {
+    query.mockRejectedValueOnce(new Error('connection refused'));
+
+    const res = await request(app).get('/api/plans').expect(500);
+
+    expect(res.body.error).toBe('internal_error');
+  });
+});
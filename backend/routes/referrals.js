@@ -0,0 +1,19 @@
+import express from 'express'
+import logger from '../lib/logger.js'
+import { requireUser } from '../src/middleware/auth.js'
+import { getReferralSummary } from '../src/services/referrals.js'
+
+const router = express.Router()
+
+// The user's referral code (created on first request), who signed up with it and the bonus days
+// earned. Open to expired users too: referring someone is a way back in.
+router.get('/me', requireUser, async (req, res) => {
+  try {
+    return res.json({ referral: await getReferralSummary(req.user.id) })
+  } catch (err) {
+    logger.error('[referrals] Failed to load referrals', { userId: req.user.id, error: err.message })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to load referrals' })
+  }
+})
+
+export default router
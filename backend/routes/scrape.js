@@ -0,0 +1,201 @@
+import express from 'express'
+import rateLimit from 'express-rate-limit'
+import bcrypt from 'bcryptjs'
+import { query } from '../src/db.js'
+import logger from '../lib/logger.js'
+import { checkAccess, signScrapeEventsToken, verifyScrapeEventsToken, verifyToken } from '../src/middleware/auth.js'
+import { normalizeDateRange, DateRangeError } from '../src/lib/dateRange.js'
+import { hasStoredCredentials } from '../src/services/credentialStore.js'
+import { getTermForStudent, serializeTerm, termScrapeRange, TermError } from '../src/services/terms.js'
+import { enqueueScrape, getJob, getLatestJob, serializeJob, toStageEvent } from '../src/services/scrapeQueue.js'
+import { subscribeScrapeEvents, TERMINAL_STAGES } from '../src/services/scrapeEvents.js'
+
+const router = express.Router()
+
+// SSE: how often to re-read the job (covers jobs run by another instance), keep-alive interval
+// and the longest a stream stays open
+const EVENTS_POLL_MS = 2000
+const EVENTS_PING_MS = 15 * 1000
+const EVENTS_MAX_MS = 5 * 60 * 1000
+
+const rescrapeLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 3,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'rate_limited', message: 'Too many refresh requests; try again in a minute.' }
+})
+
+// Support both old token format (username) and new format (student_id)
+function requireStudent(req, res, next) {
+  const auth = req.headers.authorization || ''
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : ''
+  if (!token) {
+    return res.status(401).json({ error: 'unauthorized', message: 'Missing Authorization header' })
+  }
+  const payload = verifyToken(token)
+  const username = payload?.student_id || payload?.username
+  if (!username) {
+    return res.status(401).json({ error: 'unauthorized', message: 'Invalid token' })
+  }
+  req.username = username
+  next()
+}
+
+// The event stream only takes the short-lived token from GET /status (EventSource can't set headers)
+function requireEventsToken(req, res, next) {
+  const scope = typeof req.query.token === 'string' ? verifyScrapeEventsToken(req.query.token) : null
+  if (!scope) {
+    return res.status(401).json({ error: 'unauthorized', message: 'Invalid or expired events token' })
+  }
+  req.username = scope.username
+  req.jobId = scope.jobId
+  next()
+}
+
+// State of the user's most recent scrape job, polled by the frontend while attendance loads.
+// Not gated on trial/subscription so the login screen can report a failed scrape.
+router.get('/status', requireStudent, async (req, res) => {
+  try {
+    const job = await getLatestJob(req.username)
+    return res.json({
+      in_progress: job ? job.status === 'queued' || job.status === 'running' : false,
+      job: serializeJob(job),
+      // Opens GET /events?token= for this job
+      events_token: job ? signScrapeEventsToken(req.username, job.id) : null
+    })
+  } catch (err) {
+    logger.error('[scrape/status] Failed to load scrape job', { username: req.username, error: err.message })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to load scrape status' })
+  }
+})
+
+// Re-scrape without logging in again, optionally for a new date range (which is saved on the user)
+// or for one academic term (term_id, scraped over the term's dates into its own runs).
+// Uses the password in the body, or the user's stored vault credentials when none is sent.
+router.post('/', rescrapeLimiter, checkAccess, async (req, res) => {
+  const user = req.user
+  try {
+    const { from_date: fromDate, to_date: toDate, term_id: termId, password } = req.body || {}
+
+    let term = null
+    let range = { fromDate: user.lms_from_date || null, toDate: user.lms_to_date || null }
+    if (termId !== undefined && termId !== null) {
+      term = await getTermForStudent(user.student_id, termId)
+      if (!term) return res.status(404).json({ error: 'term_not_found', message: 'No such term for your batch' })
+      try {
+        range = termScrapeRange(term)
+      } catch (err) {
+        if (err instanceof TermError) return res.status(400).json({ error: err.code, message: err.message })
+        throw err
+      }
+    } else if (fromDate !== undefined || toDate !== undefined) {
+      try {
+        range = normalizeDateRange({ fromDate, toDate })
+      } catch (err) {
+        if (err instanceof DateRangeError) return res.status(400).json({ error: err.code, message: err.message })
+        throw err
+      }
+    }
+
+    if (password !== undefined && (typeof password !== 'string' || !password)) {
+      return res.status(400).json({ error: 'invalid_body', message: 'password must be a non-empty string' })
+    }
+    if (password) {
+      // Same check as login, so this can't be used to try passwords against the LMS
+      const ok = user.password_hash && await bcrypt.compare(password, user.password_hash)
+      if (!ok) return res.status(403).json({ error: 'invalid_credentials', message: 'Password does not match your LMS login' })
+    } else if (!(await hasStoredCredentials(user.id))) {
+      return res.status(400).json({
+        error: 'credentials_required',
+        message: 'Enter your LMS password, or turn on background refresh to refresh without it'
+      })
+    }
+
+    const { job, created } = await enqueueScrape({
+      username: user.student_id,
+      userId: user.id,
+      password: password || null,
+      fromDate: range.fromDate,
+      toDate: range.toDate,
+      termId: term?.id || null,
+      source: 'rescrape'
+    })
+    const dateRange = { from_date: range.fromDate, to_date: range.toDate }
+    if (!created && job?.status === 'running') {
+      return res.status(409).json({
+        error: 'scrape_in_progress',
+        message: 'A refresh is already running; try again when it finishes',
+        job: serializeJob(job),
+        date_range: dateRange
+      })
+    }
+    // Only once the job has the range, so a refused refresh doesn't change the saved one
+    if (!term) {
+      await query('UPDATE users SET lms_from_date = $2, lms_to_date = $3 WHERE id = $1', [user.id, range.fromDate, range.toDate])
+    }
+    return res.status(202).json({ job: serializeJob(job), date_range: dateRange, term: serializeTerm(term) })
+  } catch (err) {
+    logger.error('[scrape] Failed to queue re-scrape', { username: user?.student_id, error: err.message, stack: err.stack })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to queue refresh' })
+  }
+})
+
+// Server-sent progress of the scrape job named by the events token: one `stage` event per change
+// (queued, logging_in, fetching_dashboard, fetching_attendance, saving, done, failed).
+// The stream ends after done/failed, or straight away when the job doesn't exist.
+router.get('/events', requireEventsToken, async (req, res) => {
+  const { username, jobId } = req
+  let lastKey = null
+  let closed = false
+  let pollTimer = null
+  let pingTimer = null
+  let maxTimer = null
+  let unsubscribe = () => {}
+
+  const close = () => {
+    if (closed) return
+    closed = true
+    clearInterval(pollTimer)
+    clearInterval(pingTimer)
+    clearTimeout(maxTimer)
+    unsubscribe()
+    res.end()
+  }
+
+  const send = event => {
+    if (closed || (event.job_id && event.job_id !== jobId)) return
+    const key = `${event.job_id}:${event.status}:${event.stage}`
+    if (key === lastKey) return
+    lastKey = key
+    res.write(`event: stage\ndata: ${JSON.stringify(event)}\n\n`)
+    if (!event.stage || TERMINAL_STAGES.has(event.stage)) close()
+  }
+
+  const poll = async () => {
+    try {
+      const job = await getJob(jobId)
+      send(toStageEvent(job?.username === username ? job : null))
+    } catch (err) {
+      logger.warn('[scrape/events] Failed to load scrape job', { username, error: err.message })
+    }
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+  req.on('close', close)
+
+  unsubscribe = subscribeScrapeEvents(username, send)
+  await poll()
+  if (closed) return
+  pollTimer = setInterval(poll, EVENTS_POLL_MS)
+  pingTimer = setInterval(() => res.write(': ping\n\n'), EVENTS_PING_MS)
+  maxTimer = setTimeout(close, EVENTS_MAX_MS)
+})
+
+export default router
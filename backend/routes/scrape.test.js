@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import scrapeRouter from './scrape.js';
+import { JWT_SECRET } from '../src/middleware/auth.js';
+
+const { query, enqueueScrape } = vi.hoisted(() => ({ query: vi.fn(), enqueueScrape: vi.fn() }));
+
+vi.mock('../src/db.js', () => ({ query, default: { query } }));
+vi.mock('../src/services/scrapeQueue.js', async importOriginal => ({ ...(await importOriginal()), enqueueScrape }));
+vi.mock('../src/services/credentialStore.js', () => ({ hasStoredCredentials: async () => true }));
+
+const USER = {
+  id: '00000000-0000-0000-0000-000000000004',
+  student_id: 'S12345',
+  subscription_status: 'trial',
+  trial_expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  lms_from_date: '2025-01-01',
+  lms_to_date: '2025-03-31'
+};
+const token = jwt.sign({ userId: USER.id, student_id: USER.student_id }, JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/scrape', scrapeRouter);
+
+function savedRanges() {
+  return query.mock.calls.filter(([sql]) => /SET lms_from_date/.test(sql)).map(([, params]) => params);
+}
+
+describe('POST /api/scrape', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    query.mockImplementation(async (sql, params) => {
+      if (/FROM users WHERE id = \$1/.test(sql)) return { rows: params[0] === USER.id ? [USER] : [] };
+      return { rows: [] };
+    });
+  });
+
+  it('saves a new date range once the job is queued', async () => {
+    enqueueScrape.mockResolvedValue({ job: { id: 'job-1', status: 'queued' }, created: true });
+
+    await request(app)
+      .post('/api/scrape')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ from_date: '2025-02-01', to_date: '2025-02-28' })
+      .expect(202);
+
+    expect(savedRanges()).toEqual([[USER.id, '01-02-2025', '28-02-2025']]);
+  });
+
+  it('keeps the saved range when a refresh is already running', async () => {
+    enqueueScrape.mockResolvedValue({ job: { id: 'job-1', status: 'running' }, created: false });
+
+    const res = await request(app)
+      .post('/api/scrape')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ from_date: '2025-02-01', to_date: '2025-02-28' })
+      .expect(409);
+
+    expect(res.body.error).toBe('scrape_in_progress');
+    expect(savedRanges()).toEqual([]);
+  });
+});
@@ -1,113 +1,208 @@
 import express from 'express'
-import Razorpay from 'razorpay'
-import jwt from 'jsonwebtoken'
 import { query } from '../src/db.js'
 import logger from '../lib/logger.js'
+import { resolveAccess } from '../src/middleware/checkAccess.js'
+import { getUserById, requireUser } from '../src/middleware/auth.js'
+import { CouponError, checkCoupon, redeemFreeCoupon, reserveCoupon, serializeCoupon } from '../src/services/coupons.js'
+import { getPaymentProvider } from '../src/services/payments/index.js'
+import { getDefaultPlan, getPlan, serializePlan } from '../src/services/plans.js'
+import { markCancelAtPeriodEnd, serializeSubscription } from '../src/services/subscriptions.js'
 
 const router = express.Router()
 
-const JWT_SECRET = process.env.JWT_SECRET || process.env.SECRET || 'dev-secret-for-local'
-const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || ''
-const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || ''
-const RAZORPAY_PLAN_ID = process.env.RAZORPAY_PLAN_ID || ''
+async function subscriptionFor(user) {
+  const access = await resolveAccess(user)
+  const plan = await getPlan(user.subscription_plan_id)
+  return serializeSubscription(user, access, plan)
+}
 
-const razorpay = (RAZORPAY_KEY_ID && RAZORPAY_KEY_SECRET)
-  ? new Razorpay({ key_id: RAZORPAY_KEY_ID, key_secret: RAZORPAY_KEY_SECRET })
-  : null
+// The user's plan, status, access window and next charge. Works after access has run out so the
+// account page can still show what happened.
+router.get('/me', requireUser, async (req, res) => {
+  try {
+    return res.json({ subscription: await subscriptionFor(req.user) })
+  } catch (err) {
+    logger.error('[subscriptions] Failed to load subscription', { userId: req.user.id, error: err.message })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to load subscription' })
+  }
+})
 
-function verifyToken(token) {
+// Stop auto-renewal. Razorpay cancels at the end of the current cycle and then sends
+// subscription.cancelled; access lasts until subscription_expires_at either way.
+router.post('/cancel', requireUser, async (req, res) => {
+  const user = req.user
+  const provider = getPaymentProvider()
   try {
-    return jwt.verify(token, JWT_SECRET)
+    const subscription = await subscriptionFor(user)
+    if (subscription.cancel_at_period_end) {
+      return res.json({ subscription })
+    }
+    if (!subscription.can_cancel) {
+      return res.status(409).json({ error: 'no_active_subscription', message: 'There is no renewing subscription to cancel' })
+    }
+    if (!provider.isConfigured) {
+      return res.status(500).json({ error: 'razorpay_not_configured' })
+    }
+
+    try {
+      await provider.cancel(user.subscription_id, { atCycleEnd: true })
+    } catch (err) {
+      const message = err?.error?.description || err.message
+      logger.error('[subscriptions] Provider cancel failed', { provider: provider.name, userId: user.id, subscriptionId: user.subscription_id, error: message })
+      return res.status(502).json({ error: 'razorpay_cancel_failed', message })
+    }
+
+    if (!await markCancelAtPeriodEnd(user.id, user.subscription_id)) {
+      logger.warn('[subscriptions] Subscription changed while cancelling', { userId: user.id, subscriptionId: user.subscription_id })
+    }
+    logger.info('[subscriptions] Cancelled at period end', { userId: user.id, subscriptionId: user.subscription_id })
+    return res.json({ subscription: await subscriptionFor(await getUserById(user.id)) })
   } catch (err) {
-    return null
+    logger.error('[subscriptions] Failed to cancel subscription', { userId: user.id, error: err.message })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to cancel subscription' })
   }
-}
+})
 
-async function getUserById(id) {
-  const { rows } = await query('SELECT * FROM users WHERE id = $1', [id])
-  return rows[0] || null
-}
+// Fake provider only: pay (or fail to pay) for the user's subscription as if in Razorpay Checkout.
+// The provider sends the webhooks to POST /api/webhook/razorpay, which activates the user as usual.
+router.post('/fake/complete', requireUser, async (req, res) => {
+  const provider = getPaymentProvider()
+  if (provider.name !== 'fake') {
+    return res.status(404).json({ error: 'not_found' })
+  }
+  const user = req.user
+  const outcome = req.body?.outcome || 'success'
+  if (!['success', 'failure'].includes(outcome)) {
+    return res.status(400).json({ error: 'invalid_outcome', message: 'outcome must be success or failure' })
+  }
+  const subscriptionId = req.body?.subscription_id || user.subscription_id
+  if (!subscriptionId || subscriptionId !== user.subscription_id) {
+    return res.status(409).json({ error: 'no_pending_subscription', message: 'Create a subscription first' })
+  }
+  try {
+    const deliveries = await provider.completeCheckout(subscriptionId, { outcome })
+    return res.json({ subscription_id: subscriptionId, outcome, deliveries })
+  } catch (err) {
+    logger.error('[subscriptions] Fake checkout failed', { userId: user.id, subscriptionId, error: err.message })
+    return res.status(err.code === 'subscription_not_found' ? 404 : 500).json({ error: err.code || 'internal_error', message: err.message })
+  }
+})
 
 // Create subscription endpoint
-router.post('/create', async (req, res) => {
+router.post('/create', requireUser, async (req, res) => {
   try {
-    // Verify authentication
-    const auth = req.headers.authorization || ''
-    if (!auth.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'unauthorized' })
-    }
-    const token = auth.slice(7)
-    const payload = verifyToken(token)
-    if (!payload || !payload.userId) {
-      return res.status(401).json({ error: 'unauthorized' })
-    }
+    const user = req.user
 
-    // Get user
-    const user = await getUserById(payload.userId)
-    if (!user) {
-      return res.status(404).json({ error: 'user_not_found' })
+    // plan_id from GET /api/plans; without one the default (shortest) plan is sold
+    const requestedPlanId = req.body?.plan_id
+    const plan = requestedPlanId ? await getPlan(requestedPlanId) : await getDefaultPlan()
+    if (requestedPlanId && (!plan || !plan.active || !plan.razorpay_plan_id)) {
+      return res.status(400).json({ error: 'invalid_plan', message: 'That plan is not available' })
     }
 
-    // Check Razorpay configuration
-    if (!razorpay) {
-      return res.status(500).json({ error: 'razorpay_not_configured' })
+    // coupon_code as checked by POST /api/coupons/validate. A code that makes it free extends
+    // access right here; a discount is applied by Razorpay through the coupon's offer.
+    let coupon = null
+    let quote = null
+    if (req.body?.coupon_code) {
+      try {
+        ({ coupon, quote } = await checkCoupon(req.body.coupon_code, user.id, plan))
+        if (quote.free) {
+          const redeemed = await redeemFreeCoupon(coupon, user, plan, quote)
+          return res.json({
+            free: true,
+            coupon: serializeCoupon(coupon),
+            quote,
+            payment_id: redeemed.paymentId,
+            subscription: await subscriptionFor(await getUserById(user.id))
+          })
+        }
+      } catch (err) {
+        if (err instanceof CouponError) {
+          return res.status(err.status).json({ error: err.code, message: err.message })
+        }
+        throw err
+      }
     }
 
-    if (!RAZORPAY_PLAN_ID) {
+    if (!plan) {
       return res.status(500).json({ error: 'razorpay_plan_not_configured' })
     }
 
-    // Get or create Razorpay customer
+    // Check payment provider configuration
+    const provider = getPaymentProvider()
+    if (!provider.isConfigured) {
+      return res.status(500).json({ error: 'razorpay_not_configured' })
+    }
+
+    // Get or create the provider's customer
     let customerId = user.razorpay_customer_id
     if (!customerId) {
       const email = user.email || user.student_id || `user_${user.id}@example.com`
       const name = user.name || email
       try {
-        const customer = await razorpay.customers.create({ email, name })
+        const customer = await provider.createCustomer({ email, name })
         customerId = customer?.id || null
         if (customerId) {
           await query('UPDATE users SET razorpay_customer_id=$1 WHERE id=$2', [customerId, user.id])
-          logger.info('[subscriptions] Created Razorpay customer', { userId: user.id, customerId })
+          logger.info('[subscriptions] Created customer', { provider: provider.name, userId: user.id, customerId })
         }
       } catch (err) {
-        logger.error('[subscriptions] Failed to create Razorpay customer', { error: err.message })
+        logger.error('[subscriptions] Failed to create customer', { provider: provider.name, error: err.message })
         return res.status(500).json({ error: 'customer_creation_failed' })
       }
     }
 
     // Create subscription
     try {
-      const subscription = await razorpay.subscriptions.create({
-        plan_id: RAZORPAY_PLAN_ID,
-        customer_notify: 1,
-        total_count: 1, // One-time payment subscription
+      const subscription = await provider.createSubscription({
+        planId: plan.razorpay_plan_id,
+        totalCount: 1, // One-time payment subscription
         notes: {
-          user_id: user.id
-        }
+          user_id: user.id,
+          plan_id: plan.id,
+          ...(coupon ? { coupon: coupon.code } : {})
+        },
+        offerId: coupon?.razorpay_offer_id || undefined,
+        amount: quote ? quote.final_price_paise : plan.price_paise,
+        periodDays: plan.duration_days
       })
 
       const subscriptionId = subscription?.id || null
       if (!subscriptionId) {
-        throw new Error('No subscription ID returned from Razorpay')
+        throw new Error('No subscription ID returned by the payment provider')
+      }
+
+      // Counted against the coupon's limits until the webhook ties it to the payment
+      if (coupon) {
+        try {
+          await reserveCoupon(coupon, user.id, subscriptionId, quote)
+        } catch (err) {
+          if (err instanceof CouponError) {
+            return res.status(err.status).json({ error: err.code, message: err.message })
+          }
+          throw err
+        }
       }
 
-      // Save subscription_id to user
-      await query('UPDATE users SET subscription_id=$1 WHERE id=$2', [subscriptionId, user.id])
+      // Save subscription_id and the plan being bought to user
+      await query('UPDATE users SET subscription_id=$1, subscription_plan_id=$3 WHERE id=$2', [subscriptionId, user.id, plan.id])
 
-      logger.info('[subscriptions] Created subscription', { userId: user.id, subscriptionId })
+      logger.info('[subscriptions] Created subscription', { provider: provider.name, userId: user.id, subscriptionId, planId: plan.id })
 
       // Return checkout options for Razorpay
       const options = {
-        key: RAZORPAY_KEY_ID,
+        key: provider.checkoutKey,
         subscription_id: subscriptionId,
         name: 'SBMCH Attendance',
-        description: '28-day access to attendance tracking',
+        description: `${plan.duration_days}-day access to attendance tracking`,
         prefill: {
           email: user.email || user.student_id || undefined,
           name: user.name || undefined
         },
         notes: {
-          user_id: user.id
+          user_id: user.id,
+          plan_id: plan.id
         },
         theme: {
           color: '#0f62fe'
@@ -117,6 +212,10 @@ router.post('/create', async (req, res) => {
       return res.json({
         subscriptionId,
         subscription_id: subscriptionId, // Support both formats
+        plan: serializePlan(plan),
+        ...(coupon ? { coupon: serializeCoupon(coupon), quote } : {}),
+        // 'fake': there's no Razorpay Checkout, finish with POST /api/subscriptions/fake/complete
+        provider: provider.name,
         options
       })
     } catch (err) {
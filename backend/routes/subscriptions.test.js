@@ -0,0 +1,288 @@
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from 'vitest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import subscriptionsRouter from './subscriptions.js';
+import webhooksRouter from './webhooks.js';
+import { createFakeProvider } from '../src/services/payments/fakeProvider.js';
+import { setPaymentProvider } from '../src/services/payments/index.js';
+
+const { query, clientQuery } = vi.hoisted(() => ({
+  query: vi.fn(),
+  clientQuery: vi.fn()
+}));
+
+vi.mock('../src/db.js', () => {
+  const withTransaction = fn => fn({ query: clientQuery });
+  return { query, withTransaction, default: { query, withTransaction } };
+});
+
+const USER_ID = '00000000-0000-0000-0000-000000000002';
+const PLAN = { id: '00000000-0000-0000-0000-0000000000bb', name: '12 weeks', duration_days: 84, price_paise: 12900, razorpay_plan_id: 'plan_fake', active: true };
+const JWT_SECRET = process.env.JWT_SECRET || process.env.SECRET || 'dev-secret-for-local';
+const NOW = Date.UTC(2025, 10, 20);
+
+// Laid out as in server.js: the webhook route ahead of the JSON parser
+const app = express();
+app.use('/api/webhook', webhooksRouter);
+app.use(express.json());
+app.use('/api/subscriptions', subscriptionsRouter);
+
+// The fake provider's webhooks go straight back into the app
+const provider = createFakeProvider({
+  webhookSecrets: ['offline_secret'],
+  deliver: async ({ body, headers }) => {
+    const res = await request(app).post('/api/webhook/razorpay').set(headers).send(body);
+    return { status: res.status, body: res.body };
+  },
+  now: () => NOW
+});
+
+// In-memory stand-ins for the tables the flow touches
+let user;
+let payments;
+let inbox;
+let coupons;
+let redemptions;
+
+function usersQuery(sql, params) {
+  if (/FROM users WHERE id = \$1/.test(sql)) return { rows: params[0] === user.id ? [user] : [] };
+  if (/FROM users WHERE subscription_id = \$1/.test(sql)) return { rows: params[0] === user.subscription_id ? [user] : [] };
+  if (/UPDATE users SET razorpay_customer_id/.test(sql)) {
+    user.razorpay_customer_id = params[0];
+    return { rows: [], rowCount: 1 };
+  }
+  if (/UPDATE users SET subscription_id=\$1/.test(sql)) {
+    Object.assign(user, { subscription_id: params[0], subscription_plan_id: params[2] });
+    return { rows: [], rowCount: 1 };
+  }
+  if (/SET subscription_status = 'active'/.test(sql)) {
+    const [, subscriptionId, , currentStart, durationDays, planId, hasSubscription, chargeAt] = params;
+    Object.assign(user, {
+      subscription_status: 'active',
+      subscription_id: subscriptionId || user.subscription_id,
+      subscription_started_at: user.subscription_started_at || currentStart,
+      subscription_expires_at: new Date(currentStart.getTime() + durationDays * 24 * 60 * 60 * 1000),
+      subscription_plan_id: planId || user.subscription_plan_id,
+      subscription_charge_at: hasSubscription ? chargeAt : user.subscription_charge_at
+    });
+    return { rows: [{ subscription_status: 'active', subscription_expires_at: user.subscription_expires_at }], rowCount: 1 };
+  }
+  return null;
+}
+
+function plansQuery(sql, params) {
+  if (/FROM plans\s+WHERE active/.test(sql)) return { rows: [PLAN] };
+  if (/FROM plans WHERE id = \$1/.test(sql)) return { rows: params[0] === PLAN.id ? [PLAN] : [] };
+  if (/FROM plans WHERE razorpay_plan_id = \$1/.test(sql)) return { rows: params[0] === PLAN.razorpay_plan_id ? [PLAN] : [] };
+  return null;
+}
+
+function paymentsQuery(sql, params) {
+  if (/INSERT INTO payments[\s\S]*VALUES \(\$1, NULL, 0/.test(sql)) {
+    const [userId, metadata, planId] = params;
+    const id = `payment-${payments.length + 1}`;
+    payments.push({ id, user_id: userId, razorpay_payment_id: null, amount: 0, status: 'captured', metadata: JSON.parse(metadata), plan_id: planId });
+    return { rows: [{ id }], rowCount: 1 };
+  }
+  if (/FROM payments WHERE razorpay_payment_id = \$1 FOR UPDATE/.test(sql)) {
+    return { rows: payments.filter(p => p.razorpay_payment_id === params[0]) };
+  }
+  if (/INSERT INTO payments/.test(sql)) {
+    const [userId, razorpayPaymentId, amount, currency, status, , planId] = params;
+    payments.push({ id: `payment-${payments.length + 1}`, user_id: userId, razorpay_payment_id: razorpayPaymentId, amount, currency, status, plan_id: planId });
+    return { rows: [], rowCount: 1 };
+  }
+  return null;
+}
+
+function couponsQuery(sql, params) {
+  if (/FROM coupons WHERE code = \$1/.test(sql)) return { rows: coupons.filter(c => c.code === params[0]) };
+  if (/FROM coupon_redemptions WHERE coupon_id = \$1/.test(sql)) {
+    const mine = redemptions.filter(r => r.coupon_id === params[0]);
+    return {
+      rows: [{
+        used: mine.filter(r => r.status === 'redeemed' || (r.status === 'pending' && r.user_id !== params[1])).length,
+        used_by_user: mine.filter(r => r.status === 'redeemed' && r.user_id === params[1]).length
+      }]
+    };
+  }
+  if (/SET status = 'void'/.test(sql)) {
+    redemptions.filter(r => r.coupon_id === params[0] && r.user_id === params[1] && r.status === 'pending').forEach(r => { r.status = 'void'; });
+    return { rows: [], rowCount: 1 };
+  }
+  if (/INSERT INTO coupon_redemptions \(coupon_id, user_id, subscription_id/.test(sql)) {
+    const [couponId, userId, subscriptionId, discount] = params;
+    redemptions.push({ coupon_id: couponId, user_id: userId, subscription_id: subscriptionId, status: 'pending', discount_paise: discount });
+    return { rows: [], rowCount: 1 };
+  }
+  if (/INSERT INTO coupon_redemptions \(coupon_id, user_id, payment_id/.test(sql)) {
+    const [couponId, userId, paymentId, discount, freeDays] = params;
+    redemptions.push({ coupon_id: couponId, user_id: userId, payment_id: paymentId, status: 'redeemed', discount_paise: discount, free_days: freeDays });
+    return { rows: [], rowCount: 1 };
+  }
+  if (/SET status = 'redeemed'/.test(sql)) {
+    const pending = redemptions.filter(r => r.subscription_id === params[0] && r.status === 'pending');
+    const payment = payments.find(p => p.razorpay_payment_id === params[1]);
+    pending.forEach(r => Object.assign(r, { status: 'redeemed', payment_id: payment?.id || null }));
+    return { rows: [], rowCount: pending.length };
+  }
+  if (/SET subscription_status = CASE/.test(sql)) {
+    const [, freeDays, now, planId] = params;
+    const from = user.subscription_expires_at > now ? user.subscription_expires_at : now;
+    Object.assign(user, {
+      subscription_status: 'active',
+      subscription_expires_at: new Date(from.getTime() + freeDays * 24 * 60 * 60 * 1000),
+      subscription_plan_id: planId || user.subscription_plan_id
+    });
+    return { rows: [{ subscription_expires_at: user.subscription_expires_at }], rowCount: 1 };
+  }
+  return null;
+}
+
+function inboxQuery(sql, params) {
+  if (sql.includes('INSERT INTO webhook_events')) {
+    const row = { id: `event-${inbox.size + 1}`, event_id: params[1], event: params[2], signature_valid: !sql.includes("'rejected'"), raw_body: params[3] };
+    row.status = row.signature_valid ? 'received' : 'rejected';
+    inbox.set(row.id, row);
+    return { rows: [{ ...row, inserted: true }] };
+  }
+  if (sql.includes("SET status = 'processing'")) {
+    const row = inbox.get(params[0]);
+    if (!row || !['received', 'failed'].includes(row.status)) return { rows: [] };
+    row.status = 'processing';
+    return { rows: [row] };
+  }
+  if (sql.includes("SET status = 'failed'")) {
+    Object.assign(inbox.get(params[0]), { status: 'failed', error: params[1] });
+    return { rows: [] };
+  }
+  if (sql.includes('UPDATE webhook_events')) {
+    inbox.get(params[0]).status = params[1];
+    return { rows: [] };
+  }
+  return null;
+}
+
+async function fakeDb(sql, params) {
+  return inboxQuery(sql, params) || couponsQuery(sql, params) || usersQuery(sql, params) ||
+    plansQuery(sql, params) || paymentsQuery(sql, params) || { rows: [], rowCount: 0 };
+}
+
+function authed(req) {
+  return req.set('Authorization', `Bearer ${jwt.sign({ userId: USER_ID }, JWT_SECRET)}`);
+}
+
+describe('subscription checkout with the fake payment provider', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setPaymentProvider(provider);
+    user = {
+      id: USER_ID,
+      student_id: 'std0002',
+      subscription_status: 'expired',
+      trial_expires_at: new Date(NOW - 24 * 60 * 60 * 1000)
+    };
+    payments = [];
+    inbox = new Map();
+    coupons = [
+      { id: 'coupon-1', code: 'BATCH20', kind: 'percent', percent_off: 20, razorpay_offer_id: 'offer_fake', per_user_limit: 1, active: true },
+      { id: 'coupon-2', code: 'BUGHUNTER', kind: 'free_days', free_days: 14, per_user_limit: 1, active: true }
+    ];
+    redemptions = [];
+    query.mockImplementation(fakeDb);
+    clientQuery.mockImplementation(fakeDb);
+  });
+
+  afterEach(() => vi.useRealTimers());
+
+  afterAll(() => setPaymentProvider(null));
+
+  it('activates the user for the plan bought through signed webhooks', async () => {
+    const created = await authed(request(app).post('/api/subscriptions/create'))
+      .send({ plan_id: PLAN.id })
+      .expect(200);
+
+    expect(created.body).toMatchObject({ provider: 'fake', plan: { id: PLAN.id, duration_days: 84 } });
+    expect(created.body.options.key).toBe('rzp_test_fake');
+    expect(user.subscription_id).toBe(created.body.subscriptionId);
+    expect(user.razorpay_customer_id).toMatch(/^cust_fake_/);
+
+    const completed = await authed(request(app).post('/api/subscriptions/fake/complete')).send({}).expect(200);
+
+    expect(completed.body.deliveries.map(d => [d.event, d.status])).toEqual([
+      ['subscription.activated', 200],
+      ['subscription.charged', 200]
+    ]);
+    expect([...inbox.values()].map(e => e.status)).toEqual(['processed', 'processed']);
+    expect(user).toMatchObject({
+      subscription_status: 'active',
+      subscription_plan_id: PLAN.id,
+      subscription_expires_at: new Date(NOW + 84 * 24 * 60 * 60 * 1000)
+    });
+    expect(payments).toMatchObject([{ user_id: USER_ID, amount: 12900, status: 'captured', plan_id: PLAN.id }]);
+  });
+
+  it('refuses a plan_id that is not on sale', async () => {
+    for (const planId of ['00000000-0000-0000-0000-0000000000cc', 'not-a-plan']) {
+      const res = await authed(request(app).post('/api/subscriptions/create'))
+        .send({ plan_id: planId })
+        .expect(400);
+      expect(res.body.error).toBe('invalid_plan');
+    }
+    expect(user.subscription_id).toBeUndefined();
+  });
+
+  it('records a failed payment and leaves the user without access', async () => {
+    await authed(request(app).post('/api/subscriptions/create')).send({}).expect(200);
+    const completed = await authed(request(app).post('/api/subscriptions/fake/complete'))
+      .send({ outcome: 'failure' })
+      .expect(200);
+
+    expect(completed.body.deliveries).toMatchObject([{ event: 'payment.failed', status: 200 }]);
+    expect(payments).toMatchObject([{ status: 'failed', plan_id: PLAN.id }]);
+    expect(user.subscription_status).toBe('expired');
+  });
+
+  it('charges the discounted price and redeems the coupon with the payment', async () => {
+    const created = await authed(request(app).post('/api/subscriptions/create'))
+      .send({ plan_id: PLAN.id, coupon_code: 'batch20' })
+      .expect(200);
+
+    expect(created.body.quote).toMatchObject({ price_paise: 12900, discount_paise: 2580, final_price_paise: 10320, free: false });
+    expect(redemptions).toMatchObject([{ coupon_id: 'coupon-1', subscription_id: created.body.subscriptionId, status: 'pending' }]);
+
+    await authed(request(app).post('/api/subscriptions/fake/complete')).send({}).expect(200);
+
+    expect(payments).toMatchObject([{ amount: 10320, status: 'captured' }]);
+    expect(redemptions).toMatchObject([{ status: 'redeemed', payment_id: payments[0].id }]);
+
+    const again = await authed(request(app).post('/api/subscriptions/create')).send({ coupon_code: 'BATCH20' }).expect(409);
+    expect(again.body.error).toBe('coupon_already_used');
+  });
+
+  it('extends access for a free code without a checkout', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+    const res = await authed(request(app).post('/api/subscriptions/create'))
+      .send({ coupon_code: 'BUGHUNTER' })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ free: true, quote: { free_days: 14 } });
+    expect(user.subscription_id).toBeUndefined();
+    expect(user).toMatchObject({ subscription_status: 'active', subscription_expires_at: new Date(NOW + 14 * 24 * 60 * 60 * 1000) });
+    expect(payments).toMatchObject([{ amount: 0, razorpay_payment_id: null, metadata: { coupon: 'BUGHUNTER' } }]);
+    expect(redemptions).toMatchObject([{ coupon_id: 'coupon-2', payment_id: payments[0].id, status: 'redeemed' }]);
+    expect(inbox.size).toBe(0);
+  });
+
+  it('refuses to complete a subscription that is not the user\'s', async () => {
+    await authed(request(app).post('/api/subscriptions/create')).send({}).expect(200);
+    const res = await authed(request(app).post('/api/subscriptions/fake/complete'))
+      .send({ subscription_id: 'sub_fake_someone_else' })
+      .expect(409);
+
+    expect(res.body.error).toBe('no_pending_subscription');
+    expect(inbox.size).toBe(0);
+  });
+});
@@ -0,0 +1,27 @@
+import express from 'express'
+import logger from '../lib/logger.js'
+import { checkAccess } from '../src/middleware/auth.js'
+import { listTermsForStudent, serializeTerm } from '../src/services/terms.js'
+
+const router = express.Router()
+
+
+// Terms for the user's batch, newest first, for the dashboard term switcher.
+// scraped_at is null until attendance has been fetched for that term (POST /api/scrape with term_id).
+router.get('/', checkAccess, async (req, res) => {
+  const username = req.auth?.student_id || req.user?.student_id
+  try {
+    const now = new Date()
+    const terms = (await listTermsForStudent(username)).map(term => serializeTerm(term, now))
+    return res.json({
+      terms,
+      current_term_id: terms.find(term => term.current)?.id || null,
+      batch: req.user?.batch || null
+    })
+  } catch (err) {
+    logger.error('[terms] Failed to load terms', { username, error: err.message })
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to load terms' })
+  }
+})
+
+export default router
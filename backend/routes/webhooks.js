@@ -0,0 +1,103 @@
+import express from 'express'
+import rateLimit from 'express-rate-limit'
+import logger from '../lib/logger.js'
+import { getPaymentProvider } from '../src/services/payments/index.js'
+import { WebhookError } from '../src/services/razorpayWebhook.js'
+import { processWebhookEvent, recordWebhookEvent, webhookEventId } from '../src/services/webhookEvents.js'
+
+const router = express.Router()
+
+// Mounted ahead of the app-wide /api/ limiter (server.js), so it has its own. Razorpay sends a few
+// events per payment; this only stops a flood of unsigned requests.
+const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 120,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'rate_limited', message: 'Too many webhook requests' }
+})
+
+// Counted for auditing; a failure here shouldn't change the response
+function recordRejected(eventId, rawBody, error) {
+  return recordWebhookEvent({ eventId, rawBody, signatureValid: false, error })
+    .catch(err => logger.error('[webhook] Failed to record rejected event', { eventId, error: err.message }))
+}
+
+// Razorpay webhook (the fake payment provider sends the same events): the payment provider checks
+// the signature over the raw body, then the event goes through the webhook_events inbox
+// (src/services/webhookEvents.js) and the per-event handlers in src/services/razorpayWebhook.js.
+// Mounted before the app-wide JSON parser (server.js) so express.raw sees the bytes Razorpay signed.
+router.post('/razorpay', webhookLimiter, express.raw({ type: () => true, limit: '1mb' }), async (req, res) => {
+  let body = null
+  try {
+    const provider = getPaymentProvider()
+    const signatureHeader = req.headers['x-razorpay-signature']
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)
+    const raw = rawBody.toString('utf8')
+    const eventId = webhookEventId(req.headers['x-razorpay-event-id'], raw)
+
+    if (!signatureHeader) {
+      logger.warn('[webhook] missing_signature_header', { eventId, hasSecret: provider.canVerifyWebhooks })
+      await recordRejected(eventId, raw, 'missing_signature')
+      return res.status(400).json({ error: 'missing_signature' })
+    }
+    if (!provider.canVerifyWebhooks) {
+      logger.error('[webhook] Server missing RAZORPAY_WEBHOOK_SECRETS')
+      return res.status(500).json({ error: 'server_misconfigured' })
+    }
+
+    const secretIndex = provider.verifyWebhook(rawBody, signatureHeader)
+    if (secretIndex === -1) {
+      logger.warn('[webhook] signature_mismatch', { eventId })
+      await recordRejected(eventId, raw, 'invalid_signature')
+      return res.status(401).json({ error: 'invalid_signature' })
+    }
+    if (secretIndex > 0) {
+      // Razorpay is still signing with an older secret; finish the rotation in the dashboard
+      logger.warn('[webhook] signature matched a previous secret', { eventId, secretIndex })
+    }
+
+    try {
+      body = JSON.parse(raw)
+    } catch {
+      logger.warn('[webhook] invalid_json', { eventId })
+      return res.status(400).json({ error: 'invalid_json' })
+    }
+
+    const event = body?.event || 'unknown'
+    logger.info('[webhook] signature_verified', { event, eventId })
+
+    const { event: stored, duplicate } = await recordWebhookEvent({ eventId, rawBody: raw, signatureValid: true })
+    const outcome = await processWebhookEvent(stored.id)
+    if (!outcome.claimed && outcome.status === 'processing') {
+      // Another attempt is still on it (or died and isn't stale yet): a 5xx keeps Razorpay retrying
+      logger.info('[webhook] Event still processing', { eventId, event })
+      return res.status(503).json({ error: 'event_processing', message: 'Event is being processed; retry later' })
+    }
+    if (!outcome.claimed) {
+      // Already handled
+      logger.info('[webhook] Duplicate delivery', { eventId, event, status: outcome.status })
+      return res.status(200).json({ success: true, event, duplicate: true, status: outcome.status })
+    }
+
+    if (outcome.status === 'failed') {
+      const err = outcome.error
+      if (err instanceof WebhookError) {
+        return res.status(err.status).json({ error: err.code, message: err.message })
+      }
+      return res.status(500).json({ error: 'internal_error', message: err?.message })
+    }
+
+    logger.info('[webhook] processing_finished', { userId: outcome.userId, event, eventId, redelivery: duplicate })
+    return res.status(200).json({
+      success: true,
+      event,
+      ...(outcome.status === 'ignored' ? { ignored: true } : { userId: outcome.userId, result: outcome.result })
+    })
+  } catch (err) {
+    logger.error('[webhook] unexpected_error', { event: body?.event, message: err?.message, stack: err?.stack })
+    return res.status(500).json({ error: 'internal_error', message: err?.message })
+  }
+})
+
+export default router
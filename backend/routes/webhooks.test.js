@@ -0,0 +1,285 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import webhooksRouter from './webhooks.js';
+import { processWebhookEvent } from '../src/services/webhookEvents.js';
+
+const { query, clientQuery } = vi.hoisted(() => ({
+  query: vi.fn(),
+  clientQuery: vi.fn()
+}));
+
+vi.mock('../src/db.js', () => {
+  const withTransaction = fn => fn({ query: clientQuery });
+  return { query, withTransaction, default: { query, withTransaction } };
+});
+
+const SECRET = 'test_webhook_secret';
+const USER_ID = '00000000-0000-0000-0000-000000000001';
+const PLAN = { id: '00000000-0000-0000-0000-0000000000aa', name: '12 weeks', duration_days: 84, price_paise: 12900, razorpay_plan_id: 'plan_test123', active: true };
+const FIXTURE_DIR = path.join(import.meta.dirname, '../tools/fixtures/razorpay');
+
+// Mounted ahead of any JSON parser, as in server.js
+const app = express();
+app.use('/api/webhook', webhooksRouter);
+
+// Signed the way send_razorpay_webhook.sh does it: HMAC-SHA256 of the body bytes with the webhook secret.
+// The fixture file is sent as-is, whitespace and all.
+function sendFixture(event, { secret = SECRET, eventId = `evt_${event}`, edit = null } = {}) {
+  let body = fs.readFileSync(path.join(FIXTURE_DIR, `${event}.json`), 'utf8');
+  if (edit) body = JSON.stringify(edit(JSON.parse(body)), null, 2);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return request(app)
+    .post('/api/webhook/razorpay')
+    .set('Content-Type', 'application/json')
+    .set('x-razorpay-signature', signature)
+    .set('x-razorpay-event-id', eventId)
+    .send(body);
+}
+
+// webhook_events rows, keyed by id
+let inbox;
+
+function inboxQuery(sql, params) {
+  if (sql.includes('INSERT INTO webhook_events')) {
+    const signatureValid = !sql.includes("'rejected'");
+    const existing = [...inbox.values()].find(e => e.signature_valid === signatureValid && e.event_id === params[1]);
+    if (existing) {
+      existing.received_count += 1;
+      return { rows: [{ ...existing, inserted: false }] };
+    }
+    const row = {
+      id: `row-${inbox.size + 1}`,
+      event_id: params[1],
+      signature_valid: signatureValid,
+      raw_body: params[3],
+      status: signatureValid ? 'received' : 'rejected',
+      received_count: 1
+    };
+    inbox.set(row.id, row);
+    return { rows: [{ ...row, inserted: true }] };
+  }
+  if (sql.includes("SET status = 'processing'")) {
+    const row = inbox.get(params[0]);
+    if (!row || !row.signature_valid || !['received', 'failed', 'processing'].includes(row.status)) return { rows: [] };
+    if (row.status === 'processing' && !row.stale) return { rows: [] };
+    Object.assign(row, { status: 'processing', stale: false });
+    return { rows: [row] };
+  }
+  if (sql.includes("SET status = 'failed'")) {
+    Object.assign(inbox.get(params[0]), { status: 'failed', error: params[1] });
+    return { rows: [] };
+  }
+  if (sql.includes('UPDATE webhook_events')) {
+    inbox.get(params[0]).status = params[1];
+    return { rows: [] };
+  }
+  if (sql.includes('FROM webhook_events')) return { rows: inbox.has(params[0]) ? [inbox.get(params[0])] : [] };
+  return null;
+}
+
+function calls(mock, pattern) {
+  return mock.mock.calls.filter(([sql]) => pattern.test(sql));
+}
+
+let user;
+let payment;
+
+describe('Razorpay webhook', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.RAZORPAY_WEBHOOK_SECRETS = `${SECRET},previous_secret`;
+    user = { id: USER_ID, subscription_id: 'sub_test123', subscription_status: 'active' };
+    payment = null;
+    inbox = new Map();
+
+    query.mockImplementation(async (sql, params) => {
+      const inboxResult = inboxQuery(sql, params);
+      if (inboxResult) return inboxResult;
+      if (/FROM users WHERE id = \$1/.test(sql)) return { rows: params[0] === user.id ? [user] : [] };
+      if (/FROM plans WHERE razorpay_plan_id/.test(sql)) return { rows: params[0] === PLAN.razorpay_plan_id ? [PLAN] : [] };
+      return { rows: [] };
+    });
+    // The handlers and the processed status share one transaction
+    clientQuery.mockImplementation(async (sql, params) => {
+      const inboxResult = inboxQuery(sql, params);
+      if (inboxResult) return inboxResult;
+      if (/UPDATE users SET subscription_status = \$2/.test(sql)) {
+        return { rows: params[2].includes(user.subscription_status) ? [{ subscription_status: params[1] }] : [] };
+      }
+      if (/FROM payments WHERE razorpay_payment_id/.test(sql)) {
+        return { rows: payment && payment.razorpay_payment_id === params[0] ? [payment] : [] };
+      }
+      if (/UPDATE users/.test(sql)) return { rows: [{ subscription_status: 'active' }], rowCount: 1 };
+      return { rows: [], rowCount: 0 };
+    });
+  });
+
+  it('rejects a payload signed with the wrong secret', async () => {
+    const res = await sendFixture('subscription.charged', { secret: 'wrong' }).expect(401);
+
+    expect(res.body.error).toBe('invalid_signature');
+    expect([...inbox.values()]).toMatchObject([{ event_id: expect.stringMatching(/^rejected:invalid_signature:/), status: 'rejected' }]);
+    expect(calls(query, /users/)).toHaveLength(0);
+    expect(clientQuery).not.toHaveBeenCalled();
+  });
+
+  it('counts repeated rejected deliveries in one row instead of storing each', async () => {
+    await sendFixture('subscription.charged', { secret: 'wrong' }).expect(401);
+    await sendFixture('subscription.cancelled', { secret: 'wrong', eventId: 'evt_other' }).expect(401);
+
+    const rows = [...inbox.values()];
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ status: 'rejected', received_count: 2 });
+    expect(rows[0].raw_body).toContain('subscription.charged');
+  });
+
+  it('accepts a payload signed with the previous secret during rotation', async () => {
+    const res = await sendFixture('subscription.cancelled', { secret: 'previous_secret' }).expect(200);
+
+    expect(res.body.result).toEqual({ status: 'cancelled', changed: true });
+  });
+
+  it('rejects a user_id that is not a UUID', async () => {
+    const res = await sendFixture('subscription.charged', {
+      edit: body => {
+        body.payload.subscription.entity.notes.user_id = '1';
+        body.payload.payment.entity.notes.user_id = '1';
+        return body;
+      }
+    }).expect(400);
+
+    expect(res.body.error).toBe('invalid_user_id');
+    expect(calls(query, /FROM users/)).toHaveLength(0);
+  });
+
+  it('acknowledges a redelivered event id without running the handlers again', async () => {
+    await sendFixture('subscription.activated').expect(200);
+    clientQuery.mockClear();
+    const res = await sendFixture('subscription.activated').expect(200);
+
+    expect(res.body).toMatchObject({ success: true, duplicate: true, status: 'processed' });
+    expect(clientQuery).not.toHaveBeenCalled();
+    expect(inbox.size).toBe(1);
+  });
+
+  it('answers 503 while an earlier attempt is still processing the event', async () => {
+    const res = await sendFixture('subscription.cancelled').expect(200);
+    expect(res.body.result.changed).toBe(true);
+    const [stored] = inbox.values();
+    stored.status = 'processing';
+    clientQuery.mockClear();
+
+    const retry = await sendFixture('subscription.cancelled').expect(503);
+    expect(retry.body.error).toBe('event_processing');
+    expect(clientQuery).not.toHaveBeenCalled();
+  });
+
+  it('a redelivery reclaims an event left stale in processing by a crashed attempt', async () => {
+    await sendFixture('subscription.cancelled').expect(200);
+    const [stored] = inbox.values();
+    Object.assign(stored, { status: 'processing', stale: true });
+
+    const res = await sendFixture('subscription.cancelled').expect(200);
+    expect(res.body.duplicate).toBeUndefined();
+    expect(stored.status).toBe('processed');
+  });
+
+  it('stores a failed event so it can be replayed', async () => {
+    user.id = 'someone-else';
+    const res = await sendFixture('subscription.halted').expect(400);
+    expect(res.body.error).toBe('missing_user_id');
+    const [stored] = inbox.values();
+    expect(stored.status).toBe('failed');
+
+    user.id = USER_ID;
+    const outcome = await processWebhookEvent(stored.id);
+    expect(outcome).toMatchObject({ status: 'processed', claimed: true, userId: USER_ID });
+    expect(stored.status).toBe('processed');
+  });
+
+  it('subscription.charged records the payment and extends access by the plan duration', async () => {
+    const res = await sendFixture('subscription.charged').expect(200);
+
+    expect(res.body).toMatchObject({ success: true, event: 'subscription.charged', userId: USER_ID });
+    expect(calls(clientQuery, /UPDATE webhook_events/)).toHaveLength(1);
+    const [[, insertParams]] = calls(clientQuery, /INSERT INTO payments/);
+    expect(insertParams.slice(0, 5)).toEqual([USER_ID, 'pay_test_charged', 4900, 'INR', 'captured']);
+    expect(insertParams[6]).toBe(PLAN.id);
+    const [[sql, params]] = calls(clientQuery, /UPDATE users/);
+    expect(sql).toContain(`subscription_status = 'active'`);
+    expect(sql).toContain('GREATEST');
+    expect(params.slice(3)).toEqual([new Date(1763251200 * 1000), 84, PLAN.id, true, new Date(1765670400 * 1000)]);
+  });
+
+  it('subscription.charged redelivered does not record the payment twice', async () => {
+    payment = { id: 'p1', razorpay_payment_id: 'pay_test_charged', status: 'captured' };
+    const res = await sendFixture('subscription.charged').expect(200);
+
+    expect(res.body.result.payment).toBe('unchanged');
+    expect(calls(clientQuery, /INSERT INTO payments|UPDATE payments/)).toHaveLength(0);
+  });
+
+  it.each([
+    ['subscription.cancelled', 'active', 'cancelled'],
+    ['subscription.halted', 'active', 'halted'],
+    ['subscription.completed', 'cancelled', 'completed']
+  ])('%s moves the user from %s to %s', async (event, from, to) => {
+    user.subscription_status = from;
+    const res = await sendFixture(event).expect(200);
+
+    expect(res.body.result).toEqual({ status: to, changed: true });
+    const [[, params]] = calls(clientQuery, /UPDATE users SET subscription_status = \$2/);
+    expect(params[0]).toBe(USER_ID);
+    expect(params[1]).toBe(to);
+    expect(params[3]).toBe('sub_test123');
+  });
+
+  it('subscription.halted leaves a user who is not active alone', async () => {
+    user.subscription_status = 'expired';
+    const res = await sendFixture('subscription.halted').expect(200);
+
+    expect(res.body.result).toEqual({ status: 'expired', changed: false });
+  });
+
+  it('payment.failed records a failed payment without touching the user', async () => {
+    const res = await sendFixture('payment.failed').expect(200);
+
+    expect(res.body.result.payment).toBe('inserted');
+    const [[, params]] = calls(clientQuery, /INSERT INTO payments/);
+    expect(params[1]).toBe('pay_test_failed');
+    expect(params[4]).toBe('failed');
+    expect(calls(query, /UPDATE users/)).toHaveLength(0);
+    expect(calls(clientQuery, /UPDATE users/)).toHaveLength(0);
+  });
+
+  it('refund.processed marks a full refund and ends access', async () => {
+    payment = {
+      id: 'p1',
+      user_id: USER_ID,
+      razorpay_payment_id: 'pay_test_charged',
+      amount: 4900,
+      status: 'captured',
+      refunded_amount: 0,
+      created_at: new Date('2025-11-16T00:00:00Z')
+    };
+    const res = await sendFixture('refund.processed').expect(200);
+
+    expect(res.body.result).toEqual({ payment: 'updated', status: 'refunded', accessRevoked: true });
+    const [[, params]] = calls(clientQuery, /UPDATE payments/);
+    expect(params).toEqual(['p1', 'refunded', 4900]);
+    const [[sql]] = calls(clientQuery, /UPDATE users/);
+    expect(sql).toContain(`subscription_status = 'expired'`);
+  });
+
+  it('refund.processed cannot refund a failed payment', async () => {
+    payment = { id: 'p1', user_id: USER_ID, razorpay_payment_id: 'pay_test_charged', amount: 4900, status: 'failed', refunded_amount: 0 };
+    const res = await sendFixture('refund.processed').expect(200);
+
+    expect(res.body.result).toEqual({ payment: 'unchanged' });
+    expect(calls(clientQuery, /^UPDATE (payments|users)/)).toHaveLength(0);
+  });
+});
@@ -13,28 +13,39 @@ import bodyParser from 'body-parser';
 import cors from 'cors';
 import fs from 'fs';
 import jwt from 'jsonwebtoken';
-import fetch from 'node-fetch';
-import { CookieJar } from 'tough-cookie';
-import fetchCookie from 'fetch-cookie';
-import * as cheerio from 'cheerio';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import { body, validationResult } from 'express-validator';
 import logger from './lib/logger.js';
-import Razorpay from 'razorpay';
 import authRouter from './routes/auth.js';
 import adminRouter from './routes/admin.js';
 import subscriptionsRouter from './routes/subscriptions.js';
+import attendanceRouter from './routes/attendance.js';
+import scrapeRouter from './routes/scrape.js';
+import termsRouter from './routes/terms.js';
+import calendarRouter from './routes/calendar.js';
+import webhooksRouter from './routes/webhooks.js';
+import plansRouter from './routes/plans.js';
+import paymentsRouter from './routes/payments.js';
+import couponsRouter from './routes/coupons.js';
+import referralsRouter from './routes/referrals.js';
+import { getPaymentProvider } from './src/services/payments/index.js';
 import { Pool } from 'pg';
 import bcrypt from 'bcryptjs';
-import crypto from 'crypto';
-import { createCheckAccess } from './src/middleware/checkAccess.js';
+import { JWT_SECRET, verifyToken, getUserById, checkAccess } from './src/middleware/auth.js';
+import { enqueueScrape, getJob, startScrapeWorker } from './src/services/scrapeQueue.js';
+import { applyAttendanceRules } from './src/lib/attendanceRules.js';
+import { getTermForStudent, serializeTerm } from './src/services/terms.js';
+import { DEFAULT_DURATION_DAYS } from './src/services/plans.js';
 
 const app = express();
 
 // Security headers
 app.use(helmet());
 
+// Webhooks verify signatures over the raw body, so they're mounted before the JSON parser
+app.use('/api/webhook', webhooksRouter);
+
 app.use(bodyParser.json());
 
 // Rate limiting - skip for localhost in development
@@ -92,6 +103,8 @@ app.use(cors({
   },
   methods: ['GET', 'POST', 'OPTIONS', 'PUT', 'DELETE', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  // Report downloads read the file name from it
+  exposedHeaders: ['Content-Disposition'],
   credentials: false,
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -102,6 +115,14 @@ app.use('/api/', apiLimiter);
 app.use('/api/auth', authRouter);
 app.use('/api/admin', adminRouter);
 app.use('/api/subscriptions', subscriptionsRouter);
+app.use('/api/attendance', attendanceRouter);
+app.use('/api/scrape', scrapeRouter);
+app.use('/api/terms', termsRouter);
+app.use('/api/calendar', calendarRouter);
+app.use('/api/plans', plansRouter);
+app.use('/api/payments', paymentsRouter);
+app.use('/api/coupons', couponsRouter);
+app.use('/api/referrals', referralsRouter);
 
 // Log every incoming request for debugging (without leaking sensitive payloads)
 app.use((req, res, next) => {
@@ -125,8 +146,12 @@ if (process.env.NODE_ENV === 'production' && !process.env.SECRET) {
   process.exit(1);
 }
 
-// Use JWT_SECRET if set, otherwise SECRET, otherwise dev fallback
-const SECRET = process.env.JWT_SECRET || process.env.SECRET || 'dev-secret-for-local';
+// The fake payment provider activates subscriptions without charging anyone
+if (process.env.NODE_ENV === 'production' && (process.env.PAYMENT_PROVIDER || '').trim().toLowerCase() === 'fake') {
+  logger.error('FATAL: PAYMENT_PROVIDER=fake is not allowed in production');
+  process.exit(1);
+}
+
 const PORT = process.env.PORT || 3000;
 const DB_URL = process.env.DATABASE_URL || '';
 const SCRAPER_URL = process.env.SCRAPER_URL || '';
@@ -145,7 +170,7 @@ if (SCRAPER_URL) {
 const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || '';
 const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || '';
 const RAZORPAY_PLAN_ID = process.env.RAZORPAY_PLAN_ID || '';
-const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || '';
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRETS || process.env.RAZORPAY_WEBHOOK_SECRET || '';
 
 // Razorpay configuration validation (only warn if partially configured)
 // Note: Razorpay is optional - only required if using payment features
@@ -169,32 +194,16 @@ if (process.env.NODE_ENV === 'production') {
 // const OUTPUT_DIR = path.resolve(process.cwd(), 'output');
 // if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 
-// --- Simple in-memory rate limiter & scrape trackers ---
-const lastLoginAt = {}; // username -> timestamp ms
-const scrapingStatus = {}; // username -> { running: boolean, promise: Promise }
-
 // ---- Subscriptions / DB ----
 const pool = new Pool({
   connectionString: DB_URL,
   ssl: DB_URL.includes('supabase') ? { rejectUnauthorized: false } : false
 });
 
-const razorpay = (RAZORPAY_KEY_ID && RAZORPAY_KEY_SECRET)
-  ? new Razorpay({ key_id: RAZORPAY_KEY_ID, key_secret: RAZORPAY_KEY_SECRET })
-  : null;
-
 // --- Helpers ---
+// Tokens are verified with the shared verifyToken (src/middleware/auth.js), so sign with its secret
 function signToken(payload, expiresIn = '15m') {
-  return jwt.sign(payload, SECRET, { expiresIn });
-}
-
-function verifyToken(token) {
-  try {
-    return jwt.verify(token, SECRET);
-  } catch (err) {
-    logger.debug('JWT verification failed', { message: err.message });
-    return null;
-  }
+  return jwt.sign(payload, JWT_SECRET, { expiresIn });
 }
 
 // File write function removed - now using database storage
@@ -262,6 +271,14 @@ async function ensureSchema() {
     await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_expires_at TIMESTAMPTZ`).catch(e => logger.warn('Column subscription_expires_at may already exist:', e.message));
     await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS notified_subscription_expired BOOLEAN DEFAULT FALSE`).catch(e => logger.warn('Column notified_subscription_expired may already exist:', e.message));
     await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS notified_trial_expired BOOLEAN DEFAULT FALSE`).catch(e => logger.warn('Column notified_trial_expired may already exist:', e.message));
+    // Academic date range used for this user's scrapes (DD-MM-YYYY, NULL to date = up to today), see src/lib/dateRange.js
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS lms_from_date TEXT`).catch(e => logger.warn('Column lms_from_date may already exist:', e.message));
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS lms_to_date TEXT`).catch(e => logger.warn('Column lms_to_date may already exist:', e.message));
+    // Secret token in the iCalendar feed URL (routes/calendar.js), rotated on request
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token TEXT`).catch(e => logger.warn('Column calendar_token may already exist:', e.message));
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token) WHERE calendar_token IS NOT NULL`).catch(e => logger.warn('Index may already exist:', e.message));
+    // Running total refunded on a payment (refund.processed webhook), in paise
+    await pool.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_amount INTEGER NOT NULL DEFAULT 0`).catch(e => logger.warn('Column refunded_amount may already exist:', e.message));
     // Make email nullable if it was NOT NULL (for student_id-based logins)
     await pool.query(`ALTER TABLE users ALTER COLUMN email DROP NOT NULL`).catch(e => logger.debug('Email column constraint update (may already be nullable):', e.message));
     await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_student_id ON users (student_id) WHERE student_id IS NOT NULL`);
@@ -271,6 +288,21 @@ async function ensureSchema() {
     await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_razorpay_payment_id ON payments(razorpay_payment_id) WHERE razorpay_payment_id IS NOT NULL`).catch(e => logger.warn('Index may already exist:', e.message));
     
     // Attendance storage tables (replaces file storage)
+    // Each scrape is stored as a versioned run; attendance rows are keyed to it
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scrape_runs (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        username text NOT NULL,
+        student_name text,
+        from_date text,
+        to_date text,
+        source text,
+        subject_count integer,
+        fetched_at timestamptz NOT NULL DEFAULT now()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_scrape_runs_username_fetched_at ON scrape_runs(username, fetched_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS attendance (
         id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -289,7 +321,26 @@ async function ensureSchema() {
     `);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_attendance_username ON attendance(username)`).catch(e => logger.warn('Index may already exist:', e.message));
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_attendance_recorded_at ON attendance(recorded_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
-    
+    await pool.query(`ALTER TABLE attendance ADD COLUMN IF NOT EXISTS scrape_run_id uuid REFERENCES scrape_runs(id) ON DELETE CASCADE`).catch(e => logger.warn('Column scrape_run_id may already exist:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_attendance_scrape_run_id ON attendance(scrape_run_id)`).catch(e => logger.warn('Index may already exist:', e.message));
+
+    // Day-wise attendance marks, one row per (subject, date, period)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS attendance_sessions (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        username text NOT NULL,
+        subject text NOT NULL,
+        session_date date NOT NULL,
+        period text NOT NULL,
+        status text NOT NULL,
+        scrape_run_id uuid REFERENCES scrape_runs(id) ON DELETE SET NULL,
+        first_seen_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now(),
+        UNIQUE (username, subject, session_date, period)
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_attendance_sessions_username_date ON attendance_sessions(username, session_date)`).catch(e => logger.warn('Index may already exist:', e.message));
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS upcoming_classes (
         id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -304,6 +355,8 @@ async function ensureSchema() {
     `);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_upcoming_classes_username ON upcoming_classes(username)`).catch(e => logger.warn('Index may already exist:', e.message));
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_upcoming_classes_start_time ON upcoming_classes(start_time)`).catch(e => logger.warn('Index may already exist:', e.message));
+    // start_time/end_time come from the LMS time text (src/lib/classTime.js); time_unparsed marks text that couldn't be read
+    await pool.query(`ALTER TABLE upcoming_classes ADD COLUMN IF NOT EXISTS time_unparsed BOOLEAN NOT NULL DEFAULT FALSE`).catch(e => logger.warn('Column time_unparsed may already exist:', e.message));
     
     await pool.query(`
       CREATE TABLE IF NOT EXISTS latest_snapshot (
@@ -313,7 +366,252 @@ async function ensureSchema() {
       );
     `);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_latest_snapshot_attendance_id ON latest_snapshot(attendance_id)`).catch(e => logger.warn('Index may already exist:', e.message));
-    
+    await pool.query(`ALTER TABLE latest_snapshot ADD COLUMN IF NOT EXISTS scrape_run_id uuid REFERENCES scrape_runs(id) ON DELETE SET NULL`).catch(e => logger.warn('Column scrape_run_id may already exist:', e.message));
+
+    // Opt-in encrypted LMS passwords for unattended scrapes (src/services/credentialStore.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lms_credentials (
+        user_id uuid PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        student_id text NOT NULL UNIQUE,
+        key_id text NOT NULL,
+        nonce text NOT NULL,
+        ciphertext text NOT NULL,
+        auth_tag text NOT NULL,
+        auth_failures integer NOT NULL DEFAULT 0,
+        created_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now(),
+        last_used_at timestamptz
+      );
+    `);
+
+    // Outcome of each background attendance refresh (cron/attendanceRefresher.js), one row per user per pass
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS attendance_refresh_runs (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        batch_id uuid NOT NULL,
+        user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+        student_id text,
+        status text NOT NULL,
+        reason text,
+        attendance_count integer,
+        scrape_run_id uuid REFERENCES scrape_runs(id) ON DELETE SET NULL,
+        started_at timestamptz DEFAULT now(),
+        finished_at timestamptz
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_attendance_refresh_runs_user ON attendance_refresh_runs(user_id, started_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_attendance_refresh_runs_batch ON attendance_refresh_runs(batch_id)`).catch(e => logger.warn('Index may already exist:', e.message));
+
+    // Persistent scrape queue (src/services/scrapeQueue.js), claimed by workers with FOR UPDATE SKIP LOCKED.
+    // The password columns hold the login password encrypted while the job is pending and are wiped when it finishes.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scrape_jobs (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+        username text NOT NULL,
+        source text NOT NULL DEFAULT 'login',
+        status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+        attempts integer NOT NULL DEFAULT 0,
+        max_attempts integer NOT NULL DEFAULT 3,
+        from_date text,
+        to_date text,
+        key_id text,
+        nonce text,
+        ciphertext text,
+        auth_tag text,
+        error text,
+        error_code text,
+        attendance_count integer,
+        scrape_run_id uuid REFERENCES scrape_runs(id) ON DELETE SET NULL,
+        run_after timestamptz NOT NULL DEFAULT now(),
+        locked_by text,
+        heartbeat_at timestamptz,
+        created_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now(),
+        started_at timestamptz,
+        finished_at timestamptz
+      );
+    `);
+    // At most one pending job per user - enqueueScrape relies on this for dedupe
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_scrape_jobs_active_user ON scrape_jobs(username) WHERE status IN ('queued', 'running')`).catch(e => logger.warn('Index may already exist:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_scrape_jobs_queued ON scrape_jobs(run_after) WHERE status = 'queued'`).catch(e => logger.warn('Index may already exist:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_scrape_jobs_username ON scrape_jobs(username, created_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
+    await pool.query(`ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS stage text DEFAULT 'queued'`).catch(e => logger.warn('Column stage may already exist:', e.message));
+    await pool.query(`ALTER TABLE attendance_refresh_runs ADD COLUMN IF NOT EXISTS scrape_job_id uuid REFERENCES scrape_jobs(id) ON DELETE SET NULL`).catch(e => logger.warn('Column scrape_job_id may already exist:', e.message));
+
+    // Academic terms (src/services/terms.js). A NULL batch applies to every student, otherwise to users.batch.
+    // Term-scoped scrape runs carry term_id; runs without one make up the cumulative view.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS terms (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        name text NOT NULL,
+        start_date date NOT NULL,
+        end_date date,
+        batch text,
+        created_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now(),
+        CHECK (end_date IS NULL OR end_date >= start_date)
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_terms_batch_start ON terms(batch, start_date DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS batch TEXT`).catch(e => logger.warn('Column batch may already exist:', e.message));
+    await pool.query(`ALTER TABLE scrape_runs ADD COLUMN IF NOT EXISTS term_id uuid REFERENCES terms(id) ON DELETE CASCADE`).catch(e => logger.warn('Column term_id may already exist:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_scrape_runs_username_term ON scrape_runs(username, term_id, fetched_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
+    await pool.query(`ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS term_id uuid REFERENCES terms(id) ON DELETE CASCADE`).catch(e => logger.warn('Column term_id may already exist:', e.message));
+
+    // Subscription plans (src/services/plans.js). The plan from RAZORPAY_PLAN_ID is added once so
+    // existing deployments keep selling it; other plans are added in the database.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS plans (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        name text NOT NULL,
+        duration_days integer NOT NULL CHECK (duration_days > 0),
+        price_paise integer NOT NULL CHECK (price_paise >= 0),
+        razorpay_plan_id text UNIQUE,
+        active boolean NOT NULL DEFAULT true,
+        created_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now()
+      );
+    `);
+    if (RAZORPAY_PLAN_ID) {
+      await pool.query(
+        `INSERT INTO plans (name, duration_days, price_paise, razorpay_plan_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (razorpay_plan_id) DO NOTHING`,
+        [`${DEFAULT_DURATION_DAYS} days`, DEFAULT_DURATION_DAYS, parseInt(process.env.RAZORPAY_PLAN_PRICE_PAISE, 10) || 4900, RAZORPAY_PLAN_ID]
+      ).catch(e => logger.warn('Could not seed plan from RAZORPAY_PLAN_ID:', e.message));
+    }
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_plan_id uuid REFERENCES plans(id) ON DELETE SET NULL`).catch(e => logger.warn('Column subscription_plan_id may already exist:', e.message));
+    await pool.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS plan_id uuid REFERENCES plans(id) ON DELETE SET NULL`).catch(e => logger.warn('Column plan_id may already exist:', e.message));
+    // Subscription self-service (GET /api/subscriptions/me, POST /api/subscriptions/cancel): the next
+    // charge Razorpay reported, and whether the user asked to stop renewing at the end of the period
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_charge_at TIMESTAMPTZ`).catch(e => logger.warn('Column subscription_charge_at may already exist:', e.message));
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE`).catch(e => logger.warn('Column cancel_at_period_end may already exist:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_payments_user_created ON payments(user_id, created_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
+
+    // Invoices for captured payments (src/services/invoices.js), numbered per financial year by
+    // invoice_counters without gaps. Billing details are copied in so an invoice never changes.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS invoice_counters (
+        financial_year text PRIMARY KEY,
+        last_sequence integer NOT NULL
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS invoices (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        payment_id uuid NOT NULL UNIQUE REFERENCES payments(id) ON DELETE CASCADE,
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        invoice_number text NOT NULL UNIQUE,
+        financial_year text NOT NULL,
+        sequence integer NOT NULL,
+        student_name text,
+        student_id text,
+        plan_name text,
+        plan_duration_days integer,
+        amount_paise integer NOT NULL,
+        taxable_paise integer NOT NULL,
+        cgst_paise integer NOT NULL,
+        sgst_paise integer NOT NULL,
+        gst_rate_percent numeric(5,2) NOT NULL,
+        currency text NOT NULL DEFAULT 'INR',
+        razorpay_payment_id text,
+        seller_name text NOT NULL,
+        seller_address text,
+        seller_gstin text,
+        issued_at timestamptz NOT NULL DEFAULT now()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_invoices_user ON invoices(user_id, issued_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
+
+    // Coupon and promo codes (src/services/coupons.js), added in the database. Each use is a
+    // coupon_redemptions row: 'pending' while a discounted checkout is open, 'redeemed' once paid.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS coupons (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        code text NOT NULL UNIQUE CHECK (code = upper(code)),
+        kind text NOT NULL CHECK (kind IN ('percent', 'flat', 'free_days')),
+        percent_off integer CHECK (percent_off BETWEEN 1 AND 100),
+        amount_off_paise integer CHECK (amount_off_paise > 0),
+        free_days integer CHECK (free_days > 0),
+        razorpay_offer_id text,
+        max_redemptions integer CHECK (max_redemptions > 0),
+        per_user_limit integer DEFAULT 1 CHECK (per_user_limit > 0),
+        valid_from timestamptz,
+        valid_until timestamptz,
+        active boolean NOT NULL DEFAULT true,
+        created_at timestamptz DEFAULT now(),
+        CHECK ((kind = 'percent') = (percent_off IS NOT NULL)),
+        CHECK ((kind = 'flat') = (amount_off_paise IS NOT NULL)),
+        CHECK ((kind = 'free_days') = (free_days IS NOT NULL))
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS coupon_redemptions (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        coupon_id uuid NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        payment_id uuid REFERENCES payments(id) ON DELETE SET NULL,
+        subscription_id text,
+        status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'redeemed', 'void')),
+        discount_paise integer NOT NULL DEFAULT 0,
+        free_days integer,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        redeemed_at timestamptz
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id, status)`).catch(e => logger.warn('Index may already exist:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_pending ON coupon_redemptions(subscription_id) WHERE status = 'pending'`).catch(e => logger.warn('Index may already exist:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_payment ON coupon_redemptions(payment_id) WHERE payment_id IS NOT NULL`).catch(e => logger.warn('Index may already exist:', e.message));
+
+    // Referral programme (src/services/referrals.js): each user's shareable code, and who signed up
+    // with whose code. Bonus days are copied onto the referral so changing them doesn't touch old ones.
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS referral_code TEXT`).catch(e => logger.warn('Column referral_code may already exist:', e.message));
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_referral_code ON users(referral_code) WHERE referral_code IS NOT NULL`).catch(e => logger.warn('Index may already exist:', e.message));
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS referrals (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        referrer_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        referee_id uuid NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        code text NOT NULL,
+        status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'credited')),
+        referrer_bonus_days integer NOT NULL CHECK (referrer_bonus_days >= 0),
+        referee_bonus_days integer NOT NULL CHECK (referee_bonus_days >= 0),
+        payment_id uuid REFERENCES payments(id) ON DELETE SET NULL,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        credited_at timestamptz,
+        CHECK (referrer_id <> referee_id)
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_referrals_referrer ON referrals(referrer_id, created_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
+
+    // Every webhook delivery (src/services/webhookEvents.js). Verified events are unique per provider
+    // event id so redeliveries aren't processed twice; rejected (bad signature) rows are kept for auditing.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        provider text NOT NULL,
+        event_id text NOT NULL,
+        event text,
+        signature_valid boolean NOT NULL,
+        raw_body text NOT NULL,
+        status text NOT NULL DEFAULT 'received'
+          CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed', 'rejected')),
+        error text,
+        attempts integer NOT NULL DEFAULT 0,
+        received_count integer NOT NULL DEFAULT 1,
+        user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+        result jsonb,
+        received_at timestamptz NOT NULL DEFAULT now(),
+        last_attempt_at timestamptz,
+        processed_at timestamptz
+      );
+    `);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_event_id ON webhook_events(provider, event_id) WHERE signature_valid`).catch(e => logger.warn('Index may already exist:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, received_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
+    // One counted row per rejection reason and hour (see recordWebhookEvent); older per-delivery rejected rows keep their own ids
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_rejected ON webhook_events(provider, event_id) WHERE NOT signature_valid AND event_id LIKE 'rejected:%'`).catch(e => logger.warn('Index may already exist:', e.message));
+
     logger.info('DB schema ensured');
   } catch (err) {
     logger.error('DB ensure schema error', { error: err.message });
@@ -325,11 +623,6 @@ async function getUserByEmail(email) {
   return rows[0] || null;
 }
 
-async function getUserById(id) {
-  const { rows } = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
-  return rows[0] || null;
-}
-
 function requireAuth(req) {
   const auth = req.headers.authorization || '';
   if (!auth.startsWith('Bearer ')) return null;
@@ -337,277 +630,8 @@ function requireAuth(req) {
   return verifyToken(token);
 }
 
-// Create checkAccess middleware (replaces old checkTrial)
-// Initialize after verifyToken and getUserById are defined
-let checkAccess = null;
-
-// Initialize checkAccess middleware
-function initializeCheckAccess() {
-  if (!checkAccess) {
-    checkAccess = createCheckAccess(verifyToken, getUserById);
-  }
-  return checkAccess;
-}
-
 // Keep old checkTrial for backward compatibility (deprecated)
-// This ensures checkAccess is initialized before use
-async function checkTrial(req, res, next) {
-  const middleware = initializeCheckAccess();
-  return middleware(req, res, next);
-}
-
-// compute required r such that ((p+r)/(t+r))*100 >= 75
-function computeRequired(present, total) {
-  if (total === 0) return 0;
-  const current = (present / total) * 100;
-  if (current >= 75) return 0;
-  let r = 0;
-  while (true) {
-    const pct = ((present + r) / (total + r)) * 100;
-    if (pct >= 75) return r;
-    r++;
-    // safety cap to avoid infinite loop (shouldn't be needed)
-    if (r > 2000) return r;
-  }
-}
-
-function computePercent(present, total) {
-  if (total === 0) return 0;
-  return +((present / total) * 100).toFixed(2);
-}
-
-// Compute how many more classes can be missed while staying >= 75%
-// x_max = floor(present / 0.75 - total); clamp to 0
-function computeCanMiss(present, total) {
-  if (present < 0 || total <= 0) return 0;
-  const threshold = 0.75;
-  const allowed = Math.floor(present / threshold - total);
-  return Math.max(0, allowed);
-}
-
-const LMS_BASE = 'https://sbmchlms.com/lms';
-const LOGIN_URL = `${LMS_BASE}/site/userlogin`;
-const DASHBOARD_URL = `${LMS_BASE}/user/user/dashboard`;
-const ATTENDANCE_PAGE_URL = `${LMS_BASE}/user/attendence/subjectbyattendance`;
-const ATTENDANCE_API_URL = `${LMS_BASE}/user/attendence/subjectgetdaysubattendence`;
-const ORIGIN = 'https://sbmchlms.com';
-
-const DEFAULT_HEADERS = {
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0 Safari/537.36',
-  Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-  'Accept-Language': 'en-US,en;q=0.9',
-  'Cache-Control': 'no-cache'
-};
-
-function cleanText(value) {
-  return (value || '').replace(/\s+/g, ' ').trim();
-}
-
-function withDefaultHeaders(headers = {}) {
-  return { ...DEFAULT_HEADERS, ...headers };
-}
-
-async function loginToLms({ username, password }) {
-  const jar = new CookieJar();
-  const fetchWithCookies = fetchCookie(fetch, jar);
-  const client = (url, options = {}) => {
-    const headers = withDefaultHeaders(options.headers);
-    return fetchWithCookies(url, { ...options, headers });
-  };
-
-  const loginPage = await client(LOGIN_URL, { method: 'GET' });
-  if (!loginPage.ok) {
-    throw new Error(`Login page request failed (${loginPage.status})`);
-  }
-  const loginHtml = await loginPage.text();
-  const $login = cheerio.load(loginHtml);
-  const hiddenInputs = {};
-  $login('input[type="hidden"]').each((_, el) => {
-    const name = $login(el).attr('name');
-    if (!name) return;
-    hiddenInputs[name] = $login(el).attr('value') ?? '';
-  });
-
-  const form = new URLSearchParams();
-  form.set('username', username);
-  form.set('password', password);
-  Object.entries(hiddenInputs).forEach(([key, value]) => form.append(key, value ?? ''));
-
-  const loginResponse = await client(LOGIN_URL, {
-    method: 'POST',
-    body: form,
-    headers: withDefaultHeaders({
-      'Content-Type': 'application/x-www-form-urlencoded',
-      Origin: ORIGIN,
-      Referer: LOGIN_URL
-    }),
-    redirect: 'manual'
-  });
-
-  if ([301, 302, 303].includes(loginResponse.status)) {
-    const location = loginResponse.headers.get('location');
-    if (location) {
-      const destination = new URL(location, LOGIN_URL).toString();
-      await client(destination, { method: 'GET' });
-    }
-  } else {
-    const body = await loginResponse.text();
-    if (!loginResponse.ok || /invalid username|password/i.test(body)) {
-      throw new Error('Login failed: the LMS rejected the credentials or returned an unexpected response.');
-    }
-  }
-
-  return { client };
-}
-
-function parseUpcomingClasses($) {
-  const upcoming = [];
-  $('.user-progress .lecture-list').each((_, li) => {
-    const $li = $(li);
-    const avatar = cleanText($li.find('img').attr('src') || $li.find('img').attr('data-src') || '');
-    let title = cleanText($li.find('.media-title').first().text());
-    if (!title) {
-      title = cleanText($li.find('.bmedium').first().text());
-    }
-    const subtitle = cleanText($li.find('.text-muted').first().text());
-    const msAuto = $li.find('.ms-auto').first();
-    let location = '';
-    let time = '';
-    if (msAuto && msAuto.length) {
-      location = cleanText(msAuto.find('.bmedium').first().text());
-      if (!location) {
-        location = cleanText(msAuto.children().first().text());
-      }
-      time = cleanText(msAuto.find('.text-muted').first().text());
-      if (!time && msAuto.children().length > 1) {
-        time = cleanText(msAuto.children().eq(1).text());
-      }
-    }
-    upcoming.push({ title, subtitle, location, time, avatar });
-  });
-  return upcoming;
-}
-
-async function fetchStudentDashboard(client, username) {
-  const dashboardResponse = await client(DASHBOARD_URL, { method: 'GET' });
-  if (!dashboardResponse.ok) {
-    throw new Error(`Dashboard request failed (${dashboardResponse.status})`);
-  }
-  const html = await dashboardResponse.text();
-  if (/Student Login/i.test(html) && /Username/i.test(html)) {
-    throw new Error('Session invalid – dashboard returned login page.');
-  }
-  const $ = cheerio.load(html);
-  let studentName = cleanText($('h4.mt0').first().text().replace(/Welcome,/i, ''));
-  if (!studentName) {
-    studentName = username;
-  }
-  const upcomingClasses = parseUpcomingClasses($);
-  return { studentName, upcomingClasses };
-}
-
-function parseAttendanceRows(resultPage) {
-  if (!resultPage) return [];
-  const $ = cheerio.load(resultPage);
-  const rows = [];
-  
-  // Look for .attendance_result table first (like working Puppeteer code)
-  const resultBox = $('.attendance_result');
-  const table = resultBox.length ? resultBox.find('table') : $('table');
-  
-  if (!table.length) {
-    logger.warn('No attendance table found in result page');
-    return [];
-  }
-  
-  table.find('tbody tr').each((_, tr) => {
-    const $tr = $(tr);
-    const tds = $tr.find('td');
-    if (tds.length < 3) return;
-    const subject = cleanText($(tds[0]).text());
-    const percentText = cleanText($(tds[1]).text());
-    const presentText = cleanText($(tds[2]).text());
-    const percentMatch = percentText.match(/[\d.]+/);
-    const percentValue = percentMatch ? parseFloat(percentMatch[0]) : NaN;
-    const ratioMatch = presentText.match(/(\d+)\s*\/\s*(\d+)/);
-    const sessionsCompleted = ratioMatch ? parseInt(ratioMatch[1], 10) : 0;
-    const totalSessions = ratioMatch ? parseInt(ratioMatch[2], 10) : 0;
-    const present = sessionsCompleted;
-    const total = totalSessions;
-    const absent = total >= present ? total - present : 0;
-    const percent = !Number.isNaN(percentValue)
-      ? +percentValue.toFixed(2)
-      : (total ? +((present / total) * 100).toFixed(2) : 0);
-    rows.push({
-      subject,
-      sessionsCompleted,
-      totalSessions,
-      present,
-      total,
-      absent,
-      percent
-    });
-  });
-  return rows;
-}
-
-async function fetchAttendanceTable(client, { fromDate, toDate, subjectId = '' }) {
-  // First, visit the attendance page (like Puppeteer does)
-  await client(ATTENDANCE_PAGE_URL, { method: 'GET' });
-  
-  // Calculate date range (from working Puppeteer code: FROM_DATE = '11-11-2024', TO_DATE = today)
-  const now = new Date();
-  const pad = n => String(n).padStart(2, '0');
-  const defaultFromDate = fromDate || '11-11-2024'; // Default from working code
-  const defaultToDate = toDate || `${pad(now.getDate())}-${pad(now.getMonth() + 1)}-${now.getFullYear()}`;
-  
-  logger.info('Fetching attendance with date range', { 
-    fromDate: defaultFromDate, 
-    toDate: defaultToDate,
-    subjectId: subjectId || 'all'
-  });
-
-  const payload = new URLSearchParams();
-  payload.set('date', defaultFromDate);
-  payload.set('end_date', defaultToDate);
-  payload.set('subject', subjectId ?? ''); // Empty string = all subjects
-
-  const response = await client(ATTENDANCE_API_URL, {
-    method: 'POST',
-    headers: withDefaultHeaders({
-      'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-      'X-Requested-With': 'XMLHttpRequest',
-      Referer: ATTENDANCE_PAGE_URL,
-      Accept: 'application/json, text/javascript, */*; q=0.01'
-    }),
-    body: payload
-  });
-
-  if (!response.ok) {
-    throw new Error(`Attendance API request failed (${response.status})`);
-  }
-
-  const json = await response.json().catch(() => null);
-  if (!json) {
-    throw new Error('Attendance API returned an empty response.');
-  }
-  if (String(json.status) !== '1') {
-    if (json.result_page) {
-      return parseAttendanceRows(json.result_page);
-    }
-    return [];
-  }
-  return parseAttendanceRows(json.result_page || '');
-}
-
-// --- Combined scrape function ---
-async function scrapeAttendance({ username, password, fromDate, toDate }) {
-  logger.debug('scrapeAttendance invoked', { username });
-  const { client } = await loginToLms({ username, password });
-  const { studentName, upcomingClasses } = await fetchStudentDashboard(client, username);
-  const attendanceRows = await fetchAttendanceTable(client, { fromDate, toDate, subjectId: '' });
-  return { studentName, upcomingClasses, attendanceRows };
-}
+const checkTrial = checkAccess;
 
 // Validation middleware
 const validateRequest = (req, res, next) => {
@@ -639,10 +663,11 @@ app.post('/api/auth/signup', [
     );
     const user = rows[0];
 
-    // Create Razorpay customer
+    // Create the payment provider's customer
     let customerId = null;
-    if (RAZORPAY_KEY_ID && RAZORPAY_KEY_SECRET) {
-      const customer = await razorpay.customers.create({ email, name: email });
+    const provider = getPaymentProvider();
+    if (provider.isConfigured) {
+      const customer = await provider.createCustomer({ email, name: email });
       customerId = customer?.id || null;
       if (customerId) {
         await pool.query('UPDATE users SET razorpay_customer_id=$1 WHERE id=$2', [customerId, user.id]);
@@ -667,8 +692,9 @@ app.post('/api/payments/create-customer', async (req, res) => {
     const user = await getUserById(payload.userId);
     if (!user) return res.status(404).json({ error: 'user_not_found' });
     if (user.razorpay_customer_id) return res.json({ razorpay_customer_id: user.razorpay_customer_id });
-    if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) return res.status(400).json({ error: 'razorpay_not_configured' });
-    const customer = await razorpay.customers.create({ email: user.email, name: user.email });
+    const provider = getPaymentProvider();
+    if (!provider.isConfigured) return res.status(400).json({ error: 'razorpay_not_configured' });
+    const customer = await provider.createCustomer({ email: user.email, name: user.email });
     const cid = customer?.id || null;
     if (cid) await pool.query('UPDATE users SET razorpay_customer_id=$1 WHERE id=$2', [cid, user.id]);
     return res.json({ razorpay_customer_id: cid });
@@ -679,309 +705,8 @@ app.post('/api/payments/create-customer', async (req, res) => {
 });
 
 // Subscriptions route is now in backend/routes/subscriptions.js
+// Razorpay webhook is in backend/routes/webhooks.js
 
-// Razorpay Webhook: signature verification & updates (fully defensive)
-app.post('/api/webhook/razorpay', express.json({ limit: '5mb' }), async (req, res) => {
-  try {
-    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    const signatureHeader =
-      req.headers['x-razorpay-signature'] ||
-      req.headers['X-Razorpay-Signature'];
-
-    // raw JSON string for signature check
-    const raw = Buffer.isBuffer(req.body)
-      ? req.body.toString('utf8')
-      : JSON.stringify(req.body);
-
-    // Basic validation
-    if (!signatureHeader) {
-      console.warn('[webhook] missing_signature_header', {
-        hasSignature: false,
-        hasSecret: !!secret
-      });
-      return res.status(400).json({ error: 'missing_signature' });
-    }
-    if (!secret) {
-      console.error('[webhook] Server missing RAZORPAY_WEBHOOK_SECRET');
-      return res.status(500).json({ error: 'server_misconfigured' });
-    }
-
-    // Compute expected signature
-    const expected = crypto
-      .createHmac('sha256', secret)
-      .update(raw)
-      .digest('hex');
-
-    // Validate signature
-    if (expected !== signatureHeader) {
-      console.warn('[webhook] signature_mismatch', {
-        expected,
-        received: signatureHeader
-      });
-      return res.status(401).json({ error: 'invalid_signature' });
-    }
-
-    console.info('[webhook] signature_verified', {
-      event: req.body?.event
-    });
-
-    // Extract event - ONLY accept subscription.activated
-    const event = req.body?.event || 'unknown';
-    
-    // Only process subscription.activated events
-    if (event !== 'subscription.activated') {
-      console.info('[webhook] Ignoring non-activation event', { event });
-      return res.status(200).json({ 
-        success: true, 
-        message: `Event ${event} ignored - only processing subscription.activated` 
-      });
-    }
-    const subscriptionEntity =
-      req.body?.payload?.subscription?.entity ?? null;
-    const paymentEntity = req.body?.payload?.payment?.entity ?? null;
-    const invoiceEntity = req.body?.payload?.invoice?.entity ?? null;
-
-    // userId from Razorpay notes
-    const userId =
-      subscriptionEntity?.notes?.user_id ??
-      paymentEntity?.notes?.user_id ??
-      invoiceEntity?.notes?.user_id ??
-      null;
-
-    if (!userId) {
-      console.warn('[webhook] no_user_id_in_payload', {
-        event,
-        subscriptionEntity,
-        paymentEntity,
-        invoiceEntity
-      });
-      return res
-        .status(400)
-        .json({ error: 'missing_user_id', message: 'payload missing user_id' });
-    }
-
-    // Validate and normalize userId
-    // Accept both UUID format and integer IDs (for flexibility)
-    let normalizedUserId = userId;
-    
-    // Convert to string and check if it's numeric
-    const userIdStr = String(userId).trim();
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-    const isNumeric = /^\d+$/.test(userIdStr);
-    
-    console.log('[webhook] userId validation', { 
-      userId, 
-      userIdStr, 
-      isNumeric, 
-      type: typeof userId 
-    });
-    
-    if (isNumeric) {
-      // If userId is numeric, query database to get the actual UUID
-      try {
-        console.info('[webhook] Looking up user by numeric ID', { userId });
-        
-        // First, try to get all users ordered by creation
-        const { rows } = await pool.query('SELECT id, student_id FROM users ORDER BY created_at LIMIT 100');
-        const userIndex = parseInt(userId) - 1; // Convert to 0-based index (user ID 1 = index 0, user ID 2 = index 1, etc.)
-        
-        if (rows.length > userIndex && userIndex >= 0) {
-          normalizedUserId = rows[userIndex].id;
-          console.info('[webhook] Resolved numeric user_id to UUID', { 
-            original: userId, 
-            resolved: normalizedUserId,
-            student_id: rows[userIndex].student_id 
-          });
-        } else {
-          // If not found by position, show available users and suggest using one of them
-          const availableUsers = rows.map((r, i) => ({ 
-            position: i + 1, 
-            id: r.id, 
-            student_id: r.student_id || 'N/A' 
-          }));
-          
-          console.error('[webhook] User not found by numeric ID', { 
-            userId, 
-            totalUsers: rows.length,
-            availableUsers
-          });
-          
-          // Suggest using the first available user ID
-          const suggestedId = rows.length > 0 ? 1 : null;
-          return res.status(404).json({ 
-            error: 'user_not_found', 
-            message: `No user found at position ${userId}. Available users: ${rows.length}. Available user positions: ${availableUsers.map(u => u.position).join(', ')}. Try using user_id: ${suggestedId || 'N/A'}`,
-            availableUsers: availableUsers.map(u => ({ position: u.position, student_id: u.student_id }))
-          });
-        }
-      } catch (lookupErr) {
-        console.error('[webhook] Error looking up user', { userId, error: lookupErr.message, stack: lookupErr.stack });
-        return res.status(500).json({ 
-          error: 'user_lookup_failed', 
-          message: `Failed to lookup user: ${lookupErr.message}` 
-        });
-      }
-    } else if (!uuidRegex.test(String(userId))) {
-      console.error('[webhook] invalid_user_id_format', {
-        userId,
-        event,
-        message: 'user_id must be a valid UUID format or numeric ID'
-      });
-      return res.status(400).json({ 
-        error: 'invalid_user_id', 
-        message: `user_id must be a valid UUID format or numeric ID. Received: ${userId}. Get a real user ID from database: SELECT id FROM users LIMIT 1;` 
-      });
-    }
-    
-    // Use normalized user ID for all subsequent operations
-    const finalUserId = normalizedUserId;
-
-    // ============================
-    //   DB PROCESSING (PRESERVE)
-    // ============================
-    try {
-      // Extract meaningful entities (preserve existing logic)
-      const subEntity = subscriptionEntity || req.body?.payload?.subscription?.entity || null;
-      const invEntity = invoiceEntity || req.body?.payload?.invoice?.entity || null;
-      const payEntity = paymentEntity || req.body?.payload?.payment?.entity || null;
-
-      let subscriptionId = subEntity?.id || invEntity?.subscription_id || null;
-      const amount = invEntity?.amount || payEntity?.amount || null; // in paise
-      const currency = invEntity?.currency || payEntity?.currency || 'INR';
-      const status = invEntity?.status || payEntity?.status || 'processed';
-      const razorpayPaymentId = payEntity?.id || null;
-      const userIdNote = finalUserId || (subEntity?.notes && subEntity.notes.user_id) || (invEntity?.notes && invEntity.notes.user_id) || null;
-
-      // Check if this is a subscription activation event
-      const isActivationEvent = event === 'subscription.activated' || 
-                                event === 'invoice.paid' || 
-                                event === 'payment.captured' ||
-                                (subEntity && subEntity.status === 'active') ||
-                                (invEntity && invEntity.status === 'paid');
-
-      // If we have subscription_id or notes.user_id, update user status and dates
-      if (subscriptionId) {
-        if (isActivationEvent) {
-          // Set subscription as active with 28-day expiry
-          await pool.query(
-            `UPDATE users 
-             SET subscription_status='active', 
-                 subscription_started_at=NOW(), 
-                 subscription_expires_at=NOW() + interval '28 days',
-                 notified_subscription_expired=false
-             WHERE subscription_id=$1`,
-            [subscriptionId]
-          );
-          logger.info('[webhook] Subscription activated', { subscriptionId, event });
-        } else {
-          // Just update status (for other events)
-          await pool.query(`UPDATE users SET subscription_status='active' WHERE subscription_id=$1`, [subscriptionId]);
-        }
-      }
-      if (userIdNote) {
-        if (isActivationEvent) {
-          // Set subscription as active with 28-day expiry
-          await pool.query(
-            `UPDATE users 
-             SET subscription_status='active', 
-                 subscription_started_at=NOW(), 
-                 subscription_expires_at=NOW() + interval '28 days',
-                 notified_subscription_expired=false
-             WHERE id=$1`,
-            [userIdNote]
-          );
-          logger.info('[webhook] Subscription activated via user_id', { userId: userIdNote, event });
-        } else {
-          // Just update status (for other events)
-          await pool.query(`UPDATE users SET subscription_status='active' WHERE id=$1`, [userIdNote]);
-        }
-      }
-
-      // Record payment if available (preserve idempotency logic)
-      if ((userIdNote || subscriptionId) && (razorpayPaymentId || amount)) {
-        // Resolve user_id by subscription if not in notes
-        let resolvedUserId = userIdNote;
-        if (!resolvedUserId && subscriptionId) {
-          const { rows } = await pool.query('SELECT id FROM users WHERE subscription_id=$1', [subscriptionId]);
-          resolvedUserId = rows[0]?.id || null;
-        }
-        if (resolvedUserId && razorpayPaymentId) {
-          // Use transaction for idempotency check
-          const client = await pool.connect();
-          try {
-            await client.query('BEGIN');
-            
-            // Check for duplicate payment (idempotency) with row lock
-            const { rows: existing } = await client.query(
-              'SELECT id FROM payments WHERE razorpay_payment_id=$1 FOR UPDATE',
-              [razorpayPaymentId]
-            );
-            
-            if (existing.length > 0) {
-              logger.info('[webhook] Payment already recorded (idempotent)', { userId: resolvedUserId, razorpayPaymentId });
-              await client.query('COMMIT');
-            } else {
-              // Insert payment record
-              await client.query(
-                `INSERT INTO payments(user_id, razorpay_payment_id, amount, currency, status, metadata)
-                 VALUES($1, $2, $3, $4, $5, $6)`,
-                [resolvedUserId, razorpayPaymentId, amount, currency, status, JSON.stringify(req.body)]
-              );
-              logger.info('[webhook] Payment recorded', { userId: resolvedUserId, razorpayPaymentId });
-              await client.query('COMMIT');
-            }
-          } catch (dbErr) {
-            await client.query('ROLLBACK');
-            logger.error('[webhook] Payment record transaction failed', {
-              error: dbErr.message,
-              userId: resolvedUserId,
-              razorpayPaymentId
-            });
-            // Don't fail webhook if payment record fails - subscription activation is more important
-          } finally {
-            client.release();
-          }
-        } else if (resolvedUserId && amount && !razorpayPaymentId) {
-          // Record payment even without razorpay_payment_id (for tracking)
-          try {
-            await pool.query(
-              `INSERT INTO payments(user_id, razorpay_payment_id, amount, currency, status, metadata)
-               VALUES($1, $2, $3, $4, $5, $6)`,
-              [resolvedUserId, null, amount, currency, status, JSON.stringify(req.body)]
-            );
-            logger.info('[webhook] Payment recorded (no payment_id)', { userId: resolvedUserId, amount });
-          } catch (dbErr) {
-            logger.error('[webhook] Failed to record payment without payment_id', {
-              error: dbErr.message,
-              userId: resolvedUserId
-            });
-          }
-        }
-      }
-
-      console.info('[webhook] processing_finished', {
-        userId: finalUserId,
-        event
-      });
-      return res.status(200).json({ success: true, event, userId: finalUserId });
-
-    } catch (dbErr) {
-      console.error('[webhook] db_error', {
-        message: dbErr?.message,
-        stack: dbErr?.stack
-      });
-      return res.status(500).json({ error: 'db_error', message: dbErr?.message });
-    }
-
-  } catch (err) {
-    console.error('[webhook] unexpected_error', {
-      message: err?.message,
-      stack: err?.stack,
-      payload: req.body
-    });
-    return res.status(500).json({ error: 'internal_error', message: err?.message });
-  }
-});
 app.post('/api/login', [
   body('username').isString().trim().notEmpty().withMessage('username is required'),
   body('password').isString().notEmpty().withMessage('password is required'),
@@ -992,282 +717,61 @@ app.post('/api/login', [
   try {
     const { username, password, fromDate, toDate } = req.body || {};
 
-    // simple rate-limit: 1 request per 30s per user
-    const now = Date.now();
-    if (lastLoginAt[username] && (now - lastLoginAt[username] < 30 * 1000)) {
+    // simple rate-limit: 1 login-triggered scrape per 30s per user (tracked in scrape_jobs so it holds across instances)
+    const { rows: recentJobs } = await pool.query(
+      `SELECT 1 FROM scrape_jobs
+       WHERE username = $1 AND source IN ('login', 'legacy_login') AND created_at > now() - interval '30 seconds'
+       LIMIT 1`,
+      [username]
+    );
+    if (recentJobs.length > 0) {
       return res.status(429).json({ error: 'Too many login attempts. Wait 30 seconds.' });
     }
-    lastLoginAt[username] = now;
 
     // Sign token
     const token = signToken({ username });
 
-    // Start scrape in background but also wait short time so client can call attendance soon.
-    if (!scrapingStatus[username] || !scrapingStatus[username].running) {
-      const status = { running: true, promise: null };
-      scrapingStatus[username] = status;
-      const job = (async () => {
-        try {
-          logger.info('[auth] Scrape job started for <username>', { username });
-          // Use date range like working Puppeteer code
-          const now = new Date();
-          const pad = n => String(n).padStart(2, '0');
-          const normalizedFrom = fromDate || '11-11-2024'; // Default from working code
-          const normalizedTo = toDate || `${pad(now.getDate())}-${pad(now.getMonth() + 1)}-${now.getFullYear()}`;
-          
-          logger.info('Using date range for scraping', { from: normalizedFrom, to: normalizedTo });
-          
-          const result = await scrapeAttendance({
-            username,
-            password,
-            fromDate: normalizedFrom,
-            toDate: normalizedTo
-          });
-
-          const processed = (result.attendanceRows || []).map(row => {
-            const present = typeof row.present === 'number' ? row.present : (row.sessionsCompleted ?? 0);
-            const total = typeof row.total === 'number' ? row.total : (row.totalSessions ?? 0);
-            const absent = Number.isFinite(row.absent) ? row.absent : Math.max(0, total - present);
-            const percent = Number.isFinite(row.percent) ? +row.percent.toFixed(2) : computePercent(present, total);
-            const required = computeRequired(present, total);
-            const margin = computeCanMiss(present, total);
-            return {
-              subject: row.subject,
-              present,
-              absent,
-              total,
-              percent,
-              margin,
-              required
-            };
-          });
-
-          const studentName = result.studentName || username;
-          const fetchedAt = new Date().toISOString();
-
-          logger.info('Starting database save for scraped data', { 
-            username, 
-            attendanceCount: processed.length,
-            upcomingClassesCount: result.upcomingClasses?.length || 0
-          });
+    // Queue the scrape (deduped per user), then wait a short time so the client can call attendance soon.
+    const { job, created } = await enqueueScrape({
+      username,
+      password,
+      fromDate: fromDate || null,
+      toDate: toDate || null,
+      source: 'legacy_login'
+    });
+    if (!created) {
+      logger.info('Scrape already queued or running for user', { username, jobId: job?.id });
+    }
 
-          // Delete old data for this username (guarantees fresh data on every login)
-          try {
-            const deleteAttendanceResult = await pool.query('DELETE FROM attendance WHERE username = $1', [username]);
-            const deleteClassesResult = await pool.query('DELETE FROM upcoming_classes WHERE username = $1', [username]);
-            logger.info('Deleted old attendance data for user', { 
-              username,
-              deletedAttendanceRows: deleteAttendanceResult.rowCount,
-              deletedClassesRows: deleteClassesResult.rowCount
-            });
-          } catch (deleteErr) {
-            logger.error('Error deleting old data', { username, error: deleteErr.message, stack: deleteErr.stack });
-            throw deleteErr; // Re-throw to prevent inserting into stale data
-          }
-
-          // Bulk insert attendance records
-          if (processed.length > 0) {
-            // Use a transaction for better performance and atomicity
-            const client = await pool.connect();
-            try {
-              await client.query('BEGIN');
-              
-              // Insert records one by one in a transaction (safer for large datasets)
-              let insertedCount = 0;
-              for (const row of processed) {
-                try {
-                  await client.query(
-                    `INSERT INTO attendance (username, student_name, subject, present, absent, total, percent, margin, required, source)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-                    [
-                      username,
-                      studentName,
-                      row.subject,
-                      row.present,
-                      row.absent,
-                      row.total,
-                      row.percent,
-                      row.margin,
-                      row.required,
-                      'scraper'
-                    ]
-                  );
-                  insertedCount++;
-                } catch (insertErr) {
-                  logger.error('Error inserting attendance record', { 
-                    username, 
-                    subject: row.subject, 
-                    error: insertErr.message 
-                  });
-                  throw insertErr; // Re-throw to rollback transaction
-                }
-              }
-              
-              await client.query('COMMIT');
-              logger.info('Successfully inserted attendance records', { 
-                username, 
-                count: insertedCount,
-                expected: processed.length 
-              });
-            } catch (err) {
-              await client.query('ROLLBACK');
-              logger.error('Transaction failed, rolled back', { 
-                username, 
-                error: err.message, 
-                stack: err.stack 
-              });
-              throw err;
-            } finally {
-              client.release();
-            }
-          } else {
-            logger.warn('No attendance records to insert', { username });
-          }
-
-          // Insert upcoming classes
-          if (result.upcomingClasses && result.upcomingClasses.length > 0) {
-            const client = await pool.connect();
-            try {
-              await client.query('BEGIN');
-              
-              let insertedClassesCount = 0;
-              for (const cls of result.upcomingClasses) {
-                try {
-                  await client.query(
-                    `INSERT INTO upcoming_classes (username, class_id, class_name, start_time, end_time, metadata)
-                     VALUES ($1, $2, $3, $4, $5, $6)`,
-                    [
-                      username,
-                      cls.id || cls.class_id || null,
-                      cls.name || cls.class_name || cls.title || null,
-                      cls.start_time ? new Date(cls.start_time) : null,
-                      cls.end_time ? new Date(cls.end_time) : null,
-                      JSON.stringify(cls.metadata || cls)
-                    ]
-                  );
-                  insertedClassesCount++;
-                } catch (insertErr) {
-                  logger.error('Error inserting upcoming class', { 
-                    username, 
-                    class: cls.name || cls.class_name, 
-                    error: insertErr.message 
-                  });
-                  throw insertErr;
-                }
-              }
-              
-              await client.query('COMMIT');
-              logger.info('Successfully inserted upcoming classes', { 
-                username, 
-                count: insertedClassesCount,
-                expected: result.upcomingClasses.length 
-              });
-            } catch (err) {
-              await client.query('ROLLBACK');
-              logger.error('Upcoming classes transaction failed, rolled back', { 
-                username, 
-                error: err.message, 
-                stack: err.stack 
-              });
-              throw err;
-            } finally {
-              client.release();
-            }
-          } else {
-            logger.info('No upcoming classes to insert', { username });
-          }
-
-          // Update latest_snapshot - get the most recent attendance record for this user
-          const { rows: latestRows } = await pool.query(
-            `SELECT id FROM attendance WHERE username = $1 ORDER BY recorded_at DESC LIMIT 1`,
-            [username]
-          );
-          
-          if (latestRows.length > 0) {
-            await pool.query(
-              `INSERT INTO latest_snapshot (username, attendance_id, fetched_at)
-               VALUES ($1, $2, now())
-               ON CONFLICT (username) DO UPDATE SET
-                 attendance_id = EXCLUDED.attendance_id,
-                 fetched_at = EXCLUDED.fetched_at`,
-              [username, latestRows[0].id]
-            );
-          }
-
-          // Verify data was actually saved
-          const { rows: verifyRows } = await pool.query(
-            `SELECT COUNT(*) as count FROM attendance WHERE username = $1`,
-            [username]
-          );
-          const savedCount = parseInt(verifyRows[0]?.count || 0);
-
-          logger.info('Attendance scraped and saved to database', {
+    // Optionally wait for the job to finish (bounded wait for better UX)
+    const WAIT_MS = Number(process.env.SCRAPE_WAIT_MS || 12000);
+    if (WAIT_MS > 0 && job) {
+      const waitStart = Date.now();
+      try {
+        let current = job;
+        while (current && ['queued', 'running'].includes(current.status) && Date.now() - waitStart < WAIT_MS) {
+          await new Promise(resolve => setTimeout(resolve, 500));
+          current = await getJob(job.id);
+        }
+        const waited = Date.now() - waitStart;
+        if (current && !['queued', 'running'].includes(current.status)) {
+          logger.info('[auth/login] waited Xms for scrape to finish', {
             username,
-            subjects: processed.length,
-            savedToDatabase: savedCount,
-            upcomingClasses: result.upcomingClasses?.length || 0,
-            verified: savedCount === processed.length
-          });
-
-          if (savedCount !== processed.length && processed.length > 0) {
-            logger.error('Data verification failed - count mismatch', {
-              username,
-              expected: processed.length,
-              actual: savedCount
-            });
-          }
-        } catch (err) {
-          logger.error('Scrape job error', { 
-            username, 
-            error: err.message, 
-            stack: err.stack,
-            errorCode: err.code,
-            errorDetail: err.detail
+            waitedMs: waited,
+            status: current.status
           });
-          // Log database connection errors specifically
-          if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED' || err.message?.includes('connection')) {
-            logger.error('Database connection error during scrape', { 
-              username,
-              error: err.message,
-              databaseUrl: DB_URL ? 'configured' : 'missing'
-            });
-          }
-        } finally {
-          status.running = false;
-        }
-      })();
-      status.promise = job;
-      
-      // Optionally wait for scrape to finish (bounded wait for better UX)
-      const WAIT_MS = Number(process.env.SCRAPE_WAIT_MS || 12000);
-      if (WAIT_MS > 0 && scrapingStatus[username] && scrapingStatus[username].promise) {
-        const waitStart = Date.now();
-        try {
-          await Promise.race([
-            scrapingStatus[username].promise,
-            new Promise(resolve => setTimeout(resolve, WAIT_MS))
-          ]);
-          const waited = Date.now() - waitStart;
-          if (waited < WAIT_MS) {
-            logger.info('[auth/login] waited Xms for scrape to finish', { 
-              username, 
-              waitedMs: waited 
-            });
-          } else {
-            logger.info('[auth/login] scrape not finished after WAIT_MS', { 
-              username, 
-              waitMs: WAIT_MS 
-            });
-          }
-        } catch (e) {
-          logger.warn('[auth/login] Error waiting for scrape', { 
-            username, 
-            error: e.message 
+        } else {
+          logger.info('[auth/login] scrape not finished after WAIT_MS', {
+            username,
+            waitMs: WAIT_MS
           });
         }
+      } catch (e) {
+        logger.warn('[auth/login] Error waiting for scrape', {
+          username,
+          error: e.message
+        });
       }
-    } else {
-      logger.info('Scrape already running for user', { username });
     }
 
     return res.json({ token });
@@ -1293,11 +797,43 @@ app.get('/api/attendance', checkTrial, async (req, res) => {
 
     logger.info('[attendance] Checking attendance for user', { username });
 
+    // ?term=<id> shows the latest run scraped for that academic term;
+    // no term (or ?term=cumulative) is the cumulative view from latest_snapshot
+    const termParam = typeof req.query.term === 'string' ? req.query.term.trim() : '';
+    let term = null;
+    if (termParam && termParam !== 'cumulative') {
+      term = await getTermForStudent(username, termParam);
+      if (!term) return res.status(404).json({ error: 'term_not_found', message: 'No such term for your batch' });
+    }
+
     // Step 1: Check latest_snapshot first (fast lookup)
-    const { rows: snapshotRows } = await pool.query(
-      `SELECT attendance_id, fetched_at FROM latest_snapshot WHERE username = $1`,
-      [username]
-    );
+    // The scrape run supplies the date range that was actually scraped
+    const { rows: snapshotRows } = term
+      ? await pool.query(
+        `SELECT (SELECT a.id FROM attendance a WHERE a.scrape_run_id = r.id LIMIT 1) AS attendance_id,
+                r.id AS scrape_run_id, r.fetched_at, r.from_date, r.to_date
+         FROM scrape_runs r
+         WHERE r.username = $1 AND r.term_id = $2
+         ORDER BY r.fetched_at DESC
+         LIMIT 1`,
+        [username, term.id]
+      )
+      : await pool.query(
+        `SELECT s.attendance_id, s.scrape_run_id, s.fetched_at, r.from_date, r.to_date
+         FROM latest_snapshot s
+         LEFT JOIN scrape_runs r ON r.id = s.scrape_run_id
+         WHERE s.username = $1`,
+        [username]
+      );
+
+    // A term is only scraped on request (POST /api/scrape with term_id), so don't make the client poll
+    if (snapshotRows.length === 0 && term) {
+      return res.status(404).json({
+        error: 'term_not_scraped',
+        message: `Attendance for ${term.name} has not been fetched yet`,
+        term: serializeTerm(term)
+      });
+    }
 
     // Step 2: If no snapshot exists, return 202 (Pending)
     if (snapshotRows.length === 0) {
@@ -1315,14 +851,23 @@ app.get('/api/attendance', checkTrial, async (req, res) => {
       fetched_at: snapshot.fetched_at 
     });
 
-    // Step 3: Query attendance data from database using snapshot
-    const { rows: attendanceRows } = await pool.query(
-      `SELECT student_name, subject, present, absent, total, percent, margin, required, recorded_at
-       FROM attendance
-       WHERE username = $1
-       ORDER BY recorded_at DESC, subject ASC`,
-      [username]
-    );
+    // Step 3: Query attendance data for the scrape run the snapshot points at
+    // (snapshots written before scrape_runs existed fall back to the unversioned rows)
+    const { rows: attendanceRows } = snapshot.scrape_run_id
+      ? await pool.query(
+        `SELECT student_name, subject, present, absent, total, percent, margin, required, recorded_at
+         FROM attendance
+         WHERE scrape_run_id = $1
+         ORDER BY subject ASC`,
+        [snapshot.scrape_run_id]
+      )
+      : await pool.query(
+        `SELECT student_name, subject, present, absent, total, percent, margin, required, recorded_at
+         FROM attendance
+         WHERE username = $1 AND scrape_run_id IS NULL
+         ORDER BY recorded_at DESC, subject ASC`,
+        [username]
+      );
 
     // If snapshot exists but attendance_id is NULL, scraping completed with no data
     // Return 200 with empty array instead of 202
@@ -1333,8 +878,9 @@ app.get('/api/attendance', checkTrial, async (req, res) => {
         return res.json({
           studentName: username,
           fetchedAt: snapshot.fetched_at?.toISOString() || new Date().toISOString(),
-          fromDate: req.query.fromDate || '',
-          toDate: req.query.toDate || '',
+          fromDate: snapshot.from_date || req.query.fromDate || '',
+          toDate: snapshot.to_date || req.query.toDate || '',
+          term: serializeTerm(term),
           attendance: [],
           upcomingClasses: []
         });
@@ -1350,9 +896,9 @@ app.get('/api/attendance', checkTrial, async (req, res) => {
     // Get student name from first record (all should have same student_name)
     const studentName = attendanceRows[0]?.student_name || username;
     
-    // Get fromDate and toDate from query params or use defaults
-    const fromDate = req.query.fromDate || '';
-    const toDate = req.query.toDate || '';
+    // Range of the scrape run (query params only for snapshots that predate scrape_runs)
+    const fromDate = snapshot.from_date || req.query.fromDate || '';
+    const toDate = snapshot.to_date || req.query.toDate || '';
     
     // Get the most recent fetched_at timestamp from snapshot
     const fetchedAt = snapshot.fetched_at?.toISOString() || attendanceRows[0].recorded_at?.toISOString() || new Date().toISOString();
@@ -1365,10 +911,10 @@ app.get('/api/attendance', checkTrial, async (req, res) => {
 
     // Query upcoming classes
     const { rows: upcomingClassesRows } = await pool.query(
-      `SELECT class_id, class_name, start_time, end_time, metadata
+      `SELECT class_id, class_name, start_time, end_time, time_unparsed, metadata
        FROM upcoming_classes
        WHERE username = $1
-       ORDER BY start_time ASC`,
+       ORDER BY start_time ASC NULLS LAST, fetched_at ASC`,
       [username]
     );
 
@@ -1377,8 +923,9 @@ app.get('/api/attendance', checkTrial, async (req, res) => {
       const base = {
         id: row.class_id,
         name: row.class_name,
-        start_time: row.start_time?.toISOString(),
-        end_time: row.end_time?.toISOString()
+        start_time: row.start_time?.toISOString() || null,
+        end_time: row.end_time?.toISOString() || null,
+        time_unparsed: !!row.time_unparsed
       };
       
       // Merge metadata if available
@@ -1393,15 +940,14 @@ app.get('/api/attendance', checkTrial, async (req, res) => {
       return base;
     });
 
-    // Transform attendance to match expected format (same as file format)
-    const attendance = attendanceRows.map(row => ({
+    // Transform attendance to match expected format (same as file format).
+    // Threshold-derived fields are recomputed so rule changes apply to stored runs too.
+    const attendance = attendanceRows.map(row => applyAttendanceRules({
       subject: row.subject,
       present: row.present,
       absent: row.absent,
       total: row.total,
-      percent: parseFloat(row.percent) || 0,
-      margin: row.margin,
-      required: row.required
+      percent: parseFloat(row.percent) || 0
     }));
 
     // Return in same format as before (maintains frontend compatibility)
@@ -1410,6 +956,7 @@ app.get('/api/attendance', checkTrial, async (req, res) => {
       fetchedAt,
       fromDate,
       toDate,
+      term: serializeTerm(term),
       attendance,
       upcomingClasses
     };
@@ -1471,6 +1018,23 @@ if (process.env.NODE_ENV !== 'test') {
   //   }
   // })();
   
+  // Scrape queue worker: runs jobs queued by logins and the refresher (SCRAPE_WORKER_ENABLED=false for API-only instances)
+  if (process.env.SCRAPE_WORKER_ENABLED !== 'false') {
+    startScrapeWorker();
+  }
+
+  // Background attendance refresh for users with access (opt-in, it scrapes the LMS on a schedule)
+  if (process.env.ATTENDANCE_REFRESH_ENABLED === 'true') {
+    (async () => {
+      try {
+        const { startAttendanceRefresher } = await import('./cron/attendanceRefresher.js');
+        startAttendanceRefresher();
+      } catch (err) {
+        logger.warn('Failed to start attendance refresher cron job', { error: err.message });
+      }
+    })();
+  }
+  
   app.listen(PORT, '0.0.0.0', () => {
     logger.info(`Attendance API server running on http://0.0.0.0:${PORT}`);
     // File storage removed - now using database storage
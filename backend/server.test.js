@@ -1,6 +1,8 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import request from 'supertest';
+import jwt from 'jsonwebtoken';
 import { app } from './server.js';
+import { JWT_SECRET, signScrapeEventsToken } from './src/middleware/auth.js';
 
 describe('Backend API Health Endpoints', () => {
   beforeEach(() => {
@@ -37,6 +39,196 @@ describe('Backend API Health Endpoints', () => {
     expect(res.body).toHaveProperty('error');
   });
 
+  it('GET /api/attendance/history without auth should return 401', async () => {
+    const res = await request(app)
+      .get('/api/attendance/history')
+      .expect(401);
+
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('GET /api/attendance/sessions without auth should return 401', async () => {
+    const res = await request(app)
+      .get('/api/attendance/sessions?subject=Anatomy&from=2024-11-01&to=2024-11-30')
+      .expect(401);
+
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('GET /api/attendance/export without auth should return 401', async () => {
+    const res = await request(app)
+      .get('/api/attendance/export?format=pdf')
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('POST /api/attendance/simulate without auth should return 401', async () => {
+    const res = await request(app)
+      .post('/api/attendance/simulate')
+      .send({ plans: [{ subject: 'Anatomy', skip: 2 }] })
+      .expect(401);
+
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('DELETE /api/auth/credentials without auth should return 401', async () => {
+    const res = await request(app)
+      .delete('/api/auth/credentials')
+      .expect(401);
+
+    expect(res.body).toHaveProperty('error', 'unauthorized');
+  });
+
+  it('GET /api/auth/status without auth should return 401', async () => {
+    const res = await request(app)
+      .get('/api/auth/status')
+      .expect(401);
+    
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('GET /api/auth/status with an invalid token should return 401', async () => {
+    const res = await request(app)
+      .get('/api/auth/status')
+      .set('Authorization', 'Bearer not-a-real-token')
+      .expect(401);
+    
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('GET /api/scrape/status without auth should return 401', async () => {
+    const res = await request(app)
+      .get('/api/scrape/status')
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('POST /api/scrape without auth should return 401', async () => {
+    const res = await request(app)
+      .post('/api/scrape')
+      .send({ from_date: '01-08-2024' })
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('GET /api/scrape/events with an invalid token should return 401', async () => {
+    const res = await request(app)
+      .get('/api/scrape/events?token=not-a-real-token')
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('GET /api/scrape/events refuses a login token in the query string', async () => {
+    const token = jwt.sign({ userId: '00000000-0000-0000-0000-000000000001', student_id: 'S1' }, JWT_SECRET);
+    const res = await request(app)
+      .get(`/api/scrape/events?token=${token}`)
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('GET /api/scrape/status refuses a scrape events token', async () => {
+    const res = await request(app)
+      .get('/api/scrape/status')
+      .set('Authorization', `Bearer ${signScrapeEventsToken('S1', 'job-1')}`)
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('GET /api/terms without auth should return 401', async () => {
+    const res = await request(app)
+      .get('/api/terms')
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('POST /api/admin/terms is refused when no admin key is configured', async () => {
+    const res = await request(app)
+      .post('/api/admin/terms')
+      .send({ name: 'Phase 2', start_date: '01-08-2025' })
+      .expect(500);
+
+    expect(res.body.error).toBe('admin_disabled');
+  });
+
+  it('POST /api/admin/webhook-events/:id/replay is refused when no admin key is configured', async () => {
+    const res = await request(app)
+      .post('/api/admin/webhook-events/00000000-0000-0000-0000-000000000001/replay')
+      .expect(500);
+
+    expect(res.body.error).toBe('admin_disabled');
+  });
+
+  it('GET /api/calendar/token without auth should return 401', async () => {
+    const res = await request(app)
+      .get('/api/calendar/token')
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('GET /api/calendar/:token.ics with a malformed token should return 404', async () => {
+    await request(app)
+      .get('/api/calendar/not-a-token.ics')
+      .expect(404);
+  });
+
+  it('GET /api/subscriptions/me without auth should return 401', async () => {
+    const res = await request(app)
+      .get('/api/subscriptions/me')
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('POST /api/subscriptions/cancel with an invalid token should return 401', async () => {
+    const res = await request(app)
+      .post('/api/subscriptions/cancel')
+      .set('Authorization', 'Bearer not-a-jwt')
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('GET /api/payments without auth should return 401', async () => {
+    const res = await request(app)
+      .get('/api/payments')
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('GET /api/payments/:id/invoice without auth should return 401', async () => {
+    const res = await request(app)
+      .get('/api/payments/00000000-0000-0000-0000-000000000001/invoice')
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('POST /api/coupons/validate without auth should return 401', async () => {
+    const res = await request(app)
+      .post('/api/coupons/validate')
+      .send({ code: 'BATCH20' })
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
+  it('GET /api/referrals/me without auth should return 401', async () => {
+    const res = await request(app)
+      .get('/api/referrals/me')
+      .expect(401);
+
+    expect(res.body.error).toBe('unauthorized');
+  });
+
   it('POST /api/login without credentials should return 400', async () => {
     const res = await request(app)
       .post('/api/login')
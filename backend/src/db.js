@@ -42,4 +42,28 @@ export function query(text, params) {
   })
 }
 
-export default { query }
\ No newline at end of file
+/**
+ * Run fn(client) inside BEGIN/COMMIT on one pooled connection, rolling back if it throws
+ * @param {(client: import('pg').PoolClient) => Promise<T>} fn
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withTransaction(fn) {
+  if (!getDbUrl()) {
+    throw new Error('DATABASE_URL not configured')
+  }
+  const client = await getPool().connect()
+  try {
+    await client.query('BEGIN')
+    const result = await fn(client)
+    await client.query('COMMIT')
+    return result
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {})
+    throw err
+  } finally {
+    client.release()
+  }
+}
+
+export default { query, withTransaction }
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { computePercent, computeRequired, computeCanMiss, resolveThreshold } from './attendanceRules.js'
+
+// "What-if" projections for the bunk planner. Pure functions so the dashboard and
+// POST /api/attendance/simulate share one implementation of the math.
+
+// How many recent weeks of day-wise records define a subject's weekly timetable
+export const TIMETABLE_WINDOW_WEEKS = 8
+
+function weekKey(isoDate) {
+  const d = new Date(`${isoDate}T00:00:00Z`)
+  // Monday-based week start, so a Mon-Sat timetable falls in one bucket
+  const offset = (d.getUTCDay() + 6) % 7
+  d.setUTCDate(d.getUTCDate() - offset)
+  return d.toISOString().slice(0, 10)
+}
+
+// Throws on anything but a real YYYY-MM-DD: Date rolls 2025-02-31 over to March and gives NaN for
+// 2025-13-01, either of which would quietly skew the projection
+function weekdayOf(isoDate) {
+  const d = new Date(`${isoDate}T00:00:00Z`)
+  if (Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== isoDate) {
+    throw new RangeError(`Invalid date: ${isoDate}`)
+  }
+  return d.getUTCDay()
+}
+
+/**
+ * Infer each subject's typical number of sessions per weekday from day-wise records.
+ * @param {Array<{subject: string, date: string, count: number}>} dailyCounts - sessions per subject per YYYY-MM-DD
+ * @returns {Map<string, number[]>} subject -> expected sessions for Sunday..Saturday
+ */
+export function inferWeekdayPattern(dailyCounts) {
+  const weeks = new Set(dailyCounts.map(row => weekKey(row.date)))
+  const weekCount = Math.max(1, weeks.size)
+  const totals = new Map()
+  for (const row of dailyCounts) {
+    if (!totals.has(row.subject)) totals.set(row.subject, [0, 0, 0, 0, 0, 0, 0])
+    totals.get(row.subject)[weekdayOf(row.date)] += row.count
+  }
+  const pattern = new Map()
+  for (const [subject, perDay] of totals) {
+    pattern.set(subject, perDay.map(total => Math.round(total / weekCount)))
+  }
+  return pattern
+}
+
+/**
+ * Project attendance after planned attends/skips.
+ * @param {Array<{subject: string, present: number, total: number}>} rows - current attendance
+ * @param {Object} plan
+ * @param {Array<{subject: string, attend?: number, skip?: number}>} plan.plans - per-subject upcoming sessions
+ * @param {string[]} plan.skipDates - YYYY-MM-DD dates on which every class is skipped
+ * @param {Map<string, number[]>} plan.weekdayPattern - from inferWeekdayPattern
+ * @throws {RangeError} when a skip date isn't a real YYYY-MM-DD date
+ */
+export function simulateAttendance(rows, { plans = [], skipDates = [], weekdayPattern = new Map() } = {}) {
+  const bySubject = new Map(plans.map(p => [p.subject, p]))
+  const known = new Set(rows.map(r => r.subject))
+  const unknownSubjects = plans.map(p => p.subject).filter(s => !known.has(s))
+  const uniqueDates = [...new Set(skipDates)]
+  uniqueDates.forEach(weekdayOf)
+
+  const subjects = rows.map(row => {
+    const present = row.present ?? 0
+    const total = row.total ?? 0
+    const { category, threshold } = resolveThreshold(row.subject)
+    const planned = bySubject.get(row.subject) || {}
+    const attend = planned.attend || 0
+    const skip = planned.skip || 0
+    const perWeekday = weekdayPattern.get(row.subject)
+    const skippedOnDates = perWeekday
+      ? uniqueDates.reduce((sum, date) => sum + perWeekday[weekdayOf(date)], 0)
+      : 0
+
+    const projectedPresent = present + attend
+    const projectedTotal = total + attend + skip + skippedOnDates
+    const projectedPercent = computePercent(projectedPresent, projectedTotal)
+
+    return {
+      subject: row.subject,
+      category,
+      threshold,
+      current: {
+        present,
+        total,
+        percent: computePercent(present, total)
+      },
+      planned: { attend, skip, skippedOnDates },
+      projected: {
+        present: projectedPresent,
+        total: projectedTotal,
+        percent: projectedPercent,
+        required: computeRequired(projectedPresent, projectedTotal, threshold),
+        margin: computeCanMiss(projectedPresent, projectedTotal, threshold)
+      },
+      belowThreshold: projectedTotal > 0 && projectedPercent < threshold
+    }
+  })
+
+  return { subjects, skipDates: uniqueDates, unknownSubjects }
+}
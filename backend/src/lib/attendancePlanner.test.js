@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { inferWeekdayPattern, simulateAttendance } from './attendancePlanner.js';
+
+describe('attendance planner', () => {
+  it('infers sessions per weekday across recorded weeks', () => {
+    // 2024-11-11 and 2024-11-18 are Mondays, 2024-11-13 a Wednesday
+    const pattern = inferWeekdayPattern([
+      { subject: 'Anatomy', date: '2024-11-11', count: 2 },
+      { subject: 'Anatomy', date: '2024-11-18', count: 2 },
+      { subject: 'Anatomy', date: '2024-11-13', count: 1 },
+      { subject: 'Anatomy', date: '2024-11-20', count: 1 }
+    ]);
+    expect(pattern.get('Anatomy')).toEqual([0, 2, 0, 1, 0, 0, 0]);
+  });
+
+  it('projects percent from planned attends, skips and skip dates', () => {
+    const weekdayPattern = new Map([['Anatomy', [0, 2, 0, 1, 0, 0, 0]]]);
+    const result = simulateAttendance(
+      [
+        { subject: 'Anatomy', present: 30, total: 40 },
+        { subject: 'Physiology Practical', present: 16, total: 20 }
+      ],
+      {
+        plans: [{ subject: 'Physiology Practical', skip: 2 }, { subject: 'Biochemistry', attend: 1 }],
+        skipDates: ['2024-11-25', '2024-11-25'],
+        weekdayPattern
+      }
+    );
+
+    const [anatomy, physiology] = result.subjects;
+    expect(anatomy.planned).toEqual({ attend: 0, skip: 0, skippedOnDates: 2 });
+    expect(anatomy.projected).toMatchObject({ present: 30, total: 42, percent: 71.43, required: 6 });
+    expect(anatomy.belowThreshold).toBe(true);
+    expect(physiology.threshold).toBe(80);
+    expect(physiology.projected).toMatchObject({ present: 16, total: 22, percent: 72.73 });
+    expect(physiology.belowThreshold).toBe(true);
+    expect(result.skipDates).toEqual(['2024-11-25']);
+    expect(result.unknownSubjects).toEqual(['Biochemistry']);
+  });
+
+  it('rejects skip dates that do not exist', () => {
+    const rows = [{ subject: 'Anatomy', present: 30, total: 40 }];
+    const weekdayPattern = new Map([['Anatomy', [0, 2, 0, 1, 0, 0, 0]]]);
+    expect(() => simulateAttendance(rows, { skipDates: ['2025-02-31'], weekdayPattern })).toThrow(RangeError);
+    expect(() => simulateAttendance(rows, { skipDates: ['2025-13-01'], weekdayPattern })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,112 @@
+import fs from 'fs'
+import logger from '../../lib/logger.js'
+
+// Minimum attendance per subject category. Rules are matched in order against the
+// subject name (case-insensitive regex); the first match wins, otherwise the default applies.
+//
+// Override with ATTENDANCE_RULES (JSON) or ATTENDANCE_RULES_FILE (path to a JSON file):
+//   { "defaultThreshold": 75, "rules": [{ "category": "practical", "pattern": "practical|lab", "threshold": 80 }] }
+// A bare array is treated as the rules list. Subject-specific exceptions are just rules
+// with a narrower pattern placed before the category rules.
+
+const DEFAULT_CONFIG = {
+  defaultThreshold: 75,
+  rules: [
+    { category: 'clinical', pattern: 'clinic|posting', threshold: 80 },
+    { category: 'practical', pattern: 'practical|\\blab\\b', threshold: 80 },
+    { category: 'theory', pattern: 'theory', threshold: 75 }
+  ]
+}
+
+let cachedConfig = null
+
+function readConfigSource() {
+  if (process.env.ATTENDANCE_RULES) return process.env.ATTENDANCE_RULES
+  if (process.env.ATTENDANCE_RULES_FILE) return fs.readFileSync(process.env.ATTENDANCE_RULES_FILE, 'utf8')
+  return null
+}
+
+function isValidThreshold(value) {
+  return typeof value === 'number' && value > 0 && value < 100
+}
+
+function compileConfig(raw) {
+  const config = Array.isArray(raw) ? { rules: raw } : (raw || {})
+  const defaultThreshold = isValidThreshold(config.defaultThreshold)
+    ? config.defaultThreshold
+    : DEFAULT_CONFIG.defaultThreshold
+  const rules = (config.rules || DEFAULT_CONFIG.rules)
+    .filter(rule => rule && rule.pattern && isValidThreshold(rule.threshold))
+    .map(rule => ({
+      category: rule.category || 'custom',
+      threshold: rule.threshold,
+      regex: new RegExp(rule.pattern, 'i')
+    }))
+  return { defaultThreshold, rules }
+}
+
+export function getAttendanceRules() {
+  if (cachedConfig) return cachedConfig
+  try {
+    const source = readConfigSource()
+    cachedConfig = compileConfig(source ? JSON.parse(source) : DEFAULT_CONFIG)
+  } catch (err) {
+    logger.error('[attendanceRules] Invalid attendance rules config, using defaults', { error: err.message })
+    cachedConfig = compileConfig(DEFAULT_CONFIG)
+  }
+  return cachedConfig
+}
+
+// Drop the cached config so the next lookup re-reads env/file (used by tests)
+export function resetAttendanceRules() {
+  cachedConfig = null
+}
+
+/**
+ * @param {string} subject - Subject name as shown by the LMS
+ * @returns {{category: string, threshold: number}}
+ */
+export function resolveThreshold(subject) {
+  const { defaultThreshold, rules } = getAttendanceRules()
+  const name = subject || ''
+  const rule = rules.find(r => r.regex.test(name))
+  return rule
+    ? { category: rule.category, threshold: rule.threshold }
+    : { category: 'default', threshold: defaultThreshold }
+}
+
+export function computePercent(present, total) {
+  if (total === 0) return 0
+  return +((present / total) * 100).toFixed(2)
+}
+
+// Minimum consecutive present sessions needed to reach the threshold
+export function computeRequired(present, total, threshold) {
+  if (total === 0) return 0
+  if ((present / total) * 100 >= threshold) return 0
+  return Math.max(0, Math.ceil((threshold * total - 100 * present) / (100 - threshold)))
+}
+
+// Sessions that can still be missed while staying at or above the threshold
+export function computeCanMiss(present, total, threshold) {
+  if (present < 0 || total <= 0) return 0
+  const allowed = Math.floor(present / (threshold / 100) - total)
+  return Math.max(0, allowed)
+}
+
+/**
+ * Attach threshold, category, required and margin to an attendance row
+ * ({ subject, present, total, ... }) using the configured rules.
+ */
+export function applyAttendanceRules(row) {
+  const present = row.present ?? 0
+  const total = row.total ?? 0
+  const { category, threshold } = resolveThreshold(row.subject)
+  return {
+    ...row,
+    category,
+    threshold,
+    required: computeRequired(present, total, threshold),
+    margin: computeCanMiss(present, total, threshold)
+  }
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  resolveThreshold,
+  resetAttendanceRules,
+  computeRequired,
+  computeCanMiss,
+  applyAttendanceRules
+} from './attendanceRules.js';
+
+describe('attendance rules', () => {
+  afterEach(() => {
+    delete process.env.ATTENDANCE_RULES;
+    resetAttendanceRules();
+  });
+
+  it('applies the built-in category thresholds', () => {
+    expect(resolveThreshold('Physiology Practical')).toEqual({ category: 'practical', threshold: 80 });
+    expect(resolveThreshold('General Medicine Clinical Posting')).toEqual({ category: 'clinical', threshold: 80 });
+    expect(resolveThreshold('Anatomy Theory')).toEqual({ category: 'theory', threshold: 75 });
+    expect(resolveThreshold('Biochemistry')).toEqual({ category: 'default', threshold: 75 });
+  });
+
+  it('reads rules and the default threshold from ATTENDANCE_RULES', () => {
+    process.env.ATTENDANCE_RULES = JSON.stringify({
+      defaultThreshold: 70,
+      rules: [{ category: 'community', pattern: '^community medicine', threshold: 85 }]
+    });
+    resetAttendanceRules();
+    expect(resolveThreshold('Community Medicine')).toEqual({ category: 'community', threshold: 85 });
+    expect(resolveThreshold('Physiology Practical')).toEqual({ category: 'default', threshold: 70 });
+  });
+
+  it('falls back to the defaults on invalid JSON', () => {
+    process.env.ATTENDANCE_RULES = '{not json';
+    resetAttendanceRules();
+    expect(resolveThreshold('Pharmacology Practical').threshold).toBe(80);
+  });
+
+  it('computes required and can-miss sessions for a threshold', () => {
+    expect(computeRequired(3, 5, 75)).toBe(3);
+    expect(computeRequired(3, 5, 80)).toBe(5);
+    expect(computeRequired(4, 5, 80)).toBe(0);
+    expect(computeCanMiss(8, 10, 75)).toBe(0);
+    expect(computeCanMiss(9, 10, 75)).toBe(2);
+    expect(computeCanMiss(9, 10, 80)).toBe(1);
+  });
+
+  it('attaches threshold fields to an attendance row', () => {
+    expect(applyAttendanceRules({ subject: 'Anatomy Practical', present: 7, total: 10, percent: 70 })).toEqual({
+      subject: 'Anatomy Practical',
+      present: 7,
+      total: 10,
+      percent: 70,
+      category: 'practical',
+      threshold: 80,
+      required: 5,
+      margin: 0
+    });
+  });
+});
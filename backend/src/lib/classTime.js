@@ -0,0 +1,127 @@
+import { toIsoDate } from './lmsClient.js'
+
+// Upcoming-class times from the LMS dashboard are free text in IST, e.g. "09:00 AM - 10:00 AM",
+// "Tomorrow 02:00 PM - 04:00 PM", "12-Nov-2024 10:00 to 11:30" or "Monday 2 PM".
+// parseClassTime turns them into real instants; text it can't read is reported, not guessed.
+
+export const IST_OFFSET_MINUTES = 5 * 60 + 30
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+// h, h:mm or h.mm with optional AM/PM
+const CLOCK = String.raw`(\d{1,2})(?:[:.](\d{2}))?\s*([ap]\.?\s?m\.?)?`
+const RANGE_RE = new RegExp(String.raw`(?:^|[^\d:.])${CLOCK}\s*(?:-|–|—|to)\s*${CLOCK}(?![\d:])`, 'i')
+const SINGLE_RE = new RegExp(String.raw`(?:^|[^\d:.-])${CLOCK}(?![\d:-])`, 'i')
+
+// Calendar date (in IST) of an instant, as UTC-midnight Date for day arithmetic
+function istDay(now) {
+  const shifted = new Date(now.getTime() + IST_OFFSET_MINUTES * 60 * 1000)
+  return Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate())
+}
+
+function parseDay(text, now) {
+  const lower = text.toLowerCase()
+  const today = istDay(now)
+  if (/\btoday\b/.test(lower)) return today
+  if (/\btomorrow\b/.test(lower)) return today + DAY_MS
+  if (/\byesterday\b/.test(lower)) return today - DAY_MS
+
+  const iso = toIsoDate(text)
+  if (iso) {
+    const [y, m, d] = iso.split('-').map(Number)
+    const day = Date.UTC(y, m - 1, d)
+    const check = new Date(day)
+    // toIsoDate doesn't range-check, so reject roll-overs like 31-02
+    if (check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) return undefined
+    return day
+  }
+
+  // A weekday name means its next occurrence, today included
+  const weekday = WEEKDAYS.findIndex(name => new RegExp(String.raw`\b${name.slice(0, 3)}(?:${name.slice(3)})?\b`).test(lower))
+  if (weekday >= 0) {
+    const todayIndex = new Date(today).getUTCDay()
+    return today + ((weekday - todayIndex + 7) % 7) * DAY_MS
+  }
+
+  return null
+}
+
+// Minutes after midnight, or undefined when out of range
+function toMinutes(hourText, minuteText, meridiem) {
+  let hour = Number(hourText)
+  const minute = minuteText ? Number(minuteText) : 0
+  if (minute > 59) return undefined
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return undefined
+    const pm = meridiem.toLowerCase().startsWith('p')
+    hour = (hour % 12) + (pm ? 12 : 0)
+  } else if (hour > 23) {
+    return undefined
+  }
+  return hour * 60 + minute
+}
+
+function parseRange(match) {
+  const [, startHour, startMinute, startMeridiem, endHour, endMinute, endMeridiem] = match
+  let start = toMinutes(startHour, startMinute, startMeridiem)
+  const end = toMinutes(endHour, endMinute, endMeridiem)
+  // "10:00 - 11:30 AM" / "11 - 1 PM": the start shares the end's AM/PM unless that puts it after the end
+  if (!startMeridiem && endMeridiem && Number(startHour) >= 1 && Number(startHour) <= 12) {
+    start = toMinutes(startHour, startMinute, endMeridiem)
+    if (start !== undefined && start > end) {
+      start = toMinutes(startHour, startMinute, endMeridiem.toLowerCase().startsWith('p') ? 'am' : 'pm')
+    }
+  }
+  if (start === undefined || end === undefined) return null
+  return { start, end }
+}
+
+function toInstant(day, minutes) {
+  return new Date(day + (minutes - IST_OFFSET_MINUTES) * 60 * 1000)
+}
+
+/**
+ * Parse an LMS class time into start/end instants
+ * @param {string} text - raw time text from the dashboard
+ * @param {Date} [now] - reference for "Today"/"Tomorrow" and entries without a date (the scrape time)
+ * @returns {{start: Date|null, end: Date|null, parsed: boolean}} end is null for a bare start time;
+ *   parsed is false (start and end null) when no date/time could be read
+ */
+export function parseClassTime(text, now = new Date()) {
+  const unparsed = { start: null, end: null, parsed: false }
+  const value = typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : ''
+  if (!value) return unparsed
+
+  const day = parseDay(value, now)
+  if (day === undefined) return unparsed
+  const baseDay = day ?? istDay(now)
+
+  // Drop the date so its digits aren't read as a time
+  const timeText = value
+    .replace(/\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{4}|\d{1,2}[\s-]+[A-Za-z]{3}[A-Za-z]*[\s,-]+\d{4}/, ' ')
+
+  const rangeMatch = timeText.match(RANGE_RE)
+  if (rangeMatch) {
+    const range = parseRange(rangeMatch)
+    if (!range) return unparsed
+    const start = toInstant(baseDay, range.start)
+    // A range that ends before it starts runs past midnight
+    const end = toInstant(range.end > range.start ? baseDay : baseDay + DAY_MS, range.end)
+    return { start, end, parsed: true }
+  }
+
+  const singleMatch = timeText.match(SINGLE_RE)
+  // A bare number ("Room 12") is not a time: require minutes or AM/PM
+  if (singleMatch && (singleMatch[2] || singleMatch[3])) {
+    const minutes = toMinutes(singleMatch[1], singleMatch[2], singleMatch[3])
+    if (minutes === undefined) return unparsed
+    return { start: toInstant(baseDay, minutes), end: null, parsed: true }
+  }
+
+  return unparsed
+}
+
+export default {
+  parseClassTime
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { parseClassTime } from './classTime.js';
+
+// Saturday 15 March 2025, 10:00 IST
+const now = new Date('2025-03-15T04:30:00Z');
+
+function iso(result) {
+  return { start: result.start?.toISOString() ?? null, end: result.end?.toISOString() ?? null, parsed: result.parsed };
+}
+
+describe('class time parsing', () => {
+  it('reads IST ranges on today, relative and explicit days', () => {
+    expect(iso(parseClassTime('09:00 AM - 10:00 AM', now)))
+      .toEqual({ start: '2025-03-15T03:30:00.000Z', end: '2025-03-15T04:30:00.000Z', parsed: true });
+    expect(iso(parseClassTime('Tomorrow 02:00 PM - 04:00 PM', now)))
+      .toEqual({ start: '2025-03-16T08:30:00.000Z', end: '2025-03-16T10:30:00.000Z', parsed: true });
+    expect(iso(parseClassTime('12-Nov-2024 10:00 to 11:30', now)))
+      .toEqual({ start: '2024-11-12T04:30:00.000Z', end: '2024-11-12T06:00:00.000Z', parsed: true });
+    expect(iso(parseClassTime('Monday 2 PM', now)))
+      .toEqual({ start: '2025-03-17T08:30:00.000Z', end: null, parsed: true });
+  });
+
+  it('shares AM/PM across a range and handles ranges past midnight', () => {
+    expect(iso(parseClassTime('11 - 1 PM', now)))
+      .toEqual({ start: '2025-03-15T05:30:00.000Z', end: '2025-03-15T07:30:00.000Z', parsed: true });
+    expect(iso(parseClassTime('11:00 PM - 1:00 AM', now)))
+      .toEqual({ start: '2025-03-15T17:30:00.000Z', end: '2025-03-15T19:30:00.000Z', parsed: true });
+  });
+
+  it('takes "today" from the IST calendar, not UTC', () => {
+    const lateUtc = new Date('2025-03-15T20:00:00Z'); // 01:30 on the 16th in IST
+    expect(parseClassTime('Today 09:00 AM - 10:00 AM', lateUtc).start.toISOString()).toBe('2025-03-16T03:30:00.000Z');
+  });
+
+  it('flags text it cannot read instead of guessing', () => {
+    for (const text of ['', 'TBA', 'Room 12', '25:00 - 26:00', '31-02-2025 10:00 AM', null]) {
+      expect(parseClassTime(text, now)).toEqual({ start: null, end: null, parsed: false });
+    }
+  });
+});
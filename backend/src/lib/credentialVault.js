@@ -0,0 +1,130 @@
+import crypto from 'crypto'
+
+// AES-256-GCM encryption for stored LMS passwords.
+//
+// CREDENTIAL_VAULT_KEYS holds one or more comma-separated `keyId:base64key` entries
+// (32-byte keys, e.g. `openssl rand -base64 32`). The first entry encrypts new secrets;
+// the rest are kept only to decrypt rows written before a rotation. After adding a new
+// key at the front, run `npm run vault:rotate` to re-encrypt everything and drop the old key.
+//
+// Every secret gets a fresh 12-byte nonce, and the owner's student_id is bound in as
+// additional authenticated data so a ciphertext cannot be replayed against another user.
+//
+// Short-lived secrets (the password riding on a queued scrape job) use sealTransient /
+// openTransient: the active vault key when one is configured, otherwise a key derived from
+// the JWT secret so every instance sharing that secret can open them.
+
+const ALGORITHM = 'aes-256-gcm'
+const NONCE_BYTES = 12
+const TRANSIENT_KEY_ID = 'jwt-derived'
+
+export class VaultError extends Error {
+  constructor(message, code = 'vault_error') {
+    super(message)
+    this.name = 'VaultError'
+    this.code = code
+  }
+}
+
+function parseKeys(raw) {
+  const keys = []
+  for (const entry of (raw || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const sep = entry.indexOf(':')
+    if (sep <= 0) throw new VaultError('CREDENTIAL_VAULT_KEYS entries must look like keyId:base64key', 'vault_misconfigured')
+    const id = entry.slice(0, sep)
+    const key = Buffer.from(entry.slice(sep + 1), 'base64')
+    if (key.length !== 32) throw new VaultError(`Vault key "${id}" must be 32 bytes`, 'vault_misconfigured')
+    keys.push({ id, key })
+  }
+  return keys
+}
+
+// Keys are read on each call so rotation only needs an env change and restart
+function getKeys() {
+  return parseKeys(process.env.CREDENTIAL_VAULT_KEYS)
+}
+
+export function isVaultConfigured() {
+  try {
+    return getKeys().length > 0
+  } catch {
+    return false
+  }
+}
+
+export function getActiveKeyId() {
+  const [active] = getKeys()
+  return active ? active.id : null
+}
+
+function encryptWith({ id, key }, plaintext, aad) {
+  const nonce = crypto.randomBytes(NONCE_BYTES)
+  const cipher = crypto.createCipheriv(ALGORITHM, key, nonce)
+  cipher.setAAD(Buffer.from(String(aad), 'utf8'))
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()])
+  return {
+    keyId: id,
+    nonce: nonce.toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64')
+  }
+}
+
+function decryptWith(key, { nonce, ciphertext, authTag }, aad) {
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(nonce, 'base64'))
+    decipher.setAAD(Buffer.from(String(aad), 'utf8'))
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'))
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8')
+  } catch {
+    throw new VaultError('Stored credentials could not be decrypted', 'vault_decrypt_failed')
+  }
+}
+
+function getTransientKey() {
+  const secret = process.env.JWT_SECRET || process.env.SECRET || 'dev-secret-for-local'
+  const key = crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'scrape-job-secret', 32)
+  return { id: TRANSIENT_KEY_ID, key: Buffer.from(key) }
+}
+
+/**
+ * @param {string} plaintext - Secret to encrypt
+ * @param {string} aad - Owner identifier bound to the ciphertext (student_id)
+ * @returns {{keyId: string, nonce: string, ciphertext: string, authTag: string}} base64 fields
+ */
+export function encryptSecret(plaintext, aad) {
+  const [active] = getKeys()
+  if (!active) throw new VaultError('Credential vault is not configured', 'vault_not_configured')
+  return encryptWith(active, plaintext, aad)
+}
+
+/**
+ * @param {{keyId: string, nonce: string, ciphertext: string, authTag: string}} record
+ * @param {string} aad - Must match the value used at encryption
+ * @returns {string} plaintext
+ */
+export function decryptSecret(record, aad) {
+  const entry = getKeys().find(k => k.id === record.keyId)
+  if (!entry) throw new VaultError(`Vault key "${record.keyId}" is not configured`, 'vault_key_missing')
+  return decryptWith(entry.key, record, aad)
+}
+
+/**
+ * Encrypt a short-lived secret; works whether or not the vault is configured
+ */
+export function sealTransient(plaintext, aad) {
+  return isVaultConfigured() ? encryptSecret(plaintext, aad) : encryptWith(getTransientKey(), plaintext, aad)
+}
+
+export function openTransient(record, aad) {
+  return record.keyId === TRANSIENT_KEY_ID ? decryptWith(getTransientKey().key, record, aad) : decryptSecret(record, aad)
+}
+
+export default {
+  isVaultConfigured,
+  getActiveKeyId,
+  encryptSecret,
+  decryptSecret,
+  sealTransient,
+  openTransient
+}
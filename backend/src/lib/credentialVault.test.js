@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import { describe, it, expect, afterEach } from 'vitest';
+import { encryptSecret, decryptSecret, isVaultConfigured, getActiveKeyId, sealTransient, openTransient } from './credentialVault.js';
+
+const key1 = crypto.randomBytes(32).toString('base64');
+const key2 = crypto.randomBytes(32).toString('base64');
+
+describe('credential vault', () => {
+  afterEach(() => {
+    delete process.env.CREDENTIAL_VAULT_KEYS;
+  });
+
+  it('is disabled without keys', () => {
+    expect(isVaultConfigured()).toBe(false);
+    expect(() => encryptSecret('pw', 'S1')).toThrow(/not configured/);
+  });
+
+  it('round-trips a secret with a fresh nonce each time', () => {
+    process.env.CREDENTIAL_VAULT_KEYS = `k1:${key1}`;
+    const a = encryptSecret('hunter2', 'S1');
+    const b = encryptSecret('hunter2', 'S1');
+    expect(a.keyId).toBe('k1');
+    expect(a.nonce).not.toBe(b.nonce);
+    expect(a.ciphertext).not.toContain('hunter2');
+    expect(decryptSecret(a, 'S1')).toBe('hunter2');
+  });
+
+  it('refuses to decrypt for a different student or a tampered ciphertext', () => {
+    process.env.CREDENTIAL_VAULT_KEYS = `k1:${key1}`;
+    const sealed = encryptSecret('hunter2', 'S1');
+    expect(() => decryptSecret(sealed, 'S2')).toThrow(/could not be decrypted/);
+    const tampered = { ...sealed, ciphertext: Buffer.from('x' + sealed.ciphertext).toString('base64') };
+    expect(() => decryptSecret(tampered, 'S1')).toThrow(/could not be decrypted/);
+  });
+
+  it('encrypts with the first key and still decrypts with older ones', () => {
+    process.env.CREDENTIAL_VAULT_KEYS = `k1:${key1}`;
+    const old = encryptSecret('hunter2', 'S1');
+    process.env.CREDENTIAL_VAULT_KEYS = `k2:${key2},k1:${key1}`;
+    expect(getActiveKeyId()).toBe('k2');
+    expect(decryptSecret(old, 'S1')).toBe('hunter2');
+    expect(encryptSecret('hunter2', 'S1').keyId).toBe('k2');
+    process.env.CREDENTIAL_VAULT_KEYS = `k2:${key2}`;
+    expect(() => decryptSecret(old, 'S1')).toThrow(/not configured/);
+  });
+
+  it('rejects keys that are not 32 bytes', () => {
+    process.env.CREDENTIAL_VAULT_KEYS = 'short:' + Buffer.from('abc').toString('base64');
+    expect(isVaultConfigured()).toBe(false);
+  });
+
+  it('seals transient secrets with or without vault keys', () => {
+    const derived = sealTransient('hunter2', 'S1');
+    expect(derived.keyId).toBe('jwt-derived');
+    expect(openTransient(derived, 'S1')).toBe('hunter2');
+    expect(() => openTransient(derived, 'S2')).toThrow(/could not be decrypted/);
+
+    process.env.CREDENTIAL_VAULT_KEYS = `k1:${key1}`;
+    const vaulted = sealTransient('hunter2', 'S1');
+    expect(vaulted.keyId).toBe('k1');
+    expect(openTransient(vaulted, 'S1')).toBe('hunter2');
+  });
+});
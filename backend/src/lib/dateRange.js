@@ -0,0 +1,70 @@
+import { defaultDateRange, formatLmsDate } from './lmsClient.js'
+
+// Academic date range for scrapes. Ranges are stored per user (users.lms_from_date /
+// lms_to_date) as LMS-style DD-MM-YYYY strings; a NULL end means "up to today" so a
+// saved range keeps following the calendar instead of freezing on the day it was set.
+
+export class DateRangeError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'DateRangeError'
+    this.code = 'invalid_date_range'
+  }
+}
+
+// DD-MM-YYYY or YYYY-MM-DD to a local Date, null when empty, undefined when invalid
+export function parseRangeDate(value) {
+  if (value === null || value === undefined) return null
+  if (typeof value !== 'string') return undefined
+  const text = value.trim()
+  if (!text) return null
+  let year, month, day
+  let m = text.match(/^(\d{2})-(\d{2})-(\d{4})$/)
+  if (m) {
+    [day, month, year] = [Number(m[1]), Number(m[2]), Number(m[3])]
+  } else {
+    m = text.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+    if (!m) return undefined
+    ;[year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])]
+  }
+  const date = new Date(year, month - 1, day)
+  // Reject roll-overs like 31-02-2025
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return undefined
+  return date
+}
+
+/**
+ * Validate a requested range and convert it to the stored form
+ * @param {{fromDate?: string|null, toDate?: string|null}} range - DD-MM-YYYY or YYYY-MM-DD; empty means default
+ * @returns {{fromDate: string|null, toDate: string|null}} DD-MM-YYYY, toDate null when it is today or open-ended
+ * @throws {DateRangeError}
+ */
+export function normalizeDateRange({ fromDate, toDate } = {}, now = new Date()) {
+  const from = parseRangeDate(fromDate)
+  const to = parseRangeDate(toDate)
+  if (from === undefined) throw new DateRangeError('fromDate must be DD-MM-YYYY')
+  if (to === undefined) throw new DateRangeError('toDate must be DD-MM-YYYY')
+
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+  if (from && from > today) throw new DateRangeError('fromDate cannot be in the future')
+  if (from && to && from > to) throw new DateRangeError('fromDate must be on or before toDate')
+
+  return {
+    fromDate: from ? formatLmsDate(from) : null,
+    toDate: to && to < today ? formatLmsDate(to) : null
+  }
+}
+
+/**
+ * Concrete range for a scrape, filling the defaults (DEFAULT_FROM_DATE .. today)
+ * @returns {{fromDate: string, toDate: string}}
+ */
+export function resolveDateRange({ fromDate, toDate } = {}, now = new Date()) {
+  const defaults = defaultDateRange(now)
+  return { fromDate: fromDate || defaults.fromDate, toDate: toDate || defaults.toDate }
+}
+
+export default {
+  normalizeDateRange,
+  resolveDateRange
+}
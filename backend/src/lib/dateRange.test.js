@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeDateRange, resolveDateRange } from './dateRange.js';
+
+const now = new Date(2025, 2, 15, 10, 30);
+
+describe('date ranges', () => {
+  it('accepts DD-MM-YYYY and YYYY-MM-DD and stores an open end for today', () => {
+    expect(normalizeDateRange({ fromDate: '01-08-2024', toDate: '2025-03-15' }, now))
+      .toEqual({ fromDate: '01-08-2024', toDate: null });
+    expect(normalizeDateRange({ fromDate: '2024-08-01', toDate: '31-12-2024' }, now))
+      .toEqual({ fromDate: '01-08-2024', toDate: '31-12-2024' });
+    expect(normalizeDateRange({}, now)).toEqual({ fromDate: null, toDate: null });
+  });
+
+  it('rejects malformed, impossible and inverted ranges', () => {
+    expect(() => normalizeDateRange({ fromDate: '1/8/2024' }, now)).toThrow(/DD-MM-YYYY/);
+    expect(() => normalizeDateRange({ fromDate: '31-02-2025' }, now)).toThrow(/DD-MM-YYYY/);
+    expect(() => normalizeDateRange({ fromDate: '01-04-2025' }, now)).toThrow(/future/);
+    expect(() => normalizeDateRange({ fromDate: '01-02-2025', toDate: '01-01-2025' }, now)).toThrow(/on or before/);
+  });
+
+  it('fills defaults for a scrape', () => {
+    expect(resolveDateRange({}, now)).toEqual({ fromDate: '11-11-2024', toDate: '15-03-2025' });
+    expect(resolveDateRange({ fromDate: '01-08-2024', toDate: '31-12-2024' }, now))
+      .toEqual({ fromDate: '01-08-2024', toDate: '31-12-2024' });
+  });
+});
@@ -0,0 +1,93 @@
+import crypto from 'crypto'
+
+// Minimal RFC 5545 writer for the upcoming-classes calendar feed (routes/calendar.js).
+// Times are written in UTC so no VTIMEZONE block is needed; calendar apps show them in local time.
+
+const PRODID = '-//SBMCH Attendance//Upcoming Classes//EN'
+const UID_DOMAIN = 'sbmch-attendance'
+const DEFAULT_DURATION_MS = 60 * 60 * 1000
+
+// 20250315T043000Z
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z')
+}
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+// Lines longer than 75 octets continue on the next line after a single space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8')
+  if (bytes.length <= 75) return line
+  const parts = []
+  let current = ''
+  let currentBytes = 0
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8')
+    const limit = parts.length ? 74 : 75
+    if (currentBytes + size > limit) {
+      parts.push(current)
+      current = ''
+      currentBytes = 0
+    }
+    current += char
+    currentBytes += size
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+/**
+ * UID that stays the same when a class is re-scraped (rows are replaced on every scrape)
+ */
+export function classEventUid(username, title, start) {
+  const hash = crypto.createHash('sha1').update(`${username}|${title}|${start.toISOString()}`).digest('hex')
+  return `${hash}@${UID_DOMAIN}`
+}
+
+/**
+ * Build a VCALENDAR document
+ * @param {object} calendar
+ * @param {string} calendar.name - X-WR-CALNAME shown by calendar apps
+ * @param {Array<{uid: string, start: Date, end?: Date|null, summary: string, location?: string, description?: string}>} calendar.events
+ * @param {Date} [calendar.now] - DTSTAMP
+ * @returns {string} CRLF-separated iCalendar text
+ */
+export function buildCalendar({ name, events, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-PUBLISHED-TTL:PT6H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H'
+  ]
+  for (const event of events) {
+    const end = event.end && event.end > event.start ? event.end : new Date(event.start.getTime() + DEFAULT_DURATION_MS)
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtc(now)}`,
+      `DTSTART:${formatUtc(event.start)}`,
+      `DTEND:${formatUtc(end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    )
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`)
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`)
+    lines.push('END:VEVENT')
+  }
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+export default {
+  buildCalendar,
+  classEventUid
+}
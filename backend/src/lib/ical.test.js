@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { buildCalendar, classEventUid } from './ical.js';
+
+const start = new Date('2025-03-16T08:30:00Z');
+
+describe('iCalendar feed', () => {
+  it('writes one VEVENT per class in UTC with escaped text', () => {
+    const ics = buildCalendar({
+      name: 'SBMCH classes',
+      now: new Date('2025-03-15T04:30:00Z'),
+      events: [
+        { uid: 'a@x', start, end: new Date('2025-03-16T10:30:00Z'), summary: 'Physiology, Practical', location: 'Lab; Block B', description: 'Dr. R Iyer' },
+        { uid: 'b@x', start, summary: 'Anatomy' }
+      ]
+    });
+    const lines = ics.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines).toContain('DTSTART:20250316T083000Z');
+    expect(lines).toContain('DTEND:20250316T103000Z');
+    expect(lines).toContain('DTEND:20250316T093000Z'); // no end: one hour
+    expect(lines).toContain('SUMMARY:Physiology\\, Practical');
+    expect(lines).toContain('LOCATION:Lab\\; Block B');
+  });
+
+  it('folds long lines at 75 octets', () => {
+    const ics = buildCalendar({ name: 'x', events: [{ uid: 'a@x', start, summary: 'A'.repeat(200) }] });
+    for (const line of ics.split('\r\n')) expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    expect(ics).toContain('\r\n A');
+  });
+
+  it('keeps UIDs stable across re-scrapes of the same class', () => {
+    expect(classEventUid('S1', 'Anatomy', start)).toBe(classEventUid('S1', 'Anatomy', new Date(start)));
+    expect(classEventUid('S1', 'Anatomy', start)).not.toBe(classEventUid('S2', 'Anatomy', start));
+  });
+});
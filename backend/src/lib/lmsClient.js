@@ -1 +1,489 @@
+import fetch from 'node-fetch'
+import { CookieJar } from 'tough-cookie'
+import fetchCookie from 'fetch-cookie'
+import * as cheerio from 'cheerio'
+import logger from '../../lib/logger.js'
 
+// Single place that knows how to talk to sbmchlms.com. Both the legacy /api/login
+// route and scraperService go through LmsClient, so a markup change only needs one fix.
+
+const DEFAULT_LMS_BASE = 'https://sbmchlms.com/lms'
+
+// LMS_BASE points the client at another portal, e.g. the offline mock in backend/tools/mockLms
+export function resolveLmsBase() {
+  return process.env.LMS_BASE || DEFAULT_LMS_BASE
+}
+
+const DEFAULT_FROM_DATE = '11-11-2024'
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0 Safari/537.36',
+  Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Cache-Control': 'no-cache'
+}
+
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT']
+
+export class LmsError extends Error {
+  constructor(message, { code = 'lms_error', cause } = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+    if (cause) this.cause = cause
+  }
+}
+
+// The LMS rejected the username/password
+export class LmsAuthError extends LmsError {
+  constructor(message = 'Login failed: the LMS rejected the credentials.', options = {}) {
+    super(message, { code: 'lms_auth_failed', ...options })
+  }
+}
+
+// Host unreachable, timed out or answering with 5xx
+export class LmsUnavailableError extends LmsError {
+  constructor(message = 'The LMS is currently unavailable.', options = {}) {
+    super(message, { code: 'lms_unavailable', ...options })
+  }
+}
+
+// A page no longer has the structure the parsers expect
+export class LmsLayoutChangedError extends LmsError {
+  constructor(message = 'The LMS returned a page in an unexpected format.', options = {}) {
+    super(message, { code: 'lms_layout_changed', ...options })
+  }
+}
+
+// The cookie session was dropped by the LMS; LmsClient re-logs in once before surfacing this
+export class LmsSessionExpiredError extends LmsError {
+  constructor(message = 'The LMS session has expired.', options = {}) {
+    super(message, { code: 'lms_session_expired', ...options })
+  }
+}
+
+export function cleanText(value) {
+  return (value || '').replace(/\s+/g, ' ').trim()
+}
+
+function withDefaultHeaders(headers = {}) {
+  return { ...DEFAULT_HEADERS, ...headers }
+}
+
+function looksLikeLoginPage(html) {
+  return /Student Login/i.test(html) && /Username/i.test(html)
+}
+
+// LMS date inputs are DD-MM-YYYY
+export function formatLmsDate(date) {
+  const pad = n => String(n).padStart(2, '0')
+  return `${pad(date.getDate())}-${pad(date.getMonth() + 1)}-${date.getFullYear()}`
+}
+
+export function defaultDateRange(now = new Date()) {
+  return { fromDate: DEFAULT_FROM_DATE, toDate: formatLmsDate(now) }
+}
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 }
+
+// Normalise the LMS date formats (DD-MM-YYYY, DD/MM/YYYY, YYYY-MM-DD, 12-Nov-2024, 12 Nov 2024) to YYYY-MM-DD
+export function toIsoDate(value) {
+  const text = cleanText(value)
+  const pad = n => String(n).padStart(2, '0')
+  let m = text.match(/(\d{4})-(\d{1,2})-(\d{1,2})/)
+  if (m) return `${m[1]}-${pad(m[2])}-${pad(m[3])}`
+  m = text.match(/(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/)
+  if (m) return `${m[3]}-${pad(m[2])}-${pad(m[1])}`
+  m = text.match(/(\d{1,2})[\s-]+([A-Za-z]{3})[A-Za-z]*[\s,-]+(\d{4})/)
+  if (m && MONTHS[m[2].toLowerCase()]) return `${m[3]}-${pad(MONTHS[m[2].toLowerCase()])}-${pad(m[1])}`
+  return null
+}
+
+function normaliseSessionStatus(value) {
+  const text = cleanText(value).toLowerCase()
+  if (!text) return null
+  if (/^p$|present/.test(text)) return 'present'
+  if (/^a$|absent/.test(text)) return 'absent'
+  return text
+}
+
+export function parseUpcomingClasses($) {
+  const upcoming = []
+  $('.user-progress .lecture-list').each((_, li) => {
+    const $li = $(li)
+    const avatar = cleanText($li.find('img').attr('src') || $li.find('img').attr('data-src') || '')
+    let title = cleanText($li.find('.media-title').first().text())
+    if (!title) {
+      title = cleanText($li.find('.bmedium').first().text())
+    }
+    const subtitle = cleanText($li.find('.text-muted').first().text())
+    const msAuto = $li.find('.ms-auto').first()
+    let location = ''
+    let time = ''
+    if (msAuto && msAuto.length) {
+      location = cleanText(msAuto.find('.bmedium').first().text())
+      if (!location) {
+        location = cleanText(msAuto.children().first().text())
+      }
+      time = cleanText(msAuto.find('.text-muted').first().text())
+      if (!time && msAuto.children().length > 1) {
+        time = cleanText(msAuto.children().eq(1).text())
+      }
+    }
+    upcoming.push({ title, subtitle, location, time, avatar })
+  })
+  return upcoming
+}
+
+export function parseDashboard(html, fallbackName = '') {
+  const $ = cheerio.load(html)
+  let studentName = cleanText($('h4.mt0').first().text().replace(/Welcome,/i, ''))
+  if (!studentName) {
+    studentName = fallbackName
+  }
+  const upcomingClasses = parseUpcomingClasses($)
+  return { studentName, upcomingClasses }
+}
+
+export function parseAttendanceRows(resultPage) {
+  if (!resultPage) return []
+  const $ = cheerio.load(resultPage)
+  const rows = []
+
+  const resultBox = $('.attendance_result')
+  const table = resultBox.length ? resultBox.find('table') : $('table')
+
+  if (!table.length) {
+    logger.warn('[lmsClient] No attendance table found in result page')
+    return []
+  }
+
+  table.find('tbody tr').each((_, tr) => {
+    const $tr = $(tr)
+    const tds = $tr.find('td')
+    if (tds.length < 3) return
+    const subject = cleanText($(tds[0]).text())
+    const percentText = cleanText($(tds[1]).text())
+    const presentText = cleanText($(tds[2]).text())
+    const percentMatch = percentText.match(/[\d.]+/)
+    const percentValue = percentMatch ? parseFloat(percentMatch[0]) : NaN
+    const ratioMatch = presentText.match(/(\d+)\s*\/\s*(\d+)/)
+    const sessionsCompleted = ratioMatch ? parseInt(ratioMatch[1], 10) : 0
+    const totalSessions = ratioMatch ? parseInt(ratioMatch[2], 10) : 0
+    const present = sessionsCompleted
+    const total = totalSessions
+    const absent = total >= present ? total - present : 0
+    const percent = !Number.isNaN(percentValue)
+      ? +percentValue.toFixed(2)
+      : (total ? +((present / total) * 100).toFixed(2) : 0)
+    rows.push({
+      subject,
+      sessionsCompleted,
+      totalSessions,
+      present,
+      total,
+      absent,
+      percent
+    })
+  })
+  return rows
+}
+
+// Subjects offered in the attendance page's subject <select>, used for per-subject day-wise queries
+export function parseSubjectOptions(html) {
+  if (!html) return []
+  const $ = cheerio.load(html)
+  const subjects = []
+  $('select[name="subject"] option').each((_, option) => {
+    const id = cleanText($(option).attr('value'))
+    const name = cleanText($(option).text())
+    if (!id || !name) return
+    subjects.push({ id, name })
+  })
+  return subjects
+}
+
+// Day-wise rows (date, period, present/absent) from a single-subject result page
+export function parseSessionRows(resultPage, subject) {
+  if (!resultPage) return []
+  const $ = cheerio.load(resultPage)
+  const resultBox = $('.attendance_result')
+  const table = resultBox.length ? resultBox.find('table').first() : $('table').first()
+  if (!table.length) return []
+
+  const headers = table.find('thead th').map((_, th) => cleanText($(th).text()).toLowerCase()).get()
+  const findColumn = (pattern) => headers.findIndex(h => pattern.test(h))
+  const dateCol = findColumn(/date|day/)
+  const periodCol = findColumn(/period|hour|time|session|slot/)
+  const statusCol = findColumn(/status|attendance|present|absent/)
+
+  const sessions = []
+  const perDateCount = {}
+  table.find('tbody tr').each((_, tr) => {
+    const cells = $(tr).find('td').map((__, td) => cleanText($(td).text())).get()
+    if (cells.length < 2) return
+    // Fall back to content sniffing when the table has no usable header row
+    const dateIdx = dateCol >= 0 ? dateCol : cells.findIndex(c => toIsoDate(c))
+    const statusIdx = statusCol >= 0 ? statusCol : cells.findIndex(c => /^(p|a)$|present|absent/i.test(c))
+    if (dateIdx < 0 || statusIdx < 0) return
+    const date = toIsoDate(cells[dateIdx])
+    const status = normaliseSessionStatus(cells[statusIdx])
+    if (!date || !status) return
+    perDateCount[date] = (perDateCount[date] || 0) + 1
+    const period = (periodCol >= 0 && cells[periodCol]) || `#${perDateCount[date]}`
+    sessions.push({ subject, date, period, status })
+  })
+  return sessions
+}
+
+/**
+ * Cookie-session client for the LMS student portal.
+ * Logs in lazily on first use, reuses the session for every later request and
+ * re-logs in once if the LMS drops the session mid-scrape.
+ */
+export class LmsClient {
+  constructor({ username, password, baseUrl = resolveLmsBase(), fetchImpl = fetch } = {}) {
+    this.username = username
+    this.password = password
+    this.baseUrl = baseUrl.replace(/\/+$/, '')
+    this.origin = new URL(this.baseUrl).origin
+    this.fetchImpl = fetchImpl
+    this.loggedIn = false
+    this.resetSession()
+  }
+
+  get urls() {
+    return {
+      login: `${this.baseUrl}/site/userlogin`,
+      dashboard: `${this.baseUrl}/user/user/dashboard`,
+      attendancePage: `${this.baseUrl}/user/attendence/subjectbyattendance`,
+      attendanceApi: `${this.baseUrl}/user/attendence/subjectgetdaysubattendence`
+    }
+  }
+
+  resetSession() {
+    const jar = new CookieJar()
+    this.fetchWithCookies = fetchCookie(this.fetchImpl, jar)
+    this.loggedIn = false
+  }
+
+  async request(url, options = {}) {
+    const headers = withDefaultHeaders(options.headers)
+    let response
+    try {
+      response = await this.fetchWithCookies(url, { ...options, headers })
+    } catch (err) {
+      if (NETWORK_ERROR_CODES.includes(err.code) || err.type === 'request-timeout') {
+        logger.error('[lmsClient] LMS host not reachable', { url, error: err.message, code: err.code })
+        throw new LmsUnavailableError(`LMS host not reachable: ${err.message}`, { cause: err })
+      }
+      throw err
+    }
+    if (response.status >= 500) {
+      throw new LmsUnavailableError(`LMS responded with ${response.status} for ${url}`)
+    }
+    return response
+  }
+
+  async login() {
+    logger.info('[lmsClient] Starting LMS login', { username: this.username })
+    this.resetSession()
+    const { login: loginUrl } = this.urls
+
+    const loginPage = await this.request(loginUrl, { method: 'GET' })
+    if (!loginPage.ok) {
+      throw new LmsUnavailableError(`Login page request failed (${loginPage.status})`)
+    }
+    const $login = cheerio.load(await loginPage.text())
+    if (!$login('input[name="username"]').length && !$login('input[type="password"]').length) {
+      throw new LmsLayoutChangedError('Login page no longer contains the username/password form.')
+    }
+    const hiddenInputs = {}
+    $login('input[type="hidden"]').each((_, el) => {
+      const name = $login(el).attr('name')
+      if (!name) return
+      hiddenInputs[name] = $login(el).attr('value') ?? ''
+    })
+
+    const form = new URLSearchParams()
+    form.set('username', this.username)
+    form.set('password', this.password)
+    Object.entries(hiddenInputs).forEach(([key, value]) => form.append(key, value ?? ''))
+
+    const loginResponse = await this.request(loginUrl, {
+      method: 'POST',
+      body: form,
+      headers: withDefaultHeaders({
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Origin: this.origin,
+        Referer: loginUrl
+      }),
+      redirect: 'manual'
+    })
+
+    if ([301, 302, 303].includes(loginResponse.status)) {
+      const location = loginResponse.headers.get('location')
+      if (location) {
+        const destination = new URL(location, loginUrl).toString()
+        await this.request(destination, { method: 'GET' })
+      }
+    } else {
+      const body = await loginResponse.text()
+      if (!loginResponse.ok || /invalid username|password/i.test(body)) {
+        logger.error('[lmsClient] LMS login rejected credentials', { username: this.username, status: loginResponse.status })
+        throw new LmsAuthError()
+      }
+    }
+
+    this.loggedIn = true
+    logger.info('[lmsClient] LMS login successful', { username: this.username })
+  }
+
+  // Runs fn with a live session, re-logging in once if the LMS reports it expired
+  async withSession(fn) {
+    if (!this.loggedIn) await this.login()
+    try {
+      return await fn()
+    } catch (err) {
+      if (!(err instanceof LmsSessionExpiredError)) throw err
+      logger.warn('[lmsClient] LMS session expired, logging in again', { username: this.username })
+      await this.login()
+      return fn()
+    }
+  }
+
+  async fetchDashboard() {
+    return this.withSession(async () => {
+      const response = await this.request(this.urls.dashboard, { method: 'GET' })
+      if (!response.ok) {
+        throw new LmsUnavailableError(`Dashboard request failed (${response.status})`)
+      }
+      const html = await response.text()
+      if (looksLikeLoginPage(html)) {
+        throw new LmsSessionExpiredError('Session invalid – dashboard returned login page.')
+      }
+      return parseDashboard(html, this.username)
+    })
+  }
+
+  // POSTs the attendance query and returns the result_page HTML fragment
+  async queryAttendance({ fromDate, toDate, subjectId = '' } = {}) {
+    const defaults = defaultDateRange()
+    const from = fromDate || defaults.fromDate
+    const to = toDate || defaults.toDate
+
+    logger.info('[lmsClient] Fetching attendance with date range', {
+      fromDate: from,
+      toDate: to,
+      subjectId: subjectId || 'all'
+    })
+
+    const payload = new URLSearchParams()
+    payload.set('date', from)
+    payload.set('end_date', to)
+    payload.set('subject', subjectId ?? '')
+
+    const response = await this.request(this.urls.attendanceApi, {
+      method: 'POST',
+      headers: withDefaultHeaders({
+        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+        'X-Requested-With': 'XMLHttpRequest',
+        Referer: this.urls.attendancePage,
+        Accept: 'application/json, text/javascript, */*; q=0.01'
+      }),
+      body: payload
+    })
+
+    if (!response.ok) {
+      throw new LmsUnavailableError(`Attendance API request failed (${response.status})`)
+    }
+
+    const text = await response.text()
+    let json = null
+    try {
+      json = JSON.parse(text)
+    } catch {
+      if (looksLikeLoginPage(text)) {
+        throw new LmsSessionExpiredError('Session invalid – attendance API returned login page.')
+      }
+    }
+    if (!json || typeof json !== 'object') {
+      throw new LmsLayoutChangedError('Attendance API returned a non-JSON response.')
+    }
+    return json.result_page || ''
+  }
+
+  async fetchAttendance({ fromDate, toDate, subjectId = '' } = {}) {
+    return this.withSession(async () => {
+      await this.request(this.urls.attendancePage, { method: 'GET' })
+      const resultPage = await this.queryAttendance({ fromDate, toDate, subjectId })
+      return parseAttendanceRows(resultPage)
+    })
+  }
+
+  async fetchSubjects() {
+    return this.withSession(async () => {
+      const response = await this.request(this.urls.attendancePage, { method: 'GET' })
+      if (!response.ok) {
+        throw new LmsUnavailableError(`Attendance page request failed (${response.status})`)
+      }
+      const html = await response.text()
+      if (looksLikeLoginPage(html)) {
+        throw new LmsSessionExpiredError('Session invalid – attendance page returned login page.')
+      }
+      return parseSubjectOptions(html)
+    })
+  }
+
+  async fetchSubjectSessions(subject, { fromDate, toDate } = {}) {
+    return this.withSession(async () => {
+      const resultPage = await this.queryAttendance({ fromDate, toDate, subjectId: subject.id })
+      return parseSessionRows(resultPage, subject.name)
+    })
+  }
+
+  // Day-wise breakdown for every subject listed on the attendance page.
+  // A failure for one subject is logged and skipped so the aggregate scrape still succeeds.
+  async fetchSessionRecords({ fromDate, toDate } = {}) {
+    const subjects = await this.fetchSubjects()
+    if (!subjects.length) {
+      logger.warn('[lmsClient] No subject options found on attendance page', { username: this.username })
+      return []
+    }
+
+    const sessions = []
+    for (const subject of subjects) {
+      try {
+        sessions.push(...await this.fetchSubjectSessions(subject, { fromDate, toDate }))
+      } catch (err) {
+        if (err instanceof LmsAuthError || err instanceof LmsUnavailableError) throw err
+        logger.warn('[lmsClient] Failed to fetch day-wise attendance for subject', {
+          username: this.username,
+          subject: subject.name,
+          error: err.message
+        })
+      }
+    }
+    return sessions
+  }
+
+  /**
+   * Full scrape used by both login flows.
+   * @param {object} [options]
+   * @param {(stage: string) => void} [options.onStage] - called with logging_in, fetching_dashboard
+   *   and fetching_attendance as each step starts
+   * @returns {Promise<{studentName: string, upcomingClasses: Array, attendanceRows: Array, sessions: Array}>}
+   */
+  async scrape({ fromDate, toDate, includeSessions = true, onStage = () => {} } = {}) {
+    onStage('logging_in')
+    if (!this.loggedIn) await this.login()
+    onStage('fetching_dashboard')
+    const { studentName, upcomingClasses } = await this.fetchDashboard()
+    onStage('fetching_attendance')
+    const attendanceRows = await this.fetchAttendance({ fromDate, toDate })
+    const sessions = includeSessions ? await this.fetchSessionRecords({ fromDate, toDate }) : []
+    return { studentName, upcomingClasses, attendanceRows, sessions }
+  }
+}
+
+export default LmsClient
@@ -0,0 +1,124 @@
+// Parser regression suite and full scrape pipeline against the offline mock LMS
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { startMockLms } from '../../tools/mockLms/server.js';
+import {
+  LmsClient,
+  LmsAuthError,
+  LmsUnavailableError,
+  parseAttendanceRows,
+  parseUpcomingClasses,
+  parseSubjectOptions,
+  parseSessionRows
+} from './lmsClient.js';
+import { scrapeAttendance } from '../services/scraperService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.resolve(__dirname, '../../tools/mockLms/fixtures');
+const fixture = name => fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+describe('LMS parsers', () => {
+  it('parses subject rows from the attendance result page', () => {
+    expect(parseAttendanceRows(fixture('attendance_result.html'))).toEqual([
+      { subject: 'Anatomy', sessionsCompleted: 4, totalSessions: 5, present: 4, total: 5, absent: 1, percent: 80 },
+      { subject: 'Physiology Practical', sessionsCompleted: 2, totalSessions: 3, present: 2, total: 3, absent: 1, percent: 66.67 }
+    ]);
+  });
+
+  it('returns no rows for an empty attendance table', () => {
+    expect(parseAttendanceRows(fixture('attendance_empty.html'))).toEqual([]);
+    expect(parseAttendanceRows('')).toEqual([]);
+  });
+
+  it('parses upcoming classes from the dashboard', () => {
+    const upcoming = parseUpcomingClasses(cheerio.load(fixture('dashboard.html')));
+    expect(upcoming).toHaveLength(2);
+    expect(upcoming[0]).toEqual({
+      title: 'Anatomy',
+      subtitle: 'Dr. A Kumar',
+      location: 'Lecture Hall 1',
+      time: '09:00 AM - 10:00 AM',
+      avatar: 'https://sbmchlms.com/lms/uploads/staff_images/anatomy.png'
+    });
+    expect(upcoming[1].title).toBe('Physiology Practical');
+    expect(upcoming[1].avatar).toContain('physiology.png');
+  });
+
+  it('lists selectable subjects and skips the placeholder option', () => {
+    expect(parseSubjectOptions(fixture('attendance_page.html'))).toEqual([
+      { id: '101', name: 'Anatomy' },
+      { id: '102', name: 'Physiology Practical' }
+    ]);
+  });
+
+  it('parses day-wise sessions using header columns', () => {
+    const sessions = parseSessionRows(fixture('sessions_101.html'), 'Anatomy');
+    expect(sessions).toHaveLength(5);
+    expect(sessions[0]).toEqual({ subject: 'Anatomy', date: '2024-11-11', period: '1', status: 'present' });
+    expect(sessions[2].status).toBe('absent');
+    expect(sessions[3].status).toBe('present');
+  });
+
+  it('parses day-wise sessions from a table without headers', () => {
+    const sessions = parseSessionRows(fixture('sessions_102.html'), 'Physiology Practical');
+    expect(sessions).toEqual([
+      { subject: 'Physiology Practical', date: '2024-11-12', period: '#1', status: 'absent' },
+      { subject: 'Physiology Practical', date: '2024-11-12', period: '#2', status: 'present' },
+      { subject: 'Physiology Practical', date: '2024-11-19', period: '#1', status: 'present' }
+    ]);
+  });
+});
+
+describe('scrape pipeline against the mock LMS', () => {
+  let mock;
+  let previousBase;
+
+  beforeAll(async () => {
+    mock = await startMockLms();
+    previousBase = process.env.LMS_BASE;
+    process.env.LMS_BASE = mock.baseUrl;
+  });
+
+  afterAll(async () => {
+    if (previousBase === undefined) delete process.env.LMS_BASE;
+    else process.env.LMS_BASE = previousBase;
+    await mock?.close();
+  });
+
+  it('scrapes dashboard, attendance and sessions through LMS_BASE', async () => {
+    const stages = [];
+    const result = await scrapeAttendance({ username: 'STUDENT01', password: 'secret', onStage: stage => stages.push(stage) });
+    expect(stages).toEqual(['logging_in', 'fetching_dashboard', 'fetching_attendance']);
+    expect(result.studentName).toBe('Test Student');
+    expect(result.upcomingClasses).toHaveLength(2);
+    expect(result.attendanceRows.map(r => r.subject)).toEqual(['Anatomy', 'Physiology Practical']);
+    expect(result.sessions).toHaveLength(8);
+    expect(result.sessions.filter(s => s.subject === 'Anatomy')).toHaveLength(5);
+  });
+
+  it('rejects an invalid password with LmsAuthError', async () => {
+    await expect(scrapeAttendance({ username: 'STUDENT01', password: 'wrong' }))
+      .rejects.toBeInstanceOf(LmsAuthError);
+  });
+
+  it('returns empty attendance and sessions for an empty table', async () => {
+    const result = await scrapeAttendance({ username: 'EMPTY01', password: 'secret' });
+    expect(result.attendanceRows).toEqual([]);
+    expect(result.sessions).toEqual([]);
+  });
+
+  it('logs in again when the LMS drops the session mid-scrape', async () => {
+    const client = new LmsClient({ username: 'EXPIRE01', password: 'secret' });
+    const rows = await client.fetchAttendance();
+    expect(rows).toHaveLength(2);
+    expect(client.loggedIn).toBe(true);
+  });
+
+  it('surfaces an unreachable host as LmsUnavailableError', async () => {
+    const client = new LmsClient({ username: 'STUDENT01', password: 'secret', baseUrl: 'http://127.0.0.1:9/lms' });
+    await expect(client.login()).rejects.toBeInstanceOf(LmsUnavailableError);
+  });
+});
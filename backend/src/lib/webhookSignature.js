@@ -0,0 +1,51 @@
+import crypto from 'crypto'
+
+// Razorpay signs the exact request bytes: X-Razorpay-Signature is the hex HMAC-SHA256 of the raw
+// body with the webhook secret. RAZORPAY_WEBHOOK_SECRETS lists every secret that's currently
+// valid (comma-separated, newest first) so the secret can be rotated in the dashboard without
+// rejecting deliveries signed with the old one in the meantime.
+
+/**
+ * Active webhook secrets, newest first
+ * @param {object} [env]
+ * @returns {string[]} empty when none are configured
+ */
+export function webhookSecrets(env = process.env) {
+  const list = env.RAZORPAY_WEBHOOK_SECRETS || env.RAZORPAY_WEBHOOK_SECRET || ''
+  return list.split(',').map(secret => secret.trim()).filter(Boolean)
+}
+
+/**
+ * The X-Razorpay-Signature value for a body (what Razorpay, or the fake provider, sends)
+ * @param {Buffer|string} rawBody
+ * @param {string} secret
+ * @returns {string} hex HMAC-SHA256
+ */
+export function signWebhookBody(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+}
+
+/**
+ * Check a signature against every secret in constant time
+ * @param {Buffer|string} rawBody - request body exactly as received
+ * @param {string} signature - X-Razorpay-Signature header
+ * @param {string[]} secrets
+ * @returns {number} index of the matching secret, -1 when none matches
+ */
+export function verifyWebhookSignature(rawBody, signature, secrets) {
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) return -1
+  const received = Buffer.from(signature, 'hex')
+  let match = -1
+  // No early exit, so the response time doesn't reveal which secret matched
+  secrets.forEach((secret, index) => {
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest()
+    if (crypto.timingSafeEqual(expected, received) && match === -1) match = index
+  })
+  return match
+}
+
+export default {
+  webhookSecrets,
+  signWebhookBody,
+  verifyWebhookSignature
+}
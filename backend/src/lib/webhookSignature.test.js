@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import { verifyWebhookSignature, webhookSecrets } from './webhookSignature.js';
+
+function sign(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+describe('webhookSignature', () => {
+  it('reads the rotation list, falling back to the single secret', () => {
+    expect(webhookSecrets({ RAZORPAY_WEBHOOK_SECRETS: ' new_secret, old_secret ,' })).toEqual(['new_secret', 'old_secret']);
+    expect(webhookSecrets({ RAZORPAY_WEBHOOK_SECRET: 'only_secret' })).toEqual(['only_secret']);
+    expect(webhookSecrets({})).toEqual([]);
+  });
+
+  it('matches the raw bytes against any active secret', () => {
+    const raw = Buffer.from('{"event": "subscription.charged",\n  "payload": {}}');
+    const secrets = ['new_secret', 'old_secret'];
+
+    expect(verifyWebhookSignature(raw, sign(raw, 'new_secret'), secrets)).toBe(0);
+    expect(verifyWebhookSignature(raw, sign(raw, 'old_secret'), secrets)).toBe(1);
+    expect(verifyWebhookSignature(raw, sign(raw, 'retired_secret'), secrets)).toBe(-1);
+    // Re-serialising the parsed body changes the bytes, so it no longer verifies
+    expect(verifyWebhookSignature(JSON.stringify(JSON.parse(raw)), sign(raw, 'new_secret'), secrets)).toBe(-1);
+  });
+
+  it('rejects malformed signatures without comparing', () => {
+    const raw = Buffer.from('{}');
+    expect(verifyWebhookSignature(raw, sign(raw, 'secret').slice(0, 63), ['secret'])).toBe(-1);
+    expect(verifyWebhookSignature(raw, undefined, ['secret'])).toBe(-1);
+  });
+});
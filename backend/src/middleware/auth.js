@@ -0,0 +1,65 @@
+// backend/src/middleware/auth.js
+// Shared JWT auth for the API routers, so they all verify tokens with the same secret
+
+import jwt from 'jsonwebtoken'
+import { query } from '../db.js'
+import { createCheckAccess, createRequireUser } from './checkAccess.js'
+
+// Use JWT_SECRET if set, otherwise SECRET, otherwise dev fallback (same as server.js)
+export const JWT_SECRET = process.env.JWT_SECRET || process.env.SECRET || 'dev-secret-for-local'
+
+/**
+ * @returns {object|null} the token's payload, null when it is invalid or expired
+ */
+export function verifyToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET)
+  } catch {
+    return null
+  }
+}
+
+// GET /api/scrape/events tokens: EventSource can't send headers, so the stream is opened with one of
+// these in ?token= instead of the login JWT, which would end up in access logs and browser history.
+// Scoped to one scrape job and only checked when the stream is opened, so they can be short-lived.
+const SCRAPE_EVENTS_SCOPE = 'scrape_events'
+const SCRAPE_EVENTS_TOKEN_TTL = '2m'
+
+/**
+ * @param {string} username - LMS student id
+ * @param {string} jobId - scrape_jobs.id the stream may follow
+ */
+export function signScrapeEventsToken(username, jobId) {
+  // No userId/student_id claims, so it's refused everywhere a login token is expected
+  return jwt.sign({ scope: SCRAPE_EVENTS_SCOPE, sub: username, job_id: jobId }, JWT_SECRET, { expiresIn: SCRAPE_EVENTS_TOKEN_TTL })
+}
+
+/**
+ * @returns {{username: string, jobId: string}|null} null unless it is a valid scrape events token
+ */
+export function verifyScrapeEventsToken(token) {
+  const payload = verifyToken(token)
+  if (payload?.scope !== SCRAPE_EVENTS_SCOPE || !payload.sub || !payload.job_id) return null
+  return { username: payload.sub, jobId: payload.job_id }
+}
+
+export async function getUserById(id) {
+  const { rows } = await query('SELECT * FROM users WHERE id = $1', [id])
+  return rows[0] || null
+}
+
+// Bearer token + trial/subscription check
+export const checkAccess = createCheckAccess(verifyToken, getUserById)
+
+// Bearer token only, for billing routes an expired user still needs
+export const requireUser = createRequireUser(verifyToken, getUserById)
+
+export default {
+  JWT_SECRET,
+  verifyToken,
+  signScrapeEventsToken,
+  verifyScrapeEventsToken,
+  getUserById,
+  checkAccess,
+  requireUser
+}
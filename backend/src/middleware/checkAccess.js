@@ -4,185 +4,237 @@
 import { query } from '../db.js'
 import logger from '../../lib/logger.js'
 
+const DAY_MS = 1000 * 60 * 60 * 24
+
 /**
- * Check access middleware - validates trial and subscription expiry
- * Replaces the old checkTrial middleware with full subscription support
- * 
+ * Resolve the current access state for a user row
+ * Shared by the checkAccess middleware and GET /api/auth/status
+ *
  * Logic:
  * - If subscription_status='active' AND subscription_expires_at > NOW → allow
+ * - If subscription_status is 'cancelled', 'halted' or 'completed' (set by the Razorpay webhook)
+ *   AND subscription_expires_at > NOW → allow as 'active' until the paid period ends
  * - If subscription_status='trial' AND trial_expires_at > NOW → allow
+ * - If subscription_status='expired' but trial/subscription was extended → restore and allow
  * - Otherwise → block and update status to 'expired'
- * 
- * @param {Function} verifyToken - Function to verify JWT token
- * @param {Function} getUserById - Function to get user by ID
- * @returns {Function} Express middleware
+ *
+ * Status corrections are persisted to the users table as a side effect.
+ *
+ * @param {Object} user - Row from the users table
+ * @returns {Promise<{allowed: boolean, status: string, error: string|null, message: string|null,
+ *   trialExpiresAt: Date|null, subscriptionExpiresAt: Date|null, daysRemaining: number}>}
  */
-export function createCheckAccess(verifyToken, getUserById) {
-  return async (req, res, next) => {
-    try {
-      // Verify token
-      const auth = req.headers.authorization
-      if (!auth || !auth.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'unauthorized', message: 'Missing Authorization header' })
-      }
-      const token = auth.slice(7)
-      const payload = verifyToken(token)
-      if (!payload || !payload.userId) {
-        return res.status(401).json({ error: 'unauthorized', message: 'Invalid token' })
-      }
+export async function resolveAccess(user) {
+  const now = new Date()
+  const subscriptionStatus = String(user.subscription_status || 'trial')
+  const trialExpiresAt = user.trial_expires_at ? new Date(user.trial_expires_at) : null
+  const subscriptionExpiresAt = user.subscription_expires_at ? new Date(user.subscription_expires_at) : null
 
-      // Get user from database
-      const user = await getUserById(payload.userId)
-      if (!user) {
-        return res.status(401).json({ error: 'unauthorized', message: 'User not found' })
-      }
+  const daysUntil = (date) => (date && date > now ? Math.ceil((date - now) / DAY_MS) : 0)
+  const allow = (status, expiresAt) => ({
+    allowed: true,
+    status,
+    error: null,
+    message: null,
+    trialExpiresAt,
+    subscriptionExpiresAt,
+    daysRemaining: daysUntil(expiresAt)
+  })
+  const block = (error, message) => ({
+    allowed: false,
+    status: 'expired',
+    error,
+    message,
+    trialExpiresAt,
+    subscriptionExpiresAt,
+    daysRemaining: 0
+  })
 
-      const now = new Date()
-      const subscriptionStatus = String(user.subscription_status || 'trial')
-      const trialExpiresAt = user.trial_expires_at ? new Date(user.trial_expires_at) : null
-      const subscriptionExpiresAt = user.subscription_expires_at ? new Date(user.subscription_expires_at) : null
+  // Debug logging - always log to track every check
+  logger.info('[checkAccess] Checking access on every request', {
+    userId: user.id,
+    subscriptionStatus,
+    trialExpiresAt: trialExpiresAt?.toISOString(),
+    subscriptionExpiresAt: subscriptionExpiresAt?.toISOString(),
+    now: now.toISOString(),
+    isTrialExpired: trialExpiresAt ? trialExpiresAt <= now : 'no_trial_date',
+    isSubscriptionExpired: subscriptionExpiresAt ? subscriptionExpiresAt <= now : 'no_sub_date',
+    trialDaysRemaining: trialExpiresAt ? Math.ceil((trialExpiresAt - now) / DAY_MS) : null
+  })
 
-      // Debug logging - always log to track every check
-      logger.info('[checkAccess] Checking access on every request', {
+  // Check active subscription
+  if (subscriptionStatus === 'active') {
+    if (subscriptionExpiresAt && subscriptionExpiresAt > now) {
+      // Subscription is active and not expired
+      return allow('active', subscriptionExpiresAt)
+    }
+    // Subscription expired - update status
+    logger.info('[checkAccess] Subscription expired, updating status', { 
+      userId: user.id, 
+      subscriptionExpiresAt: subscriptionExpiresAt?.toISOString() 
+    })
+    await query(
+      `UPDATE users SET subscription_status='expired' WHERE id=$1`,
+      [user.id]
+    )
+    return block('subscription_expired', 'Your subscription has expired. Please renew to continue.')
+  }
+
+  // Subscription that won't renew - the period already paid for still counts
+  if (['cancelled', 'halted', 'completed'].includes(subscriptionStatus)) {
+    if (subscriptionExpiresAt && subscriptionExpiresAt > now) {
+      return allow('active', subscriptionExpiresAt)
+    }
+    logger.info('[checkAccess] Ended subscription expired, updating status', {
+      userId: user.id,
+      subscriptionStatus,
+      subscriptionExpiresAt: subscriptionExpiresAt?.toISOString()
+    })
+    await query(
+      `UPDATE users SET subscription_status='expired' WHERE id=$1`,
+      [user.id]
+    )
+    return block('subscription_expired', 'Your subscription has expired. Please renew to continue.')
+  }
+
+  // Check trial
+  if (subscriptionStatus === 'trial') {
+    // Check if trial has expired
+    const isTrialExpired = !trialExpiresAt || trialExpiresAt <= now
+    
+    if (!isTrialExpired) {
+      // Trial is active
+      logger.debug('[checkAccess] Trial is active', {
         userId: user.id,
-        subscriptionStatus,
-        trialExpiresAt: trialExpiresAt?.toISOString(),
-        subscriptionExpiresAt: subscriptionExpiresAt?.toISOString(),
-        now: now.toISOString(),
-        isTrialExpired: trialExpiresAt ? trialExpiresAt <= now : 'no_trial_date',
-        isSubscriptionExpired: subscriptionExpiresAt ? subscriptionExpiresAt <= now : 'no_sub_date',
-        trialDaysRemaining: trialExpiresAt ? Math.ceil((trialExpiresAt - now) / (1000 * 60 * 60 * 24)) : null
+        trialExpiresAt: trialExpiresAt.toISOString(),
+        now: now.toISOString()
       })
+      return allow('trial', trialExpiresAt)
+    }
+    // Trial expired - update status and block access
+    logger.warn('[checkAccess] Trial expired, blocking access', { 
+      userId: user.id, 
+      trialExpiresAt: trialExpiresAt?.toISOString(),
+      now: now.toISOString()
+    })
+    await query(
+      `UPDATE users SET subscription_status='expired' WHERE id=$1`,
+      [user.id]
+    )
+    return block('trial_expired', 'Your free trial has ended. Please subscribe to continue.')
+  }
 
-      // Check active subscription
-      if (subscriptionStatus === 'active') {
-        if (subscriptionExpiresAt && subscriptionExpiresAt > now) {
-          // Subscription is active and not expired
-          return next()
-        } else {
-          // Subscription expired - update status
-          logger.info('[checkAccess] Subscription expired, updating status', { 
-            userId: user.id, 
-            subscriptionExpiresAt: subscriptionExpiresAt?.toISOString() 
-          })
-          await query(
-            `UPDATE users SET subscription_status='expired' WHERE id=$1`,
-            [user.id]
-          )
-          return res.status(402).json({ 
-            error: 'subscription_expired', 
-            message: 'Your subscription has expired. Please renew to continue.' 
-          })
-        }
+  // Status is 'expired' - but check if user actually has time left
+  // This handles cases where admin updates trial_expires_at in DB
+  if (subscriptionStatus === 'expired') {
+    logger.info('[checkAccess] User status is expired, checking if trial/subscription was extended', {
+      userId: user.id,
+      trialExpiresAt: trialExpiresAt?.toISOString(),
+      subscriptionExpiresAt: subscriptionExpiresAt?.toISOString(),
+      now: now.toISOString()
+    })
+    
+    // Check if trial actually has time left (admin may have extended it)
+    if (trialExpiresAt && trialExpiresAt > now) {
+      // Trial was extended - restore trial status
+      logger.warn('[checkAccess] Trial was extended, restoring trial status', {
+        userId: user.id,
+        trialExpiresAt: trialExpiresAt.toISOString(),
+        now: now.toISOString(),
+        daysRemaining: daysUntil(trialExpiresAt)
+      })
+      try {
+        await query(
+          `UPDATE users SET subscription_status='trial' WHERE id=$1`,
+          [user.id]
+        )
+        logger.info('[checkAccess] Successfully restored trial status', { userId: user.id })
+      } catch (updateErr) {
+        logger.error('[checkAccess] Failed to restore trial status', {
+          userId: user.id,
+          error: updateErr.message
+        })
+        // Continue anyway - don't block access if update fails
       }
+      // Allow access with restored trial
+      return allow('trial', trialExpiresAt)
+    }
+    
+    // Check if subscription actually has time left (admin may have extended it)
+    if (subscriptionExpiresAt && subscriptionExpiresAt > now) {
+      // Subscription was extended - restore active status
+      logger.info('[checkAccess] Subscription was extended, restoring active status', {
+        userId: user.id,
+        subscriptionExpiresAt: subscriptionExpiresAt.toISOString(),
+        now: now.toISOString()
+      })
+      await query(
+        `UPDATE users SET subscription_status='active', notified_subscription_expired=false WHERE id=$1`,
+        [user.id]
+      )
+      // Allow access with restored subscription
+      return allow('active', subscriptionExpiresAt)
+    }
+    
+    // Actually expired - block access
+    // Check if it was a trial or subscription that expired
+    if (trialExpiresAt && (!subscriptionExpiresAt || subscriptionExpiresAt <= trialExpiresAt)) {
+      return block('trial_expired', 'Your free trial has ended. Please subscribe to continue.')
+    }
+    return block('subscription_expired', 'Your subscription has expired. Please renew to continue.')
+  }
+
+  // Unknown status - treat as expired
+  logger.warn('[checkAccess] Unknown subscription status', { 
+    userId: user.id, 
+    status: subscriptionStatus 
+  })
+  return block('subscription_expired', 'Access expired. Please subscribe to continue.')
+}
 
-      // Check trial
-      if (subscriptionStatus === 'trial') {
-        // Check if trial has expired
-        const isTrialExpired = !trialExpiresAt || trialExpiresAt <= now
-        
-        if (!isTrialExpired) {
-          // Trial is active
-          logger.debug('[checkAccess] Trial is active', {
-            userId: user.id,
-            trialExpiresAt: trialExpiresAt.toISOString(),
-            now: now.toISOString()
-          })
-          return next()
-        } else {
-          // Trial expired - update status and block access
-          logger.warn('[checkAccess] Trial expired, blocking access', { 
-            userId: user.id, 
-            trialExpiresAt: trialExpiresAt?.toISOString(),
-            now: now.toISOString()
-          })
-          await query(
-            `UPDATE users SET subscription_status='expired' WHERE id=$1`,
-            [user.id]
-          )
-          return res.status(402).json({ 
-            error: 'trial_expired', 
-            message: 'Your free trial has ended. Please subscribe to continue.' 
-          })
-        }
+// Bearer token -> { user, payload }, or { message } saying why not
+async function authenticate(req, verifyToken, getUserById) {
+  const auth = req.headers.authorization
+  if (!auth || !auth.startsWith('Bearer ')) {
+    return { message: 'Missing Authorization header' }
+  }
+  const payload = verifyToken(auth.slice(7))
+  if (!payload || !payload.userId) {
+    return { message: 'Invalid token' }
+  }
+  const user = await getUserById(payload.userId)
+  if (!user) {
+    return { message: 'User not found' }
+  }
+  return { user, payload }
+}
+
+/**
+ * Check access middleware - validates trial and subscription expiry
+ * Replaces the old checkTrial middleware with full subscription support
+ * 
+ * On success the loaded user and token payload are exposed as req.user and req.auth.
+ * 
+ * @param {Function} verifyToken - Function to verify JWT token
+ * @param {Function} getUserById - Function to get user by ID
+ * @returns {Function} Express middleware
+ */
+export function createCheckAccess(verifyToken, getUserById) {
+  return async (req, res, next) => {
+    try {
+      const { user, payload, message } = await authenticate(req, verifyToken, getUserById)
+      if (!user) {
+        return res.status(401).json({ error: 'unauthorized', message })
       }
 
-      // Status is 'expired' - but check if user actually has time left
-      // This handles cases where admin updates trial_expires_at in DB
-      if (subscriptionStatus === 'expired') {
-        logger.info('[checkAccess] User status is expired, checking if trial/subscription was extended', {
-          userId: user.id,
-          trialExpiresAt: trialExpiresAt?.toISOString(),
-          subscriptionExpiresAt: subscriptionExpiresAt?.toISOString(),
-          now: now.toISOString()
-        })
-        
-        // Check if trial actually has time left (admin may have extended it)
-        if (trialExpiresAt && trialExpiresAt > now) {
-          // Trial was extended - restore trial status
-          logger.warn('[checkAccess] Trial was extended, restoring trial status', {
-            userId: user.id,
-            trialExpiresAt: trialExpiresAt.toISOString(),
-            now: now.toISOString(),
-            daysRemaining: Math.ceil((trialExpiresAt - now) / (1000 * 60 * 60 * 24))
-          })
-          try {
-            await query(
-              `UPDATE users SET subscription_status='trial' WHERE id=$1`,
-              [user.id]
-            )
-            logger.info('[checkAccess] Successfully restored trial status', { userId: user.id })
-          } catch (updateErr) {
-            logger.error('[checkAccess] Failed to restore trial status', {
-              userId: user.id,
-              error: updateErr.message
-            })
-            // Continue anyway - don't block access if update fails
-          }
-          // Allow access with restored trial
-          return next()
-        }
-        
-        // Check if subscription actually has time left (admin may have extended it)
-        if (subscriptionExpiresAt && subscriptionExpiresAt > now) {
-          // Subscription was extended - restore active status
-          logger.info('[checkAccess] Subscription was extended, restoring active status', {
-            userId: user.id,
-            subscriptionExpiresAt: subscriptionExpiresAt.toISOString(),
-            now: now.toISOString()
-          })
-          await query(
-            `UPDATE users SET subscription_status='active', notified_subscription_expired=false WHERE id=$1`,
-            [user.id]
-          )
-          // Allow access with restored subscription
-          return next()
-        }
-        
-        // Actually expired - block access
-        // Check if it was a trial or subscription that expired
-        if (trialExpiresAt && (!subscriptionExpiresAt || subscriptionExpiresAt <= trialExpiresAt)) {
-          return res.status(402).json({ 
-            error: 'trial_expired', 
-            message: 'Your free trial has ended. Please subscribe to continue.' 
-          })
-        } else {
-          return res.status(402).json({ 
-            error: 'subscription_expired', 
-            message: 'Your subscription has expired. Please renew to continue.' 
-          })
-        }
+      const access = await resolveAccess(user)
+      if (!access.allowed) {
+        return res.status(402).json({ error: access.error, message: access.message })
       }
 
-      // Unknown status - treat as expired
-      logger.warn('[checkAccess] Unknown subscription status', { 
-        userId: user.id, 
-        status: subscriptionStatus 
-      })
-      return res.status(402).json({ 
-        error: 'subscription_expired', 
-        message: 'Access expired. Please subscribe to continue.' 
-      })
+      req.user = user
+      req.auth = payload
+      return next()
     } catch (err) {
       logger.error('[checkAccess] Error:', { error: err.message, stack: err.stack })
       return res.status(500).json({ 
@@ -193,5 +245,32 @@ export function createCheckAccess(verifyToken, getUserById) {
   }
 }
 
-export default { createCheckAccess }
+/**
+ * Authentication-only middleware for billing routes: an expired user still has to be able to see
+ * their subscription and payments, so there is no trial/subscription check here.
+ *
+ * Sets req.user and req.auth like createCheckAccess.
+ *
+ * @param {Function} verifyToken - Function to verify JWT token
+ * @param {Function} getUserById - Function to get user by ID
+ * @returns {Function} Express middleware
+ */
+export function createRequireUser(verifyToken, getUserById) {
+  return async (req, res, next) => {
+    try {
+      const { user, payload, message } = await authenticate(req, verifyToken, getUserById)
+      if (!user) {
+        return res.status(401).json({ error: 'unauthorized', message })
+      }
+      req.user = user
+      req.auth = payload
+      return next()
+    } catch (err) {
+      logger.error('[requireUser] Error:', { error: err.message, stack: err.stack })
+      return res.status(500).json({ error: 'internal_error', message: 'An error occurred while checking your session' })
+    }
+  }
+}
+
+export default { createCheckAccess, createRequireUser, resolveAccess }
 
@@ -0,0 +1,159 @@
+import PDFDocument from 'pdfkit'
+import { query } from '../db.js'
+import { applyAttendanceRules } from '../lib/attendanceRules.js'
+
+// Attendance report for GET /api/attendance/export - what a student hands to a mentor or
+// attaches to a condonation request. Built from the stored scrape run, never a live scrape.
+
+const CSV_COLUMNS = ['Subject', 'Present', 'Absent', 'Total', 'Percent', 'Required %', 'Classes needed']
+
+/**
+ * Load the report for the run the dashboard shows: the latest run for termId, or latest_snapshot's run
+ * @returns {Promise<object|null>} null when nothing has been scraped yet
+ */
+export async function loadAttendanceReport(username, { termId = null } = {}) {
+  const { rows: runs } = termId
+    ? await query(
+      `SELECT r.id, r.student_name, r.from_date, r.to_date, r.fetched_at
+       FROM scrape_runs r
+       WHERE r.username = $1 AND r.term_id = $2
+       ORDER BY r.fetched_at DESC
+       LIMIT 1`,
+      [username, termId]
+    )
+    : await query(
+      `SELECT r.id, r.student_name, r.from_date, r.to_date, r.fetched_at
+       FROM latest_snapshot s
+       JOIN scrape_runs r ON r.id = s.scrape_run_id
+       WHERE s.username = $1`,
+      [username]
+    )
+  const run = runs[0]
+  if (!run) return null
+
+  const [{ rows: subjects }, { rows: users }] = await Promise.all([
+    query(
+      `SELECT subject, present, absent, total, percent
+       FROM attendance
+       WHERE scrape_run_id = $1
+       ORDER BY subject ASC`,
+      [run.id]
+    ),
+    query('SELECT name FROM users WHERE student_id = $1 LIMIT 1', [username])
+  ])
+
+  return {
+    studentName: users[0]?.name || run.student_name || username,
+    studentId: username,
+    fromDate: run.from_date || '',
+    toDate: run.to_date || '',
+    fetchedAt: new Date(run.fetched_at),
+    subjects: subjects.map(row => applyAttendanceRules({
+      subject: row.subject,
+      present: row.present ?? 0,
+      absent: row.absent ?? 0,
+      total: row.total ?? 0,
+      percent: parseFloat(row.percent) || 0
+    }))
+  }
+}
+
+function csvField(value) {
+  const text = String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function formatFetchedAt(date) {
+  return date.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' }) + ' IST'
+}
+
+/**
+ * CSV with the student details first, then one row per subject
+ * @param {object} report - from loadAttendanceReport (plus optional termName)
+ */
+export function reportToCsv(report) {
+  const lines = [
+    ['Student name', report.studentName],
+    ['Student ID', report.studentId],
+    ...(report.termName ? [['Term', report.termName]] : []),
+    ['From', report.fromDate],
+    ['To', report.toDate],
+    ['Fetched at', report.fetchedAt.toISOString()],
+    [],
+    CSV_COLUMNS,
+    ...report.subjects.map(s => [s.subject, s.present, s.absent, s.total, s.percent.toFixed(2), s.threshold, s.required])
+  ]
+  // Excel needs CRLF and a BOM to read UTF-8 names correctly
+  return '\uFEFF' + lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * A4 PDF of the report
+ * @returns {Promise<Buffer>}
+ */
+export function renderReportPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Attendance report - ${report.studentId}` } })
+    const chunks = []
+    doc.on('data', chunk => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+
+    doc.font('Helvetica-Bold').fontSize(18).text('Attendance Report')
+    doc.moveDown(0.5)
+    doc.font('Helvetica').fontSize(11)
+    const details = [
+      ['Student name', report.studentName],
+      ['Student ID', report.studentId],
+      ...(report.termName ? [['Term', report.termName]] : []),
+      ['Period', `${report.fromDate || '-'} to ${report.toDate || '-'}`],
+      ['Fetched at', formatFetchedAt(report.fetchedAt)]
+    ]
+    for (const [label, value] of details) {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value))
+    }
+    doc.moveDown()
+
+    // Subject column takes what's left after the fixed-width numeric columns
+    const left = doc.page.margins.left
+    const width = doc.page.width - left - doc.page.margins.right
+    const numeric = [55, 55, 50, 60, 65, 70]
+    const columns = [width - numeric.reduce((a, b) => a + b, 0), ...numeric]
+    const headers = ['Subject', 'Present', 'Absent', 'Total', 'Percent', 'Required', 'Classes needed']
+
+    const drawRow = (cells, { bold = false, shade = false } = {}) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+      const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell), { width: columns[i] - 8 }))) + 8
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage()
+      const y = doc.y
+      if (shade) doc.rect(left, y, width, height).fill('#f1f5f9').fillColor('black')
+      let x = left
+      cells.forEach((cell, i) => {
+        doc.text(String(cell), x + 4, y + 4, { width: columns[i] - 8, align: i === 0 ? 'left' : 'right' })
+        x += columns[i]
+      })
+      doc.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor('#cbd5e1').lineWidth(0.5).stroke()
+      doc.x = left
+      doc.y = y + height
+    }
+
+    drawRow(headers, { bold: true, shade: true })
+    for (const s of report.subjects) {
+      drawRow([s.subject, s.present, s.absent, s.total, `${s.percent.toFixed(2)}%`, `${s.threshold}%`, s.required])
+    }
+    if (!report.subjects.length) {
+      doc.moveDown().font('Helvetica-Oblique').fontSize(10).text('No attendance recorded for this period.')
+    }
+
+    doc.moveDown()
+    doc.font('Helvetica').fontSize(8).fillColor('#475569')
+      .text('Classes needed: consecutive classes to attend to reach the required percentage. Figures are as recorded on the college LMS at the time fetched.', left, doc.y, { width })
+    doc.end()
+  })
+}
+
+export default {
+  loadAttendanceReport,
+  reportToCsv,
+  renderReportPdf
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { loadAttendanceReport, renderReportPdf, reportToCsv } from './attendanceReport.js';
+
+const { query } = vi.hoisted(() => ({ query: vi.fn() }));
+
+vi.mock('../db.js', () => ({ query, default: { query } }));
+
+const report = {
+  studentName: 'Asha "AK" Kumar',
+  studentId: 'S1',
+  fromDate: '11-11-2024',
+  toDate: '15-03-2025',
+  fetchedAt: new Date('2025-03-15T04:30:00Z'),
+  subjects: [
+    { subject: 'Anatomy, Theory', present: 30, absent: 10, total: 40, percent: 75, threshold: 75, required: 0 },
+    { subject: 'Physiology Practical', present: 14, absent: 6, total: 20, percent: 70, threshold: 80, required: 10 }
+  ]
+};
+
+describe('attendance report', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('loads the snapshot run with the thresholds applied', async () => {
+    query.mockImplementation(async sql => {
+      if (sql.includes('FROM latest_snapshot')) {
+        return { rows: [{ id: 'run-1', student_name: 'ASHA', from_date: '11-11-2024', to_date: '15-03-2025', fetched_at: report.fetchedAt }] };
+      }
+      if (sql.includes('FROM attendance')) return { rows: [{ subject: 'Physiology Practical', present: 14, absent: 6, total: 20, percent: '70.00' }] };
+      return { rows: [{ name: 'Asha Kumar' }] };
+    });
+
+    const loaded = await loadAttendanceReport('S1');
+
+    expect(loaded).toMatchObject({ studentName: 'Asha Kumar', studentId: 'S1', fromDate: '11-11-2024' });
+    expect(loaded.subjects[0]).toMatchObject({ percent: 70, threshold: 80, required: 10 });
+  });
+
+  it('returns null before the first scrape', async () => {
+    query.mockResolvedValue({ rows: [] });
+    expect(await loadAttendanceReport('S1', { termId: 't1' })).toBeNull();
+    expect(query.mock.calls[0][0]).toContain('r.term_id = $2');
+  });
+
+  it('writes CSV with quoted fields and one row per subject', () => {
+    const lines = reportToCsv(report).replace(/^\uFEFF/, '').split('\r\n');
+    expect(lines[0]).toBe('Student name,"Asha ""AK"" Kumar"');
+    expect(lines).toContain('Subject,Present,Absent,Total,Percent,Required %,Classes needed');
+    expect(lines).toContain('"Anatomy, Theory",30,10,40,75.00,75,0');
+    expect(lines).toContain('Physiology Practical,14,6,20,70.00,80,10');
+  });
+
+  it('renders a PDF', async () => {
+    const pdf = await renderReportPdf({ ...report, termName: 'Phase 2' });
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
@@ -0,0 +1,248 @@
+import { query, withTransaction } from '../db.js'
+import logger from '../../lib/logger.js'
+
+// Coupon and promo codes (coupons table), added in the database like plans:
+//   percent     percent_off of the plan price
+//   flat        amount_off_paise off the plan price
+//   free_days   free_days of access, no payment
+// Discounts are charged through Razorpay with the coupon's razorpay_offer_id (an Offer created in the
+// Razorpay dashboard for the same discount); a code that takes the price to 0, or a free_days code,
+// extends access here without a checkout and records a payments row of amount 0.
+//
+// Each use is a coupon_redemptions row. A paid checkout holds a 'pending' redemption against the
+// Razorpay subscription, which the subscription.activated/charged webhook ties to the payments row
+// ('redeemed'). Pending holds count towards max_redemptions for HOLD_MINUTES so an abandoned
+// checkout doesn't use up a code.
+
+const HOLD_MINUTES = 30
+const CODE_RE = /^[A-Z0-9_-]{3,32}$/
+const COUPON_COLUMNS = `id, code, kind, percent_off, amount_off_paise, free_days, razorpay_offer_id,
+  max_redemptions, per_user_limit, valid_from, valid_until, active`
+
+export class CouponError extends Error {
+  /**
+   * @param {number} status - HTTP status for the response
+   * @param {string} code - error code, e.g. 'coupon_expired'
+   */
+  constructor(status, code, message) {
+    super(message)
+    this.name = 'CouponError'
+    this.status = status
+    this.code = code
+  }
+}
+
+/**
+ * Codes are matched case-insensitively and stored upper-case
+ * @returns {string|null} null when it can't be a code
+ */
+export function normalizeCode(value) {
+  const code = typeof value === 'string' ? value.trim().toUpperCase() : ''
+  return CODE_RE.test(code) ? code : null
+}
+
+/**
+ * What a coupon does to a plan's price
+ * @param {object} coupon - coupons row
+ * @param {object|null} plan - plans row; not needed for free_days
+ * @returns {{price_paise: number, discount_paise: number, final_price_paise: number, free_days: number|null, free: boolean}}
+ */
+export function quoteCoupon(coupon, plan) {
+  if (coupon.kind === 'free_days') {
+    return { price_paise: 0, discount_paise: 0, final_price_paise: 0, free_days: coupon.free_days, free: true }
+  }
+  const price = plan?.price_paise || 0
+  const discount = coupon.kind === 'percent'
+    ? Math.round(price * coupon.percent_off / 100)
+    : Math.min(coupon.amount_off_paise || 0, price)
+  const finalPrice = price - discount
+  return {
+    price_paise: price,
+    discount_paise: discount,
+    final_price_paise: finalPrice,
+    free_days: finalPrice === 0 ? plan?.duration_days ?? null : null,
+    free: finalPrice === 0
+  }
+}
+
+/**
+ * Public shape for POST /api/coupons/validate (no Razorpay ids or limits)
+ */
+export function serializeCoupon(coupon) {
+  return {
+    code: coupon.code,
+    kind: coupon.kind,
+    percent_off: coupon.percent_off ?? null,
+    amount_off_paise: coupon.amount_off_paise ?? null,
+    free_days: coupon.free_days ?? null,
+    valid_until: coupon.valid_until || null
+  }
+}
+
+/**
+ * Check a coupon can be used by this user now, against redemptions as seen by db
+ * @param {{query: Function}} db - pool or transaction client
+ * @throws {CouponError}
+ */
+async function assertRedeemable(db, coupon, userId, now) {
+  if (!coupon.active) throw new CouponError(404, 'coupon_not_found', 'That code is not valid')
+  if (coupon.valid_from && new Date(coupon.valid_from) > now) {
+    throw new CouponError(409, 'coupon_not_started', 'That code is not active yet')
+  }
+  if (coupon.valid_until && new Date(coupon.valid_until) <= now) {
+    throw new CouponError(409, 'coupon_expired', 'That code has expired')
+  }
+
+  // The user's own pending holds don't count: they're replaced when the user checks out again
+  const { rows } = await db.query(
+    `SELECT COUNT(*) FILTER (
+              WHERE status = 'redeemed'
+                 OR (status = 'pending' AND user_id <> $2 AND created_at > $3::timestamptz - make_interval(mins => $4))
+            )::int AS used,
+            COUNT(*) FILTER (WHERE status = 'redeemed' AND user_id = $2)::int AS used_by_user
+     FROM coupon_redemptions WHERE coupon_id = $1`,
+    [coupon.id, userId, now, HOLD_MINUTES]
+  )
+  const { used = 0, used_by_user: usedByUser = 0 } = rows[0] || {}
+  if (coupon.per_user_limit && usedByUser >= coupon.per_user_limit) {
+    throw new CouponError(409, 'coupon_already_used', 'You have already used that code')
+  }
+  if (coupon.max_redemptions && used >= coupon.max_redemptions) {
+    throw new CouponError(409, 'coupon_exhausted', 'That code has been fully redeemed')
+  }
+}
+
+async function findCoupon(db, code, { forUpdate = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT ${COUPON_COLUMNS} FROM coupons WHERE code = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [code]
+  )
+  return rows[0] || null
+}
+
+/**
+ * Look up a code and price it for a plan
+ * @param {string} rawCode - as the user typed it
+ * @param {string} userId
+ * @param {object|null} plan - plans row being bought
+ * @returns {Promise<{coupon: object, quote: object}>}
+ * @throws {CouponError} when the code can't be used for this user and plan
+ */
+export async function checkCoupon(rawCode, userId, plan, { now = new Date() } = {}) {
+  const code = normalizeCode(rawCode)
+  if (!code) throw new CouponError(400, 'invalid_code', 'Enter a valid code')
+  const coupon = await findCoupon({ query }, code)
+  if (!coupon) throw new CouponError(404, 'coupon_not_found', 'That code is not valid')
+  await assertRedeemable({ query }, coupon, userId, now)
+
+  if (coupon.kind !== 'free_days' && !plan) {
+    throw new CouponError(400, 'invalid_plan', 'Choose a plan to use that code')
+  }
+  const quote = quoteCoupon(coupon, plan)
+  if (!quote.free && !coupon.razorpay_offer_id) {
+    throw new CouponError(409, 'coupon_not_applicable', 'That code can\'t be used for this plan')
+  }
+  return { coupon, quote }
+}
+
+/**
+ * Hold a discount coupon for a Razorpay subscription until its payment comes in; replaces the
+ * user's earlier pending hold on the same coupon
+ * @throws {CouponError} when the coupon ran out since it was checked
+ */
+export async function reserveCoupon(coupon, userId, subscriptionId, quote, { now = new Date() } = {}) {
+  return withTransaction(async client => {
+    const locked = await findCoupon(client, coupon.code, { forUpdate: true })
+    if (!locked) throw new CouponError(404, 'coupon_not_found', 'That code is not valid')
+    await assertRedeemable(client, locked, userId, now)
+    await client.query(
+      `UPDATE coupon_redemptions SET status = 'void'
+       WHERE coupon_id = $1 AND user_id = $2 AND status = 'pending'`,
+      [locked.id, userId]
+    )
+    await client.query(
+      `INSERT INTO coupon_redemptions (coupon_id, user_id, subscription_id, status, discount_paise)
+       VALUES ($1, $2, $3, 'pending', $4)`,
+      [locked.id, userId, subscriptionId, quote.discount_paise]
+    )
+    logger.info('[coupons] Coupon held for checkout', { code: locked.code, userId, subscriptionId })
+  })
+}
+
+/**
+ * Tie the pending redemption of a subscription to the payment that paid for it. Call inside the
+ * webhook's transaction, after the payments row is inserted.
+ * @param {object} client - transaction client
+ * @returns {Promise<boolean>} whether a redemption was completed
+ */
+export async function completeRedemption(client, subscriptionId, razorpayPaymentId) {
+  if (!subscriptionId || !razorpayPaymentId) return false
+  const { rowCount } = await client.query(
+    `UPDATE coupon_redemptions
+     SET status = 'redeemed', redeemed_at = NOW(),
+         payment_id = (SELECT id FROM payments WHERE razorpay_payment_id = $2)
+     WHERE subscription_id = $1 AND status = 'pending'`,
+    [subscriptionId, razorpayPaymentId]
+  )
+  return rowCount > 0
+}
+
+/**
+ * Redeem a 100%-off or free_days code: extend access by quote.free_days without a checkout, with a
+ * payments row of amount 0 for the history
+ * @param {object} coupon - coupons row from checkCoupon
+ * @param {object} user - users row
+ * @param {object|null} plan - plans row, recorded for 100%-off codes
+ * @param {object} quote - from checkCoupon
+ * @returns {Promise<{expiresAt: Date, paymentId: string}>}
+ * @throws {CouponError} when the coupon ran out since it was checked
+ */
+export async function redeemFreeCoupon(coupon, user, plan, quote, { now = new Date() } = {}) {
+  return withTransaction(async client => {
+    const locked = await findCoupon(client, coupon.code, { forUpdate: true })
+    if (!locked) throw new CouponError(404, 'coupon_not_found', 'That code is not valid')
+    await assertRedeemable(client, locked, user.id, now)
+
+    const planId = locked.kind === 'free_days' ? null : plan?.id || null
+    const { rows: payments } = await client.query(
+      `INSERT INTO payments (user_id, razorpay_payment_id, amount, currency, status, metadata, plan_id)
+       VALUES ($1, NULL, 0, 'INR', 'captured', $2, $3)
+       RETURNING id`,
+      [user.id, JSON.stringify({ coupon: locked.code, free_days: quote.free_days }), planId]
+    )
+    const paymentId = payments[0].id
+    await client.query(
+      `INSERT INTO coupon_redemptions (coupon_id, user_id, payment_id, status, discount_paise, free_days, redeemed_at)
+       VALUES ($1, $2, $3, 'redeemed', $4, $5, $6)`,
+      [locked.id, user.id, paymentId, quote.discount_paise, quote.free_days, now]
+    )
+    // Added after any paid time left; a cancelled or halted subscription keeps its status so it
+    // still isn't offered for cancellation
+    const { rows } = await client.query(
+      `UPDATE users
+       SET subscription_status = CASE
+             WHEN subscription_status IN ('cancelled', 'halted', 'completed') AND subscription_expires_at > $3
+             THEN subscription_status ELSE 'active' END,
+           subscription_started_at = COALESCE(subscription_started_at, $3),
+           subscription_expires_at = GREATEST(COALESCE(subscription_expires_at, $3), $3) + make_interval(days => $2),
+           subscription_plan_id = COALESCE($4, subscription_plan_id),
+           notified_subscription_expired = false
+       WHERE id = $1
+       RETURNING subscription_expires_at`,
+      [user.id, quote.free_days, now, planId]
+    )
+    logger.info('[coupons] Free coupon redeemed', { code: locked.code, userId: user.id, freeDays: quote.free_days, paymentId })
+    return { expiresAt: rows[0]?.subscription_expires_at || null, paymentId }
+  })
+}
+
+export default {
+  CouponError,
+  normalizeCode,
+  quoteCoupon,
+  serializeCoupon,
+  checkCoupon,
+  reserveCoupon,
+  completeRedemption,
+  redeemFreeCoupon
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { checkCoupon, normalizeCode, quoteCoupon } from './coupons.js';
+
+const { query } = vi.hoisted(() => ({ query: vi.fn() }));
+
+vi.mock('../db.js', () => ({ query, withTransaction: vi.fn(), default: { query, withTransaction: vi.fn() } }));
+
+const now = new Date('2025-11-20T00:00:00Z');
+const plan = { id: 'p1', name: '28 days', duration_days: 28, price_paise: 4900 };
+const percent = { id: 'c1', code: 'BATCH20', kind: 'percent', percent_off: 20, razorpay_offer_id: 'offer_1', per_user_limit: 1, active: true };
+
+function withCoupon(coupon, { used = 0, usedByUser = 0 } = {}) {
+  query.mockImplementation(async sql => {
+    if (sql.includes('FROM coupons')) return { rows: coupon ? [coupon] : [] };
+    if (sql.includes('FROM coupon_redemptions')) return { rows: [{ used, used_by_user: usedByUser }] };
+    return { rows: [] };
+  });
+}
+
+describe('coupons', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('normalizes codes', () => {
+    expect(normalizeCode('  batch20 ')).toBe('BATCH20');
+    expect(normalizeCode('no spaces')).toBeNull();
+    expect(normalizeCode(42)).toBeNull();
+  });
+
+  it('prices percent, flat and free codes', () => {
+    expect(quoteCoupon(percent, plan)).toEqual({ price_paise: 4900, discount_paise: 980, final_price_paise: 3920, free_days: null, free: false });
+    expect(quoteCoupon({ kind: 'flat', amount_off_paise: 10000 }, plan)).toMatchObject({ discount_paise: 4900, final_price_paise: 0, free_days: 28, free: true });
+    expect(quoteCoupon({ kind: 'percent', percent_off: 100 }, plan)).toMatchObject({ free: true, free_days: 28 });
+    expect(quoteCoupon({ kind: 'free_days', free_days: 14 }, null)).toMatchObject({ free: true, free_days: 14 });
+  });
+
+  it('accepts a usable code', async () => {
+    withCoupon(percent);
+    const { coupon, quote } = await checkCoupon('batch20', 'u1', plan, { now });
+    expect(coupon.id).toBe('c1');
+    expect(quote.final_price_paise).toBe(3920);
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('FROM coupons WHERE code = $1'), ['BATCH20']);
+  });
+
+  it('rejects codes that are unknown, out of their window, used up or not chargeable', async () => {
+    const rejection = async (coupon, counts, code = 'BATCH20') => {
+      withCoupon(coupon, counts);
+      return checkCoupon(code, 'u1', plan, { now }).then(() => null, err => [err.status, err.code]);
+    };
+
+    expect(await rejection(percent, {}, 'x')).toEqual([400, 'invalid_code']);
+    expect(await rejection(null)).toEqual([404, 'coupon_not_found']);
+    expect(await rejection({ ...percent, active: false })).toEqual([404, 'coupon_not_found']);
+    expect(await rejection({ ...percent, valid_from: new Date('2025-12-01T00:00:00Z') })).toEqual([409, 'coupon_not_started']);
+    expect(await rejection({ ...percent, valid_until: now })).toEqual([409, 'coupon_expired']);
+    expect(await rejection(percent, { usedByUser: 1 })).toEqual([409, 'coupon_already_used']);
+    expect(await rejection({ ...percent, max_redemptions: 50 }, { used: 50 })).toEqual([409, 'coupon_exhausted']);
+    expect(await rejection({ ...percent, razorpay_offer_id: null })).toEqual([409, 'coupon_not_applicable']);
+  });
+});
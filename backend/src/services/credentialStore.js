@@ -0,0 +1,145 @@
+import { query } from '../db.js'
+import logger from '../../lib/logger.js'
+import { encryptSecret, decryptSecret, getActiveKeyId, isVaultConfigured } from '../lib/credentialVault.js'
+
+// Opt-in store of encrypted LMS passwords (table lms_credentials) for unattended scrapes.
+// Rows are wiped when the user revokes them or after repeated LMS auth failures.
+
+function getMaxAuthFailures() {
+  return Math.max(1, Number(process.env.CREDENTIAL_VAULT_MAX_AUTH_FAILURES || 3) || 3)
+}
+
+/**
+ * Encrypt and upsert the LMS password for a user
+ * @returns {Promise<boolean>} false when the vault is not configured
+ */
+export async function storeCredentials(userId, studentId, password) {
+  if (!isVaultConfigured()) {
+    logger.warn('[credentials] Vault not configured, not storing LMS credentials', { student_id: studentId })
+    return false
+  }
+  const sealed = encryptSecret(password, studentId)
+  await query(
+    `INSERT INTO lms_credentials (user_id, student_id, key_id, nonce, ciphertext, auth_tag, auth_failures, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, 0, now(), now())
+     ON CONFLICT (user_id) DO UPDATE SET
+       student_id = EXCLUDED.student_id,
+       key_id = EXCLUDED.key_id,
+       nonce = EXCLUDED.nonce,
+       ciphertext = EXCLUDED.ciphertext,
+       auth_tag = EXCLUDED.auth_tag,
+       auth_failures = 0,
+       updated_at = now()`,
+    [userId, studentId, sealed.keyId, sealed.nonce, sealed.ciphertext, sealed.authTag]
+  )
+  logger.info('[credentials] Stored LMS credentials', { userId, student_id: studentId, keyId: sealed.keyId })
+  return true
+}
+
+/**
+ * Decrypted LMS password for a student, or null if none is stored (or it can't be decrypted)
+ */
+export async function getStoredPassword(studentId) {
+  const { rows } = await query(
+    'SELECT user_id, key_id, nonce, ciphertext, auth_tag FROM lms_credentials WHERE student_id = $1 LIMIT 1',
+    [studentId]
+  )
+  const row = rows[0]
+  if (!row) return null
+  try {
+    const password = decryptSecret({ keyId: row.key_id, nonce: row.nonce, ciphertext: row.ciphertext, authTag: row.auth_tag }, studentId)
+    await query('UPDATE lms_credentials SET last_used_at = now() WHERE user_id = $1', [row.user_id])
+    return password
+  } catch (err) {
+    logger.error('[credentials] Failed to decrypt stored LMS credentials', { student_id: studentId, error: err.message, code: err.code })
+    return null
+  }
+}
+
+export async function hasStoredCredentials(userId) {
+  const { rows } = await query('SELECT 1 FROM lms_credentials WHERE user_id = $1', [userId])
+  return rows.length > 0
+}
+
+/**
+ * @returns {Promise<boolean>} true if a row was deleted
+ */
+export async function revokeCredentials(userId) {
+  const { rowCount } = await query('DELETE FROM lms_credentials WHERE user_id = $1', [userId])
+  if (rowCount > 0) logger.info('[credentials] Revoked stored LMS credentials', { userId })
+  return rowCount > 0
+}
+
+/**
+ * Count an LMS auth rejection; the stored password is wiped once the limit is reached
+ * so a changed LMS password doesn't keep failing (and risk an LMS lockout)
+ * @returns {Promise<{failures: number, wiped: boolean}>}
+ */
+export async function recordAuthFailure(studentId) {
+  const { rows } = await query(
+    `UPDATE lms_credentials SET auth_failures = auth_failures + 1, updated_at = now()
+     WHERE student_id = $1
+     RETURNING user_id, auth_failures`,
+    [studentId]
+  )
+  const row = rows[0]
+  if (!row) return { failures: 0, wiped: false }
+  if (row.auth_failures >= getMaxAuthFailures()) {
+    await query('DELETE FROM lms_credentials WHERE user_id = $1', [row.user_id])
+    logger.warn('[credentials] Wiped stored LMS credentials after repeated auth failures', {
+      student_id: studentId,
+      failures: row.auth_failures
+    })
+    return { failures: row.auth_failures, wiped: true }
+  }
+  return { failures: row.auth_failures, wiped: false }
+}
+
+export async function recordAuthSuccess(studentId) {
+  await query(
+    'UPDATE lms_credentials SET auth_failures = 0 WHERE student_id = $1 AND auth_failures > 0',
+    [studentId]
+  )
+}
+
+/**
+ * Re-encrypt every row that isn't under the active key
+ * @returns {Promise<{rotated: number, failed: number, activeKeyId: string}>}
+ */
+export async function rotateCredentials() {
+  const activeKeyId = getActiveKeyId()
+  if (!activeKeyId) throw new Error('CREDENTIAL_VAULT_KEYS is not configured')
+
+  const { rows } = await query(
+    'SELECT user_id, student_id, key_id, nonce, ciphertext, auth_tag FROM lms_credentials WHERE key_id <> $1',
+    [activeKeyId]
+  )
+  let rotated = 0
+  let failed = 0
+  for (const row of rows) {
+    try {
+      const password = decryptSecret({ keyId: row.key_id, nonce: row.nonce, ciphertext: row.ciphertext, authTag: row.auth_tag }, row.student_id)
+      const sealed = encryptSecret(password, row.student_id)
+      await query(
+        `UPDATE lms_credentials SET key_id = $2, nonce = $3, ciphertext = $4, auth_tag = $5, updated_at = now()
+         WHERE user_id = $1`,
+        [row.user_id, sealed.keyId, sealed.nonce, sealed.ciphertext, sealed.authTag]
+      )
+      rotated++
+    } catch (err) {
+      failed++
+      logger.error('[credentials] Failed to rotate stored LMS credentials', { userId: row.user_id, keyId: row.key_id, error: err.message })
+    }
+  }
+  return { rotated, failed, activeKeyId }
+}
+
+export default {
+  storeCredentials,
+  getStoredPassword,
+  hasStoredCredentials,
+  revokeCredentials,
+  recordAuthFailure,
+  recordAuthSuccess,
+  rotateCredentials
+}
@@ -0,0 +1,218 @@
+import PDFDocument from 'pdfkit'
+import { query } from '../db.js'
+import logger from '../../lib/logger.js'
+
+// Invoices for captured payments (invoices table). Prices are GST-inclusive: the amount paid is
+// split into the taxable value and CGST + SGST at half the rate each. Numbers run without gaps per
+// Indian financial year (April-March), e.g. SBM/2526/00042: the counter row in invoice_counters is
+// bumped in the same transaction as the invoice, so a rolled-back invoice doesn't use up a number.
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'SBM'
+const GST_RATE_PERCENT = Number.parseFloat(process.env.INVOICE_GST_RATE_PERCENT ?? '18')
+const SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || 'SBMCH Attendance',
+  address: process.env.INVOICE_SELLER_ADDRESS || '',
+  gstin: process.env.INVOICE_SELLER_GSTIN || ''
+}
+
+// Statuses of a payment that was paid at some point (refunds don't cancel the invoice)
+export const INVOICEABLE_STATUSES = ['captured', 'partially_refunded', 'refunded', 'paid', 'processed']
+
+const INVOICE_COLUMNS = `id, payment_id, user_id, invoice_number, financial_year, sequence, student_name, student_id,
+  plan_name, plan_duration_days, amount_paise, taxable_paise, cgst_paise, sgst_paise, gst_rate_percent, currency,
+  razorpay_payment_id, seller_name, seller_address, seller_gstin, issued_at`
+
+/**
+ * Split a GST-inclusive amount; rounding goes to the taxable value and SGST so the parts add up
+ * @param {number} amountPaise - amount paid
+ * @param {number} [ratePercent]
+ * @returns {{taxablePaise: number, cgstPaise: number, sgstPaise: number}}
+ */
+export function gstBreakdown(amountPaise, ratePercent = GST_RATE_PERCENT) {
+  const amount = Math.max(0, Math.round(amountPaise || 0))
+  const taxablePaise = Math.round(amount * 100 / (100 + ratePercent))
+  const tax = amount - taxablePaise
+  const cgstPaise = Math.floor(tax / 2)
+  return { taxablePaise, cgstPaise, sgstPaise: tax - cgstPaise }
+}
+
+/**
+ * Indian financial year of a date (IST), as the 4-digit code used in invoice numbers: 2025-26 -> '2526'
+ */
+export function financialYear(date) {
+  const [year, month] = date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }).split('-').map(Number)
+  const start = month >= 4 ? year : year - 1
+  return `${String(start % 100).padStart(2, '0')}${String((start + 1) % 100).padStart(2, '0')}`
+}
+
+export function formatInvoiceNumber(fy, sequence, prefix = INVOICE_PREFIX) {
+  return `${prefix}/${fy}/${String(sequence).padStart(5, '0')}`
+}
+
+/**
+ * Issue the invoice for a payment, once. Call inside the transaction that captured the payment
+ * (withTransaction). A failure is logged and rolled back to a savepoint, so it never undoes the
+ * payment itself; GET /api/payments/:id/invoice issues missing invoices later.
+ * @param {object} client - transaction client
+ * @param {string} razorpayPaymentId
+ * @returns {Promise<object|null>} the invoice, null when the payment isn't invoiceable or it failed
+ */
+export async function issueInvoice(client, razorpayPaymentId, { now = new Date() } = {}) {
+  await client.query('SAVEPOINT issue_invoice')
+  try {
+    const { rows } = await client.query(
+      `SELECT p.id, p.user_id, p.amount, p.currency, p.status, p.razorpay_payment_id,
+              u.name AS student_name, u.student_id, pl.name AS plan_name, pl.duration_days AS plan_duration_days,
+              i.id AS invoice_id
+       FROM payments p
+       JOIN users u ON u.id = p.user_id
+       LEFT JOIN plans pl ON pl.id = p.plan_id
+       LEFT JOIN invoices i ON i.payment_id = p.id
+       WHERE p.razorpay_payment_id = $1`,
+      [razorpayPaymentId]
+    )
+    const payment = rows[0]
+    let invoice = null
+    if (payment?.invoice_id) {
+      invoice = (await client.query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE id = $1`, [payment.invoice_id])).rows[0]
+    } else if (payment && INVOICEABLE_STATUSES.includes(payment.status)) {
+      const fy = financialYear(now)
+      const { rows: counter } = await client.query(
+        `INSERT INTO invoice_counters (financial_year, last_sequence) VALUES ($1, 1)
+         ON CONFLICT (financial_year) DO UPDATE SET last_sequence = invoice_counters.last_sequence + 1
+         RETURNING last_sequence`,
+        [fy]
+      )
+      const sequence = counter[0].last_sequence
+      const { taxablePaise, cgstPaise, sgstPaise } = gstBreakdown(payment.amount, GST_RATE_PERCENT)
+      const { rows: inserted } = await client.query(
+        `INSERT INTO invoices (payment_id, user_id, invoice_number, financial_year, sequence, student_name, student_id,
+           plan_name, plan_duration_days, amount_paise, taxable_paise, cgst_paise, sgst_paise, gst_rate_percent, currency,
+           razorpay_payment_id, seller_name, seller_address, seller_gstin, issued_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+         RETURNING ${INVOICE_COLUMNS}`,
+        [
+          payment.id, payment.user_id, formatInvoiceNumber(fy, sequence), fy, sequence,
+          payment.student_name || null, payment.student_id || null, payment.plan_name || null, payment.plan_duration_days || null,
+          payment.amount || 0, taxablePaise, cgstPaise, sgstPaise, GST_RATE_PERCENT, payment.currency || 'INR',
+          payment.razorpay_payment_id, SELLER.name, SELLER.address || null, SELLER.gstin || null, now
+        ]
+      )
+      invoice = inserted[0]
+      logger.info('[invoices] Issued invoice', { invoiceNumber: invoice.invoice_number, paymentId: payment.id, userId: payment.user_id })
+    }
+    await client.query('RELEASE SAVEPOINT issue_invoice')
+    return invoice || null
+  } catch (err) {
+    await client.query('ROLLBACK TO SAVEPOINT issue_invoice')
+    logger.error('[invoices] Failed to issue invoice', { razorpayPaymentId, error: err.message })
+    return null
+  }
+}
+
+/**
+ * A user's payment with its invoice (if issued); null when the payment isn't theirs
+ */
+export async function getPaymentWithInvoice(userId, paymentId) {
+  const { rows } = await query(
+    `SELECT p.id, p.status, p.razorpay_payment_id, i.id AS invoice_id
+     FROM payments p LEFT JOIN invoices i ON i.payment_id = p.id
+     WHERE p.id = $1 AND p.user_id = $2`,
+    [paymentId, userId]
+  )
+  const payment = rows[0]
+  if (!payment) return null
+  const invoice = payment.invoice_id
+    ? (await query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE id = $1`, [payment.invoice_id])).rows[0]
+    : null
+  return { payment, invoice: invoice || null }
+}
+
+function formatMoney(paise, currency = 'INR') {
+  return `${currency} ${((paise || 0) / 100).toFixed(2)}`
+}
+
+function formatIssuedAt(date) {
+  return new Date(date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric' })
+}
+
+/**
+ * A4 PDF of an invoice; a seller without a GSTIN gets a receipt instead of a tax invoice
+ * @returns {Promise<Buffer>}
+ */
+export function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const title = invoice.seller_gstin ? 'Tax Invoice' : 'Receipt'
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${title} ${invoice.invoice_number}` } })
+    const chunks = []
+    doc.on('data', chunk => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+
+    const left = doc.page.margins.left
+    const width = doc.page.width - left - doc.page.margins.right
+
+    doc.font('Helvetica-Bold').fontSize(18).text(title)
+    doc.font('Helvetica').fontSize(10).fillColor('#475569')
+    doc.text(invoice.seller_name)
+    if (invoice.seller_address) doc.text(invoice.seller_address)
+    if (invoice.seller_gstin) doc.text(`GSTIN: ${invoice.seller_gstin}`)
+    doc.fillColor('black').moveDown()
+
+    doc.fontSize(11)
+    const details = [
+      ['Invoice number', invoice.invoice_number],
+      ['Date', formatIssuedAt(invoice.issued_at)],
+      ['Billed to', [invoice.student_name, invoice.student_id].filter(Boolean).join(' - ') || '-'],
+      ['Payment ID', invoice.razorpay_payment_id || '-']
+    ]
+    for (const [label, value] of details) {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value))
+    }
+    doc.moveDown()
+
+    const description = invoice.plan_name
+      ? `SBMCH Attendance subscription - ${invoice.plan_name}${invoice.plan_duration_days ? ` (${invoice.plan_duration_days} days)` : ''}`
+      : 'SBMCH Attendance subscription'
+    const halfRate = Number(invoice.gst_rate_percent) / 2
+    const rows = [
+      [description, formatMoney(invoice.taxable_paise, invoice.currency)],
+      ...(halfRate > 0
+        ? [
+            [`CGST @ ${halfRate}%`, formatMoney(invoice.cgst_paise, invoice.currency)],
+            [`SGST @ ${halfRate}%`, formatMoney(invoice.sgst_paise, invoice.currency)]
+          ]
+        : [])
+    ]
+    const amountWidth = 120
+    const drawRow = ([label, amount], { bold = false, shade = false } = {}) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10)
+      const height = doc.heightOfString(label, { width: width - amountWidth - 8 }) + 10
+      const y = doc.y
+      if (shade) doc.rect(left, y, width, height).fill('#f1f5f9').fillColor('black')
+      doc.text(label, left + 4, y + 5, { width: width - amountWidth - 8 })
+      doc.text(amount, left + width - amountWidth, y + 5, { width: amountWidth - 4, align: 'right' })
+      doc.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor('#cbd5e1').lineWidth(0.5).stroke()
+      doc.x = left
+      doc.y = y + height
+    }
+    drawRow(['Description', 'Amount'], { bold: true, shade: true })
+    rows.forEach(row => drawRow(row))
+    drawRow(['Total paid', formatMoney(invoice.amount_paise, invoice.currency)], { bold: true })
+
+    doc.moveDown()
+    doc.font('Helvetica').fontSize(8).fillColor('#475569')
+      .text(`${halfRate > 0 ? 'Prices include GST. ' : ''}This is a computer-generated document and needs no signature.`, left, doc.y, { width })
+    doc.end()
+  })
+}
+
+export default {
+  INVOICEABLE_STATUSES,
+  gstBreakdown,
+  financialYear,
+  formatInvoiceNumber,
+  issueInvoice,
+  getPaymentWithInvoice,
+  renderInvoicePdf
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi } from 'vitest';
+import { financialYear, formatInvoiceNumber, gstBreakdown, issueInvoice, renderInvoicePdf } from './invoices.js';
+
+vi.mock('../db.js', () => ({ query: vi.fn(), withTransaction: vi.fn(), default: { query: vi.fn(), withTransaction: vi.fn() } }));
+
+const issuedAt = new Date('2025-11-20T06:30:00Z');
+const payment = {
+  id: 'payment-1',
+  user_id: 'user-1',
+  amount: 4900,
+  currency: 'INR',
+  status: 'captured',
+  razorpay_payment_id: 'pay_123',
+  student_name: 'Asha',
+  student_id: 'std0001',
+  plan_name: '28 days',
+  plan_duration_days: 28,
+  invoice_id: null
+};
+
+describe('invoices', () => {
+  it('splits a GST-inclusive amount into parts that add back up', () => {
+    expect(gstBreakdown(4900, 18)).toEqual({ taxablePaise: 4153, cgstPaise: 373, sgstPaise: 374 });
+    expect(gstBreakdown(4900, 0)).toEqual({ taxablePaise: 4900, cgstPaise: 0, sgstPaise: 0 });
+  });
+
+  it('numbers invoices per Indian financial year', () => {
+    expect(financialYear(new Date('2026-03-31T18:00:00Z'))).toBe('2526'); // 23:30 IST, still March
+    expect(financialYear(new Date('2026-03-31T18:30:00Z'))).toBe('2627'); // midnight IST, 1 April
+    expect(formatInvoiceNumber('2526', 42)).toBe('SBM/2526/00042');
+  });
+
+  it('issues the next number for a captured payment and reuses an existing invoice', async () => {
+    const client = {
+      query: vi.fn(async sql => {
+        if (sql.includes('FROM payments p')) return { rows: [payment] };
+        if (sql.includes('INSERT INTO invoice_counters')) return { rows: [{ last_sequence: 7 }] };
+        if (sql.includes('INSERT INTO invoices')) return { rows: [{ id: 'invoice-1', invoice_number: 'SBM/2526/00007' }] };
+        return { rows: [] };
+      })
+    };
+
+    const invoice = await issueInvoice(client, 'pay_123', { now: issuedAt });
+
+    expect(invoice.invoice_number).toBe('SBM/2526/00007');
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO invoices'));
+    expect(insert[1].slice(0, 13)).toEqual([
+      'payment-1', 'user-1', 'SBM/2526/00007', '2526', 7, 'Asha', 'std0001', '28 days', 28, 4900, 4153, 373, 374
+    ]);
+    expect(client.query).toHaveBeenLastCalledWith('RELEASE SAVEPOINT issue_invoice');
+
+    client.query.mockImplementation(async sql => {
+      if (sql.includes('FROM payments p')) return { rows: [{ ...payment, invoice_id: 'invoice-1' }] };
+      if (sql.includes('FROM invoices WHERE id')) return { rows: [{ id: 'invoice-1', invoice_number: 'SBM/2526/00007' }] };
+      return { rows: [] };
+    });
+    client.query.mockClear();
+
+    expect(await issueInvoice(client, 'pay_123')).toMatchObject({ invoice_number: 'SBM/2526/00007' });
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('invoice_counters'))).toBe(false);
+  });
+
+  it('rolls back to the savepoint instead of failing the payment', async () => {
+    const client = {
+      query: vi.fn(async sql => {
+        if (sql.includes('FROM payments p')) throw new Error('relation "invoices" does not exist');
+        return { rows: [] };
+      })
+    };
+
+    expect(await issueInvoice(client, 'pay_123')).toBeNull();
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK TO SAVEPOINT issue_invoice');
+  });
+
+  it('renders a PDF', async () => {
+    const pdf = await renderInvoicePdf({
+      invoice_number: 'SBM/2526/00007',
+      issued_at: issuedAt,
+      student_name: 'Asha',
+      student_id: 'std0001',
+      plan_name: '28 days',
+      plan_duration_days: 28,
+      amount_paise: 4900,
+      taxable_paise: 4153,
+      cgst_paise: 373,
+      sgst_paise: 374,
+      gst_rate_percent: '18.00',
+      currency: 'INR',
+      razorpay_payment_id: 'pay_123',
+      seller_name: 'SBMCH Attendance',
+      seller_gstin: '33ABCDE1234F1Z5'
+    });
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
@@ -0,0 +1,202 @@
+import crypto from 'crypto'
+import logger from '../../../lib/logger.js'
+import { signWebhookBody, verifyWebhookSignature } from '../../lib/webhookSignature.js'
+import { PaymentProviderError } from './providerError.js'
+
+// PaymentProvider for local development and tests (PAYMENT_PROVIDER=fake). Customers and
+// subscriptions live in memory; completing a checkout, an immediate cancel or a refund sends the
+// webhooks Razorpay would, in Razorpay's format and signed with the first webhook secret, to our
+// own POST /api/webhook/razorpay. That way the real webhook path runs without Razorpay keys.
+
+export const FAKE_WEBHOOK_SECRET = 'fake_webhook_secret'
+const FAKE_CHECKOUT_KEY = 'rzp_test_fake'
+const DAY_SECONDS = 24 * 60 * 60
+
+function fakeId(prefix) {
+  return `${prefix}_fake_${crypto.randomBytes(7).toString('hex')}`
+}
+
+// POST the webhook with fetch; tests pass their own deliver
+async function httpDeliver({ url, body, headers }) {
+  const resp = await fetch(url, { method: 'POST', headers, body })
+  return { status: resp.status, body: await resp.json().catch(() => null) }
+}
+
+/**
+ * @param {object} [options]
+ * @param {string[]} [options.webhookSecrets] - signs with the first, verifies against all
+ * @param {string} [options.webhookUrl] - where the webhooks are sent
+ * @param {Function} [options.deliver] - ({ url, body, headers }) => Promise<{ status, body }>
+ * @param {Function} [options.now] - clock in ms, for tests
+ * @returns {import('./index.js').PaymentProvider}
+ */
+export function createFakeProvider({
+  webhookSecrets = [FAKE_WEBHOOK_SECRET],
+  webhookUrl = `http://localhost:${process.env.PORT || 3000}/api/webhook/razorpay`,
+  deliver = httpDeliver,
+  now = () => Date.now()
+} = {}) {
+  const secrets = webhookSecrets.length ? webhookSecrets : [FAKE_WEBHOOK_SECRET]
+  const subscriptions = new Map()
+  const payments = new Map()
+
+  function getSubscription(subscriptionId) {
+    const subscription = subscriptions.get(subscriptionId)
+    if (!subscription) throw new PaymentProviderError('subscription_not_found', `Unknown fake subscription ${subscriptionId}`)
+    return subscription
+  }
+
+  function subscriptionEntity(subscription) {
+    return {
+      id: subscription.id,
+      entity: 'subscription',
+      plan_id: subscription.plan_id,
+      offer_id: subscription.offer_id,
+      status: subscription.status,
+      total_count: subscription.total_count,
+      paid_count: subscription.paid_count,
+      current_start: subscription.current_start,
+      current_end: subscription.current_end,
+      charge_at: subscription.charge_at,
+      notes: subscription.notes
+    }
+  }
+
+  async function emit(event, payload) {
+    const body = JSON.stringify({
+      entity: 'event',
+      account_id: 'acc_fake',
+      event,
+      contains: Object.keys(payload),
+      payload: Object.fromEntries(Object.entries(payload).map(([key, entity]) => [key, { entity }])),
+      created_at: Math.floor(now() / 1000)
+    })
+    const eventId = fakeId('evt')
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Signature': signWebhookBody(body, secrets[0]),
+      'X-Razorpay-Event-Id': eventId
+    }
+    const response = await deliver({ url: webhookUrl, body, headers })
+    logger.info('[fake-payments] Webhook sent', { event, eventId, status: response?.status })
+    return { event, eventId, status: response?.status ?? null, response: response?.body ?? null }
+  }
+
+  return {
+    name: 'fake',
+    isConfigured: true,
+    checkoutKey: FAKE_CHECKOUT_KEY,
+    canVerifyWebhooks: true,
+
+    async createCustomer({ email, name }) {
+      return { id: fakeId('cust'), email, name }
+    },
+
+    // amount and periodDays stand in for the Razorpay plan, which the fake doesn't have; amount is
+    // the price after any offer
+    async createSubscription({ planId, notes = {}, totalCount = 1, offerId = null, amount = 0, periodDays = 28 }) {
+      const subscription = {
+        id: fakeId('sub'),
+        plan_id: planId,
+        offer_id: offerId,
+        status: 'created',
+        total_count: totalCount,
+        paid_count: 0,
+        current_start: null,
+        current_end: null,
+        charge_at: null,
+        notes,
+        amount,
+        periodDays
+      }
+      subscriptions.set(subscription.id, subscription)
+      return { id: subscription.id }
+    },
+
+    async cancel(subscriptionId, { atCycleEnd = true } = {}) {
+      const subscription = getSubscription(subscriptionId)
+      if (atCycleEnd) {
+        // Razorpay would send subscription.cancelled at the end of the cycle; the fake never gets there
+        subscription.charge_at = null
+        return { id: subscriptionId, status: subscription.status }
+      }
+      subscription.status = 'cancelled'
+      await emit('subscription.cancelled', { subscription: subscriptionEntity(subscription) })
+      return { id: subscriptionId, status: 'cancelled' }
+    },
+
+    verifyWebhook(rawBody, signature) {
+      return verifyWebhookSignature(rawBody, signature, secrets)
+    },
+
+    async refund(paymentId, { amount, notes = {} } = {}) {
+      const payment = payments.get(paymentId)
+      if (!payment) throw new PaymentProviderError('payment_not_found', `Unknown fake payment ${paymentId}`)
+      const refundAmount = Math.min(amount || payment.amount, payment.amount - payment.amount_refunded)
+      if (refundAmount <= 0) throw new PaymentProviderError('already_refunded', `Payment ${paymentId} is fully refunded`)
+      payment.amount_refunded += refundAmount
+      payment.status = payment.amount_refunded >= payment.amount ? 'refunded' : 'captured'
+      const refund = {
+        id: fakeId('rfnd'),
+        entity: 'refund',
+        payment_id: paymentId,
+        amount: refundAmount,
+        currency: payment.currency,
+        status: 'processed',
+        notes,
+        created_at: Math.floor(now() / 1000)
+      }
+      await emit('refund.processed', { refund, payment: { ...payment } })
+      return { id: refund.id, amount: refundAmount }
+    },
+
+    /**
+     * Stand-in for the user paying in Razorpay Checkout (POST /api/subscriptions/fake/complete)
+     * @param {string} subscriptionId
+     * @param {object} [options]
+     * @param {'success'|'failure'} [options.outcome]
+     * @returns {Promise<object[]>} one entry per webhook sent, with the webhook's response
+     */
+    async completeCheckout(subscriptionId, { outcome = 'success' } = {}) {
+      const subscription = getSubscription(subscriptionId)
+      const nowSeconds = Math.floor(now() / 1000)
+      const payment = {
+        id: fakeId('pay'),
+        entity: 'payment',
+        amount: subscription.amount,
+        currency: 'INR',
+        status: outcome === 'success' ? 'captured' : 'failed',
+        method: 'upi',
+        amount_refunded: 0,
+        notes: subscription.notes,
+        created_at: nowSeconds
+      }
+
+      if (outcome !== 'success') {
+        payments.set(payment.id, {
+          ...payment,
+          error_code: 'BAD_REQUEST_ERROR',
+          error_description: 'Payment failed (fake provider)'
+        })
+        return [await emit('payment.failed', { payment: payments.get(payment.id) })]
+      }
+
+      payments.set(payment.id, payment)
+      const activating = subscription.status !== 'active'
+      Object.assign(subscription, {
+        status: 'active',
+        paid_count: subscription.paid_count + 1,
+        current_start: nowSeconds,
+        current_end: nowSeconds + subscription.periodDays * DAY_SECONDS
+      })
+      subscription.charge_at = subscription.paid_count < subscription.total_count ? subscription.current_end : null
+
+      const deliveries = []
+      if (activating) deliveries.push(await emit('subscription.activated', { subscription: subscriptionEntity(subscription) }))
+      deliveries.push(await emit('subscription.charged', { subscription: subscriptionEntity(subscription), payment: { ...payment } }))
+      return deliveries
+    }
+  }
+}
+
+export default createFakeProvider
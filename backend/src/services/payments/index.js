@@ -0,0 +1,75 @@
+import { webhookSecrets } from '../../lib/webhookSignature.js'
+import { createFakeProvider } from './fakeProvider.js'
+import { createRazorpayProvider } from './razorpayProvider.js'
+
+// The payment provider the app talks to, chosen by PAYMENT_PROVIDER:
+//   razorpay (default)  the Razorpay API, RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET
+//   fake                in-memory, sends signed Razorpay-format webhooks to this server
+//                       (src/services/payments/fakeProvider.js) so payments work offline
+//
+// Both report payments through POST /api/webhook/razorpay; subscription state is only ever
+// changed by the webhook handlers, never by the provider call itself.
+
+/**
+ * @typedef {object} PaymentProvider
+ * @property {string} name - 'razorpay' | 'fake'
+ * @property {boolean} isConfigured - false when API calls can't be made (no keys)
+ * @property {string} checkoutKey - public key the checkout is opened with
+ * @property {boolean} canVerifyWebhooks - false when no webhook secret is set
+ * @property {(customer: {email: string, name: string}) => Promise<{id: string}>} createCustomer
+ * @property {(subscription: {planId: string, notes?: object, totalCount?: number, offerId?: string, amount?: number, periodDays?: number}) => Promise<{id: string}>} createSubscription
+ *   planId is the provider's plan id (plans.razorpay_plan_id), offerId a coupon's razorpay_offer_id
+ * @property {(subscriptionId: string, options?: {atCycleEnd?: boolean}) => Promise<{id: string, status: string|null}>} cancel
+ * @property {(rawBody: Buffer|string, signature: string) => number} verifyWebhook
+ *   index of the webhook secret that matched, -1 for none
+ * @property {(paymentId: string, options?: {amount?: number, notes?: object}) => Promise<{id: string, amount: number}>} refund
+ */
+
+export const PAYMENT_PROVIDERS = ['razorpay', 'fake']
+
+/**
+ * @param {object} [env]
+ * @returns {PaymentProvider}
+ */
+export function createPaymentProvider(env = process.env) {
+  const name = (env.PAYMENT_PROVIDER || 'razorpay').trim().toLowerCase()
+  if (name === 'fake') {
+    return createFakeProvider({
+      webhookSecrets: webhookSecrets(env),
+      ...(env.FAKE_PAYMENT_WEBHOOK_URL ? { webhookUrl: env.FAKE_PAYMENT_WEBHOOK_URL } : {})
+    })
+  }
+  if (name === 'razorpay') {
+    return createRazorpayProvider({
+      keyId: env.RAZORPAY_KEY_ID || '',
+      keySecret: env.RAZORPAY_KEY_SECRET || '',
+      webhookSecrets: webhookSecrets(env)
+    })
+  }
+  throw new Error(`Unknown PAYMENT_PROVIDER "${name}" (expected one of ${PAYMENT_PROVIDERS.join(', ')})`)
+}
+
+let provider = null
+
+/**
+ * The process-wide provider, created from the environment on first use
+ * @returns {PaymentProvider}
+ */
+export function getPaymentProvider() {
+  if (!provider) provider = createPaymentProvider()
+  return provider
+}
+
+/**
+ * Replace the process-wide provider (tests); null goes back to the environment's
+ */
+export function setPaymentProvider(next) {
+  provider = next
+}
+
+export default {
+  PAYMENT_PROVIDERS,
+  createPaymentProvider,
+  getPaymentProvider,
+  setPaymentProvider
+}
@@ -0,0 +1,12 @@
+export class PaymentProviderError extends Error {
+  /**
+   * @param {string} code - error code for API responses, e.g. 'razorpay_not_configured'
+   */
+  constructor(code, message) {
+    super(message)
+    this.name = 'PaymentProviderError'
+    this.code = code
+  }
+}
+
+export default PaymentProviderError
@@ -0,0 +1,65 @@
+import Razorpay from 'razorpay'
+import { verifyWebhookSignature } from '../../lib/webhookSignature.js'
+import { PaymentProviderError } from './providerError.js'
+
+// PaymentProvider backed by the Razorpay API. Webhook verification only needs the webhook
+// secrets, so a deployment without API keys still accepts webhooks; API calls throw
+// razorpay_not_configured.
+
+/**
+ * @param {object} options
+ * @param {string} [options.keyId] - RAZORPAY_KEY_ID, also the key Checkout is opened with
+ * @param {string} [options.keySecret] - RAZORPAY_KEY_SECRET
+ * @param {string[]} [options.webhookSecrets] - active webhook secrets, newest first
+ * @param {object} [options.client] - Razorpay SDK instance to use instead of creating one
+ * @returns {import('./index.js').PaymentProvider}
+ */
+export function createRazorpayProvider({ keyId = '', keySecret = '', webhookSecrets = [], client = null } = {}) {
+  const razorpay = client || ((keyId && keySecret) ? new Razorpay({ key_id: keyId, key_secret: keySecret }) : null)
+
+  function api() {
+    if (!razorpay) throw new PaymentProviderError('razorpay_not_configured', 'RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are not set')
+    return razorpay
+  }
+
+  return {
+    name: 'razorpay',
+    isConfigured: Boolean(razorpay),
+    checkoutKey: keyId,
+    canVerifyWebhooks: webhookSecrets.length > 0,
+
+    async createCustomer({ email, name }) {
+      const customer = await api().customers.create({ email, name })
+      return { id: customer?.id || null }
+    },
+
+    // amount is ignored: Razorpay charges what the plan in the dashboard says
+    // offerId applies a Razorpay Offer (coupon discounts, see src/services/coupons.js)
+    async createSubscription({ planId, notes = {}, totalCount = 1, offerId }) {
+      const subscription = await api().subscriptions.create({
+        plan_id: planId,
+        customer_notify: 1,
+        total_count: totalCount,
+        notes,
+        ...(offerId ? { offer_id: offerId } : {})
+      })
+      return { id: subscription?.id || null }
+    },
+
+    async cancel(subscriptionId, { atCycleEnd = true } = {}) {
+      const subscription = await api().subscriptions.cancel(subscriptionId, atCycleEnd)
+      return { id: subscription?.id || subscriptionId, status: subscription?.status || null }
+    },
+
+    verifyWebhook(rawBody, signature) {
+      return verifyWebhookSignature(rawBody, signature, webhookSecrets)
+    },
+
+    async refund(paymentId, { amount, notes = {} } = {}) {
+      const refund = await api().payments.refund(paymentId, { ...(amount ? { amount } : {}), notes })
+      return { id: refund?.id || null, amount: refund?.amount ?? amount ?? null }
+    }
+  }
+}
+
+export default createRazorpayProvider
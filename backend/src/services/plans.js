@@ -0,0 +1,66 @@
+import { query } from '../db.js'
+
+// Subscription plans (plans table): what the paywall offers and how long a purchase lasts.
+// razorpay_plan_id is the plan created in the Razorpay dashboard; a plan without one can't be sold.
+
+export const DEFAULT_DURATION_DAYS = 28
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const PLAN_COLUMNS = 'id, name, duration_days, price_paise, razorpay_plan_id, active'
+// Shortest (then cheapest) first - the first one is the default choice
+const PLAN_ORDER = 'duration_days ASC, price_paise ASC, created_at ASC'
+
+export function isPlanId(value) {
+  return typeof value === 'string' && UUID_RE.test(value)
+}
+
+/**
+ * Public shape for GET /api/plans (no Razorpay ids)
+ */
+export function serializePlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    duration_days: plan.duration_days,
+    price_paise: plan.price_paise
+  }
+}
+
+/**
+ * Plans that can be bought right now
+ */
+export async function listActivePlans() {
+  const { rows } = await query(
+    `SELECT ${PLAN_COLUMNS} FROM plans
+     WHERE active AND razorpay_plan_id IS NOT NULL
+     ORDER BY ${PLAN_ORDER}`
+  )
+  return rows
+}
+
+export async function getPlan(id) {
+  if (!isPlanId(id)) return null
+  const { rows } = await query(`SELECT ${PLAN_COLUMNS} FROM plans WHERE id = $1`, [id])
+  return rows[0] || null
+}
+
+export async function getPlanByRazorpayId(razorpayPlanId) {
+  if (!razorpayPlanId) return null
+  const { rows } = await query(`SELECT ${PLAN_COLUMNS} FROM plans WHERE razorpay_plan_id = $1`, [razorpayPlanId])
+  return rows[0] || null
+}
+
+export async function getDefaultPlan() {
+  const [plan] = await listActivePlans()
+  return plan || null
+}
+
+export default {
+  DEFAULT_DURATION_DAYS,
+  isPlanId,
+  serializePlan,
+  listActivePlans,
+  getPlan,
+  getPlanByRazorpayId,
+  getDefaultPlan
+}
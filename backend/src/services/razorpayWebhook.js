@@ -0,0 +1,368 @@
+import { query } from '../db.js'
+import logger from '../../lib/logger.js'
+import { completeRedemption } from './coupons.js'
+import { issueInvoice } from './invoices.js'
+import { DEFAULT_DURATION_DAYS, getPlan, getPlanByRazorpayId } from './plans.js'
+import { creditReferral } from './referrals.js'
+
+// What each Razorpay webhook event does to users.subscription_status and payments.status
+// (POST /api/webhook/razorpay, routes/webhooks.js):
+//
+//   subscription.activated   any → active    access lasts the purchased plan's duration_days from
+//   subscription.charged     any → active    the billing cycle's current_start (28 days when the
+//                                            plan is unknown); the payment in the payload is
+//                                            recorded as 'captured' and invoiced, and a coupon
+//                                            held for the subscription is redeemed; the
+//                                            subscription's charge_at is kept as the next
+//                                            charge date; the user's first payment credits
+//                                            referral bonus days to them and their referrer
+//   subscription.cancelled   active|halted → cancelled
+//   subscription.halted      active → halted
+//   subscription.completed   active|cancelled → completed
+//   payment.failed           payment → failed; the user is untouched, Razorpay retries and sends
+//                            subscription.halted if every retry fails
+//   refund.processed         payment → partially_refunded | refunded; a full refund of the payment
+//                            that paid for the current period ends access now
+//
+// cancelled, halted and completed keep subscription_expires_at, so resolveAccess lets the user
+// in until the paid period runs out. Events for a subscription other than the user's current
+// one don't change the user.
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const ACCESS_STATUSES = ['active', 'cancelled', 'halted', 'completed']
+
+const PAYMENT_TRANSITIONS = {
+  failed: ['captured'],
+  captured: ['partially_refunded', 'refunded'],
+  partially_refunded: ['partially_refunded', 'refunded'],
+  refunded: []
+}
+
+/**
+ * Older rows stored the invoice/payment status Razorpay sent; they count as captured
+ */
+export function normalizePaymentStatus(status) {
+  return status === 'paid' || status === 'processed' ? 'captured' : status
+}
+
+/**
+ * Whether a payments row may move from one status to another; unknown statuses may move anywhere
+ */
+export function canTransitionPayment(from, to) {
+  if (!from) return true
+  const allowed = PAYMENT_TRANSITIONS[normalizePaymentStatus(from)]
+  return allowed ? allowed.includes(to) : true
+}
+
+/**
+ * The entities of a webhook body, null when absent
+ */
+export function webhookEntities(body) {
+  const payload = body?.payload || {}
+  return {
+    subscription: payload.subscription?.entity || null,
+    payment: payload.payment?.entity || null,
+    invoice: payload.invoice?.entity || null,
+    refund: payload.refund?.entity || null
+  }
+}
+
+/**
+ * user_id from the notes we attach when creating the subscription
+ */
+export function notesUserId(entities) {
+  return entities.subscription?.notes?.user_id ??
+    entities.payment?.notes?.user_id ??
+    entities.invoice?.notes?.user_id ??
+    null
+}
+
+export class WebhookError extends Error {
+  /**
+   * @param {number} status - HTTP status for the webhook response
+   * @param {string} code - error code, e.g. 'missing_user_id'
+   */
+  constructor(status, code, message) {
+    super(message)
+    this.name = 'WebhookError'
+    this.status = status
+    this.code = code
+  }
+}
+
+/**
+ * The notes user_id, which must be a users.id
+ * @throws {WebhookError} invalid_user_id
+ */
+function validateNotesUserId(userId) {
+  if (userId === null || userId === undefined || userId === '') return null
+  const userIdStr = String(userId).trim()
+  if (!UUID_RE.test(userIdStr)) {
+    logger.error('[webhook] invalid_user_id_format', { userId })
+    throw new WebhookError(400, 'invalid_user_id', `user_id must be a user UUID. Received: ${userId}`)
+  }
+  return userIdStr
+}
+
+async function firstUser(sql, value) {
+  if (!value) return null
+  const { rows } = await query(sql, [value])
+  return rows[0] || null
+}
+
+/**
+ * The user an event is about: by notes user_id, then subscription, refunded payment, then customer
+ * @param {object} entities - from webhookEntities
+ * @param {string|null} userId - notes user_id, already validated
+ * @returns {Promise<object|null>} users row
+ */
+export async function findWebhookUser(entities, userId) {
+  const { subscription, payment, invoice, refund } = entities
+  return await firstUser('SELECT * FROM users WHERE id = $1', userId) ||
+    await firstUser('SELECT * FROM users WHERE subscription_id = $1', subscription?.id || invoice?.subscription_id) ||
+    await firstUser(
+      'SELECT u.* FROM payments p JOIN users u ON u.id = p.user_id WHERE p.razorpay_payment_id = $1 LIMIT 1',
+      refund?.payment_id || (refund ? payment?.id : null)
+    ) ||
+    await firstUser('SELECT * FROM users WHERE razorpay_customer_id = $1', payment?.customer_id || subscription?.customer_id)
+}
+
+/**
+ * Insert or move the payments row for a Razorpay payment, inside a transaction
+ * @returns {Promise<'inserted'|'updated'|'unchanged'>}
+ */
+async function recordPayment(client, userId, payment, status, body, planId = null) {
+  const { rows } = await client.query(
+    'SELECT id, status FROM payments WHERE razorpay_payment_id = $1 FOR UPDATE',
+    [payment.id]
+  )
+  const existing = rows[0]
+  if (!existing) {
+    await client.query(
+      `INSERT INTO payments(user_id, razorpay_payment_id, amount, currency, status, metadata, plan_id)
+       VALUES($1, $2, $3, $4, $5, $6, $7)`,
+      [userId, payment.id, payment.amount ?? null, payment.currency || 'INR', status, JSON.stringify(body), planId]
+    )
+    return 'inserted'
+  }
+  if (!canTransitionPayment(existing.status, status)) return 'unchanged'
+  await client.query('UPDATE payments SET status = $2 WHERE id = $1', [existing.id, status])
+  return 'updated'
+}
+
+function fromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000) : null
+}
+
+/**
+ * The plan being paid for: the plan_id note set at checkout, the Razorpay plan, then the user's last choice
+ */
+async function resolvePlan(entities, user) {
+  const { subscription } = entities
+  return await getPlan(subscription?.notes?.plan_id) ||
+    await getPlanByRazorpayId(subscription?.plan_id) ||
+    await getPlan(user.subscription_plan_id)
+}
+
+async function activateSubscription({ event, body, user, entities, client }) {
+  const { subscription, payment, invoice } = entities
+  const subscriptionId = subscription?.id || invoice?.subscription_id || null
+  const plan = await resolvePlan(entities, user)
+  const durationDays = plan?.duration_days || DEFAULT_DURATION_DAYS
+  // Anchored on the cycle start so activated + charged for the same cycle give the same expiry;
+  // GREATEST keeps redelivered or out-of-order events from shortening the period
+  const paymentResult = payment?.id
+    ? await recordPayment(client, user.id, payment, 'captured', body, plan?.id || null)
+    : null
+  const couponRedeemed = paymentResult === 'inserted' ? await completeRedemption(client, subscriptionId, payment.id) : false
+  const issuedInvoice = paymentResult && paymentResult !== 'unchanged' ? await issueInvoice(client, payment.id) : null
+  const { rows } = await client.query(
+    `UPDATE users
+     SET subscription_status = 'active',
+         subscription_id = COALESCE($2, subscription_id),
+         subscription_started_at = CASE WHEN $3 THEN COALESCE($4::timestamptz, NOW())
+                                        ELSE COALESCE(subscription_started_at, $4::timestamptz, NOW()) END,
+         subscription_expires_at = GREATEST(
+           COALESCE(subscription_expires_at, NOW()),
+           COALESCE($4::timestamptz, NOW()) + make_interval(days => $5)
+         ),
+         subscription_plan_id = COALESCE($6, subscription_plan_id),
+         subscription_charge_at = CASE WHEN $7 THEN $8::timestamptz ELSE subscription_charge_at END,
+         -- a cancellation requested for the previous subscription doesn't carry over
+         cancel_at_period_end = cancel_at_period_end AND subscription_id IS NOT DISTINCT FROM COALESCE($2, subscription_id),
+         notified_subscription_expired = false
+     WHERE id = $1
+     RETURNING subscription_status, subscription_expires_at`,
+    [
+      user.id,
+      subscriptionId,
+      event === 'subscription.activated',
+      fromUnix(subscription?.current_start),
+      durationDays,
+      plan?.id || null,
+      Boolean(subscription),
+      fromUnix(subscription?.charge_at)
+    ]
+  )
+  // After the period is set, so the referee's bonus days go on top of it
+  const referral = paymentResult === 'inserted' ? await creditReferral(client, user.id, payment.id) : null
+  const expiresAt = referral?.refereeExpiresAt || rows[0]?.subscription_expires_at
+  logger.info('[webhook] Subscription active', { userId: user.id, subscriptionId, event, planId: plan?.id || null, durationDays, payment: paymentResult, invoice: issuedInvoice?.invoice_number, couponRedeemed, referralCredited: Boolean(referral) })
+  return {
+    status: 'active',
+    expiresAt: expiresAt || null,
+    planId: plan?.id || null,
+    payment: paymentResult,
+    ...(issuedInvoice ? { invoiceNumber: issuedInvoice.invoice_number } : {})
+  }
+}
+
+function setSubscriptionStatus(status, from) {
+  return async ({ event, user, entities, client }) => {
+    const subscriptionId = entities.subscription?.id || null
+    const { rows } = await client.query(
+      `UPDATE users SET subscription_status = $2
+       WHERE id = $1
+         AND subscription_status = ANY($3)
+         AND ($4::text IS NULL OR subscription_id IS NULL OR subscription_id = $4)
+       RETURNING subscription_status`,
+      [user.id, status, from, subscriptionId]
+    )
+    if (!rows.length) {
+      logger.info('[webhook] Subscription status unchanged', { userId: user.id, subscriptionId, event, current: user.subscription_status })
+      return { status: user.subscription_status, changed: false }
+    }
+    logger.info('[webhook] Subscription status changed', { userId: user.id, subscriptionId, event, from: user.subscription_status, to: status })
+    return { status, changed: true }
+  }
+}
+
+async function recordFailedPayment({ body, user, entities, client }) {
+  const { payment } = entities
+  if (!payment?.id) return { payment: null }
+  const paymentResult = await recordPayment(client, user.id, payment, 'failed', body, user.subscription_plan_id || null)
+  logger.warn('[webhook] Payment failed', {
+    userId: user.id,
+    razorpayPaymentId: payment.id,
+    reason: payment.error_description || payment.error_code || null,
+    payment: paymentResult
+  })
+  return { payment: paymentResult }
+}
+
+async function applyRefund({ entities, client }) {
+  const { refund, payment } = entities
+  const razorpayPaymentId = refund?.payment_id || payment?.id
+  if (!razorpayPaymentId) return { payment: null }
+
+  const { rows } = await client.query(
+    `SELECT id, user_id, amount, status, refunded_amount, created_at
+     FROM payments WHERE razorpay_payment_id = $1 FOR UPDATE`,
+    [razorpayPaymentId]
+  )
+  const row = rows[0]
+  if (!row) {
+    logger.warn('[webhook] Refund for unknown payment', { razorpayPaymentId, refundId: refund?.id })
+    return { payment: null }
+  }
+
+  const amount = row.amount ?? payment?.amount ?? 0
+  // amount_refunded on the payment entity is the running total, so prefer it to adding up refunds
+  const refunded = Math.min(amount, payment?.amount_refunded ?? (row.refunded_amount || 0) + (refund?.amount || 0))
+  const status = refunded >= amount ? 'refunded' : 'partially_refunded'
+  if (!canTransitionPayment(row.status, status)) return { payment: 'unchanged' }
+
+  await client.query(
+    'UPDATE payments SET status = $2, refunded_amount = $3 WHERE id = $1',
+    [row.id, status, refunded]
+  )
+
+  let accessRevoked = false
+  if (status === 'refunded') {
+    // Only when no later payment has paid for the current period
+    const { rowCount } = await client.query(
+      `UPDATE users SET subscription_status = 'expired',
+                        subscription_expires_at = LEAST(subscription_expires_at, NOW())
+       WHERE id = $1
+         AND subscription_status = ANY($2)
+         AND NOT EXISTS (
+           SELECT 1 FROM payments p
+           WHERE p.user_id = $1 AND p.id <> $3 AND p.status = 'captured' AND p.created_at > $4
+         )`,
+      [row.user_id, ACCESS_STATUSES, row.id, row.created_at]
+    )
+    accessRevoked = rowCount > 0
+  }
+  logger.info('[webhook] Refund processed', { userId: row.user_id, razorpayPaymentId, status, refunded, accessRevoked })
+  return { payment: 'updated', status, accessRevoked }
+}
+
+const handlers = {
+  'subscription.activated': activateSubscription,
+  'subscription.charged': activateSubscription,
+  'subscription.cancelled': setSubscriptionStatus('cancelled', ['active', 'halted']),
+  'subscription.halted': setSubscriptionStatus('halted', ['active']),
+  'subscription.completed': setSubscriptionStatus('completed', ['active', 'cancelled']),
+  'payment.failed': recordFailedPayment,
+  'refund.processed': applyRefund
+}
+
+export const RAZORPAY_EVENTS = Object.keys(handlers)
+
+export function isHandledEvent(event) {
+  return Object.prototype.hasOwnProperty.call(handlers, event)
+}
+
+/**
+ * Apply a verified webhook event for a user
+ * @param {object} body - parsed webhook body
+ * @param {object} user - users row from findWebhookUser
+ * @param {object} client - transaction client; the caller commits
+ * @returns {Promise<object>} what changed, for the response and logs
+ */
+export async function handleRazorpayEvent(body, user, client) {
+  const event = body?.event
+  if (!isHandledEvent(event)) throw new Error(`Unhandled Razorpay event: ${event}`)
+  return handlers[event]({ event, body, user, entities: webhookEntities(body), client })
+}
+
+/**
+ * Find the user a verified webhook body is about and apply it. All writes go through client, so
+ * the caller can commit them together with the webhook_events status.
+ * @param {object} body - parsed webhook body
+ * @param {object} client - transaction client
+ * @returns {Promise<{ignored: true} | {ignored: false, userId: string, result: object}>}
+ * @throws {WebhookError} when the event can't be tied to a user
+ */
+export async function processRazorpayWebhook(body, client) {
+  const event = body?.event || 'unknown'
+  if (!isHandledEvent(event)) {
+    logger.info('[webhook] Ignoring unhandled event', { event })
+    return { ignored: true }
+  }
+
+  const entities = webhookEntities(body)
+  const userId = validateNotesUserId(notesUserId(entities))
+  const user = await findWebhookUser(entities, userId)
+  if (!user) {
+    logger.warn('[webhook] no_user_for_event', {
+      event,
+      subscriptionId: entities.subscription?.id || null,
+      paymentId: entities.payment?.id || null
+    })
+    throw new WebhookError(400, 'missing_user_id', 'payload has no user_id and matches no known subscription, payment or customer')
+  }
+
+  const result = await handleRazorpayEvent(body, user, client)
+  return { ignored: false, userId: user.id, result }
+}
+
+export default {
+  RAZORPAY_EVENTS,
+  WebhookError,
+  isHandledEvent,
+  handleRazorpayEvent,
+  findWebhookUser,
+  processRazorpayWebhook
+}
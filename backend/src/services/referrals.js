@@ -0,0 +1,187 @@
+import crypto from 'crypto'
+import { query } from '../db.js'
+import logger from '../../lib/logger.js'
+
+// Referral programme (referrals table). Every user has a referral_code, shared as ?ref=CODE; a new
+// user whose first login carries one is recorded as 'pending'. When the referee's first payment
+// comes in (subscription.activated/charged webhook) both sides get bonus days: the referee on the
+// period just paid for, the referrer on their subscription if it's running, otherwise on their trial.
+
+export const REFERRER_BONUS_DAYS = Number.parseInt(process.env.REFERRAL_REFERRER_DAYS, 10) || 7
+export const REFEREE_BONUS_DAYS = Number.parseInt(process.env.REFERRAL_REFEREE_DAYS, 10) || 7
+
+// No 0/O or 1/I, so a code read out in the WhatsApp group is typed right
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const CODE_LENGTH = 8
+const CODE_RE = /^[A-Z0-9]{4,16}$/
+
+export function generateReferralCode(randomBytes = crypto.randomBytes) {
+  const bytes = randomBytes(CODE_LENGTH)
+  return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('')
+}
+
+/**
+ * @returns {string|null} the code upper-cased, null when it can't be one
+ */
+export function normalizeReferralCode(value) {
+  const code = typeof value === 'string' ? value.trim().toUpperCase() : ''
+  return CODE_RE.test(code) ? code : null
+}
+
+/**
+ * The user's referral code, created on first use
+ * @returns {Promise<string>}
+ */
+export async function ensureReferralCode(userId) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const { rows } = await query(
+        `UPDATE users SET referral_code = COALESCE(referral_code, $2)
+         WHERE id = $1
+         RETURNING referral_code`,
+        [userId, generateReferralCode()]
+      )
+      if (!rows[0]) throw new Error('User not found')
+      return rows[0].referral_code
+    } catch (err) {
+      // Another user already has the generated code: try a new one
+      if (err.code !== '23505') throw err
+    }
+  }
+  throw new Error('Could not generate a unique referral code')
+}
+
+/**
+ * Record that a just-created user signed up with someone's code. A bad or own code is ignored:
+ * it must never stop the login.
+ * @returns {Promise<boolean>} whether a referral was recorded
+ */
+export async function recordReferral(refereeId, rawCode) {
+  const code = normalizeReferralCode(rawCode)
+  if (!code) return false
+  try {
+    const { rows } = await query(
+      `INSERT INTO referrals (referrer_id, referee_id, code, referrer_bonus_days, referee_bonus_days)
+       SELECT id, $1, $2, $3, $4 FROM users WHERE referral_code = $2 AND id <> $1
+       ON CONFLICT (referee_id) DO NOTHING
+       RETURNING referrer_id`,
+      [refereeId, code, REFERRER_BONUS_DAYS, REFEREE_BONUS_DAYS]
+    )
+    if (!rows[0]) {
+      logger.info('[referrals] Referral code not applied', { refereeId, code })
+      return false
+    }
+    logger.info('[referrals] Referral recorded', { refereeId, referrerId: rows[0].referrer_id, code })
+    return true
+  } catch (err) {
+    logger.error('[referrals] Failed to record referral', { refereeId, code, error: err.message })
+    return false
+  }
+}
+
+/**
+ * Credit the bonus days of the referee's pending referral. Call inside the webhook's transaction
+ * after the user's access has been extended for the payment; like issueInvoice, a failure is
+ * rolled back to a savepoint so it never undoes the payment.
+ * @param {object} client - transaction client
+ * @param {string} refereeId - the user who paid
+ * @param {string} razorpayPaymentId - their payment
+ * @returns {Promise<object|null>} the credited referral with the referee's new expiry
+ *   (refereeExpiresAt), null when there was none
+ */
+export async function creditReferral(client, refereeId, razorpayPaymentId) {
+  await client.query('SAVEPOINT credit_referral')
+  try {
+    const { rows } = await client.query(
+      `UPDATE referrals
+       SET status = 'credited', credited_at = NOW(),
+           payment_id = (SELECT id FROM payments WHERE razorpay_payment_id = $2)
+       WHERE referee_id = $1 AND status = 'pending'
+       RETURNING id, referrer_id, referrer_bonus_days, referee_bonus_days`,
+      [refereeId, razorpayPaymentId]
+    )
+    let referral = rows[0] || null
+    if (referral) {
+      const { rows: referee } = await client.query(
+        `UPDATE users SET subscription_expires_at = subscription_expires_at + make_interval(days => $2)
+         WHERE id = $1 AND subscription_expires_at IS NOT NULL
+         RETURNING subscription_expires_at`,
+        [refereeId, referral.referee_bonus_days]
+      )
+      referral = { ...referral, refereeExpiresAt: referee[0]?.subscription_expires_at || null }
+      await client.query(
+        `UPDATE users
+         SET subscription_expires_at = CASE WHEN subscription_expires_at > NOW()
+               THEN subscription_expires_at + make_interval(days => $2) ELSE subscription_expires_at END,
+             trial_expires_at = CASE WHEN subscription_expires_at > NOW() THEN trial_expires_at
+               ELSE GREATEST(COALESCE(trial_expires_at, NOW()), NOW()) + make_interval(days => $2) END,
+             notified_trial_expired = CASE WHEN subscription_expires_at > NOW() THEN notified_trial_expired ELSE false END,
+             subscription_status = CASE WHEN subscription_expires_at > NOW() THEN subscription_status ELSE 'trial' END
+         WHERE id = $1`,
+        [referral.referrer_id, referral.referrer_bonus_days]
+      )
+      logger.info('[referrals] Referral credited', {
+        referralId: referral.id,
+        referrerId: referral.referrer_id,
+        refereeId,
+        referrerDays: referral.referrer_bonus_days,
+        refereeDays: referral.referee_bonus_days
+      })
+    }
+    await client.query('RELEASE SAVEPOINT credit_referral')
+    return referral
+  } catch (err) {
+    await client.query('ROLLBACK TO SAVEPOINT credit_referral')
+    logger.error('[referrals] Failed to credit referral', { refereeId, razorpayPaymentId, error: err.message })
+    return null
+  }
+}
+
+/**
+ * What GET /api/referrals/me shows: the user's code, the people they referred and the days earned
+ */
+export async function getReferralSummary(userId) {
+  const code = await ensureReferralCode(userId)
+  const { rows } = await query(
+    `SELECT r.status, r.created_at, r.credited_at,
+            CASE WHEN r.referrer_id = $1 THEN 'referrer' ELSE 'referee' END AS role,
+            CASE WHEN r.referrer_id = $1 THEN r.referrer_bonus_days ELSE r.referee_bonus_days END AS bonus_days,
+            u.name AS referee_name
+     FROM referrals r
+     JOIN users u ON u.id = r.referee_id
+     WHERE r.referrer_id = $1 OR r.referee_id = $1
+     ORDER BY r.created_at DESC`,
+    [userId]
+  )
+  const referred = rows.filter(r => r.role === 'referrer')
+  const own = rows.find(r => r.role === 'referee') || null
+  const earnedDays = rows.filter(r => r.status === 'credited').reduce((sum, r) => sum + (r.bonus_days || 0), 0)
+  return {
+    code,
+    referrer_bonus_days: REFERRER_BONUS_DAYS,
+    referee_bonus_days: REFEREE_BONUS_DAYS,
+    earned_days: earnedDays,
+    pending_count: referred.filter(r => r.status === 'pending').length,
+    credited_count: referred.filter(r => r.status === 'credited').length,
+    referrals: referred.map(r => ({
+      // First name only: referrers see who joined, not their details
+      name: r.referee_name ? r.referee_name.trim().split(/\s+/)[0] : null,
+      status: r.status,
+      bonus_days: r.bonus_days,
+      joined_at: r.created_at,
+      credited_at: r.credited_at || null
+    })),
+    referred_by: own ? { status: own.status, bonus_days: own.bonus_days } : null
+  }
+}
+
+export default {
+  REFERRER_BONUS_DAYS,
+  REFEREE_BONUS_DAYS,
+  generateReferralCode,
+  normalizeReferralCode,
+  ensureReferralCode,
+  recordReferral,
+  creditReferral,
+  getReferralSummary
+}
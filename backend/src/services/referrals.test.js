@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { creditReferral, generateReferralCode, getReferralSummary, normalizeReferralCode, recordReferral } from './referrals.js';
+import { resolveAccess } from '../middleware/checkAccess.js';
+
+const { query } = vi.hoisted(() => ({ query: vi.fn() }));
+
+vi.mock('../db.js', () => ({ query, withTransaction: vi.fn(), default: { query, withTransaction: vi.fn() } }));
+
+describe('referrals', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('makes codes without look-alike characters', () => {
+    const code = generateReferralCode(n => Buffer.from(Array.from({ length: n }, (_, i) => i * 37)));
+    expect(code).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+    expect(normalizeReferralCode(' ab12cd34 ')).toBe('AB12CD34');
+    expect(normalizeReferralCode('no-way')).toBeNull();
+  });
+
+  it('ignores codes that match no other user', async () => {
+    expect(await recordReferral('u2', '!!')).toBe(false);
+    expect(query).not.toHaveBeenCalled();
+
+    query.mockResolvedValueOnce({ rows: [] });
+    expect(await recordReferral('u2', 'abcd2345')).toBe(false);
+    expect(query.mock.calls[0][1]).toEqual(['u2', 'ABCD2345', 7, 7]);
+
+    query.mockRejectedValueOnce(new Error('relation "referrals" does not exist'));
+    expect(await recordReferral('u2', 'ABCD2345')).toBe(false);
+  });
+
+  it('credits both sides once, after the referee pays', async () => {
+    const expiresAt = new Date('2025-12-25T00:00:00Z');
+    const client = {
+      query: vi.fn(async sql => {
+        if (sql.includes('UPDATE referrals')) return { rows: [{ id: 'r1', referrer_id: 'u1', referrer_bonus_days: 7, referee_bonus_days: 7 }] };
+        if (sql.includes('RETURNING subscription_expires_at')) return { rows: [{ subscription_expires_at: expiresAt }] };
+        return { rows: [] };
+      })
+    };
+
+    const referral = await creditReferral(client, 'u2', 'pay_1');
+
+    expect(referral).toMatchObject({ referrer_id: 'u1', refereeExpiresAt: expiresAt });
+    const updates = client.query.mock.calls.filter(([sql]) => sql.includes('UPDATE users'));
+    expect(updates.map(([, params]) => params)).toEqual([['u2', 7], ['u1', 7]]);
+    expect(client.query).toHaveBeenLastCalledWith('RELEASE SAVEPOINT credit_referral');
+
+    client.query.mockImplementation(async () => ({ rows: [] }));
+    client.query.mockClear();
+    expect(await creditReferral(client, 'u2', 'pay_2')).toBeNull();
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE users'))).toBe(false);
+  });
+
+  it('puts a lapsed referrer back on trial for their bonus days', async () => {
+    const client = {
+      query: vi.fn(async sql => {
+        if (sql.includes('UPDATE referrals')) return { rows: [{ id: 'r1', referrer_id: 'u1', referrer_bonus_days: 7, referee_bonus_days: 7 }] };
+        return { rows: [] };
+      })
+    };
+
+    await creditReferral(client, 'u2', 'pay_1');
+
+    const [referrerUpdate] = client.query.mock.calls.find(([sql, params]) => sql.includes('UPDATE users') && params[0] === 'u1');
+    // The days go to trial_expires_at, which only counts while the status is 'trial'
+    expect(referrerUpdate).toMatch(/trial_expires_at = CASE WHEN subscription_expires_at > NOW\(\) THEN trial_expires_at\s+ELSE/);
+    expect(referrerUpdate).toMatch(/subscription_status = CASE WHEN subscription_expires_at > NOW\(\) THEN subscription_status ELSE 'trial' END/);
+
+    const day = 24 * 60 * 60 * 1000;
+    const lapsed = { id: 'u1', subscription_status: 'active', subscription_expires_at: new Date(Date.now() - day) };
+    expect((await resolveAccess({ ...lapsed, trial_expires_at: new Date(Date.now() + 7 * day) })).allowed).toBe(false);
+    expect(await resolveAccess({ ...lapsed, subscription_status: 'trial', trial_expires_at: new Date(Date.now() + 7 * day) }))
+      .toMatchObject({ allowed: true, status: 'trial' });
+  });
+
+  it('sums the days earned as referrer and referee', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ referral_code: 'ABCD2345' }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { role: 'referrer', status: 'credited', bonus_days: 7, referee_name: 'Priya Raman', created_at: new Date() },
+          { role: 'referrer', status: 'pending', bonus_days: 7, referee_name: null, created_at: new Date() },
+          { role: 'referee', status: 'credited', bonus_days: 5, referee_name: 'Asha K', created_at: new Date() }
+        ]
+      });
+
+    const summary = await getReferralSummary('u1');
+
+    expect(summary).toMatchObject({ code: 'ABCD2345', earned_days: 12, pending_count: 1, credited_count: 1, referred_by: { status: 'credited', bonus_days: 5 } });
+    expect(summary.referrals.map(r => r.name)).toEqual(['Priya', null]);
+  });
+});
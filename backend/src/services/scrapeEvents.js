@@ -0,0 +1,32 @@
+import { EventEmitter } from 'events'
+
+// In-process fan-out of scrape progress to GET /api/scrape/events listeners.
+// Only reaches listeners in the instance running the job; the SSE route also polls
+// scrape_jobs.stage so clients connected to another instance still see progress.
+
+const emitter = new EventEmitter()
+// One listener per open SSE connection
+emitter.setMaxListeners(0)
+
+export const TERMINAL_STAGES = new Set(['done', 'failed'])
+
+/**
+ * @param {string} username - LMS student id
+ * @param {object} event - see toStageEvent in scrapeQueue.js
+ */
+export function publishScrapeEvent(username, event) {
+  emitter.emit(username, event)
+}
+
+/**
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeScrapeEvents(username, listener) {
+  emitter.on(username, listener)
+  return () => emitter.off(username, listener)
+}
+
+export default {
+  publishScrapeEvent,
+  subscribeScrapeEvents
+}
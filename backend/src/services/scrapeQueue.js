@@ -0,0 +1,438 @@
+import os from 'os'
+import crypto from 'crypto'
+import { query } from '../db.js'
+import logger from '../../lib/logger.js'
+import { sealTransient, openTransient } from '../lib/credentialVault.js'
+import { LmsAuthError, LmsLayoutChangedError } from '../lib/lmsClient.js'
+import { triggerScrape } from './scraperService.js'
+import { publishScrapeEvent } from './scrapeEvents.js'
+
+// Postgres-backed scrape queue (table scrape_jobs).
+//
+// Jobs are enqueued by logins and the attendance refresher and run by workers in any
+// instance: a worker claims the oldest due job with FOR UPDATE SKIP LOCKED, so two
+// instances never run the same job, and the partial unique index on (username) for
+// queued/running rows keeps a user to one pending job. A login password travels with
+// the job encrypted (sealTransient) and is wiped once the job finishes.
+//
+// Progress is kept in scrape_jobs.stage (queued, logging_in, fetching_dashboard,
+// fetching_attendance, saving, done, failed) and published to SSE listeners as it changes.
+
+// Tunables (env):
+// SCRAPE_WORKER_CONCURRENCY     jobs one instance runs at the same time
+// SCRAPE_WORKER_POLL_MS         idle delay between queue polls
+// SCRAPE_JOB_MAX_ATTEMPTS       tries before a job is marked failed
+// SCRAPE_JOB_RETRY_BASE_MS      backoff before the first retry, doubled on each later one
+// SCRAPE_JOB_STALE_MINUTES      running jobs without a heartbeat this long are requeued
+export function getQueueConfig() {
+  return {
+    concurrency: Math.max(1, Number(process.env.SCRAPE_WORKER_CONCURRENCY ?? 2) || 1),
+    pollMs: Math.max(100, Number(process.env.SCRAPE_WORKER_POLL_MS ?? 2000) || 2000),
+    maxAttempts: Math.max(1, Number(process.env.SCRAPE_JOB_MAX_ATTEMPTS ?? 3) || 3),
+    retryBaseMs: Math.max(0, Number(process.env.SCRAPE_JOB_RETRY_BASE_MS ?? 30000) || 0),
+    staleMinutes: Math.max(1, Number(process.env.SCRAPE_JOB_STALE_MINUTES ?? 10) || 10)
+  }
+}
+
+const HEARTBEAT_MS = 30 * 1000
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000
+
+// Errors retrying can't fix: wrong password, a changed LMS page, missing or unreadable credentials
+const PERMANENT_ERROR_CODES = new Set([
+  'lms_auth_failed',
+  'lms_layout_changed',
+  'no_stored_credentials',
+  'vault_key_missing',
+  'vault_decrypt_failed'
+])
+
+function isPermanentError(err) {
+  return err instanceof LmsAuthError || err instanceof LmsLayoutChangedError || PERMANENT_ERROR_CODES.has(err?.code)
+}
+
+export function retryDelayMs(attempts, baseMs = getQueueConfig().retryBaseMs) {
+  return Math.min(MAX_RETRY_DELAY_MS, baseMs * 2 ** Math.max(0, attempts - 1))
+}
+
+/**
+ * Queue a scrape for a user, or return the job already pending for them
+ * A still-queued job takes the newer password, date range and term, and a login never waits
+ * behind a later run_after (e.g. refresher jitter)
+ * @param {object} job
+ * @param {string} job.username - LMS student id
+ * @param {string} [job.userId]
+ * @param {string|null} [job.password] - null runs with the user's vault credentials
+ * @param {string} [job.fromDate] - DD-MM-YYYY
+ * @param {string} [job.toDate] - DD-MM-YYYY, null scrapes up to today
+ * @param {string} [job.termId] - saves the run under this term instead of the cumulative view
+ * @param {string} [job.source] - login | legacy_login | rescrape | scheduler
+ * @param {number} [job.delayMs] - earliest start, relative to now
+ * @returns {Promise<{job: object, created: boolean}>}
+ */
+export async function enqueueScrape({ username, userId = null, password = null, fromDate = null, toDate = null, termId = null, source = 'login', delayMs = 0 }) {
+  const sealed = password ? sealTransient(password, username) : null
+  const { rows } = await query(
+    `INSERT INTO scrape_jobs
+       (user_id, username, source, max_attempts, from_date, to_date, key_id, nonce, ciphertext, auth_tag, run_after, term_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, now() + make_interval(secs => $11), $12)
+     ON CONFLICT (username) WHERE status IN ('queued', 'running') DO UPDATE SET
+       key_id = COALESCE(EXCLUDED.key_id, scrape_jobs.key_id),
+       nonce = COALESCE(EXCLUDED.nonce, scrape_jobs.nonce),
+       ciphertext = COALESCE(EXCLUDED.ciphertext, scrape_jobs.ciphertext),
+       auth_tag = COALESCE(EXCLUDED.auth_tag, scrape_jobs.auth_tag),
+       from_date = EXCLUDED.from_date,
+       to_date = EXCLUDED.to_date,
+       term_id = EXCLUDED.term_id,
+       run_after = LEAST(scrape_jobs.run_after, EXCLUDED.run_after),
+       updated_at = now()
+     WHERE scrape_jobs.status = 'queued'
+     RETURNING *, (xmax = 0) AS created`,
+    [
+      userId,
+      username,
+      source,
+      getQueueConfig().maxAttempts,
+      fromDate,
+      toDate,
+      sealed?.keyId || null,
+      sealed?.nonce || null,
+      sealed?.ciphertext || null,
+      sealed?.authTag || null,
+      Math.max(0, delayMs) / 1000,
+      termId
+    ]
+  )
+
+  let job = rows[0]
+  // The conflicting job is already running - leave it alone and report it
+  if (!job) job = await getActiveJob(username)
+  const created = !!job?.created
+  if (job) delete job.created
+
+  logger.info(created ? '[scrapeQueue] Scrape job queued' : '[scrapeQueue] Scrape job already pending', {
+    username,
+    jobId: job?.id,
+    status: job?.status,
+    source
+  })
+  return { job, created }
+}
+
+export async function getJob(id) {
+  const { rows } = await query('SELECT * FROM scrape_jobs WHERE id = $1', [id])
+  return rows[0] || null
+}
+
+export async function getActiveJob(username) {
+  const { rows } = await query(
+    `SELECT * FROM scrape_jobs WHERE username = $1 AND status IN ('queued', 'running') LIMIT 1`,
+    [username]
+  )
+  return rows[0] || null
+}
+
+export async function getLatestJob(username) {
+  const { rows } = await query(
+    'SELECT * FROM scrape_jobs WHERE username = $1 ORDER BY created_at DESC LIMIT 1',
+    [username]
+  )
+  return rows[0] || null
+}
+
+export async function hasActiveJob(username) {
+  return !!(await getActiveJob(username))
+}
+
+/**
+ * Public view of a job row (never includes the sealed password)
+ */
+export function serializeJob(job) {
+  if (!job) return null
+  const iso = value => (value ? new Date(value).toISOString() : null)
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage || null,
+    source: job.source,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    error: job.error || null,
+    error_code: job.error_code || null,
+    attendance_count: job.attendance_count ?? null,
+    from_date: job.from_date || null,
+    to_date: job.to_date || null,
+    term_id: job.term_id || null,
+    created_at: iso(job.created_at),
+    started_at: iso(job.started_at),
+    finished_at: iso(job.finished_at),
+    next_attempt_at: job.status === 'queued' ? iso(job.run_after) : null
+  }
+}
+
+/**
+ * Progress event for a job row, as sent on GET /api/scrape/events
+ * reason is the failure message, or the last error while a retry is pending
+ */
+export function toStageEvent(job) {
+  if (!job) return { job_id: null, stage: null, status: 'idle' }
+  const stage = job.status === 'succeeded' ? 'done' : job.status === 'failed' ? 'failed' : job.stage || 'queued'
+  return {
+    job_id: job.id,
+    stage,
+    status: job.status,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    reason: stage === 'done' ? null : job.error || null,
+    error_code: stage === 'done' ? null : job.error_code || null,
+    attendance_count: stage === 'done' ? job.attendance_count ?? null : null,
+    next_attempt_at: job.status === 'queued' && job.run_after ? new Date(job.run_after).toISOString() : null
+  }
+}
+
+function publish(job) {
+  if (job) publishScrapeEvent(job.username, toStageEvent(job))
+}
+
+// Guarded on status so a late update can't overwrite the final done/failed stage
+async function setStage(job, stage) {
+  const { rows } = await query(
+    `UPDATE scrape_jobs SET stage = $2, heartbeat_at = now(), updated_at = now()
+     WHERE id = $1 AND status = 'running'
+     RETURNING *`,
+    [job.id, stage]
+  )
+  publish(rows[0])
+}
+
+/**
+ * Claim the oldest due job for this worker
+ * @returns {Promise<object|null>} the job, now running, or null if nothing is due
+ */
+export async function claimNextJob(workerId) {
+  const { rows } = await query(
+    `UPDATE scrape_jobs SET
+       status = 'running',
+       stage = 'logging_in',
+       attempts = attempts + 1,
+       locked_by = $1,
+       started_at = now(),
+       heartbeat_at = now(),
+       updated_at = now()
+     WHERE id = (
+       SELECT id FROM scrape_jobs
+       WHERE status = 'queued' AND run_after <= now()
+       ORDER BY run_after ASC, created_at ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [workerId]
+  )
+  return rows[0] || null
+}
+
+// Mirror a finished job onto the attendance_refresh_runs rows waiting on it (refresher passes)
+async function recordRefreshOutcome(jobId, { status, reason = null, attendanceCount = null, scrapeRunId = null }) {
+  await query(
+    `UPDATE attendance_refresh_runs SET status = $2, reason = $3, attendance_count = $4, scrape_run_id = $5, finished_at = now()
+     WHERE scrape_job_id = $1`,
+    [jobId, status, reason, attendanceCount, scrapeRunId]
+  ).catch(err => logger.warn('[scrapeQueue] Failed to record refresh outcome', { jobId, error: err.message }))
+}
+
+async function completeJob(job, result) {
+  const { rows } = await query(
+    `UPDATE scrape_jobs SET
+       status = 'succeeded', stage = 'done', error = NULL, error_code = NULL,
+       attendance_count = $2, scrape_run_id = $3,
+       key_id = NULL, nonce = NULL, ciphertext = NULL, auth_tag = NULL,
+       locked_by = NULL, finished_at = now(), updated_at = now()
+     WHERE id = $1
+     RETURNING *`,
+    [job.id, result.attendanceCount ?? null, result.scrapeRunId || null]
+  )
+  publish(rows[0])
+  await recordRefreshOutcome(job.id, { status: 'success', attendanceCount: result.attendanceCount, scrapeRunId: result.scrapeRunId })
+}
+
+/**
+ * Requeue with backoff, or mark failed (and wipe the password) when the error is
+ * permanent or attempts are used up
+ * @returns {Promise<'queued'|'failed'>}
+ */
+async function failJob(job, err) {
+  const code = err?.code || null
+  const retry = !isPermanentError(err) && job.attempts < job.max_attempts
+  if (retry) {
+    const { rows } = await query(
+      `UPDATE scrape_jobs SET
+         status = 'queued', stage = 'queued', error = $2, error_code = $3,
+         run_after = now() + make_interval(secs => $4),
+         locked_by = NULL, updated_at = now()
+       WHERE id = $1
+       RETURNING *`,
+      [job.id, err?.message || 'Scrape failed', code, retryDelayMs(job.attempts) / 1000]
+    )
+    publish(rows[0])
+    return 'queued'
+  }
+
+  const { rows } = await query(
+    `UPDATE scrape_jobs SET
+       status = 'failed', stage = 'failed', error = $2, error_code = $3,
+       key_id = NULL, nonce = NULL, ciphertext = NULL, auth_tag = NULL,
+       locked_by = NULL, finished_at = now(), updated_at = now()
+     WHERE id = $1
+     RETURNING *`,
+    [job.id, err?.message || 'Scrape failed', code]
+  )
+  publish(rows[0])
+  await recordRefreshOutcome(job.id, {
+    status: code === 'no_stored_credentials' ? 'skipped' : 'failed',
+    reason: code || err?.message || null
+  })
+  return 'failed'
+}
+
+/**
+ * Run one claimed job to completion
+ * @returns {Promise<'succeeded'|'queued'|'failed'>}
+ */
+export async function processJob(job) {
+  const heartbeat = setInterval(() => {
+    query('UPDATE scrape_jobs SET heartbeat_at = now() WHERE id = $1', [job.id])
+      .catch(err => logger.warn('[scrapeQueue] Heartbeat failed', { jobId: job.id, error: err.message }))
+  }, HEARTBEAT_MS)
+  heartbeat.unref?.()
+
+  publish(job)
+  // Progress updates must never fail the scrape itself
+  const onStage = stage => {
+    setStage(job, stage).catch(err => logger.warn('[scrapeQueue] Failed to record stage', { jobId: job.id, stage, error: err.message }))
+  }
+
+  try {
+    let password = null
+    if (job.ciphertext) {
+      password = openTransient({ keyId: job.key_id, nonce: job.nonce, ciphertext: job.ciphertext, authTag: job.auth_tag }, job.username)
+    }
+    const result = await triggerScrape(job.username, password, job.from_date || undefined, job.to_date || undefined, { onStage, termId: job.term_id || null })
+    await completeJob(job, result)
+    logger.info('[scrapeQueue] Scrape job succeeded', { jobId: job.id, username: job.username, attempts: job.attempts })
+    return 'succeeded'
+  } catch (err) {
+    const outcome = await failJob(job, err)
+    logger.warn('[scrapeQueue] Scrape job attempt failed', {
+      jobId: job.id,
+      username: job.username,
+      attempts: job.attempts,
+      outcome,
+      error: err.message,
+      code: err.code
+    })
+    return outcome
+  } finally {
+    clearInterval(heartbeat)
+  }
+}
+
+/**
+ * Requeue running jobs whose worker stopped heartbeating (crash, deploy), or fail them
+ * when they're out of attempts
+ * @returns {Promise<number>} jobs recovered
+ */
+export async function recoverStaleJobs(staleMinutes = getQueueConfig().staleMinutes) {
+  const { rows } = await query(
+    `UPDATE scrape_jobs SET
+       status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+       stage = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+       error = 'Worker stopped responding',
+       error_code = 'worker_lost',
+       finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE now() END,
+       key_id = CASE WHEN attempts < max_attempts THEN key_id END,
+       nonce = CASE WHEN attempts < max_attempts THEN nonce END,
+       ciphertext = CASE WHEN attempts < max_attempts THEN ciphertext END,
+       auth_tag = CASE WHEN attempts < max_attempts THEN auth_tag END,
+       locked_by = NULL,
+       updated_at = now()
+     WHERE status = 'running' AND heartbeat_at < now() - make_interval(mins => $1)
+     RETURNING id, username, status`,
+    [staleMinutes]
+  )
+  if (rows.length > 0) {
+    logger.warn('[scrapeQueue] Recovered stale scrape jobs', { jobs: rows.map(r => ({ id: r.id, username: r.username, status: r.status })) })
+  }
+  return rows.length
+}
+
+/**
+ * Poll the queue and run up to `concurrency` jobs at once in this process
+ * Disabled under NODE_ENV=test (see server.js)
+ * @returns {{workerId: string, stop: () => void}}
+ */
+export function startScrapeWorker({ concurrency, pollMs, staleMinutes } = getQueueConfig()) {
+  const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`
+  let active = 0
+  let stopped = false
+  let timer = null
+  let polling = false
+  let lastRecovery = 0
+
+  const schedule = delay => {
+    if (stopped) return
+    clearTimeout(timer)
+    timer = setTimeout(tick, delay)
+  }
+
+  async function tick() {
+    if (polling) return
+    polling = true
+    try {
+      if (Date.now() - lastRecovery > 60 * 1000) {
+        lastRecovery = Date.now()
+        await recoverStaleJobs(staleMinutes)
+      }
+      while (!stopped && active < concurrency) {
+        const job = await claimNextJob(workerId)
+        if (!job) break
+        active++
+        processJob(job)
+          .catch(err => logger.error('[scrapeQueue] Unexpected worker error', { jobId: job.id, error: err.message, stack: err.stack }))
+          .finally(() => {
+            active--
+            schedule(0)
+          })
+      }
+    } catch (err) {
+      logger.error('[scrapeQueue] Queue poll failed', { workerId, error: err.message })
+    } finally {
+      polling = false
+    }
+    schedule(pollMs)
+  }
+
+  logger.info('[scrapeQueue] Starting scrape worker', { workerId, concurrency, pollMs, staleMinutes })
+  schedule(0)
+
+  return {
+    workerId,
+    stop() {
+      stopped = true
+      clearTimeout(timer)
+    }
+  }
+}
+
+export default {
+  enqueueScrape,
+  getJob,
+  getActiveJob,
+  getLatestJob,
+  hasActiveJob,
+  serializeJob,
+  toStageEvent,
+  claimNextJob,
+  processJob,
+  recoverStaleJobs,
+  startScrapeWorker
+}
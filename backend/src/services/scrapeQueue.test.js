@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { enqueueScrape, processJob, retryDelayMs, serializeJob, toStageEvent } from './scrapeQueue.js';
+import { subscribeScrapeEvents } from './scrapeEvents.js';
+import { sealTransient } from '../lib/credentialVault.js';
+import { LmsAuthError, LmsUnavailableError } from '../lib/lmsClient.js';
+
+const { query, triggerScrape } = vi.hoisted(() => ({
+  query: vi.fn(),
+  triggerScrape: vi.fn()
+}));
+
+vi.mock('../db.js', () => ({ query, default: { query } }));
+vi.mock('./scraperService.js', () => ({ triggerScrape }));
+
+function updates() {
+  return query.mock.calls.filter(([sql]) => sql.includes('UPDATE scrape_jobs'));
+}
+
+function runningJob(overrides = {}) {
+  const sealed = sealTransient('hunter2', 'S1');
+  return {
+    id: 'job-1',
+    username: 'S1',
+    status: 'running',
+    attempts: 1,
+    max_attempts: 3,
+    key_id: sealed.keyId,
+    nonce: sealed.nonce,
+    ciphertext: sealed.ciphertext,
+    auth_tag: sealed.authTag,
+    ...overrides
+  };
+}
+
+describe('scrape queue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  it('stores the password encrypted and reports a new job', async () => {
+    query.mockResolvedValueOnce({ rows: [{ id: 'job-1', status: 'queued', created: true }] });
+    const { job, created } = await enqueueScrape({ username: 'S1', password: 'hunter2' });
+
+    expect(created).toBe(true);
+    expect(job).toEqual({ id: 'job-1', status: 'queued' });
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT (username)');
+    expect(params).not.toContain('hunter2');
+  });
+
+  it('returns the running job instead of queueing a duplicate', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'job-0', status: 'running' }] });
+    const { job, created } = await enqueueScrape({ username: 'S1', password: 'hunter2' });
+
+    expect(created).toBe(false);
+    expect(job.id).toBe('job-0');
+  });
+
+  it('runs a job with the decrypted password and wipes it on success', async () => {
+    triggerScrape.mockResolvedValue({ success: true, attendanceCount: 4, scrapeRunId: 'run-1' });
+    const outcome = await processJob(runningJob({ from_date: '01-01-2025', to_date: null }));
+
+    expect(outcome).toBe('succeeded');
+    expect(triggerScrape).toHaveBeenCalledWith('S1', 'hunter2', '01-01-2025', undefined, { onStage: expect.any(Function), termId: null });
+    const [sql, params] = updates()[0];
+    expect(sql).toContain("status = 'succeeded'");
+    expect(sql).toContain('ciphertext = NULL');
+    expect(params).toEqual(['job-1', 4, 'run-1']);
+  });
+
+  it('requeues transient failures with backoff', async () => {
+    triggerScrape.mockRejectedValue(new LmsUnavailableError('LMS down'));
+    const outcome = await processJob(runningJob());
+
+    expect(outcome).toBe('queued');
+    const [sql, params] = updates()[0];
+    expect(sql).toContain("status = 'queued'");
+    expect(sql).not.toContain('ciphertext = NULL');
+    expect(params[2]).toBe('lms_unavailable');
+  });
+
+  it('fails without retrying on LMS auth errors or when attempts run out', async () => {
+    triggerScrape.mockRejectedValue(new LmsAuthError('bad password'));
+    expect(await processJob(runningJob())).toBe('failed');
+
+    triggerScrape.mockRejectedValue(new LmsUnavailableError('LMS down'));
+    expect(await processJob(runningJob({ attempts: 3 }))).toBe('failed');
+
+    for (const [sql] of updates()) {
+      expect(sql).toContain("status = 'failed'");
+      expect(sql).toContain('ciphertext = NULL');
+    }
+  });
+
+  it('publishes stage changes and the final result to event listeners', async () => {
+    const events = [];
+    const unsubscribe = subscribeScrapeEvents('S1', event => events.push(event.stage));
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('SET stage = $2')) return { rows: [runningJob({ stage: params[1] })] };
+      if (sql.includes("status = 'succeeded'")) return { rows: [runningJob({ status: 'succeeded', stage: 'done', attendance_count: 4 })] };
+      return { rows: [] };
+    });
+    triggerScrape.mockImplementation(async (username, password, from, to, { onStage }) => {
+      onStage('fetching_dashboard');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      return { success: true, attendanceCount: 4, scrapeRunId: 'run-1' };
+    });
+
+    await processJob(runningJob({ stage: 'logging_in' }));
+    unsubscribe();
+
+    expect(events).toEqual(['logging_in', 'fetching_dashboard', 'done']);
+  });
+
+  it('reports the failure reason on failed jobs', () => {
+    const event = toStageEvent(runningJob({ status: 'failed', stage: 'failed', error: 'bad password', error_code: 'lms_auth_failed' }));
+    expect(event).toMatchObject({ stage: 'failed', reason: 'bad password', error_code: 'lms_auth_failed' });
+    expect(toStageEvent(null)).toEqual({ job_id: null, stage: null, status: 'idle' });
+  });
+
+  it('doubles the retry delay up to a cap', () => {
+    expect(retryDelayMs(1, 1000)).toBe(1000);
+    expect(retryDelayMs(3, 1000)).toBe(4000);
+    expect(retryDelayMs(30, 1000)).toBe(30 * 60 * 1000);
+  });
+
+  it('never serializes the sealed password', () => {
+    const view = serializeJob(runningJob({ created_at: new Date('2025-01-01T00:00:00Z') }));
+    expect(view).not.toHaveProperty('ciphertext');
+    expect(view.created_at).toBe('2025-01-01T00:00:00.000Z');
+  });
+});
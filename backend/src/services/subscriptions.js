@@ -0,0 +1,96 @@
+import { query } from '../db.js'
+import { normalizePaymentStatus } from './razorpayWebhook.js'
+import { serializePlan } from './plans.js'
+
+// Subscription self-service: what GET /api/subscriptions/me and GET /api/payments show the user,
+// and the cancel-at-period-end flag set by POST /api/subscriptions/cancel.
+
+// Statuses the Razorpay webhook sets for a subscription that won't renew (see razorpayWebhook.js)
+const ENDED_STATUSES = ['cancelled', 'halted', 'completed']
+
+/**
+ * The user's subscription as the account page shows it
+ * @param {object} user - users row
+ * @param {object} access - resolveAccess(user) result
+ * @param {object|null} plan - the plan being paid for (users.subscription_plan_id)
+ */
+export function serializeSubscription(user, access, plan, now = new Date()) {
+  const rawStatus = String(user.subscription_status || 'trial')
+  // resolveAccess reports cancelled/halted/completed as 'active' while paid time is left
+  const status = !access.allowed ? 'expired' : (ENDED_STATUSES.includes(rawStatus) ? rawStatus : access.status)
+  const cancelAtPeriodEnd = Boolean(user.cancel_at_period_end)
+  const chargeAt = user.subscription_charge_at ? new Date(user.subscription_charge_at) : null
+  const renews = status === 'active' && !cancelAtPeriodEnd && Boolean(user.subscription_id)
+
+  return {
+    status,
+    plan: plan ? serializePlan(plan) : null,
+    trial_expires_at: access.trialExpiresAt,
+    started_at: user.subscription_started_at || null,
+    expires_at: access.subscriptionExpiresAt,
+    days_remaining: access.daysRemaining,
+    next_charge_at: renews && chargeAt && chargeAt > now ? chargeAt : null,
+    cancel_at_period_end: cancelAtPeriodEnd,
+    can_cancel: renews
+  }
+}
+
+/**
+ * Stop renewing after the current period; only for the subscription the user still has
+ * @returns {Promise<boolean>} false when the user's subscription changed meanwhile
+ */
+export async function markCancelAtPeriodEnd(userId, subscriptionId) {
+  const { rowCount } = await query(
+    `UPDATE users SET cancel_at_period_end = true
+     WHERE id = $1 AND subscription_id = $2`,
+    [userId, subscriptionId]
+  )
+  return rowCount > 0
+}
+
+/**
+ * Public shape of a payments row (no webhook metadata)
+ */
+export function serializePayment(row) {
+  return {
+    id: row.id,
+    razorpay_payment_id: row.razorpay_payment_id,
+    amount: row.amount,
+    currency: row.currency,
+    status: normalizePaymentStatus(row.status),
+    refunded_amount: row.refunded_amount || 0,
+    plan: row.plan_id ? { id: row.plan_id, name: row.plan_name, duration_days: row.plan_duration_days } : null,
+    invoice_number: row.invoice_number || null,
+    coupon_code: row.coupon_code || null,
+    created_at: row.created_at
+  }
+}
+
+/**
+ * A user's payments, newest first; before pages by created_at
+ */
+export async function listPayments(userId, { limit = 50, before = null } = {}) {
+  const { rows } = await query(
+    `SELECT p.id, p.razorpay_payment_id, p.amount, p.currency, p.status, p.refunded_amount, p.plan_id,
+            p.created_at, pl.name AS plan_name, pl.duration_days AS plan_duration_days, i.invoice_number,
+            c.code AS coupon_code
+     FROM payments p
+     LEFT JOIN plans pl ON pl.id = p.plan_id
+     LEFT JOIN invoices i ON i.payment_id = p.id
+     LEFT JOIN coupon_redemptions cr ON cr.payment_id = p.id AND cr.status = 'redeemed'
+     LEFT JOIN coupons c ON c.id = cr.coupon_id
+     WHERE p.user_id = $1
+       AND ($2::timestamptz IS NULL OR p.created_at < $2)
+     ORDER BY p.created_at DESC
+     LIMIT $3`,
+    [userId, before, limit]
+  )
+  return rows.map(serializePayment)
+}
+
+export default {
+  serializeSubscription,
+  markCancelAtPeriodEnd,
+  serializePayment,
+  listPayments
+}
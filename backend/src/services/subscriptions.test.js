@@ -0,0 +1,40 @@
+import { describe, it, expect, vi } from 'vitest';
+import { serializePayment, serializeSubscription } from './subscriptions.js';
+
+vi.mock('../db.js', () => ({ query: vi.fn(), withTransaction: vi.fn(), default: { query: vi.fn(), withTransaction: vi.fn() } }));
+
+const now = new Date('2025-11-20T00:00:00Z');
+const expiresAt = new Date('2025-12-14T00:00:00Z');
+const plan = { id: 'p1', name: '28 days', duration_days: 28, price_paise: 4900, razorpay_plan_id: 'plan_x', active: true };
+const user = {
+  subscription_status: 'active',
+  subscription_id: 'sub_1',
+  subscription_started_at: new Date('2025-11-16T00:00:00Z'),
+  subscription_charge_at: expiresAt,
+  cancel_at_period_end: false
+};
+const access = { allowed: true, status: 'active', trialExpiresAt: null, subscriptionExpiresAt: expiresAt, daysRemaining: 24 };
+
+describe('subscriptions', () => {
+  it('shows the next charge only while the subscription renews', () => {
+    const active = serializeSubscription(user, access, plan, now);
+    expect(active).toMatchObject({ status: 'active', next_charge_at: expiresAt, can_cancel: true, expires_at: expiresAt });
+    expect(active.plan).toEqual({ id: 'p1', name: '28 days', duration_days: 28, price_paise: 4900 });
+
+    const cancelling = serializeSubscription({ ...user, cancel_at_period_end: true }, access, plan, now);
+    expect(cancelling).toMatchObject({ status: 'active', next_charge_at: null, cancel_at_period_end: true, can_cancel: false });
+  });
+
+  it('keeps the webhook status for subscriptions that ended but still have paid time', () => {
+    const cancelled = serializeSubscription({ ...user, subscription_status: 'cancelled' }, access, plan, now);
+    expect(cancelled).toMatchObject({ status: 'cancelled', next_charge_at: null, can_cancel: false });
+
+    const expired = serializeSubscription({ ...user, subscription_status: 'cancelled' }, { ...access, allowed: false, status: 'expired', daysRemaining: 0 }, null, now);
+    expect(expired).toMatchObject({ status: 'expired', plan: null, can_cancel: false });
+  });
+
+  it('reports legacy payment statuses as captured', () => {
+    const row = { id: 'pay', razorpay_payment_id: 'pay_1', amount: 4900, currency: 'INR', status: 'paid', refunded_amount: null, plan_id: null, created_at: now };
+    expect(serializePayment(row)).toMatchObject({ status: 'captured', refunded_amount: 0, plan: null });
+  });
+});
@@ -0,0 +1,200 @@
+import { query } from '../db.js'
+import { formatLmsDate } from '../lib/lmsClient.js'
+import { parseRangeDate } from '../lib/dateRange.js'
+
+// Academic terms (phases/semesters) managed by admins. A term with a NULL batch applies to
+// every student, otherwise only to users whose users.batch matches. Attendance for a term
+// is scraped into its own scrape_runs (term_id set); runs without a term are the cumulative view.
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const MAX_NAME_LENGTH = 100
+const MAX_BATCH_LENGTH = 50
+
+// DATE columns as YYYY-MM-DD text so the server time zone can't shift them
+const TERM_COLUMNS = `t.id, t.name, to_char(t.start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(t.end_date, 'YYYY-MM-DD') AS end_date, t.batch, t.created_at, t.updated_at`
+
+export class TermError extends Error {
+  constructor(message, code = 'invalid_term') {
+    super(message)
+    this.name = 'TermError'
+    this.code = code
+  }
+}
+
+export function isTermId(value) {
+  return typeof value === 'string' && UUID_RE.test(value)
+}
+
+function toIsoDate(date) {
+  const pad = n => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+function startOfDay(now) {
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate())
+}
+
+/**
+ * Validate an admin create/update body
+ * @param {{name?: string, start_date?: string, end_date?: string|null, batch?: string|null}} body
+ * @param {object} [existing] - current term when updating; missing fields keep its values
+ * @returns {{name: string, startDate: string, endDate: string|null, batch: string|null}} dates as YYYY-MM-DD
+ * @throws {TermError}
+ */
+export function validateTermInput(body = {}, existing = null) {
+  const pick = (key, fallback) => (body[key] === undefined ? fallback : body[key])
+
+  const name = pick('name', existing?.name)
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    throw new TermError(`name is required (max ${MAX_NAME_LENGTH} characters)`)
+  }
+
+  const start = parseRangeDate(pick('start_date', existing?.start_date))
+  if (!start) throw new TermError('start_date must be DD-MM-YYYY or YYYY-MM-DD')
+  const end = parseRangeDate(pick('end_date', existing?.end_date ?? null))
+  if (end === undefined) throw new TermError('end_date must be DD-MM-YYYY or YYYY-MM-DD')
+  if (end && end < start) throw new TermError('end_date must be on or after start_date')
+
+  const batch = pick('batch', existing?.batch ?? null)
+  if (batch !== null && (typeof batch !== 'string' || batch.trim().length > MAX_BATCH_LENGTH)) {
+    throw new TermError(`batch must be a string (max ${MAX_BATCH_LENGTH} characters) or null`)
+  }
+
+  return {
+    name: name.trim(),
+    startDate: toIsoDate(start),
+    endDate: end ? toIsoDate(end) : null,
+    batch: batch && batch.trim() ? batch.trim() : null
+  }
+}
+
+/**
+ * LMS scrape range for a term: DD-MM-YYYY, toDate null while the term is still running
+ * @throws {TermError} code 'term_not_started' for terms that start after today
+ */
+export function termScrapeRange(term, now = new Date()) {
+  const today = startOfDay(now)
+  const start = parseRangeDate(term.start_date)
+  const end = parseRangeDate(term.end_date)
+  if (start > today) throw new TermError(`${term.name} has not started yet`, 'term_not_started')
+  return {
+    fromDate: formatLmsDate(start),
+    toDate: end && end < today ? formatLmsDate(end) : null
+  }
+}
+
+export function isCurrentTerm(term, now = new Date()) {
+  const today = toIsoDate(now)
+  return term.start_date <= today && (!term.end_date || term.end_date >= today)
+}
+
+/**
+ * Public view of a term row; scraped_at is set when the row comes from listTermsForStudent
+ */
+export function serializeTerm(term, now = new Date()) {
+  if (!term) return null
+  return {
+    id: term.id,
+    name: term.name,
+    start_date: term.start_date,
+    end_date: term.end_date || null,
+    batch: term.batch || null,
+    current: isCurrentTerm(term, now),
+    ...(term.scraped_at !== undefined && { scraped_at: term.scraped_at ? new Date(term.scraped_at).toISOString() : null })
+  }
+}
+
+export async function listTerms() {
+  const { rows } = await query(`SELECT ${TERM_COLUMNS} FROM terms t ORDER BY t.start_date DESC, t.name ASC`)
+  return rows
+}
+
+export async function getTerm(id) {
+  if (!isTermId(id)) return null
+  const { rows } = await query(`SELECT ${TERM_COLUMNS} FROM terms t WHERE t.id = $1`, [id])
+  return rows[0] || null
+}
+
+/**
+ * Terms that apply to a student (all-batch terms plus their batch's), newest first,
+ * with the time of the student's latest scrape for each
+ */
+export async function listTermsForStudent(studentId) {
+  const { rows } = await query(
+    `SELECT ${TERM_COLUMNS},
+       (SELECT max(r.fetched_at) FROM scrape_runs r WHERE r.term_id = t.id AND r.username = $1) AS scraped_at
+     FROM terms t
+     WHERE t.batch IS NULL OR t.batch = (SELECT batch FROM users WHERE student_id = $1 LIMIT 1)
+     ORDER BY t.start_date DESC, t.name ASC`,
+    [studentId]
+  )
+  return rows
+}
+
+/**
+ * A term by id if it applies to the student, otherwise null
+ */
+export async function getTermForStudent(studentId, termId) {
+  if (!isTermId(termId)) return null
+  const { rows } = await query(
+    `SELECT ${TERM_COLUMNS}
+     FROM terms t
+     WHERE t.id = $2
+       AND (t.batch IS NULL OR t.batch = (SELECT batch FROM users WHERE student_id = $1 LIMIT 1))`,
+    [studentId, termId]
+  )
+  return rows[0] || null
+}
+
+export async function createTerm(input) {
+  const { name, startDate, endDate, batch } = input
+  const { rows } = await query(
+    `WITH t AS (
+       INSERT INTO terms (name, start_date, end_date, batch)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *
+     )
+     SELECT ${TERM_COLUMNS} FROM t`,
+    [name, startDate, endDate, batch]
+  )
+  return rows[0]
+}
+
+export async function updateTerm(id, input) {
+  const { name, startDate, endDate, batch } = input
+  const { rows } = await query(
+    `WITH t AS (
+       UPDATE terms SET name = $2, start_date = $3, end_date = $4, batch = $5, updated_at = now()
+       WHERE id = $1
+       RETURNING *
+     )
+     SELECT ${TERM_COLUMNS} FROM t`,
+    [id, name, startDate, endDate, batch]
+  )
+  return rows[0] || null
+}
+
+/**
+ * Delete a term. Its scrape runs go with it (ON DELETE CASCADE) rather than
+ * falling into the cumulative view.
+ * @returns {Promise<boolean>} false when the term did not exist
+ */
+export async function deleteTerm(id) {
+  if (!isTermId(id)) return false
+  const { rowCount } = await query('DELETE FROM terms WHERE id = $1', [id])
+  return rowCount > 0
+}
+
+export default {
+  validateTermInput,
+  termScrapeRange,
+  serializeTerm,
+  listTerms,
+  listTermsForStudent,
+  getTerm,
+  getTermForStudent,
+  createTerm,
+  updateTerm,
+  deleteTerm
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi } from 'vitest';
+import { serializeTerm, termScrapeRange, validateTermInput } from './terms.js';
+
+vi.mock('../db.js', () => ({ query: vi.fn(), default: { query: vi.fn() } }));
+
+const now = new Date(2025, 9, 15, 10, 30);
+const phase1 = { id: 't1', name: 'Phase 1', start_date: '2024-11-11', end_date: '2025-07-31', batch: null };
+const phase2 = { id: 't2', name: 'Phase 2', start_date: '2025-08-01', end_date: null, batch: '2024' };
+
+describe('terms', () => {
+  it('validates admin input and fills updates from the existing term', () => {
+    expect(validateTermInput({ name: ' Phase 2 ', start_date: '01-08-2025', batch: '2024' }))
+      .toEqual({ name: 'Phase 2', startDate: '2025-08-01', endDate: null, batch: '2024' });
+    expect(validateTermInput({ end_date: '2026-01-31', batch: null }, phase2))
+      .toEqual({ name: 'Phase 2', startDate: '2025-08-01', endDate: '2026-01-31', batch: null });
+
+    expect(() => validateTermInput({ start_date: '01-08-2025' })).toThrow(/name/);
+    expect(() => validateTermInput({ name: 'X', start_date: '2025-13-01' })).toThrow(/start_date/);
+    expect(() => validateTermInput({ name: 'X', start_date: '01-08-2025', end_date: '31-07-2025' })).toThrow(/on or after/);
+  });
+
+  it('scrapes finished terms to their end and running terms up to today', () => {
+    expect(termScrapeRange(phase1, now)).toEqual({ fromDate: '11-11-2024', toDate: '31-07-2025' });
+    expect(termScrapeRange(phase2, now)).toEqual({ fromDate: '01-08-2025', toDate: null });
+    expect(() => termScrapeRange({ ...phase2, start_date: '2026-01-01' }, now))
+      .toThrow(expect.objectContaining({ code: 'term_not_started' }));
+  });
+
+  it('marks the term covering today as current', () => {
+    expect(serializeTerm(phase1, now).current).toBe(false);
+    expect(serializeTerm({ ...phase2, scraped_at: null }, now)).toEqual({
+      id: 't2',
+      name: 'Phase 2',
+      start_date: '2025-08-01',
+      end_date: null,
+      batch: '2024',
+      current: true,
+      scraped_at: null
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import crypto from 'crypto'
+import { query, withTransaction } from '../db.js'
+import logger from '../../lib/logger.js'
+import { processRazorpayWebhook, WebhookError } from './razorpayWebhook.js'
+
+// Inbox of every webhook delivery (webhook_events). Deliveries are stored before they're
+// processed, processing is keyed on the provider's event id so redeliveries are no-ops,
+// and failed events can be replayed from the admin API.
+//
+// Status: received → processing → processed | ignored | failed (failed can be replayed);
+// deliveries with a bad signature are never processed, only counted in a 'rejected' row per reason
+// and hour. A row left in 'processing' by a crashed process is claimed again by the next delivery
+// once it is stale.
+
+const PROVIDER = 'razorpay'
+// Rejected deliveries are unauthenticated, so only keep the start of their body
+const MAX_REJECTED_BODY = 10000
+// Rejected deliveries are counted in one row per reason per bucket, e.g. rejected:invalid_signature:2026-10-19T13
+const REJECTED_BUCKET_PREFIX = 'rejected:'
+// A 'processing' row older than this was interrupted and may be claimed again
+const STALE_PROCESSING_MS = 5 * 60 * 1000
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+export const WEBHOOK_EVENT_STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed', 'rejected']
+
+const LIST_COLUMNS = `id, provider, event_id, event, signature_valid, status, error, attempts,
+  received_count, user_id, received_at, processed_at`
+
+/**
+ * Razorpay's X-Razorpay-Event-Id header, or a hash of the body for senders that don't set it
+ */
+export function webhookEventId(headerValue, rawBody) {
+  if (typeof headerValue === 'string' && headerValue.trim()) return headerValue.trim()
+  return 'sha256:' + crypto.createHash('sha256').update(rawBody).digest('hex')
+}
+
+function parseEvent(rawBody) {
+  try {
+    return JSON.parse(rawBody)?.event || null
+  } catch {
+    return null
+  }
+}
+
+function rejectedBucketId(error, now = new Date()) {
+  return `${REJECTED_BUCKET_PREFIX}${error || 'unknown'}:${now.toISOString().slice(0, 13)}`
+}
+
+/**
+ * Store a delivery. A redelivery of a verified event returns the existing row. A rejected
+ * delivery only bumps received_count on its reason's row for the current hour, which keeps the
+ * first delivery's body as a sample, so unsigned requests can't grow the table without bound.
+ * @param {object} delivery
+ * @param {string} delivery.eventId - unused for rejected deliveries
+ * @param {string} delivery.rawBody - body as signed
+ * @param {boolean} delivery.signatureValid
+ * @param {string|null} [delivery.error] - why the signature was rejected
+ * @returns {Promise<{event: object, duplicate: boolean}>}
+ */
+export async function recordWebhookEvent({ eventId, rawBody, signatureValid, error = null }) {
+  const event = parseEvent(rawBody)
+  if (!signatureValid) {
+    const { rows } = await query(
+      `INSERT INTO webhook_events (provider, event_id, event, signature_valid, raw_body, status, error)
+       VALUES ($1, $2, $3, false, $4, 'rejected', $5)
+       ON CONFLICT (provider, event_id) WHERE NOT signature_valid AND event_id LIKE '${REJECTED_BUCKET_PREFIX}%'
+       DO UPDATE SET received_count = webhook_events.received_count + 1
+       RETURNING ${LIST_COLUMNS}`,
+      [PROVIDER, rejectedBucketId(error), event, rawBody.slice(0, MAX_REJECTED_BODY), error]
+    )
+    return { event: rows[0], duplicate: false }
+  }
+
+  const { rows } = await query(
+    `INSERT INTO webhook_events (provider, event_id, event, signature_valid, raw_body)
+     VALUES ($1, $2, $3, true, $4)
+     ON CONFLICT (provider, event_id) WHERE signature_valid
+     DO UPDATE SET received_count = webhook_events.received_count + 1
+     RETURNING ${LIST_COLUMNS}, (xmax = 0) AS inserted`,
+    [PROVIDER, eventId, event, rawBody]
+  )
+  const { inserted, ...row } = rows[0]
+  return { event: row, duplicate: !inserted }
+}
+
+/**
+ * Claim and process a stored event (webhook delivery or admin replay). Events that are already
+ * processed or ignored, or being processed elsewhere, are left alone; a stale 'processing' row is
+ * claimed again. The handler's writes and the processed/ignored status commit together.
+ * @param {string} id - webhook_events.id
+ * @returns {Promise<{status: string, claimed: boolean, userId?: string, result?: object, error?: WebhookError|Error}>}
+ *   status 'processing' with claimed false means another attempt is still running
+ */
+export async function processWebhookEvent(id) {
+  const { rows } = await query(
+    `UPDATE webhook_events
+     SET status = 'processing', attempts = attempts + 1, last_attempt_at = NOW()
+     WHERE id = $1 AND signature_valid
+       AND status IN ('received', 'failed', 'processing')
+       AND (status <> 'processing' OR last_attempt_at < NOW() - make_interval(secs => $2))
+     RETURNING id, event_id, raw_body`,
+    [id, STALE_PROCESSING_MS / 1000]
+  )
+  const row = rows[0]
+  if (!row) {
+    const { rows: current } = await query('SELECT status FROM webhook_events WHERE id = $1', [id])
+    return { status: current[0]?.status || null, claimed: false }
+  }
+
+  try {
+    return await withTransaction(async client => {
+      const outcome = await processRazorpayWebhook(JSON.parse(row.raw_body), client)
+      const status = outcome.ignored ? 'ignored' : 'processed'
+      await client.query(
+        `UPDATE webhook_events
+         SET status = $2, error = NULL, user_id = $3, result = $4, processed_at = NOW()
+         WHERE id = $1`,
+        [id, status, outcome.userId || null, outcome.ignored ? null : JSON.stringify(outcome.result)]
+      )
+      return { status, claimed: true, userId: outcome.userId, result: outcome.result }
+    })
+  } catch (err) {
+    const message = err instanceof WebhookError ? `${err.code}: ${err.message}` : err.message
+    logger.error('[webhook] Event processing failed', { id, eventId: row.event_id, error: message })
+    await query(
+      `UPDATE webhook_events SET status = 'failed', error = $2 WHERE id = $1`,
+      [id, message]
+    ).catch(updateErr => logger.error('[webhook] Failed to mark event failed', { id, error: updateErr.message }))
+    return { status: 'failed', claimed: true, error: err }
+  }
+}
+
+/**
+ * Newest first, without the raw body
+ * @param {object} [filters]
+ * @param {string} [filters.status]
+ * @param {number} [filters.limit]
+ * @param {string} [filters.before] - received_at cursor from the previous page
+ */
+export async function listWebhookEvents({ status = null, limit = 50, before = null } = {}) {
+  const { rows } = await query(
+    `SELECT ${LIST_COLUMNS}
+     FROM webhook_events
+     WHERE ($1::text IS NULL OR status = $1)
+       AND ($2::timestamptz IS NULL OR received_at < $2)
+     ORDER BY received_at DESC
+     LIMIT $3`,
+    [status, before, limit]
+  )
+  return rows
+}
+
+/**
+ * @param {string} id
+ * @param {object} [options]
+ * @param {boolean} [options.withBody] - include raw_body
+ */
+export async function getWebhookEvent(id, { withBody = true } = {}) {
+  if (typeof id !== 'string' || !UUID_RE.test(id)) return null
+  const { rows } = await query(
+    `SELECT ${LIST_COLUMNS}, result${withBody ? ', raw_body' : ''} FROM webhook_events WHERE id = $1`,
+    [id]
+  )
+  return rows[0] || null
+}
+
+export default {
+  webhookEventId,
+  recordWebhookEvent,
+  processWebhookEvent,
+  listWebhookEvents,
+  getWebhookEvent
+}
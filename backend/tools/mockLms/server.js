@@ -0,0 +1,141 @@
+// backend/tools/mockLms/server.js
+// Offline stand-in for sbmchlms.com that serves recorded pages from ./fixtures.
+// Start it with `npm run lms:mock` and point the backend at it with
+// LMS_BASE=http://localhost:4100/lms
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import express from 'express'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const FIXTURES_DIR = path.join(__dirname, 'fixtures')
+
+const SESSION_COOKIE = 'ci_session'
+const CSRF_TOKEN = 'mock-csrf-token'
+
+// Each account exercises one LMS behaviour; any other username/password is rejected
+export const MOCK_ACCOUNTS = {
+  STUDENT01: { password: 'secret', variant: 'default' },
+  EMPTY01: { password: 'secret', variant: 'empty-table' },
+  EXPIRE01: { password: 'secret', variant: 'session-expired' }
+}
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8')
+}
+
+function readSessionId(req) {
+  const header = req.headers.cookie || ''
+  const match = header.match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([^;]+)`))
+  return match ? match[1] : null
+}
+
+function loginPage(error = '') {
+  const alert = error ? `<div class="alert alert-danger">${error}</div>` : ''
+  return fixture('login.html').replace('<!--ERROR-->', alert)
+}
+
+export function createMockLms({ accounts = MOCK_ACCOUNTS } = {}) {
+  const app = express()
+  const router = express.Router()
+  // session id -> username (null until the login form is accepted)
+  const sessions = new Map()
+  // session-expired accounts drop their first session once, mid-scrape
+  const expiredOnce = new Set()
+
+  router.use(express.urlencoded({ extended: false }))
+
+  router.use((req, res, next) => {
+    let sid = readSessionId(req)
+    if (!sid || !sessions.has(sid)) {
+      sid = crypto.randomBytes(12).toString('hex')
+      sessions.set(sid, null)
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sid}; Path=/; HttpOnly`)
+    }
+    req.sessionId = sid
+    req.lmsUser = sessions.get(sid)
+    next()
+  })
+
+  const requireLogin = (req, res, next) => {
+    if (!req.lmsUser) return res.type('html').send(loginPage())
+    next()
+  }
+
+  router.get('/site/userlogin', (req, res) => {
+    res.type('html').send(loginPage())
+  })
+
+  router.post('/site/userlogin', (req, res) => {
+    const { username, password, csrf_token: csrfToken } = req.body || {}
+    const account = accounts[username]
+    if (csrfToken !== CSRF_TOKEN || !account || account.password !== password) {
+      return res.type('html').send(loginPage('Invalid Username or Password'))
+    }
+    sessions.set(req.sessionId, username)
+    res.redirect(302, `${req.baseUrl}/user/user/dashboard`)
+  })
+
+  router.get('/user/user/dashboard', requireLogin, (req, res) => {
+    res.type('html').send(fixture('dashboard.html'))
+  })
+
+  router.get('/user/attendence/subjectbyattendance', requireLogin, (req, res) => {
+    res.type('html').send(fixture('attendance_page.html'))
+  })
+
+  router.post('/user/attendence/subjectgetdaysubattendence', (req, res) => {
+    const username = req.lmsUser
+    const account = username ? accounts[username] : null
+    if (account && account.variant === 'session-expired' && !expiredOnce.has(username)) {
+      expiredOnce.add(username)
+      sessions.delete(req.sessionId)
+    }
+    if (!sessions.get(req.sessionId)) {
+      return res.type('html').send(loginPage())
+    }
+
+    const subjectId = req.body?.subject || ''
+    if (!subjectId) {
+      const page = account.variant === 'empty-table' ? 'attendance_empty.html' : 'attendance_result.html'
+      return res.json({ status: '1', result_page: fixture(page) })
+    }
+    const sessionsFixture = `sessions_${subjectId}.html`
+    if (account.variant === 'empty-table' || !fs.existsSync(path.join(FIXTURES_DIR, sessionsFixture))) {
+      return res.json({ status: '0', result_page: fixture('attendance_empty.html') })
+    }
+    return res.json({ status: '1', result_page: fixture(sessionsFixture) })
+  })
+
+  app.use('/lms', router)
+  return app
+}
+
+/**
+ * Start the mock on the given port (0 picks a free one).
+ * @returns {Promise<{server: import('http').Server, baseUrl: string, close: () => Promise<void>}>}
+ */
+export function startMockLms({ port = 0, accounts } = {}) {
+  return new Promise((resolve, reject) => {
+    const server = createMockLms({ accounts }).listen(port, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}/lms`
+      resolve({
+        server,
+        baseUrl,
+        close: () => new Promise(done => server.close(() => done()))
+      })
+    })
+    server.on('error', reject)
+  })
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const port = Number(process.env.MOCK_LMS_PORT || 4100)
+  startMockLms({ port }).then(({ baseUrl }) => {
+    console.warn(`Mock LMS listening at ${baseUrl}`)
+    console.warn(`Accounts: ${Object.keys(MOCK_ACCOUNTS).join(', ')} (password: secret)`)
+  })
+}
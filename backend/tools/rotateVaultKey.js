@@ -0,0 +1,29 @@
+// backend/tools/rotateVaultKey.js
+// Re-encrypt stored LMS credentials under the active vault key.
+//
+// 1. Generate a key:            openssl rand -base64 32
+// 2. Prepend it to the env:     CREDENTIAL_VAULT_KEYS=k2:<new>,k1:<old>
+// 3. Run:                       npm run vault:rotate
+// 4. Once it reports 0 failures, remove k1 from CREDENTIAL_VAULT_KEYS
+
+import path from 'path'
+import dotenv from 'dotenv'
+import { rotateCredentials } from '../src/services/credentialStore.js'
+
+// db.js and the vault read env lazily, so loading .env after the imports is fine
+dotenv.config({
+  path: path.resolve(process.cwd(), '.env')
+})
+
+async function main() {
+  try {
+    const { rotated, failed, activeKeyId } = await rotateCredentials()
+    console.warn(`Re-encrypted ${rotated} credential(s) under key "${activeKeyId}", ${failed} failed`)
+    process.exit(failed > 0 ? 1 : 0)
+  } catch (err) {
+    console.error('Vault rotation failed:', err.message)
+    process.exit(1)
+  }
+}
+
+main()
@@ -80,64 +80,80 @@ async function testSubscriptionFlow() {
     console.log(`   Subscription ID: ${subscriptionId}`)
     console.log(`   Checkout Options: ${JSON.stringify(options, null, 2)}\n`)
 
-    // Step 3: Simulate Webhook (subscription.activated)
-    console.log('Step 3: Simulating webhook (subscription.activated)...')
-    
-    const webhookPayload = {
-      event: 'subscription.activated',
-      payload: {
-        subscription: {
-          entity: {
-            id: subscriptionId,
-            status: 'active',
-            plan_id: process.env.RAZORPAY_PLAN_ID || 'plan_test',
-            notes: {
-              user_id: userId || '1'
-            }
-          }
+    // Step 3: Pay. With PAYMENT_PROVIDER=fake the server sends the signed webhooks itself;
+    // otherwise simulate subscription.activated here
+    if (subData.provider === 'fake') {
+      const completeResp = await fetch(`${API_BASE}/api/subscriptions/fake/complete`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
         },
-        payment: {
-          entity: {
-            id: `pay_test_${Date.now()}`,
-            amount: 4900, // ₹49 in paise
-            currency: 'INR',
-            status: 'captured'
+        body: JSON.stringify({ subscription_id: subscriptionId })
+      })
+      const completeData = await completeResp.json().catch(() => ({}))
+      if (!completeResp.ok) {
+        throw new Error(`Fake checkout failed: ${completeData.message || completeResp.statusText}`)
+      }
+      console.log(`Step 3: ✅ Fake checkout completed, webhooks delivered: ${JSON.stringify(completeData.deliveries, null, 2)}\n`)
+    } else {
+      console.log('Step 3: Simulating webhook (subscription.activated)...')
+
+      const webhookPayload = {
+        event: 'subscription.activated',
+        payload: {
+          subscription: {
+            entity: {
+              id: subscriptionId,
+              status: 'active',
+              plan_id: process.env.RAZORPAY_PLAN_ID || 'plan_test',
+              // Without a user id the webhook finds the user by subscription id
+              notes: userId ? { user_id: userId } : {}
+            }
+          },
+          payment: {
+            entity: {
+              id: `pay_test_${Date.now()}`,
+              amount: 4900, // ₹49 in paise
+              currency: 'INR',
+              status: 'captured'
+            }
           }
         }
       }
-    }
 
-    // Compute signature
-    const crypto = await import('crypto')
-    const secret = process.env.RAZORPAY_WEBHOOK_SECRET
-    if (!secret) {
-      throw new Error('RAZORPAY_WEBHOOK_SECRET not set')
-    }
+      // Compute signature
+      const crypto = await import('crypto')
+      const secret = (process.env.RAZORPAY_WEBHOOK_SECRETS || process.env.RAZORPAY_WEBHOOK_SECRET || '').split(',')[0].trim()
+      if (!secret) {
+        throw new Error('RAZORPAY_WEBHOOK_SECRETS not set')
+      }
 
-    const rawBody = JSON.stringify(webhookPayload)
-    const signature = crypto
-      .createHmac('sha256', secret)
-      .update(rawBody)
-      .digest('hex')
+      const rawBody = JSON.stringify(webhookPayload)
+      const signature = crypto
+        .createHmac('sha256', secret)
+        .update(rawBody)
+        .digest('hex')
+
+      const webhookResp = await fetch(`${API_BASE}/api/webhook/razorpay`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Razorpay-Signature': signature
+        },
+        body: rawBody
+      })
 
-    const webhookResp = await fetch(`${API_BASE}/api/webhook/razorpay`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Razorpay-Signature': signature
-      },
-      body: rawBody
-    })
+      if (!webhookResp.ok) {
+        const error = await webhookResp.json().catch(() => ({ message: 'Webhook failed' }))
+        throw new Error(`Webhook failed: ${error.message || webhookResp.statusText}`)
+      }
 
-    if (!webhookResp.ok) {
-      const error = await webhookResp.json().catch(() => ({ message: 'Webhook failed' }))
-      throw new Error(`Webhook failed: ${error.message || webhookResp.statusText}`)
+      const webhookData = await webhookResp.json()
+      console.log('✅ Webhook processed')
+      console.log(`   Response: ${JSON.stringify(webhookData, null, 2)}\n`)
     }
 
-    const webhookData = await webhookResp.json()
-    console.log('✅ Webhook processed')
-    console.log(`   Response: ${JSON.stringify(webhookData, null, 2)}\n`)
-
     // Step 4: Verify Subscription Status
     console.log('Step 4: Verifying subscription status...')
     const statusResp = await fetch(`${API_BASE}/api/auth/status`, {
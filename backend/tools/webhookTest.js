@@ -19,11 +19,12 @@ dotenv.config({
 // Option 1: Set NGROK_URL in backend/.env (recommended)
 // Option 2: Update the default value below
 const NGROK_URL = process.env.NGROK_URL || 'https://micha-unmenacing-adrien.ngrok-free.dev'
-const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET
+// The newest secret when RAZORPAY_WEBHOOK_SECRETS lists several
+const WEBHOOK_SECRET = (process.env.RAZORPAY_WEBHOOK_SECRETS || process.env.RAZORPAY_WEBHOOK_SECRET || '').split(',')[0].trim()
 
 if (!WEBHOOK_SECRET) {
-  console.error('❌ ERROR: RAZORPAY_WEBHOOK_SECRET not found in backend/.env')
-  console.error('   Please add: RAZORPAY_WEBHOOK_SECRET=your_secret_here')
+  console.error('❌ ERROR: RAZORPAY_WEBHOOK_SECRETS not found in backend/.env')
+  console.error('   Please add: RAZORPAY_WEBHOOK_SECRETS=your_secret_here')
   process.exit(1)
 }
 
@@ -27,6 +27,7 @@ export default [
         import: 'readonly',
         importMeta: 'readonly',
         fetch: 'readonly',
+        EventSource: 'readonly',
         Request: 'readonly',
         Response: 'readonly',
         Headers: 'readonly',
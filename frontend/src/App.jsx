@@ -1,5 +1,14 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react'
 import useAttendance from './hooks/useAttendance.js'
+import BunkPlanner from './components/BunkPlanner.jsx'
+import DateRangePanel from './components/DateRangePanel.jsx'
+import TermSwitcher from './components/TermSwitcher.jsx'
+import CalendarSubscribe from './components/CalendarSubscribe.jsx'
+import ReportDownload from './components/ReportDownload.jsx'
+import PlanPicker, { formatPlanPrice } from './components/PlanPicker.jsx'
+import AccountPage from './components/AccountPage.jsx'
+import CouponInput from './components/CouponInput.jsx'
+import ReferralPanel from './components/ReferralPanel.jsx'
 
 // =====================
 // Config & Constants
@@ -14,6 +23,7 @@ const USER_KEY = 'ATT_USERNAME'
 const PASS_KEY = 'ATT_PASSWORD'
 const FROM_KEY = 'ATT_FROM'
 const TO_KEY = 'ATT_TO'
+const AUTO_REFRESH_KEY = 'ATT_AUTO_REFRESH'
 
 // =====================
 // Helpers
@@ -26,20 +36,22 @@ const formatToday = () => {
   return `${dd}-${mm}-${yyyy}`
 }
 
-// Compute minimal r such that ((present + r) / (total + r)) * 100 >= 75
-function computeRequiredSessions(present, total) {
+// Default minimum attendance when the backend doesn't send a per-subject threshold
+const DEFAULT_THRESHOLD = 75
+
+// Compute minimal r such that ((present + r) / (total + r)) * 100 >= threshold
+function computeRequiredSessions(present, total, threshold = DEFAULT_THRESHOLD) {
   // If already above threshold, none are required
-  if ((total > 0 && (present / total) * 100 >= 75) || (total === 0 && present >= 0)) return 0
-  const r = Math.ceil(3 * total - 4 * present)
+  if ((total > 0 && (present / total) * 100 >= threshold) || (total === 0 && present >= 0)) return 0
+  const r = Math.ceil((threshold * total - 100 * present) / (100 - threshold))
   return Math.max(0, r)
 }
 
-// Compute how many more classes you can miss and still stay >= 75%
-// Formula: max(0, floor(present / 0.75 - total))
-function computeCanMissSessions(present, total) {
+// Compute how many more classes you can miss and still stay >= threshold
+// Formula: max(0, floor(present / (threshold / 100) - total))
+function computeCanMissSessions(present, total, threshold = DEFAULT_THRESHOLD) {
   if (present < 0 || total <= 0) return 0
-  const threshold = 0.75
-  const allowed = Math.floor(present / threshold - total)
+  const allowed = Math.floor(present / (threshold / 100) - total)
   return Math.max(0, allowed)
 }
 
@@ -191,8 +203,31 @@ export default function AttendanceApp() {
     authLoading,
     error,
     isFallback,
+    scrapeProgress,
+    dateRange,
+    terms,
+    termId,
+    plans,
+    planId,
+    coupon,
+    subscription,
+    payments,
+    referral,
     login,
     fetchAttendance,
+    simulateAttendance,
+    rescrape,
+    selectTerm,
+    calendarFeed,
+    exportAttendance,
+    loadPlans,
+    selectPlan,
+    applyCoupon,
+    clearCoupon,
+    loadAccount,
+    cancelSubscription,
+    downloadInvoice,
+    loadReferrals,
     logout,
     upcomingClasses,
     clearError
@@ -206,11 +241,18 @@ export default function AttendanceApp() {
   // Auth form
   const savedRemember = localStorage.getItem(REMEMBER_KEY) === '1'
   const [rememberMe, setRememberMe] = useState(savedRemember)
+  // Opt-in: server keeps the LMS password encrypted so attendance refreshes in the background
+  const [autoRefresh, setAutoRefresh] = useState(() => localStorage.getItem(AUTO_REFRESH_KEY) === '1')
+  // Only a box the user ticked or unticked is sent: on a new browser it starts unticked and must not
+  // wipe a password stored from another device
+  const [autoRefreshChanged, setAutoRefreshChanged] = useState(false)
   const [username, setUsername] = useState(() => (savedRemember ? localStorage.getItem(USER_KEY) || '' : ''))
   const [password, setPassword] = useState(() => (savedRemember ? localStorage.getItem(PASS_KEY) || '' : ''))
   const [showPassword, setShowPassword] = useState(false)
   const [fromDate, setFromDate] = useState(() => (savedRemember ? localStorage.getItem(FROM_KEY) || '08-10-2025' : '08-10-2025'))
   const [toDate, setToDate] = useState(() => formatToday())
+  // The range is only sent when edited; otherwise the server keeps the user's saved range
+  const [dateRangeChanged, setDateRangeChanged] = useState(false)
   const [toast, setToast] = useState({ type: 'info', message: '' })
   const [showBackendModal, setShowBackendModal] = useState(false)
   const [backendUrl, setBackendUrl] = useState(() => localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000')
@@ -249,6 +291,12 @@ export default function AttendanceApp() {
         if (statusResp.ok) {
           // Token is valid - redirect to dashboard
           const statusData = await statusResp.json()
+          if (typeof statusData.credentials_stored === 'boolean') {
+            setAutoRefresh(statusData.credentials_stored)
+            localStorage.setItem(AUTO_REFRESH_KEY, statusData.credentials_stored ? '1' : '0')
+          }
+          if (statusData.date_range?.from_date) setFromDate(statusData.date_range.from_date)
+          if (statusData.date_range) setToDate(statusData.date_range.to_date || formatToday())
           if (statusData.subscription_status === 'trial' || statusData.subscription_status === 'active') {
             setView('dashboard')
           } else if (statusData.subscription_status === 'expired') {
@@ -341,6 +389,19 @@ export default function AttendanceApp() {
           setView('login')
           return
         }
+        if (result?.scrapeFailed) {
+          setToast({ type: 'error', message: result.message })
+          // A rejected LMS password needs a fresh login; other failures can be retried from here
+          if (result.error === 'lms_auth_failed') {
+            localStorage.removeItem(TOKEN_KEY)
+            setView('login')
+          }
+          return
+        }
+        if (result?.pending) {
+          setToast({ type: 'info', message: 'Your attendance is still being fetched. Refresh in a minute.' })
+          return
+        }
         // Success - update UI
         if (result?.records || result?.fallbackUsed) {
           didFetchOnce.current = true
@@ -361,6 +422,23 @@ export default function AttendanceApp() {
     })()
   }, [view, fetchAttendance, clearError, isValidatingToken])
 
+  // Load subscription and payments whenever the account page opens
+  const [accountError, setAccountError] = useState('')
+  useEffect(() => {
+    if (view !== 'account') return
+    let mounted = true
+    setAccountError('')
+    loadAccount().then(res => {
+      if (!mounted) return
+      if (res?.unauthorized) {
+        handleLogout()
+        return
+      }
+      if (!res?.ok) setAccountError(res?.message || 'Could not load your account.')
+    })
+    return () => { mounted = false }
+  }, [view]) // Only when the view changes
+
   // Prevent fetchAttendance from running on payment page
   useEffect(() => {
     if (view === 'pay') {
@@ -396,7 +474,25 @@ export default function AttendanceApp() {
     e.preventDefault()
     console.log('[handleLogin] submitted')
     clearError() // Clear any previous errors before attempting login
-    const result = await login({ username, password, fromDate, toDate })
+    const result = await login({
+      username,
+      password,
+      fromDate: dateRangeChanged ? fromDate : undefined,
+      toDate: dateRangeChanged ? toDate : undefined,
+      rememberCredentials: autoRefreshChanged ? autoRefresh : undefined
+    })
+    if (result?.dateRange) {
+      // Show the range the server now has saved; a null end means "up to today"
+      if (result.dateRange.from_date) setFromDate(result.dateRange.from_date)
+      setToDate(result.dateRange.to_date || formatToday())
+      setDateRangeChanged(false)
+    }
+    if (typeof result?.credentialsStored === 'boolean') {
+      // What the server now holds, whichever device set it
+      setAutoRefresh(result.credentialsStored)
+      setAutoRefreshChanged(false)
+      localStorage.setItem(AUTO_REFRESH_KEY, result.credentialsStored ? '1' : '0')
+    }
     // Persist credentials based on Remember Me
     if (rememberMe) {
       localStorage.setItem(REMEMBER_KEY, '1')
@@ -582,9 +678,10 @@ export default function AttendanceApp() {
     const present = item.present ?? 0
     const total = item.total ?? (item.present ?? 0) + (item.absent ?? 0)
     const percent = item.percent ?? (total > 0 ? (present / total) * 100 : 0)
-    const required = item.required ?? computeRequiredSessions(present, total)
-    const isLow = percent < 75
-    const canMiss = computeCanMissSessions(present, total)
+    const threshold = item.threshold ?? DEFAULT_THRESHOLD
+    const required = item.required ?? computeRequiredSessions(present, total, threshold)
+    const isLow = percent < threshold
+    const canMiss = computeCanMissSessions(present, total, threshold)
     const marginText = isLow ? `Required: ${required}` : `Margin: ${canMiss}`
     const pctAnim = useAnimatedNumber(percent, 900)
     const isDarkTheme = ['cool-down-buddy', 'midnight-drift'].includes(theme)
@@ -619,7 +716,7 @@ export default function AttendanceApp() {
                 'text-sm font-medium',
                 isLow ? 'text-red-400' : 'text-white/70'
               )}
-              title={isLow ? `Need ${required} more present sessions to reach 75%.` : 'At or above 75%'}
+              title={isLow ? `Need ${required} more present sessions to reach ${threshold}%.` : `At or above ${threshold}%`}
             >
               {marginText}
             </div>
@@ -1157,6 +1254,19 @@ export default function AttendanceApp() {
       }
     }, []) // Empty deps - only run once on mount
 
+    // Plans live in the hook so the choice survives this page remounting
+    useEffect(() => {
+      if (plans.length === 0) loadPlans()
+    }, []) // Only on mount
+
+    const selectedPlan = plans.find(p => p.id === planId) || null
+    const fullPriceLabel = selectedPlan ? formatPlanPrice(selectedPlan) : '₹49'
+    // An applied coupon: free codes are redeemed without Razorpay, discounts lower the price
+    const quote = coupon?.quote || null
+    const freeCoupon = Boolean(quote?.free)
+    const priceLabel = quote ? formatPlanPrice({ price_paise: quote.final_price_paise }) : fullPriceLabel
+    const durationDays = (freeCoupon && quote.free_days) || selectedPlan?.duration_days || 28
+
     const handleRazorpayCheckout = async () => {
       // Debug: Check token before doing anything
       const storedToken = localStorage.getItem(TOKEN_KEY)
@@ -1183,7 +1293,7 @@ export default function AttendanceApp() {
       
       console.log('[PaymentPage] ✅ Pay button clicked, token exists:', !!storedToken)
 
-      if (!razorpayReady || !window.Razorpay) {
+      if (!freeCoupon && (!razorpayReady || !window.Razorpay)) {
         setToast(prev => {
           const newToast = { type: 'error', message: 'Payment gateway not ready. Please refresh the page.' }
           if (prev.type === newToast.type && prev.message === newToast.message) return prev
@@ -1208,7 +1318,12 @@ export default function AttendanceApp() {
           headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${storedToken}`
-          }
+          },
+          // No plan_id -> the server's default plan
+          body: JSON.stringify({
+            ...(selectedPlan ? { plan_id: selectedPlan.id } : {}),
+            ...(coupon ? { coupon_code: coupon.coupon.code } : {})
+          })
         })
 
         console.log('[PaymentPage] 📡 Response status:', response.status, response.statusText)
@@ -1262,6 +1377,18 @@ export default function AttendanceApp() {
         }
 
         const data = await response.json()
+
+        // Free coupon: access was extended by the server, there's nothing to pay
+        if (data.free) {
+          clearCoupon()
+          setToast({ type: 'success', message: `Code redeemed! You have access for ${data.quote?.free_days || durationDays} more days.` })
+          setTimeout(() => {
+            setView('dashboard')
+            setRazorpayLoading(false)
+          }, 1000)
+          return
+        }
+
         const { subscriptionId, options } = data
 
         if (!subscriptionId || !options) {
@@ -1321,7 +1448,7 @@ export default function AttendanceApp() {
                   const statusData = await statusResp.json()
                   if (statusData.subscription_status === 'active') {
                     setToast(prev => {
-                      const newToast = { type: 'success', message: 'Subscription activated! Redirecting...' }
+                      const newToast = { type: 'success', message: 'Subscription activated! Your invoice is on the Account page.' }
                       if (prev.type === newToast.type && prev.message === newToast.message) return prev
                       return newToast
                     })
@@ -1421,7 +1548,7 @@ export default function AttendanceApp() {
               </div>
               <h1 className="text-3xl font-bold text-white/90 mb-2">Trial Expired</h1>
               <p className="text-white/70 text-lg mb-4">
-                Your trial has ended. Pay ₹49 to continue using attendance services.
+                Your trial has ended. Pay {priceLabel} to continue using attendance services.
               </p>
             </div>
 
@@ -1432,8 +1559,28 @@ export default function AttendanceApp() {
               : 'bg-white/20 border-white/20'
           )}>
             <div className="text-center">
-              <div className="text-5xl font-bold text-white/90 mb-2">₹49</div>
-              <div className="text-white/60 mb-4">for 28 days</div>
+              <PlanPicker
+                plans={plans}
+                selectedId={planId}
+                onSelect={selectPlan}
+                disabled={razorpayLoading}
+                isDarkTheme={isDarkTheme}
+              />
+              <CouponInput
+                applied={coupon}
+                onApply={applyCoupon}
+                onClear={clearCoupon}
+                onUnauthorized={handleLogout}
+                disabled={razorpayLoading}
+                isDarkTheme={isDarkTheme}
+              />
+              <div className="text-5xl font-bold text-white/90 mb-2">
+                {quote && !freeCoupon && (
+                  <span className="mr-3 text-2xl font-normal text-white/50 line-through">{fullPriceLabel}</span>
+                )}
+                {priceLabel}
+              </div>
+              <div className="text-white/60 mb-4">for {durationDays} days</div>
               <ul className="text-left space-y-3 text-white/80 mb-6">
                 <li className="flex items-center gap-2">
                   <svg className="w-5 h-5 text-emerald-400" fill="currentColor" viewBox="0 0 20 20">
@@ -1466,16 +1613,18 @@ export default function AttendanceApp() {
           <div className="space-y-4">
             <button
               onClick={handleRazorpayCheckout}
-              disabled={razorpayLoading || !razorpayReady}
+              disabled={razorpayLoading || (!razorpayReady && !freeCoupon)}
               className={classNames(
                 'w-full rounded-lg px-6 py-3 text-white font-semibold',
                 'bg-gradient-to-r from-cyan-500 to-indigo-500 hover:from-cyan-400 hover:to-indigo-400',
                 'focus:outline-none focus:ring-2 focus:ring-[var(--accent-1)]',
                 'transition-all transform hover:scale-[1.02]',
-                (razorpayLoading || !razorpayReady) && 'opacity-60 cursor-not-allowed'
+                (razorpayLoading || (!razorpayReady && !freeCoupon)) && 'opacity-60 cursor-not-allowed'
               )}
             >
-              {!razorpayReady ? 'Loading Payment Gateway...' : razorpayLoading ? 'Opening payment...' : 'Pay ₹49 Now'}
+              {freeCoupon
+                ? (razorpayLoading ? 'Redeeming...' : `Redeem code for ${durationDays} days`)
+                : !razorpayReady ? 'Loading Payment Gateway...' : razorpayLoading ? 'Opening payment...' : `Pay ${priceLabel} Now`}
             </button>
             <button
               onClick={() => {
@@ -1631,6 +1780,14 @@ export default function AttendanceApp() {
       {Array.isArray(upcomingClasses) && upcomingClasses.length > 0 && (
         <div className="mb-6">
           <h3 className="text-lg font-semibold text-white/90 mb-2">Upcoming Classes</h3>
+          {!isFallback && (
+            <CalendarSubscribe
+              onGetFeed={calendarFeed}
+              onUnauthorized={handleLogout}
+              onPaymentRedirect={() => { clearError(); setView('pay') }}
+              isDarkTheme={isDarkTheme}
+            />
+          )}
           <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
             {upcomingClasses.map((u, i) => (
               <UpcomingCard key={(u.title||'') + i} item={u} idx={i} />
@@ -1638,6 +1795,72 @@ export default function AttendanceApp() {
           </div>
         </div>
       )}
+      {/* Academic term switcher (per-term results or the cumulative view) */}
+      {!loading && !isFallback && (
+        <TermSwitcher
+          terms={terms}
+          termId={termId}
+          onSelect={async (id) => {
+            const res = await selectTerm(id)
+            if (res?.records) setAnimateKey((k) => k + 1)
+            else if (res?.termUnavailable) setToast({ type: 'error', message: res.message })
+            return res
+          }}
+          onFetchTerm={async (params) => {
+            const res = await rescrape(params)
+            if (res?.ok) {
+              setAnimateKey((k) => k + 1)
+            } else if (res?.message && !res?.unauthorized && !res?.paymentRedirect) {
+              // The switcher remounts while the overlay is up, so surface scrape failures as a toast too
+              setToast({ type: 'error', message: res.message })
+            }
+            return res
+          }}
+          onUnauthorized={handleLogout}
+          onPaymentRedirect={() => { clearError(); setView('pay') }}
+          isDarkTheme={isDarkTheme}
+        />
+      )}
+      {/* Scraped date range + re-fetch for a new range */}
+      {!loading && !isFallback && (
+        <DateRangePanel
+          dateRange={dateRange}
+          onRescrape={async (params) => {
+            const res = await rescrape(params)
+            if (res?.ok) {
+              setAnimateKey((k) => k + 1)
+              setToast({ type: 'success', message: 'Attendance refreshed for the new range.' })
+            } else if (res?.message && !res?.unauthorized && !res?.paymentRedirect) {
+              // The panel remounts while the overlay is up, so surface scrape failures as a toast too
+              setToast({ type: 'error', message: res.message })
+            }
+            return res
+          }}
+          onUnauthorized={handleLogout}
+          onPaymentRedirect={() => { clearError(); setView('pay') }}
+          isDarkTheme={isDarkTheme}
+        />
+      )}
+      {/* What-if planner (needs real data, the demo fallback has nothing to simulate against) */}
+      {!loading && !isFallback && attendance?.length > 0 && (
+        <BunkPlanner
+          attendance={attendance}
+          onSimulate={simulateAttendance}
+          onUnauthorized={handleLogout}
+          onPaymentRedirect={() => { clearError(); setView('pay') }}
+          isDarkTheme={isDarkTheme}
+        />
+      )}
+      {/* Report export for mentors / condonation requests */}
+      {!loading && !isFallback && attendance?.length > 0 && (
+        <ReportDownload
+          onExport={exportAttendance}
+          onUnauthorized={handleLogout}
+          onPaymentRedirect={() => { clearError(); setView('pay') }}
+          onError={(message) => setToast({ type: 'error', message })}
+          isDarkTheme={isDarkTheme}
+        />
+      )}
       {/* Cards grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
         {loading && Array.from({ length: 6 }).map((_, i) => <SkeletonCard key={i} idx={i} />)}
@@ -1650,6 +1873,17 @@ export default function AttendanceApp() {
           </div>
         )}
       </div>
+      {/* Referral programme: invite link and bonus days earned */}
+      {!isFallback && (
+        <div className="mt-8">
+          <ReferralPanel
+            referral={referral}
+            onLoad={loadReferrals}
+            onUnauthorized={handleLogout}
+            isDarkTheme={isDarkTheme}
+          />
+        </div>
+      )}
       {/* About & Support Buttons */}
       <div className="mt-8 text-center space-x-4">
         <button
@@ -1665,6 +1899,19 @@ export default function AttendanceApp() {
           About
         </button>
         <span className={isDarkTheme ? 'text-white/40' : 'text-slate-400'}>|</span>
+        <button
+          type="button"
+          onClick={() => setView('account')}
+          className={classNames(
+            'text-sm underline transition-colors',
+            isDarkTheme
+              ? 'text-white/60 hover:text-white/80'
+              : 'text-slate-600 hover:text-slate-800'
+          )}
+        >
+          Account
+        </button>
+        <span className={isDarkTheme ? 'text-white/40' : 'text-slate-400'}>|</span>
         <button
           type="button"
           onClick={handleWhatsAppSupport}
@@ -1687,7 +1934,7 @@ export default function AttendanceApp() {
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 backdrop-blur-sm" onMouseDown={(e)=>e.stopPropagation()}>
           <div className="p-5 rounded-xl bg-white/10 text-center">
             <div className="animate-spin mx-auto h-8 w-8 border-4 border-t-transparent border-white/70 rounded-full"></div>
-            <div className="mt-3 text-sm text-gray-200">Fetching real attendance...</div>
+            <div className="mt-3 text-sm text-gray-200" aria-live="polite">{scrapeProgress?.label || 'Fetching real attendance...'}</div>
           </div>
         </div>
       )}
@@ -1699,7 +1946,21 @@ export default function AttendanceApp() {
         </>
       )}
       {/* App Views */}
-      {view === 'about' ? <AboutPage /> : view === 'pay' ? <PaymentPage /> : view === 'login' ? (
+      {view === 'about' ? <AboutPage /> : view === 'pay' ? <PaymentPage /> : view === 'account' ? (
+        <Container>
+          <AccountPage
+            subscription={subscription}
+            payments={payments}
+            loadError={accountError}
+            onCancel={cancelSubscription}
+            onDownloadInvoice={downloadInvoice}
+            onRenew={() => setView('pay')}
+            onBack={() => setView('dashboard')}
+            onUnauthorized={handleLogout}
+            isDarkTheme={isDarkTheme}
+          />
+        </Container>
+      ) : view === 'login' ? (
         <div className="min-h-screen px-4 py-8 md:px-8">
           <div className="mx-auto max-w-6xl">
             <div className="mx-auto max-w-md">
@@ -1809,7 +2070,10 @@ export default function AttendanceApp() {
                       aria-label="From Date in DD-MM-YYYY"
                       value={fromDate}
                       onFocus={(e)=>e.stopPropagation()}
-                      onChange={(e) => setFromDate(() => e.target.value)}
+                      onChange={(e) => {
+                        setFromDate(() => e.target.value)
+                        setDateRangeChanged(true)
+                      }}
                       inputMode="numeric"
                       autoComplete="off"
                       spellCheck="false"
@@ -1830,7 +2094,10 @@ export default function AttendanceApp() {
                       aria-label="To Date in DD-MM-YYYY"
                       value={toDate}
                       onFocus={(e)=>e.stopPropagation()}
-                      onChange={(e) => setToDate(() => e.target.value)}
+                      onChange={(e) => {
+                        setToDate(() => e.target.value)
+                        setDateRangeChanged(true)
+                      }}
                       inputMode="numeric"
                       autoComplete="off"
                       spellCheck="false"
@@ -1855,6 +2122,27 @@ export default function AttendanceApp() {
                   />
                   <span className="text-sm">Remember me (stores credentials locally)</span>
                 </label>
+                <label className={
+                  'mt-2 flex items-start gap-2 ' + (isDarkTheme ? 'text-white/80' : 'text-slate-700')
+                }>
+                  <input
+                    type="checkbox"
+                    checked={autoRefresh}
+                    onChange={(e) => {
+                      setAutoRefresh(e.target.checked)
+                      setAutoRefreshChanged(true)
+                    }}
+                    className={isDarkTheme
+                      ? 'mt-0.5 h-4 w-4 rounded border-white/20 bg-white/10'
+                      : 'mt-0.5 h-4 w-4 rounded border-slate-300 bg-white'}
+                  />
+                  <span className="text-sm">
+                    Keep my attendance updated automatically
+                    <span className={'block text-xs ' + (isDarkTheme ? 'text-white/50' : 'text-slate-500')}>
+                      Stores your LMS password encrypted on our server. Untick and sign in again to remove it.
+                    </span>
+                  </span>
+                </label>
                 {/* Network error banner with Set Backend button */}
                 {(error && (error.includes('Set Backend') || error.includes('Cannot connect to backend'))) && (
                   <div className={classNames(
@@ -0,0 +1,219 @@
+// frontend/src/components/AccountPage.jsx
+// Subscription self-service: plan, status and access dates (GET /api/subscriptions/me),
+// turning off auto-renewal (POST /api/subscriptions/cancel) and payment history (GET /api/payments)
+// with invoice downloads (GET /api/payments/:id/invoice).
+// The data lives in useAttendance; the parent loads it when the account view opens
+
+import React, { useState } from 'react'
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
+
+const STATUS_LABELS = {
+  trial: 'Free trial',
+  active: 'Active',
+  cancelled: 'Cancelled',
+  halted: 'Payment failed',
+  completed: 'Completed',
+  expired: 'Expired'
+}
+
+// Paid at some point; refunds keep the invoice (INVOICEABLE_STATUSES in backend/src/services/invoices.js)
+const INVOICED_STATUSES = ['captured', 'partially_refunded', 'refunded']
+
+const PAYMENT_STATUS_LABELS = {
+  captured: 'Paid',
+  failed: 'Failed',
+  partially_refunded: 'Partly refunded',
+  refunded: 'Refunded'
+}
+
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+function formatDate(value) {
+  if (!value) return '—'
+  const date = new Date(value)
+  return Number.isNaN(date.getTime())
+    ? '—'
+    : date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+}
+
+function formatAmount(paise, currency = 'INR') {
+  const amount = (paise || 0) / 100
+  return currency === 'INR' ? `₹${amount.toFixed(2)}` : `${amount.toFixed(2)} ${currency}`
+}
+
+export default function AccountPage({
+  subscription,
+  payments,
+  loadError,
+  onCancel,
+  onDownloadInvoice,
+  onRenew,
+  onBack,
+  onUnauthorized,
+  isDarkTheme = true
+}) {
+  const [cancelling, setCancelling] = useState(false)
+  const [error, setError] = useState('')
+  const [downloading, setDownloading] = useState(null) // payment id
+  const [invoiceError, setInvoiceError] = useState('')
+
+  const panelCls = isDarkTheme
+    ? 'rounded-2xl p-6 backdrop-blur-xl border border-white/10 bg-white/10 dark:bg-white/5 shadow-lg'
+    : 'rounded-2xl p-6 backdrop-blur-xl border border-slate-300 bg-white/90 shadow-lg'
+  const textCls = isDarkTheme ? 'text-white/90' : 'text-slate-800'
+  const mutedCls = isDarkTheme ? 'text-white/60' : 'text-slate-500'
+  const buttonCls = isDarkTheme
+    ? 'rounded-lg px-4 py-2 text-sm font-medium bg-white/10 border border-white/20 text-white/80 hover:bg-white/15 disabled:opacity-60'
+    : 'rounded-lg px-4 py-2 text-sm font-medium bg-slate-100 border border-slate-300 text-slate-800 hover:bg-slate-200 disabled:opacity-60'
+
+  const cancel = async () => {
+    if (!window.confirm('Turn off auto-renewal? You keep access until the end of the period you paid for.')) return
+    setCancelling(true)
+    setError('')
+    const res = await onCancel?.()
+    setCancelling(false)
+    if (res?.unauthorized) return onUnauthorized?.()
+    if (!res?.ok) setError(res?.message || 'Could not cancel. Please try again.')
+  }
+
+  const downloadInvoice = async (paymentId) => {
+    setDownloading(paymentId)
+    setInvoiceError('')
+    const res = await onDownloadInvoice?.(paymentId)
+    setDownloading(null)
+    if (res?.unauthorized) return onUnauthorized?.()
+    if (!res?.ok) return setInvoiceError(res?.message || 'Could not download the invoice.')
+    saveBlob(res.blob, res.filename)
+  }
+
+  const status = subscription?.status
+  const rows = [
+    ['Plan', subscription?.plan ? `${subscription.plan.name} (${subscription.plan.duration_days} days)` : '—'],
+    status === 'trial'
+      ? ['Trial ends', formatDate(subscription?.trial_expires_at)]
+      : ['Access until', formatDate(subscription?.expires_at)],
+    ['Started', formatDate(subscription?.started_at)],
+    ['Next charge', subscription?.cancel_at_period_end ? 'None (auto-renewal off)' : formatDate(subscription?.next_charge_at)]
+  ]
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className={classNames('text-3xl font-bold', textCls)}>Account</h1>
+        <button type="button" onClick={onBack} className={buttonCls}>← Back</button>
+      </div>
+
+      <div className={panelCls}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className={classNames('text-lg font-semibold', textCls)}>Subscription</h2>
+          {status && (
+            <span className={classNames(
+              'rounded-full px-3 py-1 text-xs font-medium',
+              ['active', 'trial'].includes(status) ? 'bg-emerald-500/20 text-emerald-400' : 'bg-amber-500/20 text-amber-400'
+            )}>
+              {STATUS_LABELS[status] || status}
+            </span>
+          )}
+        </div>
+        {!subscription && !loadError && <p className={classNames('text-sm', mutedCls)}>Loading…</p>}
+        {loadError && <p className="text-sm text-red-400" role="alert">{loadError}</p>}
+        {subscription && (
+          <>
+            <dl className="grid grid-cols-2 gap-y-2 text-sm">
+              {rows.map(([label, value]) => (
+                <React.Fragment key={label}>
+                  <dt className={mutedCls}>{label}</dt>
+                  <dd className={textCls}>{value}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+            <div className="mt-5 flex flex-wrap gap-3">
+              {subscription.can_cancel && (
+                <button type="button" onClick={cancel} disabled={cancelling} className={buttonCls}>
+                  {cancelling ? 'Cancelling…' : 'Cancel auto-renewal'}
+                </button>
+              )}
+              {['trial', 'expired'].includes(status) && (
+                <button
+                  type="button"
+                  onClick={onRenew}
+                  className="rounded-lg px-4 py-2 text-sm font-medium bg-[var(--accent-1)] text-white"
+                >
+                  Choose a plan
+                </button>
+              )}
+            </div>
+          </>
+        )}
+        {error && <p className="mt-3 text-sm text-red-400" role="alert">{error}</p>}
+      </div>
+
+      <div className={panelCls}>
+        <h2 className={classNames('text-lg font-semibold mb-4', textCls)}>Payments</h2>
+        {payments.length === 0 ? (
+          <p className={classNames('text-sm', mutedCls)}>No payments yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className={classNames('text-left', mutedCls)}>
+                <th className="pb-2 font-normal">Date</th>
+                <th className="pb-2 font-normal">Plan</th>
+                <th className="pb-2 font-normal text-right">Amount</th>
+                <th className="pb-2 font-normal text-right">Status</th>
+                <th className="pb-2 font-normal text-right">Invoice</th>
+              </tr>
+            </thead>
+            <tbody className={textCls}>
+              {payments.map(payment => (
+                <tr key={payment.id} className={isDarkTheme ? 'border-t border-white/10' : 'border-t border-slate-200'}>
+                  <td className="py-2">{formatDate(payment.created_at)}</td>
+                  <td className="py-2">
+                    {payment.plan?.name || (payment.coupon_code ? 'Free days' : '—')}
+                    {payment.coupon_code && (
+                      <span className={classNames('block text-xs', mutedCls)}>Code {payment.coupon_code}</span>
+                    )}
+                  </td>
+                  <td className="py-2 text-right">
+                    {formatAmount(payment.amount, payment.currency)}
+                    {payment.refunded_amount > 0 && (
+                      <span className={classNames('block text-xs', mutedCls)}>
+                        {formatAmount(payment.refunded_amount, payment.currency)} refunded
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 text-right">{PAYMENT_STATUS_LABELS[payment.status] || payment.status}</td>
+                  <td className="py-2 text-right">
+                    {INVOICED_STATUSES.includes(payment.status) && payment.razorpay_payment_id ? (
+                      <button
+                        type="button"
+                        onClick={() => downloadInvoice(payment.id)}
+                        disabled={!!downloading}
+                        className="text-xs underline text-[var(--accent-1)] disabled:opacity-60"
+                        title={payment.invoice_number || undefined}
+                      >
+                        {downloading === payment.id ? 'Preparing…' : 'PDF'}
+                      </button>
+                    ) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {invoiceError && <p className="mt-3 text-sm text-red-400" role="alert">{invoiceError}</p>}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,199 @@
+// frontend/src/components/BunkPlanner.jsx
+// "What-if" planner: enter upcoming sessions to attend/skip per subject (or whole days
+// to skip) and see the projected percent from POST /api/attendance/simulate
+
+import React, { useState } from 'react'
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
+
+function toCount(value) {
+  const n = parseInt(value, 10)
+  return Number.isFinite(n) && n > 0 ? n : 0
+}
+
+export default function BunkPlanner({ attendance = [], onSimulate, onUnauthorized, onPaymentRedirect, isDarkTheme = true }) {
+  const [open, setOpen] = useState(false)
+  const [plans, setPlans] = useState({}) // subject -> { attend, skip }
+  const [dateInput, setDateInput] = useState('')
+  const [skipDates, setSkipDates] = useState([])
+  const [result, setResult] = useState(null)
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState('')
+
+  const panelCls = isDarkTheme
+    ? 'rounded-2xl p-5 backdrop-blur-xl border border-white/10 bg-white/10 dark:bg-white/5 shadow-lg'
+    : 'rounded-2xl p-5 backdrop-blur-xl border border-slate-300 bg-white/90 shadow-lg'
+  const textCls = isDarkTheme ? 'text-white/90' : 'text-slate-800'
+  const mutedCls = isDarkTheme ? 'text-white/60' : 'text-slate-500'
+  const inputCls = isDarkTheme
+    ? 'w-16 rounded-md bg-white/10 border border-white/20 text-white p-1.5 text-sm text-center focus:outline-none focus:ring-2 focus:ring-[var(--accent-1)]'
+    : 'w-16 rounded-md bg-white border border-slate-300 text-slate-900 p-1.5 text-sm text-center focus:outline-none focus:ring-2 focus:ring-[var(--accent-1)]'
+
+  const updatePlan = (subject, field, value) => {
+    setPlans(prev => ({ ...prev, [subject]: { ...prev[subject], [field]: value } }))
+  }
+
+  const addSkipDate = () => {
+    if (!dateInput || skipDates.includes(dateInput)) return
+    setSkipDates(prev => [...prev, dateInput].sort())
+    setDateInput('')
+  }
+
+  const reset = () => {
+    setPlans({})
+    setSkipDates([])
+    setResult(null)
+    setError('')
+  }
+
+  const runSimulation = async () => {
+    if (!onSimulate) return
+    setRunning(true)
+    setError('')
+    const payload = Object.entries(plans)
+      .map(([subject, p]) => ({ subject, attend: toCount(p?.attend), skip: toCount(p?.skip) }))
+      .filter(p => p.attend > 0 || p.skip > 0)
+    const res = await onSimulate({ plans: payload, skipDates })
+    setRunning(false)
+    if (res?.unauthorized) return onUnauthorized?.()
+    if (res?.paymentRedirect) return onPaymentRedirect?.()
+    if (!res?.ok) {
+      setError(res?.message || 'Simulation failed. Please try again.')
+      return
+    }
+    setResult(res.result)
+  }
+
+  const projected = new Map((result?.subjects || []).map(s => [s.subject, s]))
+
+  return (
+    <div className={classNames('mb-6', panelCls)}>
+      <button
+        type="button"
+        onClick={() => setOpen(o => !o)}
+        className="flex w-full items-center justify-between"
+        aria-expanded={open}
+      >
+        <h3 className={classNames('text-lg font-semibold', textCls)}>Bunk Planner</h3>
+        <span className={classNames('text-sm', mutedCls)}>{open ? 'Hide' : 'What if I skip…?'}</span>
+      </button>
+      {open && (
+        <div className="mt-4">
+          <p className={classNames('text-sm mb-4', mutedCls)}>
+            Enter upcoming sessions you plan to attend or skip, or pick whole days you will miss.
+            Skipped days use your usual weekly timetable for each subject.
+          </p>
+          <div className="overflow-x-auto">
+            <table className={classNames('w-full text-sm', textCls)}>
+              <thead>
+                <tr className={mutedCls}>
+                  <th className="text-left font-medium py-1">Subject</th>
+                  <th className="font-medium py-1">Attend</th>
+                  <th className="font-medium py-1">Skip</th>
+                  <th className="text-right font-medium py-1">Now</th>
+                  <th className="text-right font-medium py-1">Projected</th>
+                </tr>
+              </thead>
+              <tbody>
+                {attendance.map(item => {
+                  const p = projected.get(item.subject)
+                  const threshold = p?.threshold ?? item.threshold ?? 75
+                  return (
+                    <tr key={item.subject} className="border-t border-white/10">
+                      <td className="py-2 pr-2">{item.subject}</td>
+                      <td className="py-2 text-center">
+                        <input
+                          type="number"
+                          min="0"
+                          aria-label={`Sessions to attend for ${item.subject}`}
+                          className={inputCls}
+                          value={plans[item.subject]?.attend ?? ''}
+                          onChange={e => updatePlan(item.subject, 'attend', e.target.value)}
+                        />
+                      </td>
+                      <td className="py-2 text-center">
+                        <input
+                          type="number"
+                          min="0"
+                          aria-label={`Sessions to skip for ${item.subject}`}
+                          className={inputCls}
+                          value={plans[item.subject]?.skip ?? ''}
+                          onChange={e => updatePlan(item.subject, 'skip', e.target.value)}
+                        />
+                      </td>
+                      <td className="py-2 text-right">{Math.round((item.percent ?? 0) * 100) / 100}%</td>
+                      <td
+                        className={classNames(
+                          'py-2 text-right font-semibold',
+                          p ? (p.belowThreshold ? 'text-red-400' : 'text-emerald-400') : mutedCls
+                        )}
+                        title={p ? `Minimum ${threshold}% · ${p.belowThreshold ? `Need ${p.projected.required} more` : `Can miss ${p.projected.margin}`}` : ''}
+                      >
+                        {p ? `${p.projected.percent}%` : '—'}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <label htmlFor="bunk-date" className={classNames('text-sm', mutedCls)}>Skip all classes on</label>
+            <input
+              id="bunk-date"
+              type="date"
+              value={dateInput}
+              onChange={e => setDateInput(e.target.value)}
+              className={classNames(inputCls, 'w-auto px-2')}
+            />
+            <button
+              type="button"
+              onClick={addSkipDate}
+              className="rounded-lg px-3 py-1.5 text-sm bg-white/10 border border-white/20 hover:bg-white/15"
+            >
+              Add day
+            </button>
+            {skipDates.map(d => (
+              <span key={d} className="px-2.5 py-1 rounded-full text-xs font-medium bg-pink-500/20 text-pink-300 border border-pink-400/30">
+                {d}
+                <button
+                  type="button"
+                  onClick={() => setSkipDates(prev => prev.filter(x => x !== d))}
+                  className="ml-1"
+                  aria-label={`Remove ${d}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+          {error && <div className="mt-3 text-sm text-red-400">{error}</div>}
+          {result?.skipDates?.length > 0 && result.subjects.every(s => s.planned.skippedOnDates === 0) && (
+            <div className={classNames('mt-3 text-sm', mutedCls)}>
+              No day-wise timetable recorded yet, so skipped days didn&apos;t change the projection.
+            </div>
+          )}
+          <div className="mt-4 flex gap-2">
+            <button
+              type="button"
+              onClick={runSimulation}
+              disabled={running}
+              className="rounded-lg px-4 py-2 text-sm font-medium bg-[var(--accent-1)] text-white disabled:opacity-60"
+            >
+              {running ? 'Calculating…' : 'Simulate'}
+            </button>
+            <button
+              type="button"
+              onClick={reset}
+              className={classNames('rounded-lg px-4 py-2 text-sm border', isDarkTheme ? 'border-white/20 text-white/80' : 'border-slate-300 text-slate-700')}
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,72 @@
+// frontend/src/components/CalendarSubscribe.jsx
+// Copies the secret iCalendar feed URL of the upcoming classes (GET /api/calendar/token)
+// for Google Calendar / phone calendars, and resets it (POST) if the link was shared
+
+import React, { useState } from 'react'
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text)
+    return true
+  } catch {
+    return false
+  }
+}
+
+export default function CalendarSubscribe({ onGetFeed, onUnauthorized, onPaymentRedirect, isDarkTheme = true }) {
+  const [busy, setBusy] = useState(false)
+  const [url, setUrl] = useState('')
+  const [status, setStatus] = useState('')
+
+  const mutedCls = isDarkTheme ? 'text-white/60' : 'text-slate-500'
+  const buttonCls = isDarkTheme
+    ? 'rounded-lg px-3 py-1.5 text-xs bg-white/10 border border-white/20 text-white/80 hover:bg-white/15 disabled:opacity-60'
+    : 'rounded-lg px-3 py-1.5 text-xs bg-white border border-slate-300 text-slate-700 hover:bg-slate-50 disabled:opacity-60'
+
+  const run = async (rotate) => {
+    if (rotate && !window.confirm('Reset the calendar link? Calendars subscribed to the old link will stop updating.')) return
+    setBusy(true)
+    setStatus('')
+    const res = await onGetFeed?.({ rotate })
+    setBusy(false)
+    if (res?.unauthorized) return onUnauthorized?.()
+    if (res?.paymentRedirect) return onPaymentRedirect?.()
+    if (!res?.ok) {
+      setStatus(res?.message || 'Could not get the calendar link.')
+      return
+    }
+    setUrl(res.url)
+    const copied = await copyText(res.url)
+    setStatus(copied
+      ? 'Link copied. In Google Calendar use "Other calendars → From URL".'
+      : 'Copy this link into your calendar app:')
+  }
+
+  return (
+    <div className="mb-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" onClick={() => run(false)} disabled={busy} className={buttonCls}>
+          📅 Copy calendar link
+        </button>
+        <button type="button" onClick={() => run(true)} disabled={busy} className={buttonCls}>
+          Reset link
+        </button>
+      </div>
+      {status && <p className={classNames('mt-2 text-xs', mutedCls)} role="status">{status}</p>}
+      {url && (
+        <input
+          type="text"
+          readOnly
+          value={url}
+          onFocus={e => e.target.select()}
+          className={classNames('mt-1 w-full rounded-md p-2 text-xs', isDarkTheme ? 'bg-white/10 border border-white/20 text-white/80' : 'bg-white border border-slate-300 text-slate-800')}
+          aria-label="Calendar subscription URL"
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,86 @@
+// frontend/src/components/CouponInput.jsx
+// Coupon / promo code field on the paywall. The code is checked with POST /api/coupons/validate
+// (useAttendance applyCoupon) and sent with the checkout; the applied code lives in the hook
+
+import React, { useState } from 'react'
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
+
+function formatPaise(paise) {
+  const rupees = (paise || 0) / 100
+  return `₹${Number.isInteger(rupees) ? rupees : rupees.toFixed(2)}`
+}
+
+/**
+ * What an applied code does, e.g. "₹20 off" or "14 free days"
+ */
+export function describeCoupon(applied) {
+  const quote = applied?.quote
+  if (!quote) return ''
+  if (applied.coupon?.kind === 'free_days') return `${quote.free_days} free days`
+  if (quote.free) return 'Free'
+  return `${formatPaise(quote.discount_paise)} off`
+}
+
+export default function CouponInput({ applied, onApply, onClear, onUnauthorized, disabled = false, isDarkTheme = true }) {
+  const [code, setCode] = useState('')
+  const [checking, setChecking] = useState(false)
+  const [error, setError] = useState('')
+
+  const mutedCls = isDarkTheme ? 'text-white/60' : 'text-slate-500'
+  const inputCls = isDarkTheme
+    ? 'flex-1 rounded-lg px-3 py-2 text-sm uppercase bg-white/10 border border-white/20 text-white placeholder-white/40'
+    : 'flex-1 rounded-lg px-3 py-2 text-sm uppercase bg-white border border-slate-300 text-slate-800 placeholder-slate-400'
+  const buttonCls = isDarkTheme
+    ? 'rounded-lg px-4 py-2 text-sm font-medium bg-white/10 border border-white/20 text-white/80 hover:bg-white/15 disabled:opacity-60'
+    : 'rounded-lg px-4 py-2 text-sm font-medium bg-slate-100 border border-slate-300 text-slate-800 hover:bg-slate-200 disabled:opacity-60'
+
+  const apply = async (e) => {
+    e.preventDefault()
+    if (!code.trim()) return
+    setChecking(true)
+    setError('')
+    const res = await onApply?.(code.trim())
+    setChecking(false)
+    if (res?.unauthorized) return onUnauthorized?.()
+    if (!res?.ok) return setError(res?.message || 'That code is not valid.')
+    setCode('')
+  }
+
+  if (applied) {
+    return (
+      <div className="mb-6 flex items-center justify-between gap-3 rounded-lg border border-emerald-500/40 bg-emerald-500/10 px-3 py-2 text-sm">
+        <span className="text-emerald-400">
+          Code <strong>{applied.coupon?.code}</strong> applied: {describeCoupon(applied)}
+        </span>
+        <button type="button" onClick={onClear} disabled={disabled} className={classNames('text-xs underline', mutedCls)}>
+          Remove
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={apply} className="mb-6">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={code}
+          onChange={e => setCode(e.target.value)}
+          placeholder="Coupon code"
+          aria-label="Coupon code"
+          maxLength={32}
+          autoComplete="off"
+          disabled={disabled || checking}
+          className={inputCls}
+        />
+        <button type="submit" disabled={disabled || checking || !code.trim()} className={buttonCls}>
+          {checking ? 'Checking…' : 'Apply'}
+        </button>
+      </div>
+      {error && <p className="mt-2 text-left text-sm text-red-400" role="alert">{error}</p>}
+    </form>
+  )
+}
@@ -0,0 +1,125 @@
+// frontend/src/components/DateRangePanel.jsx
+// Shows the date range the attendance was scraped for and re-fetches it for a new
+// range via POST /api/scrape, without logging in again
+
+import React, { useEffect, useState } from 'react'
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
+
+// Messages for POST /api/scrape errors that need more than the server's text
+const ERROR_MESSAGES = {
+  credentials_required: 'Enter your LMS password (or turn on background refresh at login) to refresh.',
+  invalid_credentials: 'That password does not match your LMS login.',
+  scrape_in_progress: 'A refresh is already running. Try again when it finishes.'
+}
+
+export default function DateRangePanel({ dateRange, onRescrape, onUnauthorized, onPaymentRedirect, isDarkTheme = true }) {
+  const [open, setOpen] = useState(false)
+  const [fromDate, setFromDate] = useState(dateRange?.fromDate || '')
+  const [toDate, setToDate] = useState('')
+  const [password, setPassword] = useState('')
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState('')
+
+  // Follow the range of the data on screen until the user edits it
+  useEffect(() => {
+    if (!open) setFromDate(dateRange?.fromDate || '')
+  }, [dateRange, open])
+
+  const panelCls = isDarkTheme
+    ? 'rounded-2xl p-5 backdrop-blur-xl border border-white/10 bg-white/10 dark:bg-white/5 shadow-lg'
+    : 'rounded-2xl p-5 backdrop-blur-xl border border-slate-300 bg-white/90 shadow-lg'
+  const textCls = isDarkTheme ? 'text-white/90' : 'text-slate-800'
+  const mutedCls = isDarkTheme ? 'text-white/60' : 'text-slate-500'
+  const inputCls = isDarkTheme
+    ? 'mt-1 w-full rounded-md bg-white/10 border border-white/20 text-white placeholder:text-white/40 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-[var(--accent-1)]'
+    : 'mt-1 w-full rounded-md bg-white border border-slate-300 text-slate-900 placeholder:text-slate-500 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-[var(--accent-1)]'
+
+  const submit = async (e) => {
+    e.preventDefault()
+    if (!onRescrape) return
+    setRunning(true)
+    setError('')
+    const res = await onRescrape({ fromDate: fromDate.trim(), toDate: toDate.trim(), password })
+    setRunning(false)
+    if (res?.unauthorized) return onUnauthorized?.()
+    if (res?.paymentRedirect) return onPaymentRedirect?.()
+    if (!res?.ok) {
+      setError(ERROR_MESSAGES[res?.error] || res?.message || 'Refresh failed. Please try again.')
+      return
+    }
+    setPassword('')
+    setOpen(false)
+  }
+
+  return (
+    <div className={classNames('mb-6', panelCls)}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h3 className={classNames('text-lg font-semibold', textCls)}>Date range</h3>
+          <p className={classNames('text-sm', mutedCls)}>
+            {dateRange?.fromDate ? `${dateRange.fromDate} to ${dateRange.toDate || 'today'}` : 'Default academic range'}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(o => !o)}
+          className={classNames('text-sm', mutedCls)}
+          aria-expanded={open}
+        >
+          {open ? 'Cancel' : 'Change range'}
+        </button>
+      </div>
+      {open && (
+        <form onSubmit={submit} className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3">
+          <label className={classNames('text-sm', mutedCls)}>
+            From
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="DD-MM-YYYY"
+              value={fromDate}
+              onChange={e => setFromDate(e.target.value)}
+              className={inputCls}
+              required
+            />
+          </label>
+          <label className={classNames('text-sm', mutedCls)}>
+            To
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="Today"
+              value={toDate}
+              onChange={e => setToDate(e.target.value)}
+              className={inputCls}
+            />
+          </label>
+          <label className={classNames('text-sm', mutedCls)}>
+            LMS password
+            <input
+              type="password"
+              autoComplete="current-password"
+              placeholder="Not needed with background refresh"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              className={inputCls}
+            />
+          </label>
+          {error && <div className="md:col-span-3 text-sm text-red-400" role="alert">{error}</div>}
+          <div className="md:col-span-3">
+            <button
+              type="submit"
+              disabled={running}
+              className="rounded-lg px-4 py-2 text-sm font-medium bg-[var(--accent-1)] text-white disabled:opacity-60"
+            >
+              {running ? 'Refreshing…' : 'Fetch attendance'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
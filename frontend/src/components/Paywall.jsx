@@ -1,6 +1,7 @@
 // frontend/src/components/Paywall.jsx
 // Razorpay Checkout Integration Component
 // Handles complete payment flow: subscription creation → Razorpay Checkout → success/failure handling
+// On success, paidPayment is the payment from GET /api/payments and downloadInvoice saves its invoice PDF
 
 import React, { useState, useEffect, useRef, useCallback } from 'react'
 
@@ -28,6 +29,7 @@ export default function Paywall({ onLogin, onSuccess, apiBase: providedApiBase }
   const [loading, setLoading] = useState(false)
   const [waiting, setWaiting] = useState(false)
   const [razorpayReady, setRazorpayReady] = useState(false)
+  const [paidPayment, setPaidPayment] = useState(null)
   const pollRef = useRef(null)
 
   // Get API base URL
@@ -87,8 +89,9 @@ export default function Paywall({ onLogin, onSuccess, apiBase: providedApiBase }
     }
   }, [])
 
-  // Create subscription on backend
-  const createSubscription = useCallback(async () => {
+  // Create subscription on backend; planId from GET /api/plans, omitted for the default plan;
+  // couponCode as checked by POST /api/coupons/validate
+  const createSubscription = useCallback(async (planId, couponCode) => {
     const token = getToken()
     if (!token) {
       handleUnauthorized()
@@ -102,7 +105,10 @@ export default function Paywall({ onLogin, onSuccess, apiBase: providedApiBase }
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`
       },
-      body: JSON.stringify({}) // Send empty body or any extra info if backend expects it
+      body: JSON.stringify({
+        ...(planId ? { plan_id: planId } : {}),
+        ...(couponCode ? { coupon_code: couponCode } : {})
+      })
     })
 
     if (resp.status === 401) {
@@ -182,19 +188,82 @@ export default function Paywall({ onLogin, onSuccess, apiBase: providedApiBase }
     })
   }, [getToken, getApiBase, handleUnauthorized])
 
+  // Find the payment Checkout reported in the user's history; the webhook has recorded it once the
+  // subscription is active
+  const findPayment = useCallback(async (razorpayPaymentId) => {
+    const token = getToken()
+    if (!token || !razorpayPaymentId) return null
+
+    try {
+      const resp = await fetch(`${getApiBase()}/api/payments?limit=10`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      if (!resp.ok) return null
+      const data = await resp.json()
+      return (data?.payments || []).find(p => p.razorpay_payment_id === razorpayPaymentId) || null
+    } catch {
+      return null
+    }
+  }, [getToken, getApiBase])
+
+  // Download the invoice PDF of the payment just made
+  const downloadInvoice = useCallback(async () => {
+    const token = getToken()
+    if (!token) {
+      handleUnauthorized()
+      return false
+    }
+    if (!paidPayment) return false
+
+    const resp = await fetch(`${getApiBase()}/api/payments/${encodeURIComponent(paidPayment.id)}/invoice`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+    if (resp.status === 401) {
+      handleUnauthorized()
+      return false
+    }
+    if (!resp.ok) {
+      if (onSuccess) {
+        onSuccess('Invoice download failed. You can get it later from the Account page.')
+      }
+      return false
+    }
+
+    const disposition = resp.headers.get('Content-Disposition') || ''
+    const url = URL.createObjectURL(await resp.blob())
+    const link = document.createElement('a')
+    link.href = url
+    link.download = disposition.match(/filename="([^"]+)"/)?.[1] || 'invoice.pdf'
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+    return true
+  }, [getToken, getApiBase, handleUnauthorized, paidPayment, onSuccess])
+
   // Handle pay button click
-  const handlePayClick = useCallback(async () => {
+  const handlePayClick = useCallback(async (planId, couponCode) => {
     setLoading(true)
+    setPaidPayment(null)
 
     try {
       // Step 1: Create subscription on backend
-      const subscriptionData = await createSubscription()
+      const subscriptionData = await createSubscription(planId, couponCode)
       if (!subscriptionData) {
         // Already handled unauthorized
         return
       }
 
-      const { subscriptionId, options } = subscriptionData
+      // Free coupon: the server extended access, there's no checkout
+      if (subscriptionData.free) {
+        setLoading(false)
+        if (onSuccess) {
+          onSuccess(`Code redeemed! You have access for ${subscriptionData.quote?.free_days} more days.`)
+        }
+        return
+      }
+
+      const { subscriptionId, options, plan } = subscriptionData
 
       if (!subscriptionId || !options) {
         throw new Error('Invalid response from server: missing subscription details')
@@ -211,7 +280,7 @@ export default function Paywall({ onLogin, onSuccess, apiBase: providedApiBase }
         key: options.key,
         subscription_id: options.subscription_id || subscriptionId,
         name: options.name || 'SBMCH Attendance',
-        description: options.description || '28-day access',
+        description: options.description || `${plan?.duration_days || 28}-day access`,
         prefill: options.prefill || {},
         notes: options.notes || {},
         theme: options.theme || { color: '#0f62fe' },
@@ -226,6 +295,7 @@ export default function Paywall({ onLogin, onSuccess, apiBase: providedApiBase }
           setLoading(false)
 
           if (ok) {
+            setPaidPayment(await findPayment(response?.razorpay_payment_id))
             // Subscription activated - call success callback
             if (onSuccess) {
               onSuccess('Subscription activated successfully!')
@@ -273,7 +343,7 @@ export default function Paywall({ onLogin, onSuccess, apiBase: providedApiBase }
         onSuccess('Payment start failed: ' + (err.message || 'unknown error'))
       }
     }
-  }, [createSubscription, pollSubscriptionStatus, onSuccess])
+  }, [createSubscription, pollSubscriptionStatus, findPayment, onSuccess])
 
   // Cleanup polling on unmount
   useEffect(() => {
@@ -320,6 +390,8 @@ export default function Paywall({ onLogin, onSuccess, apiBase: providedApiBase }
   return {
     handlePayClick,
     handleCheckStatus,
+    downloadInvoice,
+    paidPayment,
     loading,
     waiting,
     razorpayReady,
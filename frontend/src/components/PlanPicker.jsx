@@ -0,0 +1,53 @@
+// frontend/src/components/PlanPicker.jsx
+// Lets the user choose which plan (GET /api/plans) to pay for on the paywall.
+// Renders nothing when there's only one plan; checkout then uses the server's default
+
+import React from 'react'
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
+
+export function formatPlanPrice(plan) {
+  const rupees = (plan?.price_paise || 0) / 100
+  return `₹${Number.isInteger(rupees) ? rupees : rupees.toFixed(2)}`
+}
+
+export default function PlanPicker({ plans, selectedId, onSelect, disabled = false, isDarkTheme = true }) {
+  if (!Array.isArray(plans) || plans.length < 2) return null
+
+  const cardCls = (selected) => classNames(
+    'flex items-center justify-between gap-3 rounded-xl border p-3 cursor-pointer transition',
+    selected
+      ? 'border-[var(--accent-1)] ring-2 ring-[var(--accent-1)]'
+      : (isDarkTheme ? 'border-white/20 hover:border-white/40' : 'border-slate-300 hover:border-slate-400'),
+    isDarkTheme ? 'bg-white/5 text-white/90' : 'bg-white text-slate-800',
+    disabled && 'opacity-60 cursor-not-allowed'
+  )
+  const mutedCls = isDarkTheme ? 'text-white/60' : 'text-slate-500'
+
+  return (
+    <fieldset className="mb-6 space-y-2" disabled={disabled}>
+      <legend className={classNames('mb-2 text-sm', mutedCls)}>Choose a plan</legend>
+      {plans.map(plan => (
+        <label key={plan.id} className={cardCls(plan.id === selectedId)}>
+          <span className="flex items-center gap-3">
+            <input
+              type="radio"
+              name="plan"
+              value={plan.id}
+              checked={plan.id === selectedId}
+              onChange={() => onSelect?.(plan.id)}
+              className="accent-[var(--accent-1)]"
+            />
+            <span>
+              <span className="block font-semibold">{plan.name}</span>
+              <span className={classNames('block text-xs', mutedCls)}>{plan.duration_days} days</span>
+            </span>
+          </span>
+          <span className="text-lg font-bold">{formatPlanPrice(plan)}</span>
+        </label>
+      ))}
+    </fieldset>
+  )
+}
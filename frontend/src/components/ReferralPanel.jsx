@@ -0,0 +1,96 @@
+// frontend/src/components/ReferralPanel.jsx
+// Dashboard panel for the referral programme (GET /api/referrals/me): the user's invite link,
+// who joined with it and the bonus days earned. The data lives in useAttendance; loaded once
+
+import React, { useEffect, useState } from 'react'
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text)
+    return true
+  } catch {
+    return false
+  }
+}
+
+export function referralLink(code) {
+  return `${window.location.origin}${window.location.pathname}?ref=${encodeURIComponent(code)}`
+}
+
+export default function ReferralPanel({ referral, onLoad, onUnauthorized, isDarkTheme = true }) {
+  const [status, setStatus] = useState('')
+
+  // The panel remounts with the dashboard; only the first mount fetches
+  useEffect(() => {
+    if (referral) return
+    onLoad?.().then(res => {
+      if (res?.unauthorized) onUnauthorized?.()
+    })
+  }, []) // Only on mount
+
+  if (!referral) return null
+
+  const panelCls = isDarkTheme
+    ? 'mb-6 rounded-2xl p-5 backdrop-blur-xl border border-white/10 bg-white/10 dark:bg-white/5 shadow-lg'
+    : 'mb-6 rounded-2xl p-5 backdrop-blur-xl border border-slate-300 bg-white/90 shadow-lg'
+  const textCls = isDarkTheme ? 'text-white/90' : 'text-slate-800'
+  const mutedCls = isDarkTheme ? 'text-white/60' : 'text-slate-500'
+  const buttonCls = isDarkTheme
+    ? 'rounded-lg px-3 py-1.5 text-xs bg-white/10 border border-white/20 text-white/80 hover:bg-white/15'
+    : 'rounded-lg px-3 py-1.5 text-xs bg-white border border-slate-300 text-slate-700 hover:bg-slate-50'
+
+  const link = referralLink(referral.code)
+  const copy = async () => {
+    const copied = await copyText(link)
+    setStatus(copied ? 'Link copied. Share it in your class group.' : `Copy this link: ${link}`)
+  }
+
+  return (
+    <div className={panelCls}>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h3 className={classNames('text-lg font-semibold', textCls)}>Invite classmates</h3>
+          <p className={classNames('mt-1 text-sm', mutedCls)}>
+            When someone joins with your link and subscribes, you get {referral.referrer_bonus_days} free days
+            and they get {referral.referee_bonus_days}.
+          </p>
+        </div>
+        <div className="text-right">
+          <div className={classNames('text-2xl font-bold', textCls)}>{referral.earned_days}</div>
+          <div className={classNames('text-xs', mutedCls)}>days earned</div>
+        </div>
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        <code className={classNames('rounded-lg px-3 py-1.5 text-sm tracking-widest', isDarkTheme ? 'bg-white/10 text-white' : 'bg-slate-100 text-slate-800')}>
+          {referral.code}
+        </code>
+        <button type="button" onClick={copy} className={buttonCls}>🔗 Copy invite link</button>
+      </div>
+      {status && <p className={classNames('mt-2 text-xs break-all', mutedCls)} role="status">{status}</p>}
+
+      <p className={classNames('mt-4 text-sm', mutedCls)}>
+        {referral.credited_count} subscribed · {referral.pending_count} joined, not subscribed yet
+        {referral.referred_by && (
+          referral.referred_by.status === 'credited'
+            ? ` · ${referral.referred_by.bonus_days} days for joining with an invite`
+            : ` · you joined with an invite: subscribe to get ${referral.referred_by.bonus_days} extra days`
+        )}
+      </p>
+      {referral.referrals.length > 0 && (
+        <ul className={classNames('mt-2 space-y-1 text-sm', textCls)}>
+          {referral.referrals.slice(0, 5).map((r, i) => (
+            <li key={i} className="flex justify-between">
+              <span>{r.name || 'A classmate'}</span>
+              <span className={mutedCls}>{r.status === 'credited' ? `+${r.bonus_days} days` : 'Pending'}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,49 @@
+// frontend/src/components/ReportDownload.jsx
+// CSV / PDF attendance report download (GET /api/attendance/export) for mentors and condonation requests
+
+import React, { useState } from 'react'
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
+
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export default function ReportDownload({ onExport, onUnauthorized, onPaymentRedirect, onError, isDarkTheme = true }) {
+  const [busy, setBusy] = useState(null) // format being downloaded
+
+  const buttonCls = isDarkTheme
+    ? 'rounded-lg px-3 py-1.5 text-xs bg-white/10 border border-white/20 text-white/80 hover:bg-white/15 disabled:opacity-60'
+    : 'rounded-lg px-3 py-1.5 text-xs bg-white border border-slate-300 text-slate-700 hover:bg-slate-50 disabled:opacity-60'
+
+  const download = async (format) => {
+    setBusy(format)
+    const res = await onExport?.(format)
+    setBusy(null)
+    if (res?.unauthorized) return onUnauthorized?.()
+    if (res?.paymentRedirect) return onPaymentRedirect?.()
+    if (!res?.ok) return onError?.(res?.message || 'Could not download the report.')
+    saveBlob(res.blob, res.filename)
+  }
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center justify-end gap-2">
+      <span className={classNames('text-xs', isDarkTheme ? 'text-white/60' : 'text-slate-500')}>Download report:</span>
+      <button type="button" onClick={() => download('csv')} disabled={!!busy} className={buttonCls}>
+        {busy === 'csv' ? 'Preparing…' : 'CSV'}
+      </button>
+      <button type="button" onClick={() => download('pdf')} disabled={!!busy} className={buttonCls}>
+        {busy === 'pdf' ? 'Preparing…' : 'PDF'}
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,131 @@
+// frontend/src/components/TermSwitcher.jsx
+// Switches the dashboard between academic terms (GET /api/terms) and the cumulative view.
+// Terms that have never been scraped are fetched on request via POST /api/scrape with term_id
+
+import React, { useState } from 'react'
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
+
+// Messages for POST /api/scrape errors that need more than the server's text
+const ERROR_MESSAGES = {
+  credentials_required: 'Enter your LMS password (or turn on background refresh at login) to fetch this term.',
+  invalid_credentials: 'That password does not match your LMS login.',
+  scrape_in_progress: 'A refresh is already running. Try again when it finishes.'
+}
+
+function todayIso() {
+  const now = new Date()
+  const pad = n => String(n).padStart(2, '0')
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+}
+
+function termLabel(term) {
+  const range = `${term.start_date} – ${term.end_date || 'now'}`
+  const notes = [term.current && 'current', !term.scraped_at && 'not fetched'].filter(Boolean)
+  return `${term.name} (${range})${notes.length ? ` · ${notes.join(', ')}` : ''}`
+}
+
+export default function TermSwitcher({ terms, termId, onSelect, onFetchTerm, onUnauthorized, onPaymentRedirect, isDarkTheme = true }) {
+  const [pendingTerm, setPendingTerm] = useState(null) // chosen term that still needs a scrape
+  const [password, setPassword] = useState('')
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState('')
+
+  if (!Array.isArray(terms) || terms.length === 0) return null
+
+  const panelCls = isDarkTheme
+    ? 'rounded-2xl p-5 backdrop-blur-xl border border-white/10 bg-white/10 dark:bg-white/5 shadow-lg'
+    : 'rounded-2xl p-5 backdrop-blur-xl border border-slate-300 bg-white/90 shadow-lg'
+  const textCls = isDarkTheme ? 'text-white/90' : 'text-slate-800'
+  const mutedCls = isDarkTheme ? 'text-white/60' : 'text-slate-500'
+  const inputCls = isDarkTheme
+    ? 'mt-1 w-full rounded-md bg-white/10 border border-white/20 text-white placeholder:text-white/40 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-[var(--accent-1)]'
+    : 'mt-1 w-full rounded-md bg-white border border-slate-300 text-slate-900 placeholder:text-slate-500 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-[var(--accent-1)]'
+
+  const today = todayIso()
+
+  const handleResult = (res) => {
+    if (res?.unauthorized) { onUnauthorized?.(); return false }
+    if (res?.paymentRedirect) { onPaymentRedirect?.(); return false }
+    if (res?.ok === false || res?.termUnavailable) {
+      setError(ERROR_MESSAGES[res?.error] || res?.message || 'Could not load this term. Please try again.')
+      return false
+    }
+    return true
+  }
+
+  const choose = async (e) => {
+    const id = e.target.value || null
+    setError('')
+    const term = id ? terms.find(t => t.id === id) : null
+    if (term && !term.scraped_at) {
+      setPendingTerm(term)
+      return
+    }
+    setPendingTerm(null)
+    handleResult(await onSelect?.(id))
+  }
+
+  const fetchTerm = async (e) => {
+    e.preventDefault()
+    if (!pendingTerm || !onFetchTerm) return
+    setRunning(true)
+    setError('')
+    const res = await onFetchTerm({ termId: pendingTerm.id, password })
+    setRunning(false)
+    if (!handleResult(res)) return
+    setPassword('')
+    setPendingTerm(null)
+  }
+
+  return (
+    <div className={classNames('mb-6', panelCls)}>
+      <label className={classNames('block text-sm', mutedCls)}>
+        <span className={classNames('text-lg font-semibold', textCls)}>Term</span>
+        <select
+          value={pendingTerm?.id || termId || ''}
+          onChange={choose}
+          className={inputCls}
+          disabled={running}
+        >
+          <option value="">Cumulative (whole date range)</option>
+          {terms.map(term => (
+            <option key={term.id} value={term.id} disabled={term.start_date > today}>
+              {termLabel(term)}
+            </option>
+          ))}
+        </select>
+      </label>
+      {pendingTerm && (
+        <form onSubmit={fetchTerm} className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3">
+          <p className={classNames('md:col-span-3 text-sm', mutedCls)}>
+            Attendance for {pendingTerm.name} hasn&apos;t been fetched yet.
+          </p>
+          <label className={classNames('text-sm md:col-span-2', mutedCls)}>
+            LMS password
+            <input
+              type="password"
+              autoComplete="current-password"
+              placeholder="Not needed with background refresh"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              className={inputCls}
+            />
+          </label>
+          <div className="flex items-end">
+            <button
+              type="submit"
+              disabled={running}
+              className="rounded-lg px-4 py-2 text-sm font-medium bg-[var(--accent-1)] text-white disabled:opacity-60"
+            >
+              {running ? 'Fetching…' : `Fetch ${pendingTerm.name}`}
+            </button>
+          </div>
+        </form>
+      )}
+      {error && <div className="mt-3 text-sm text-red-400" role="alert">{error}</div>}
+    </div>
+  )
+}
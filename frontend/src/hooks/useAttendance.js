@@ -1,8 +1,105 @@
-import { useCallback, useState } from 'react'
+import { useCallback, useEffect, useRef, useState } from 'react'
 import { detectApiBase } from '../config/apiDetector.js'
 
 // Token storage key
 const TOKEN_KEY = 'ATT_TOKEN'
+// ?ref= code from a referral link, kept until the next login sends it (GET /api/referrals/me)
+const REFERRAL_KEY = 'ATT_REF'
+
+// Friendly text for a failed scrape job (error_code from GET /api/scrape/status)
+const SCRAPE_ERROR_MESSAGES = {
+  lms_auth_failed: 'The LMS rejected your password. Please log in again with your current LMS password.',
+  lms_unavailable: 'The LMS is not responding right now. Please try again in a few minutes.',
+  lms_layout_changed: 'The LMS page has changed and attendance could not be read. We are looking into it.'
+}
+
+// Loading overlay text for each scrape stage pushed by GET /api/scrape/events
+const SCRAPE_STAGE_LABELS = {
+  queued: 'Waiting for the LMS scraper…',
+  logging_in: 'Logging in to the LMS…',
+  fetching_dashboard: 'Reading your dashboard…',
+  fetching_attendance: 'Fetching attendance…',
+  saving: 'Saving your attendance…',
+  done: 'Loading your attendance…'
+}
+
+// How long to follow the event stream before falling back to plain polling
+const SCRAPE_EVENTS_TIMEOUT_MS = 3 * 60 * 1000
+
+function scrapeFailureMessage(event) {
+  return SCRAPE_ERROR_MESSAGES[event?.error_code] || 'Could not fetch your attendance from the LMS. Please try again later.'
+}
+
+// Short-lived token for the latest scrape job's event stream (GET /api/scrape/status); null if none.
+// The login token never goes in the stream URL, where it would be logged.
+async function loadScrapeEventsToken(apiBase, token) {
+  try {
+    const resp = await fetch(`${apiBase}/api/scrape/status`, { headers: { Authorization: `Bearer ${token}` } })
+    if (!resp.ok) return null
+    const body = await resp.json()
+    return body?.events_token || null
+  } catch {
+    return null
+  }
+}
+
+// Follow the scrape job's progress until it finishes.
+// Resolves with the final `stage` event, or null if the stream errors, times out or has no job.
+async function followScrapeEvents(apiBase, token, onEvent) {
+  const eventsToken = await loadScrapeEventsToken(apiBase, token)
+  if (!eventsToken) return null
+  return new Promise(resolve => {
+    const source = new EventSource(`${apiBase}/api/scrape/events?token=${encodeURIComponent(eventsToken)}`)
+    let settled = false
+    const finish = result => {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      source.close()
+      resolve(result)
+    }
+    const timer = setTimeout(() => finish(null), SCRAPE_EVENTS_TIMEOUT_MS)
+    source.addEventListener('stage', e => {
+      let event
+      try {
+        event = JSON.parse(e.data)
+      } catch {
+        return
+      }
+      if (!event?.stage) return finish(null)
+      onEvent(event)
+      if (event.stage === 'done' || event.stage === 'failed') finish(event)
+    })
+    // The server closes the stream after done/failed; any other close or error means no more progress
+    source.onerror = () => finish(null)
+  })
+}
+
+// Academic terms for the user's batch (GET /api/terms); null if they can't be loaded
+async function loadTerms(apiBase, token) {
+  try {
+    const resp = await fetch(`${apiBase}/api/terms`, { headers: { Authorization: `Bearer ${token}` } })
+    if (!resp.ok) return null
+    const body = await resp.json()
+    return Array.isArray(body?.terms) ? body.terms : null
+  } catch {
+    return null
+  }
+}
+
+// Keep a ?ref=CODE from the address bar for the login, and drop it from the URL
+function captureReferralCode() {
+  try {
+    const url = new URL(window.location.href)
+    const ref = url.searchParams.get('ref')
+    if (!ref) return
+    localStorage.setItem(REFERRAL_KEY, ref.trim().toUpperCase())
+    url.searchParams.delete('ref')
+    window.history.replaceState(null, '', url.pathname + url.search + url.hash)
+  } catch (err) {
+    console.warn('[useAttendance] referral capture failed', err.message)
+  }
+}
 
 export default function useAttendance() {
   const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY) || '')
@@ -13,8 +110,22 @@ export default function useAttendance() {
   const [authLoading, setAuthLoading] = useState(false)
   const [error, setError] = useState('')
   const [isFallback, setIsFallback] = useState(false)
+  const [scrapeProgress, setScrapeProgress] = useState(null) // { stage, label } while a scrape runs
+  const [dateRange, setDateRange] = useState(null) // { fromDate, toDate } of the shown attendance
+  const [terms, setTerms] = useState([])
+  const [termId, setTermId] = useState(null) // term of the shown attendance, null = cumulative
+  // Read by fetchAttendance so a refresh stays on the chosen term without changing its identity
+  const termRef = useRef(null)
+  const [plans, setPlans] = useState([]) // plans on sale (GET /api/plans), default first
+  const [planId, setPlanId] = useState(null) // plan chosen on the paywall
+  const [coupon, setCoupon] = useState(null) // code applied on the paywall: POST /api/coupons/validate response + planId
+  const [subscription, setSubscription] = useState(null) // GET /api/subscriptions/me, for the account page
+  const [payments, setPayments] = useState([])
+  const [referral, setReferral] = useState(null) // GET /api/referrals/me, for the dashboard panel
+
+  useEffect(() => captureReferralCode(), [])
 
-  const login = useCallback(async ({ username, password, fromDate, toDate }) => {
+  const login = useCallback(async ({ username, password, fromDate, toDate, rememberCredentials }) => {
     setAuthLoading(true)
     setError('')
     // Declare apiBase outside try block so it's accessible in catch
@@ -47,7 +158,16 @@ export default function useAttendance() {
       const res = await fetch(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ student_id: username, password })
+        body: JSON.stringify({
+          student_id: username,
+          password,
+          // Left out unless the user changed the checkbox, so the stored password is kept as is
+          remember_credentials: typeof rememberCredentials === 'boolean' ? rememberCredentials : undefined,
+          // Left out unless the user edited the range, so the saved one is kept
+          ...(fromDate !== undefined || toDate !== undefined ? { from_date: fromDate || null, to_date: toDate || null } : {}),
+          // Only counts when this login creates the account
+          referral_code: localStorage.getItem(REFERRAL_KEY) || undefined
+        })
       })
       
       // Parse response text first, then try JSON
@@ -69,6 +189,11 @@ export default function useAttendance() {
           setError(errorMsg)
           return { ok: false, success: false, error: 'rate_limit_exceeded', message: errorMsg }
         }
+        if (res.status === 400 && data?.error === 'invalid_date_range') {
+          const errorMsg = data?.message || 'Check the From/To dates (DD-MM-YYYY).'
+          setError(errorMsg)
+          return { ok: false, success: false, error: 'invalid_date_range', message: errorMsg }
+        }
         if (res.status === 404) {
           const errorMsg = 'Student ID not found. Check your ID.'
           setError(errorMsg)
@@ -121,9 +246,10 @@ export default function useAttendance() {
       
       // Success - store token and navigate
       localStorage.setItem(TOKEN_KEY, data.token)
+      localStorage.removeItem(REFERRAL_KEY)
       setToken(data.token)
       setIsFallback(false)
-      return { ok: true, success: true, token: data.token, user: data.user }
+      return { ok: true, success: true, token: data.token, user: data.user, credentialsStored: data.credentials_stored, dateRange: data.date_range }
     } catch (err) {
       // Network error or server unreachable
       const msg = (err && err.message) ? err.message : 'Network or server error'
@@ -166,10 +292,13 @@ export default function useAttendance() {
   }, [])
 
   // Replace fetchAttendance with polling-based approach to prioritize real data
-  const fetchAttendance = useCallback(async (t = token) => {
+  // term: id of an academic term, null for the cumulative view; defaults to the one shown
+  const fetchAttendance = useCallback(async (t = token, { term } = {}) => {
+    const selectedTerm = term !== undefined ? term : termRef.current
     setLoading(true)
     setError('') // Clear error at start
     setIsFallback(false)
+    setScrapeProgress(null)
 
     if (!t) {
       // Don't set error here - just return unauthorized
@@ -183,17 +312,22 @@ export default function useAttendance() {
     const viteApi = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env.VITE_API_URL : undefined
     let apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000'
 
-    // local helper to compute required sessions to reach 75%
-    const computeRequired = (present, total) => {
+    // local helper to compute required sessions to reach the subject's threshold
+    const computeRequired = (present, total, threshold) => {
       if (total === 0) return 0
-      const current = (present / total) * 100
-      if (current >= 75) return 0
-      let r = 0
-      while (true) {
-        const pct = ((present + r) / (total + r)) * 100
-        if (pct >= 75) return r
-        r++
-        if (r > 2000) return r
+      if ((present / total) * 100 >= threshold) return 0
+      return Math.max(0, Math.ceil((threshold * total - 100 * present) / (100 - threshold)))
+    }
+
+    // Latest scrape job for this user; null if the status can't be read
+    const fetchScrapeJob = async () => {
+      try {
+        const resp = await fetch(`${apiBase}/api/scrape/status`, { headers: { Authorization: `Bearer ${t}` } })
+        if (!resp.ok) return null
+        const body = await resp.json()
+        return body?.job || null
+      } catch {
+        return null
       }
     }
 
@@ -204,11 +338,12 @@ export default function useAttendance() {
     let attempt = 0
     let lastErr = null
     let earlyNetworkFail = false
+    let followedEvents = false
 
     while (attempt < MAX_TRIES) {
       attempt++
       try {
-        const attendanceUrl = `${apiBase}/api/attendance`
+        const attendanceUrl = `${apiBase}/api/attendance${selectedTerm ? `?term=${encodeURIComponent(selectedTerm)}` : ''}`
         const resp = await fetch(attendanceUrl, {
           method: 'GET',
           headers: { Authorization: `Bearer ${t}` }
@@ -218,8 +353,38 @@ export default function useAttendance() {
         if (resp.status === 202) {
           const pendingData = await resp.json().catch(() => ({}))
           console.log(`[useAttendance] attempt ${attempt}/${MAX_TRIES} received 202 (Pending) - scraper still running, will retry...`, pendingData)
+          // Prefer live progress from the scrape event stream; poll only if it isn't available
+          if (!followedEvents && typeof EventSource !== 'undefined') {
+            followedEvents = true
+            const final = await followScrapeEvents(apiBase, t, event => {
+              setScrapeProgress({ stage: event.stage, label: SCRAPE_STAGE_LABELS[event.stage] || null })
+            })
+            if (final?.stage === 'failed') {
+              const message = scrapeFailureMessage(final)
+              setError(message)
+              setScrapeProgress(null)
+              setLoading(false)
+              return { scrapeFailed: true, error: final.error_code || 'scrape_failed', message }
+            }
+            // Scrape finished - fetch again straight away
+            if (final?.stage === 'done') continue
+          }
+          // Stop waiting once the scrape job has given up - more polling won't produce data
+          const job = await fetchScrapeJob()
+          if (job?.status === 'failed') {
+            const message = scrapeFailureMessage(job)
+            setError(message)
+            setScrapeProgress(null)
+            setLoading(false)
+            return { scrapeFailed: true, error: job.error_code || 'scrape_failed', message }
+          }
           lastErr = new Error('Attendance pending, retrying')
           // Continue to next attempt (don't treat as failure yet)
+        } else if (resp.status === 404 && selectedTerm) {
+          // Term not fetched yet (or no longer exists) - keep showing the current view
+          const body = await resp.json().catch(() => ({}))
+          setLoading(false)
+          return { termUnavailable: true, error: body?.error, message: body?.message || 'Attendance for this term is not available.' }
         } else if (!resp.ok) {
           console.warn('[useAttendance] attempt', attempt, 'failed status', resp.status)
           // If unauthorized, stop early and let caller handle re-login.
@@ -259,13 +424,19 @@ export default function useAttendance() {
           if (Array.isArray(list) && list.length > 0) {
             const mapped = list.map(s => {
               const percent = typeof s.percent === 'number' ? +s.percent : (s.total ? +((s.present / s.total) * 100).toFixed(2) : 0)
-              const required = typeof s.required === 'number' ? s.required : computeRequired(s.present, s.total)
-              const margin = +(percent - 75).toFixed(2)
-              return { ...s, percent, required, margin }
+              const threshold = typeof s.threshold === 'number' ? s.threshold : 75
+              const required = typeof s.required === 'number' ? s.required : computeRequired(s.present, s.total, threshold)
+              const margin = +(percent - threshold).toFixed(2)
+              return { ...s, percent, threshold, required, margin }
             })
             setStudentName(data.studentName || '')
             setAttendance(mapped)
             setUpcomingClasses(Array.isArray(data.upcomingClasses) ? data.upcomingClasses : [])
+            setDateRange(data.fromDate ? { fromDate: data.fromDate, toDate: data.toDate || '' } : null)
+            termRef.current = data.term?.id || null
+            setTermId(termRef.current)
+            loadTerms(apiBase, t).then(list => { if (list) setTerms(list) })
+            setScrapeProgress(null)
             setLoading(false)
             return { records: mapped, fallbackUsed: false }
           } else {
@@ -293,6 +464,15 @@ export default function useAttendance() {
       }
     }
 
+    setScrapeProgress(null)
+    // Backend reachable but the scrape never produced data: say so instead of showing demo data
+    if (!earlyNetworkFail) {
+      console.warn('[useAttendance] attendance still pending after', attempt, 'tries:', lastErr && lastErr.message)
+      setError('Attendance is taking longer than usual to load. Please refresh in a minute.')
+      setLoading(false)
+      return { pending: true }
+    }
+
     console.warn('[useAttendance] polling failed, using fallback after', attempt, 'tries:', lastErr && lastErr.message)
     // apiBase is used in the closure above
     setIsFallback(true)
@@ -309,10 +489,307 @@ export default function useAttendance() {
     }
   }, [token])
 
+  // Ask the backend to project attendance for a bunk plan
+  // plans: [{ subject, attend, skip }], skipDates: ['YYYY-MM-DD']
+  const simulateAttendance = useCallback(async ({ plans = [], skipDates = [] } = {}) => {
+    const t = token || localStorage.getItem(TOKEN_KEY)
+    if (!t) return { unauthorized: true }
+
+    const reactApi = typeof process !== 'undefined' && process.env ? process.env.REACT_APP_API_URL : undefined
+    const viteApi = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env.VITE_API_URL : undefined
+    const apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000'
+
+    try {
+      const resp = await fetch(`${apiBase}/api/attendance/simulate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${t}` },
+        body: JSON.stringify({ plans, skipDates })
+      })
+      const body = await resp.json().catch(() => ({}))
+      if (resp.status === 401) return { unauthorized: true }
+      if (resp.status === 402) return { paymentRedirect: true, error: body?.error, message: body?.message }
+      if (!resp.ok) return { ok: false, error: body?.error, message: body?.message || `Simulation failed (${resp.status})` }
+      return { ok: true, result: body }
+    } catch (err) {
+      console.warn('[useAttendance] simulate failed', err.message)
+      return { ok: false, error: 'network_error', message: 'Could not reach the server. Try again.' }
+    }
+  }, [token])
+
+  // Subscription URL of the upcoming-classes iCalendar feed; rotate: true replaces the secret link
+  const calendarFeed = useCallback(async ({ rotate = false } = {}) => {
+    const t = token || localStorage.getItem(TOKEN_KEY)
+    if (!t) return { unauthorized: true }
+
+    const reactApi = typeof process !== 'undefined' && process.env ? process.env.REACT_APP_API_URL : undefined
+    const viteApi = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env.VITE_API_URL : undefined
+    const apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000'
+
+    try {
+      const resp = await fetch(`${apiBase}/api/calendar/token`, {
+        method: rotate ? 'POST' : 'GET',
+        headers: { Authorization: `Bearer ${t}` }
+      })
+      const body = await resp.json().catch(() => ({}))
+      if (resp.status === 401) return { unauthorized: true }
+      if (resp.status === 402) return { paymentRedirect: true, error: body?.error, message: body?.message }
+      if (!resp.ok) return { ok: false, error: body?.error, message: body?.message || `Calendar link failed (${resp.status})` }
+      return { ok: true, url: body.url }
+    } catch (err) {
+      console.warn('[useAttendance] calendar feed failed', err.message)
+      return { ok: false, error: 'network_error', message: 'Could not reach the server. Try again.' }
+    }
+  }, [token])
+
+  // Attendance report file ('csv' | 'pdf') for the view on screen (term or cumulative)
+  const exportAttendance = useCallback(async (format = 'csv') => {
+    const t = token || localStorage.getItem(TOKEN_KEY)
+    if (!t) return { unauthorized: true }
+
+    const reactApi = typeof process !== 'undefined' && process.env ? process.env.REACT_APP_API_URL : undefined
+    const viteApi = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env.VITE_API_URL : undefined
+    const apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000'
+
+    const params = new URLSearchParams({ format })
+    if (termRef.current) params.set('term', termRef.current)
+    try {
+      const resp = await fetch(`${apiBase}/api/attendance/export?${params}`, { headers: { Authorization: `Bearer ${t}` } })
+      if (!resp.ok) {
+        const body = await resp.json().catch(() => ({}))
+        if (resp.status === 401) return { unauthorized: true }
+        if (resp.status === 402) return { paymentRedirect: true, error: body?.error, message: body?.message }
+        return { ok: false, error: body?.error, message: body?.message || `Export failed (${resp.status})` }
+      }
+      const disposition = resp.headers.get('Content-Disposition') || ''
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `attendance.${format}`
+      return { ok: true, blob: await resp.blob(), filename }
+    } catch (err) {
+      console.warn('[useAttendance] export failed', err.message)
+      return { ok: false, error: 'network_error', message: 'Could not reach the server. Try again.' }
+    }
+  }, [token])
+
+  // Re-scrape without logging in again, optionally for a new DD-MM-YYYY range or one academic term
+  // (termId), then show what was fetched. password is only needed when background refresh
+  // (stored credentials) is off.
+  const rescrape = useCallback(async ({ fromDate, toDate, termId: scrapeTermId, password } = {}) => {
+    const t = token || localStorage.getItem(TOKEN_KEY)
+    if (!t) return { unauthorized: true }
+
+    const reactApi = typeof process !== 'undefined' && process.env ? process.env.REACT_APP_API_URL : undefined
+    const viteApi = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env.VITE_API_URL : undefined
+    const apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000'
+
+    let body
+    try {
+      const resp = await fetch(`${apiBase}/api/scrape`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${t}` },
+        body: JSON.stringify({
+          ...(scrapeTermId ? { term_id: scrapeTermId } : { from_date: fromDate || null, to_date: toDate || null }),
+          ...(password ? { password } : {})
+        })
+      })
+      body = await resp.json().catch(() => ({}))
+      if (resp.status === 401) return { unauthorized: true }
+      if (resp.status === 402) return { paymentRedirect: true, error: body?.error, message: body?.message }
+      if (!resp.ok) return { ok: false, error: body?.error, message: body?.message || `Refresh failed (${resp.status})` }
+    } catch (err) {
+      console.warn('[useAttendance] rescrape failed', err.message)
+      return { ok: false, error: 'network_error', message: 'Could not reach the server. Try again.' }
+    }
+
+    // Loading overlay shows the stages while the new range is scraped
+    setLoading(true)
+    setScrapeProgress({ stage: 'queued', label: SCRAPE_STAGE_LABELS.queued })
+    const final = typeof EventSource !== 'undefined'
+      ? await followScrapeEvents(apiBase, t, event => {
+        setScrapeProgress({ stage: event.stage, label: SCRAPE_STAGE_LABELS[event.stage] || null })
+      })
+      : null
+    setScrapeProgress(null)
+    if (final?.stage === 'failed') {
+      setLoading(false)
+      return { ok: false, error: final.error_code || 'scrape_failed', message: scrapeFailureMessage(final) }
+    }
+    const result = await fetchAttendance(t, { term: scrapeTermId || null })
+    return { ok: true, dateRange: body?.date_range, ...result }
+  }, [token, fetchAttendance])
+
+  // Plans on sale; public, so it works before the first payment. Keeps the chosen plan if it's still listed
+  const loadPlans = useCallback(async () => {
+    const reactApi = typeof process !== 'undefined' && process.env ? process.env.REACT_APP_API_URL : undefined
+    const viteApi = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env.VITE_API_URL : undefined
+    const apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000'
+
+    try {
+      const resp = await fetch(`${apiBase}/api/plans`)
+      const body = await resp.json().catch(() => ({}))
+      if (!resp.ok) return { ok: false, error: body?.error, message: body?.message || `Loading plans failed (${resp.status})` }
+      const list = Array.isArray(body?.plans) ? body.plans : []
+      setPlans(list)
+      setPlanId(current => (list.some(p => p.id === current) ? current : (list[0]?.id || null)))
+      return { ok: true, plans: list }
+    } catch (err) {
+      console.warn('[useAttendance] plans failed', err.message)
+      return { ok: false, error: 'network_error', message: 'Could not reach the server. Try again.' }
+    }
+  }, [])
+
+  // Check a coupon code for a plan and keep it for checkout; a code that doesn't apply is dropped
+  const applyCoupon = useCallback(async (code, forPlanId = planId) => {
+    const t = token || localStorage.getItem(TOKEN_KEY)
+    if (!t) return { unauthorized: true }
+
+    const reactApi = typeof process !== 'undefined' && process.env ? process.env.REACT_APP_API_URL : undefined
+    const viteApi = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env.VITE_API_URL : undefined
+    const apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000'
+
+    try {
+      const resp = await fetch(`${apiBase}/api/coupons/validate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${t}` },
+        body: JSON.stringify({ code, ...(forPlanId ? { plan_id: forPlanId } : {}) })
+      })
+      const body = await resp.json().catch(() => ({}))
+      if (resp.status === 401) return { unauthorized: true }
+      if (!resp.ok) {
+        setCoupon(null)
+        return { ok: false, error: body?.error, message: body?.message || `Checking the code failed (${resp.status})` }
+      }
+      const applied = { ...body, planId: forPlanId || null }
+      setCoupon(applied)
+      return { ok: true, coupon: applied }
+    } catch (err) {
+      console.warn('[useAttendance] coupon check failed', err.message)
+      return { ok: false, error: 'network_error', message: 'Could not reach the server. Try again.' }
+    }
+  }, [token, planId])
+
+  const clearCoupon = useCallback(() => setCoupon(null), [])
+
+  // A discount depends on the plan's price, so an applied code is priced again for the new plan
+  const selectPlan = useCallback((id) => {
+    setPlanId(id || null)
+    if (coupon && coupon.coupon?.kind !== 'free_days') applyCoupon(coupon.coupon.code, id || null)
+  }, [coupon, applyCoupon])
+
+  // Subscription status and payment history for the account page; works after access has ended
+  const loadAccount = useCallback(async () => {
+    const t = token || localStorage.getItem(TOKEN_KEY)
+    if (!t) return { unauthorized: true }
+
+    const reactApi = typeof process !== 'undefined' && process.env ? process.env.REACT_APP_API_URL : undefined
+    const viteApi = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env.VITE_API_URL : undefined
+    const apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000'
+
+    try {
+      const headers = { Authorization: `Bearer ${t}` }
+      const [subResp, payResp] = await Promise.all([
+        fetch(`${apiBase}/api/subscriptions/me`, { headers }),
+        fetch(`${apiBase}/api/payments`, { headers })
+      ])
+      if (subResp.status === 401 || payResp.status === 401) return { unauthorized: true }
+      const subBody = await subResp.json().catch(() => ({}))
+      const payBody = await payResp.json().catch(() => ({}))
+      if (!subResp.ok) return { ok: false, error: subBody?.error, message: subBody?.message || `Loading your subscription failed (${subResp.status})` }
+      if (!payResp.ok) return { ok: false, error: payBody?.error, message: payBody?.message || `Loading your payments failed (${payResp.status})` }
+      setSubscription(subBody.subscription || null)
+      setPayments(Array.isArray(payBody.payments) ? payBody.payments : [])
+      return { ok: true, subscription: subBody.subscription, payments: payBody.payments }
+    } catch (err) {
+      console.warn('[useAttendance] account failed', err.message)
+      return { ok: false, error: 'network_error', message: 'Could not reach the server. Try again.' }
+    }
+  }, [token])
+
+  // Turn off auto-renewal; access continues until the paid period ends
+  const cancelSubscription = useCallback(async () => {
+    const t = token || localStorage.getItem(TOKEN_KEY)
+    if (!t) return { unauthorized: true }
+
+    const reactApi = typeof process !== 'undefined' && process.env ? process.env.REACT_APP_API_URL : undefined
+    const viteApi = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env.VITE_API_URL : undefined
+    const apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000'
+
+    try {
+      const resp = await fetch(`${apiBase}/api/subscriptions/cancel`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${t}` }
+      })
+      const body = await resp.json().catch(() => ({}))
+      if (resp.status === 401) return { unauthorized: true }
+      if (!resp.ok) return { ok: false, error: body?.error, message: body?.message || `Cancelling failed (${resp.status})` }
+      setSubscription(body.subscription || null)
+      return { ok: true, subscription: body.subscription }
+    } catch (err) {
+      console.warn('[useAttendance] cancel failed', err.message)
+      return { ok: false, error: 'network_error', message: 'Could not reach the server. Try again.' }
+    }
+  }, [token])
+
+  // The user's referral code and the bonus days it has earned
+  const loadReferrals = useCallback(async () => {
+    const t = token || localStorage.getItem(TOKEN_KEY)
+    if (!t) return { unauthorized: true }
+
+    const reactApi = typeof process !== 'undefined' && process.env ? process.env.REACT_APP_API_URL : undefined
+    const viteApi = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env.VITE_API_URL : undefined
+    const apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000'
+
+    try {
+      const resp = await fetch(`${apiBase}/api/referrals/me`, { headers: { Authorization: `Bearer ${t}` } })
+      const body = await resp.json().catch(() => ({}))
+      if (resp.status === 401) return { unauthorized: true }
+      if (!resp.ok) return { ok: false, error: body?.error, message: body?.message || `Loading referrals failed (${resp.status})` }
+      setReferral(body.referral || null)
+      return { ok: true, referral: body.referral }
+    } catch (err) {
+      console.warn('[useAttendance] referrals failed', err.message)
+      return { ok: false, error: 'network_error', message: 'Could not reach the server. Try again.' }
+    }
+  }, [token])
+
+  // Invoice PDF of a successful payment (GET /api/payments/:id/invoice), as a blob to save
+  const downloadInvoice = useCallback(async (paymentId) => {
+    const t = token || localStorage.getItem(TOKEN_KEY)
+    if (!t) return { unauthorized: true }
+
+    const reactApi = typeof process !== 'undefined' && process.env ? process.env.REACT_APP_API_URL : undefined
+    const viteApi = (typeof import.meta !== 'undefined' && import.meta.env) ? import.meta.env.VITE_API_URL : undefined
+    const apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || 'http://localhost:3000'
+
+    try {
+      const resp = await fetch(`${apiBase}/api/payments/${encodeURIComponent(paymentId)}/invoice`, { headers: { Authorization: `Bearer ${t}` } })
+      if (!resp.ok) {
+        const body = await resp.json().catch(() => ({}))
+        if (resp.status === 401) return { unauthorized: true }
+        return { ok: false, error: body?.error, message: body?.message || `Invoice download failed (${resp.status})` }
+      }
+      const disposition = resp.headers.get('Content-Disposition') || ''
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'invoice.pdf'
+      return { ok: true, blob: await resp.blob(), filename }
+    } catch (err) {
+      console.warn('[useAttendance] invoice download failed', err.message)
+      return { ok: false, error: 'network_error', message: 'Could not reach the server. Try again.' }
+    }
+  }, [token])
+
+  // Switch the dashboard to a term (null = cumulative)
+  const selectTerm = useCallback((id) => fetchAttendance(undefined, { term: id || null }), [fetchAttendance])
+
   const logout = useCallback(() => {
     localStorage.removeItem(TOKEN_KEY)
     setToken('')
     setAttendance([])
+    setDateRange(null)
+    setTerms([])
+    setTermId(null)
+    termRef.current = null
+    setSubscription(null)
+    setPayments([])
+    setCoupon(null)
+    setReferral(null)
     setStudentName('')
     setError('') // Clear error on logout
     setIsFallback(false)
@@ -333,8 +810,31 @@ export default function useAttendance() {
     authLoading,
     error,
     isFallback,
+    scrapeProgress,
+    dateRange,
+    terms,
+    termId,
+    plans,
+    planId,
+    coupon,
+    subscription,
+    payments,
+    referral,
     login,
     fetchAttendance,
+    simulateAttendance,
+    rescrape,
+    selectTerm,
+    calendarFeed,
+    exportAttendance,
+    loadPlans,
+    selectPlan,
+    applyCoupon,
+    clearCoupon,
+    loadAccount,
+    cancelSubscription,
+    downloadInvoice,
+    loadReferrals,
     logout,
     clearError
   }
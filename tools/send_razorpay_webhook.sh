@@ -9,14 +9,21 @@
 #   Option 2: Use custom JSON file
 #     ./send_razorpay_webhook.sh --file <payload.json> <webhook_secret> [webhook_url]
 #
+# Each run sends a new x-razorpay-event-id; set EVENT_ID to resend the same one and check
+# that the server acknowledges it as a duplicate.
+#
 # Examples:
 #   ./send_razorpay_webhook.sh subscription.activated "your_secret" "http://localhost:3000/api/webhook/razorpay"
 #   ./send_razorpay_webhook.sh --file webhook_payload.json "your_secret"
 #
-# Event types: subscription.activated, invoice.paid, payment.captured
+# Event types: subscription.activated, invoice.paid, payment.captured, or any fixture in
+# backend/tools/fixtures/razorpay/ (subscription.charged, subscription.cancelled,
+# subscription.halted, subscription.completed, payment.failed, refund.processed)
 
 set -e
 
+FIXTURE_DIR="$(cd "$(dirname "$0")/.." && pwd)/backend/tools/fixtures/razorpay"
+
 # Check if using file mode
 if [ "$1" = "--file" ]; then
   PAYLOAD_FILE="$2"
@@ -97,14 +104,21 @@ else
       }'
       ;;
     *)
-      echo "Unknown event type: $EVENT_TYPE"
-      echo "Supported: subscription.activated, invoice.paid, payment.captured"
-      echo "Or use --file <payload.json> for custom payload"
-      exit 1
+      if [ -f "$FIXTURE_DIR/$EVENT_TYPE.json" ]; then
+        PAYLOAD=$(cat "$FIXTURE_DIR/$EVENT_TYPE.json")
+      else
+        echo "Unknown event type: $EVENT_TYPE"
+        echo "Supported: subscription.activated, invoice.paid, payment.captured"
+        echo "Fixtures: $(ls "$FIXTURE_DIR" 2>/dev/null | sed 's/\.json$//' | tr '\n' ' ')"
+        echo "Or use --file <payload.json> for custom payload"
+        exit 1
+      fi
       ;;
   esac
 fi
 
+EVENT_ID="${EVENT_ID:-evt_test_$(date +%s)$RANDOM}"
+
 # Compute HMAC SHA256 signature
 SIGNATURE=$(echo -n "$PAYLOAD" | openssl dgst -sha256 -hmac "$SECRET" | sed 's/^.* //')
 
@@ -114,6 +128,7 @@ echo "=========================================="
 echo "Event Type: $EVENT_TYPE"
 echo "URL: $WEBHOOK_URL"
 echo "Signature: $SIGNATURE"
+echo "Event ID: $EVENT_ID"
 echo "=========================================="
 echo ""
 
@@ -122,6 +137,7 @@ echo "Sending webhook..."
 RESPONSE=$(curl -s -w "\nHTTP_STATUS:%{http_code}" -X POST "$WEBHOOK_URL" \
   -H "Content-Type: application/json" \
   -H "x-razorpay-signature: $SIGNATURE" \
+  -H "x-razorpay-event-id: $EVENT_ID" \
   -d "$PAYLOAD")
 
 HTTP_STATUS=$(echo "$RESPONSE" | grep "HTTP_STATUS" | cut -d: -f2)